@@ -0,0 +1,124 @@
+'use strict'
+
+//================================================================================
+// Join the poll CSV files of a Threema backup into complete polls.
+//--------------------------------------------------------------------------------
+// - "ballot":        one row per poll; the question is in "name", the conversation
+//                    in "ref_id" (identity of the contact or the group)
+// - "ballot_choice": one row per choice of a poll; "name", "order", "vote_count"
+// - "ballot_vote":   one row per participant and choice; "identity" and "choice"
+//                    (1 = chosen, 0 = not chosen)
+// Depending on the Threema version, rows reference each other by "..._id" or by
+// "..._uid" columns; both are accepted.
+//--------------------------------------------------------------------------------
+
+
+//--------------------------------------------------------------------------------
+// column names, in order of preference:
+const ballotKeys = ['uid', 'id']
+const choiceKeys = ['uid', 'id']
+const choiceBallotKeys = ['ballot_uid', 'ballot_id']
+const voteBallotKeys = ['ballot_uid', 'ballot_id']
+const voteChoiceKeys = ['choice_uid', 'choice_id']
+//--------------------------------------------------------------------------------
+const stateClosed = 'closed'
+const assessmentMultiple = 'multiple_choice'
+
+
+//--------------------------------------------------------------------------------
+// Return the first non-empty value of object "o" for one of the keys in array "keys":
+function firstValue(o, keys) {
+	for (let key of keys) {
+		if ((o[key] !== undefined) && (o[key] !== null) && (String(o[key]) !== '')) {
+			return String(o[key])
+		}
+	}
+	return null
+}
+
+//--------------------------------------------------------------------------------
+// Convert a Threema timestamp (milliseconds since epoch, or a date string) into a date object; "null" if invalid:
+function toDate(s) {
+	let date = (/^\d+$/.test(String(s))) ? new Date(Number(s)) : new Date(s)
+	return (isNaN(date.getTime())) ? null : date
+}
+
+//--------------------------------------------------------------------------------
+// Return all polls with their choices and votes, sorted by creation date; all parameters are arrays of CSV rows:
+// poll = { id, creator, refId, question, closed, multipleChoice, createdAt, choices: [{ id, name, order, count, voters }], participants }
+function joinBallots(ballots, choices, votes) {
+	let polls = {}
+	for (let row of ballots) {
+		let id = firstValue(row, ballotKeys)
+		if (id !== null) {
+			polls[id] = {
+				id: id,
+				creator: row.creator || null,
+				refId: row.ref_id || null,
+				question: row.name || '',
+				closed: (String(row.state).toLowerCase() === stateClosed),
+				multipleChoice: (String(row.assessment).toLowerCase() === assessmentMultiple),
+				createdAt: toDate(row.created_at),
+				choices: [],
+				participants: []
+			}
+		}
+	}
+	// add choices to their polls:
+	let allChoices = {}
+	for (let row of choices) {
+		let poll = polls[firstValue(row, choiceBallotKeys)]
+		let id = firstValue(row, choiceKeys)
+		if (poll && (id !== null)) {
+			let choice = {
+				id: id,
+				name: row.name || '',
+				order: Number(row.order) || 0,
+				count: Number(row.vote_count) || 0, // replaced by the counted votes below, if there are any
+				voters: []
+			}
+			poll.choices.push(choice)
+			allChoices[id] = choice
+		}
+	}
+	// add votes to their choices; only chosen ones count:
+	let counted = {}
+	for (let row of votes) {
+		let poll = polls[firstValue(row, voteBallotKeys)]
+		let choice = allChoices[firstValue(row, voteChoiceKeys)]
+		if (poll && choice) {
+			if (!counted[choice.id]) {
+				counted[choice.id] = true
+				choice.count = 0
+			}
+			if (Number(row.choice) === 1) {
+				choice.voters.push(row.identity)
+				choice.count++
+			}
+			if (row.identity && (poll.participants.indexOf(row.identity) === -1)) {
+				poll.participants.push(row.identity)
+			}
+		}
+	}
+	return Object.values(polls).map(poll => {
+		poll.choices.sort((a, b) => a.order - b.order)
+		return poll
+	}).sort((a, b) => ((a.createdAt) ? a.createdAt.getTime() : 0) - ((b.createdAt) ? b.createdAt.getTime() : 0))
+}
+
+//--------------------------------------------------------------------------------
+// Return a poll as array of text lines: question first, then each choice with its votes; "nameOf" resolves an identity to a name, "labels" = { poll, closed } of the locale:
+function formatPollAsLines(poll, nameOf = (identity) => identity, labels = { poll: 'Poll', closed: 'closed' }) {
+	let lines = [labels.poll + `: ` + poll.question + ((poll.closed) ? ` (` + labels.closed + `)` : ``)]
+	for (let choice of poll.choices) {
+		lines.push(`- ` + choice.name + `: ` + choice.count + ((choice.voters.length) ? ` (` + choice.voters.map(nameOf).join(', ') + `)` : ``))
+	}
+	return lines
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	joinBallots,
+	formatPollAsLines
+}
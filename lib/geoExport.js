@@ -0,0 +1,141 @@
+'use strict'
+
+//================================================================================
+// Extract shared locations from Threema messages and write them as GPX and as
+// GeoJSON.
+//--------------------------------------------------------------------------------
+// The body of a location message is either a JSON array
+//   [latitude, longitude, accuracy, address, place name]
+// or (older versions) a text "latitude,longitude[,accuracy]", optionally
+// followed by place name and address on further lines.
+//--------------------------------------------------------------------------------
+// Specifications:
+// - https://www.topografix.com/GPX/1/1/
+// - https://datatracker.ietf.org/doc/html/rfc7946
+//--------------------------------------------------------------------------------
+
+
+//--------------------------------------------------------------------------------
+// Return a number for a valid coordinate within "limit", "null" otherwise:
+function coordinate(value, limit) {
+	let n = ((value === null) || (value === undefined) || (String(value).trim() === '')) ? NaN : Number(value)
+	return (Number.isFinite(n) && (Math.abs(n) <= limit)) ? n : null
+}
+
+//--------------------------------------------------------------------------------
+// Return a text or "null" for empty values:
+function textOrNull(value) {
+	return ((typeof value === 'string') && value.trim()) ? value.trim() : null
+}
+
+//--------------------------------------------------------------------------------
+// Return the location contained in the body of a location message, "null" if there is none:
+// location = { latitude, longitude, accuracy, address, name }
+function locationFromBody(body) {
+	if ((typeof body !== 'string') || (!body.trim())) {
+		return null
+	}
+	let a
+	try {
+		a = JSON.parse(body)
+
+	} catch(err) { // older format; coordinates on the first line, place name and address on the following lines:
+		let lines = body.split(/\r?\n/)
+		let coordinates = lines[0].split(',')
+		a = [coordinates[0], coordinates[1], coordinates[2], lines.slice(2).join(', '), lines[1]]
+	}
+	if (!Array.isArray(a)) {
+		return null
+	}
+	let location = {
+		latitude: coordinate(a[0], 90),
+		longitude: coordinate(a[1], 180),
+		accuracy: coordinate(a[2], Infinity),
+		address: textOrNull(a[3]),
+		name: textOrNull(a[4])
+	}
+	return ((location.latitude !== null) && (location.longitude !== null)) ? location : null
+}
+
+//--------------------------------------------------------------------------------
+// Return a link to the location on OpenStreetMap:
+function locationToUrl(location) {
+	return `https://www.openstreetmap.org/?mlat=` + location.latitude + `&mlon=` + location.longitude + `#map=16/` + location.latitude + `/` + location.longitude
+}
+
+//--------------------------------------------------------------------------------
+// Return a location as one line of text: place name, address and coordinates; "label" of the locale first:
+function formatLocationAsText(location, label = 'Location') {
+	return label + `: ` + [location.name, location.address].filter(s => s).concat([location.latitude + `, ` + location.longitude + ((location.accuracy !== null) ? ` (±` + location.accuracy + ` m)` : ``)]).join(', ')
+}
+
+//--------------------------------------------------------------------------------
+// Escape all characters with a special meaning in XML:
+function escapeXml(s) {
+	return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;')
+}
+
+//--------------------------------------------------------------------------------
+// Return the description of a point: place name, address, sender and accuracy:
+function describe(point) {
+	return [point.name, point.address, (point.author) ? `[` + point.author + `]` : null, (point.accuracy !== null) ? `±` + point.accuracy + ` m` : null].filter(s => s).join(', ')
+}
+
+//--------------------------------------------------------------------------------
+// Return a GPX file: one waypoint per location, and one track per conversation connecting its locations in chronological order:
+// points = [{ latitude, longitude, accuracy, address, name, time, author, conversation, uid }]; "creator" = name of the program
+function formatAsGpx(title, points, creator) {
+	let lines = []
+	lines.push(`<?xml version="1.0" encoding="UTF-8"?>`)
+	lines.push(`<gpx version="1.1" creator="` + escapeXml(creator) + `" xmlns="http://www.topografix.com/GPX/1/1">`)
+	lines.push(`\t<metadata><name>` + escapeXml(title) + `</name></metadata>`)
+	for (let point of points) {
+		lines.push(`\t<wpt lat="` + point.latitude + `" lon="` + point.longitude + `">` + ((point.time) ? `<time>` + point.time.toISOString() + `</time>` : ``) + `<name>` + escapeXml(point.name || point.address || point.conversation) + `</name><desc>` + escapeXml(describe(point)) + `</desc></wpt>`)
+	}
+	let conversations = []
+	for (let point of points) {
+		if (conversations.indexOf(point.conversation) === -1) {
+			conversations.push(point.conversation)
+		}
+	}
+	for (let conversation of conversations) {
+		lines.push(`\t<trk><name>` + escapeXml(conversation) + `</name><trkseg>`)
+		for (let point of points.filter(o => o.conversation === conversation)) {
+			lines.push(`\t\t<trkpt lat="` + point.latitude + `" lon="` + point.longitude + `">` + ((point.time) ? `<time>` + point.time.toISOString() + `</time>` : ``) + `</trkpt>`)
+		}
+		lines.push(`\t</trkseg></trk>`)
+	}
+	lines.push(`</gpx>`)
+	return lines.join('\n') + '\n'
+}
+
+//--------------------------------------------------------------------------------
+// Return a GeoJSON feature collection with one point per location:
+function formatAsGeoJson(points) {
+	return JSON.stringify({
+		type: 'FeatureCollection',
+		features: points.map(point => ({
+			type: 'Feature',
+			geometry: { type: 'Point', coordinates: [point.longitude, point.latitude] }, // GeoJSON order!
+			properties: {
+				conversation: point.conversation,
+				uid: point.uid,
+				timestamp: (point.time) ? point.time.toISOString() : null,
+				author: point.author,
+				name: point.name,
+				address: point.address,
+				accuracy: point.accuracy
+			}
+		}))
+	}, null, '\t') + '\n'
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	locationFromBody,
+	locationToUrl,
+	formatLocationAsText,
+	formatAsGpx,
+	formatAsGeoJson
+}
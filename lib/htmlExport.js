@@ -0,0 +1,153 @@
+'use strict'
+
+//================================================================================
+// Render the messages of one conversation as a self-contained HTML page.
+//--------------------------------------------------------------------------------
+// Each message becomes a chat bubble with sender, time, text and caption; own
+// messages are on the right, all others on the left. Media files are not
+// embedded but linked relatively, so the page has to stay in the folder with
+// the renamed files. Images, videos and audio files are shown with "<img>",
+// "<video>" and "<audio>"; everything else is a plain link. Polls are shown
+// with their choices, results and voters; shared locations link to a map.
+// No external style sheets, scripts or fonts are needed.
+//--------------------------------------------------------------------------------
+
+
+//--------------------------------------------------------------------------------
+// extensions used if no MIME type is known; others are linked only:
+const mediaExtensions = {
+	image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg', 'avif'],
+	video: ['mp4', 'm4v', 'mov', 'webm', 'ogv', '3gp'],
+	audio: ['mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'wav', 'flac']
+}
+
+//--------------------------------------------------------------------------------
+const style = `
+	body { margin: 0; background: #e5ddd5; font-family: -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; font-size: 15px; color: #111; }
+	header { position: sticky; top: 0; padding: 0.8em 1em; background: #075e54; color: #fff; font-size: 1.2em; }
+	main { max-width: 48em; margin: 0 auto; padding: 1em; }
+	.message { display: flex; margin: 0.3em 0; }
+	.message.out { justify-content: flex-end; }
+	.bubble { max-width: 75%; padding: 0.4em 0.7em; border-radius: 0.6em; background: #fff; box-shadow: 0 1px 1px rgba(0, 0, 0, 0.15); overflow-wrap: anywhere; }
+	.out .bubble { background: #dcf8c6; }
+	.author { font-size: 0.85em; font-weight: bold; color: #075e54; }
+	.text, .caption { white-space: pre-wrap; }
+	.caption { font-style: italic; }
+	.time { font-size: 0.75em; color: #667; text-align: right; }
+	.location { display: block; margin: 0.3em 0; }
+	.poll { min-width: 16em; }
+	.poll .question { font-weight: bold; }
+	.poll ul { margin: 0.3em 0; padding-left: 1.2em; }
+	.poll .count { float: right; margin-left: 1em; font-weight: bold; }
+	.poll .voters { font-size: 0.85em; color: #556; }
+	img, video { display: block; max-width: 100%; max-height: 60vh; margin: 0.3em 0; border-radius: 0.3em; }
+	audio { display: block; max-width: 100%; margin: 0.3em 0; }
+`
+
+
+//--------------------------------------------------------------------------------
+// Escape all characters with a special meaning in HTML text and attributes:
+function escapeHtml(s) {
+	return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+}
+
+//--------------------------------------------------------------------------------
+// Make a relative path usable as URL; each part is encoded separately:
+function pathToHref(s) {
+	return s.split(/[\\/]/).map(part => encodeURIComponent(part)).join('/')
+}
+
+//--------------------------------------------------------------------------------
+// Return "image", "video", "audio" or "file", derived from the MIME type or (if not known) the file extension:
+function mediaKind(mime, ext) {
+	let kind = (typeof mime === 'string') ? mime.toLowerCase().split('/')[0] : null
+	if (mediaExtensions[kind] !== undefined) {
+		return kind
+	}
+	ext = String(ext || '').replace(/^\.+/, '').toLowerCase()
+	for (let key in mediaExtensions) {
+		if (mediaExtensions[key].indexOf(ext) !== -1) {
+			return key
+		}
+	}
+	return 'file'
+}
+
+//--------------------------------------------------------------------------------
+// Return the HTML element for a media file; "media" = { href (relative path), kind, name }:
+function formatMedia(media) {
+	let href = pathToHref(media.href)
+	switch (media.kind) {
+		case 'image':
+			return `<a href="` + escapeHtml(href) + `"><img src="` + escapeHtml(href) + `" alt="` + escapeHtml(media.name) + `" loading="lazy"></a>`
+		case 'video':
+			return `<video src="` + escapeHtml(href) + `" controls preload="metadata"></video>`
+		case 'audio':
+			return `<audio src="` + escapeHtml(href) + `" controls preload="none"></audio>`
+		default:
+			return `<a href="` + escapeHtml(href) + `">` + escapeHtml(media.name) + `</a>`
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return the HTML element for a poll; "poll" = { question, closed, choices: [{ name, count, voters }] }, "labels" = { closed } of the locale:
+function formatPoll(poll, labels = { closed: 'closed' }) {
+	let items = poll.choices.map(choice => `<li><span class="count">` + escapeHtml(choice.count) + `</span>` + escapeHtml(choice.name) + ((choice.voters.length) ? `<div class="voters">` + escapeHtml(choice.voters.join(', ')) + `</div>` : ``) + `</li>`)
+	return `<div class="poll"><div class="question">` + escapeHtml(poll.question) + ((poll.closed) ? ` (` + escapeHtml(labels.closed) + `)` : ``) + `</div><ul>` + items.join('') + `</ul></div>`
+}
+
+//--------------------------------------------------------------------------------
+// Return the complete HTML page for a conversation:
+// conversation = { title, language, generator, labels, messages: [{ time, author, outgoing, text, caption, media, poll, location }] }; "time" is already formatted, "labels" of the locale
+function formatConversationAsHtml(conversation) {
+	let lines = []
+	lines.push(`<!DOCTYPE html>`)
+	lines.push(`<html lang="` + escapeHtml(conversation.language || 'en') + `">`)
+	lines.push(`<head>`)
+	lines.push(`<meta charset="utf-8">`)
+	lines.push(`<meta name="viewport" content="width=device-width, initial-scale=1">`)
+	if (conversation.generator) {
+		lines.push(`<meta name="generator" content="` + escapeHtml(conversation.generator) + `">`)
+	}
+	lines.push(`<title>` + escapeHtml(conversation.title) + `</title>`)
+	lines.push(`<style>` + style + `</style>`)
+	lines.push(`</head>`)
+	lines.push(`<body>`)
+	lines.push(`<header>` + escapeHtml(conversation.title) + `</header>`)
+	lines.push(`<main>`)
+	for (let message of conversation.messages) {
+		let parts = []
+		if (message.author && !message.outgoing) {
+			parts.push(`<div class="author">` + escapeHtml(message.author) + `</div>`)
+		}
+		if (message.media) {
+			parts.push(formatMedia(message.media))
+		}
+		if (message.poll) {
+			parts.push(formatPoll(message.poll, conversation.labels))
+		}
+		if (message.location) {
+			parts.push(`<a class="location" href="` + escapeHtml(message.location.href) + `">` + escapeHtml(message.location.label) + `</a>`)
+		}
+		if (message.text) {
+			parts.push(`<div class="text">` + escapeHtml(message.text) + `</div>`)
+		}
+		if (message.caption) {
+			parts.push(`<div class="caption">` + escapeHtml(message.caption) + `</div>`)
+		}
+		parts.push(`<div class="time">` + escapeHtml(message.time) + `</div>`)
+		lines.push(`<div class="message ` + ((message.outgoing) ? `out` : `in`) + `"><div class="bubble">` + parts.join('') + `</div></div>`)
+	}
+	lines.push(`</main>`)
+	lines.push(`</body>`)
+	lines.push(`</html>`)
+	return lines.join('\n') + '\n'
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	formatConversationAsHtml,
+	mediaKind,
+	escapeHtml
+}
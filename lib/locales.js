@@ -0,0 +1,289 @@
+'use strict'
+
+//================================================================================
+// Locale packs: names of days and months, their abbreviations, the hour cycle,
+// the date format and the labels used in transcripts and filenames.
+//--------------------------------------------------------------------------------
+// A locale is a language tag like "de", "de-CH" or "en-GB" (also "de_CH.UTF-8"
+// as in environment variables), or "device" (the locale of this computer).
+// Each pack holds only what differs from its parent; all keys missing are taken
+// from the fallback chain, e.g. "de-AT" -> "de" -> "en":
+// - the pack named in "fallback", otherwise the tag without its last subtag
+// - finally the default pack "en"
+// A tag without a pack of its own (e.g. "de-CH") uses its language pack ("de").
+// Abbreviations missing in a pack are the first 3 ("daysShort", "monthsShort")
+// or 2 ("daysMin", placeholder "%à") characters of the full names.
+//--------------------------------------------------------------------------------
+
+const defaultLocale = 'en'
+const localeEnvVars = ['LC_ALL', 'LC_TIME', 'LANG'] // in this order; as on Unix-like systems
+const localePacks = {
+	'en': {
+		days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+		months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+		hourCycle: 'h12', // "h12" = 1..12 with AM/PM, "h23" = 0..23; used by "%X"
+		am: 'AM',
+		pm: 'PM',
+		dateFormat: '%m/%d/%Y', // used by "%x"
+		labels: {
+			me: 'me', // sender of your own messages in transcripts
+			thumbnail: 'tn', // replaces "thumbnail" in filenames (see "replaceFileNamePart")
+			poll: 'Poll',
+			closed: 'closed',
+			participants: 'Participants',
+			location: 'Location'
+		}
+	},
+	'en-GB': {
+		hourCycle: 'h23',
+		dateFormat: '%d/%m/%Y'
+	},
+	'de': {
+		days: ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'],
+		daysShort: ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'],
+		months: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'],
+		monthsShort: ['Jan', 'Feb', 'Mär', 'Apr', 'Mai', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dez'],
+		hourCycle: 'h23',
+		dateFormat: '%d.%m.%Y',
+		labels: { me: 'ich', thumbnail: 'Vorschau', poll: 'Umfrage', closed: 'geschlossen', participants: 'Teilnehmer', location: 'Standort' }
+	},
+	'de-AT': {
+		months: ['Jänner', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'],
+		monthsShort: ['Jän', 'Feb', 'Mär', 'Apr', 'Mai', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dez']
+	},
+	'fr': {
+		days: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+		months: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+		monthsShort: ['janv', 'févr', 'mars', 'avr', 'mai', 'juin', 'juil', 'août', 'sept', 'oct', 'nov', 'déc'],
+		hourCycle: 'h23',
+		dateFormat: '%d/%m/%Y',
+		labels: { me: 'moi', thumbnail: 'vignette', poll: 'Sondage', closed: 'clos', participants: 'Participants', location: 'Position' }
+	},
+	'fr-CA': {
+		dateFormat: '%Y-%m-%d'
+	},
+	'it': {
+		days: ['domenica', 'lunedì', 'martedì', 'mercoledì', 'giovedì', 'venerdì', 'sabato'],
+		months: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'],
+		monthsShort: ['gen', 'feb', 'mar', 'apr', 'mag', 'giu', 'lug', 'ago', 'set', 'ott', 'nov', 'dic'],
+		hourCycle: 'h23',
+		dateFormat: '%d/%m/%Y',
+		labels: { me: 'io', thumbnail: 'miniatura', poll: 'Sondaggio', closed: 'chiuso', participants: 'Partecipanti', location: 'Posizione' }
+	},
+	'es': {
+		days: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'],
+		months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+		hourCycle: 'h23',
+		dateFormat: '%d/%m/%Y',
+		labels: { me: 'yo', thumbnail: 'miniatura', poll: 'Encuesta', closed: 'cerrada', participants: 'Participantes', location: 'Ubicación' }
+	},
+	'pt': {
+		days: ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado'],
+		daysShort: ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sáb'],
+		daysMin: ['do', 'sg', 'te', 'qa', 'qi', 'sx', 'sá'],
+		months: ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'],
+		hourCycle: 'h23',
+		dateFormat: '%d/%m/%Y',
+		labels: { me: 'eu', thumbnail: 'miniatura', poll: 'Enquete', closed: 'encerrada', participants: 'Participantes', location: 'Localização' }
+	},
+	'nl': {
+		days: ['zondag', 'maandag', 'dinsdag', 'woensdag', 'donderdag', 'vrijdag', 'zaterdag'],
+		daysShort: ['zo', 'ma', 'di', 'wo', 'do', 'vr', 'za'],
+		months: ['januari', 'februari', 'maart', 'april', 'mei', 'juni', 'juli', 'augustus', 'september', 'oktober', 'november', 'december'],
+		monthsShort: ['jan', 'feb', 'mrt', 'apr', 'mei', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'dec'],
+		hourCycle: 'h23',
+		dateFormat: '%d-%m-%Y',
+		labels: { me: 'ik', thumbnail: 'miniatuur', poll: 'Peiling', closed: 'gesloten', participants: 'Deelnemers', location: 'Locatie' }
+	},
+	'sv': {
+		days: ['söndag', 'måndag', 'tisdag', 'onsdag', 'torsdag', 'fredag', 'lördag'],
+		months: ['januari', 'februari', 'mars', 'april', 'maj', 'juni', 'juli', 'augusti', 'september', 'oktober', 'november', 'december'],
+		hourCycle: 'h23',
+		dateFormat: '%Y-%m-%d',
+		labels: { me: 'jag', thumbnail: 'miniatyr', poll: 'Omröstning', closed: 'stängd', participants: 'Deltagare', location: 'Plats' }
+	},
+	'da': {
+		days: ['søndag', 'mandag', 'tirsdag', 'onsdag', 'torsdag', 'fredag', 'lørdag'],
+		months: ['januar', 'februar', 'marts', 'april', 'maj', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'december'],
+		hourCycle: 'h23',
+		dateFormat: '%d.%m.%Y',
+		labels: { me: 'mig', thumbnail: 'miniature', poll: 'Afstemning', closed: 'lukket', participants: 'Deltagere', location: 'Placering' }
+	},
+	'nb': {
+		days: ['søndag', 'mandag', 'tirsdag', 'onsdag', 'torsdag', 'fredag', 'lørdag'],
+		months: ['januar', 'februar', 'mars', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'desember'],
+		hourCycle: 'h23',
+		dateFormat: '%d.%m.%Y',
+		labels: { me: 'meg', thumbnail: 'miniatyr', poll: 'Avstemning', closed: 'lukket', participants: 'Deltakere', location: 'Posisjon' }
+	},
+	'no': {
+		fallback: 'nb' // "Norwegian" is used as synonym of "Norwegian Bokmål"
+	},
+	'fi': {
+		days: ['sunnuntai', 'maanantai', 'tiistai', 'keskiviikko', 'torstai', 'perjantai', 'lauantai'],
+		daysShort: ['su', 'ma', 'ti', 'ke', 'to', 'pe', 'la'],
+		months: ['tammikuu', 'helmikuu', 'maaliskuu', 'huhtikuu', 'toukokuu', 'kesäkuu', 'heinäkuu', 'elokuu', 'syyskuu', 'lokakuu', 'marraskuu', 'joulukuu'],
+		monthsShort: ['tammi', 'helmi', 'maalis', 'huhti', 'touko', 'kesä', 'heinä', 'elo', 'syys', 'loka', 'marras', 'joulu'],
+		hourCycle: 'h23',
+		dateFormat: '%d.%m.%Y',
+		labels: { me: 'minä', thumbnail: 'pienoiskuva', poll: 'Kysely', closed: 'suljettu', participants: 'Osallistujat', location: 'Sijainti' }
+	},
+	'pl': {
+		days: ['niedziela', 'poniedziałek', 'wtorek', 'środa', 'czwartek', 'piątek', 'sobota'],
+		daysShort: ['ndz', 'pon', 'wt', 'śr', 'czw', 'pt', 'sob'],
+		daysMin: ['nd', 'pn', 'wt', 'śr', 'cz', 'pt', 'so'],
+		months: ['styczeń', 'luty', 'marzec', 'kwiecień', 'maj', 'czerwiec', 'lipiec', 'sierpień', 'wrzesień', 'październik', 'listopad', 'grudzień'],
+		hourCycle: 'h23',
+		dateFormat: '%d.%m.%Y',
+		labels: { me: 'ja', thumbnail: 'miniatura', poll: 'Ankieta', closed: 'zamknięta', participants: 'Uczestnicy', location: 'Lokalizacja' }
+	},
+	'cs': {
+		days: ['neděle', 'pondělí', 'úterý', 'středa', 'čtvrtek', 'pátek', 'sobota'],
+		daysShort: ['ne', 'po', 'út', 'st', 'čt', 'pá', 'so'],
+		months: ['leden', 'únor', 'březen', 'duben', 'květen', 'červen', 'červenec', 'srpen', 'září', 'říjen', 'listopad', 'prosinec'],
+		monthsShort: ['led', 'úno', 'bře', 'dub', 'kvě', 'čvn', 'čvc', 'srp', 'zář', 'říj', 'lis', 'pro'],
+		hourCycle: 'h23',
+		dateFormat: '%d.%m.%Y',
+		labels: { me: 'já', thumbnail: 'náhled', poll: 'Anketa', closed: 'uzavřená', participants: 'Účastníci', location: 'Poloha' }
+	},
+	'tr': {
+		days: ['Pazar', 'Pazartesi', 'Salı', 'Çarşamba', 'Perşembe', 'Cuma', 'Cumartesi'],
+		daysShort: ['Paz', 'Pzt', 'Sal', 'Çar', 'Per', 'Cum', 'Cmt'],
+		daysMin: ['Pz', 'Pt', 'Sa', 'Ça', 'Pe', 'Cu', 'Ct'],
+		months: ['Ocak', 'Şubat', 'Mart', 'Nisan', 'Mayıs', 'Haziran', 'Temmuz', 'Ağustos', 'Eylül', 'Ekim', 'Kasım', 'Aralık'],
+		hourCycle: 'h23',
+		dateFormat: '%d.%m.%Y',
+		labels: { me: 'ben', thumbnail: 'önizleme', poll: 'Anket', closed: 'kapalı', participants: 'Katılımcılar', location: 'Konum' }
+	}
+}
+
+
+//--------------------------------------------------------------------------------
+// Return the language tag "tag" in its usual form ("de_ch.UTF-8" -> "de-CH"), or "null" if it is none:
+function normalizeLocale(tag) {
+	let match = /^([a-z]{2,3})(?:[-_]([a-z]{4}))?(?:[-_]([a-z]{2}|\d{3}))?(?:[.@].*)?$/i.exec(String(tag || '').trim())
+	if (!match) {
+		return null
+	}
+	return [match[1].toLowerCase(), (match[2]) ? match[2].charAt(0).toUpperCase() + match[2].slice(1).toLowerCase() : null, (match[3]) ? match[3].toUpperCase() : null].filter(s => s).join('-')
+}
+
+//--------------------------------------------------------------------------------
+// Return the locale of this computer: from the environment variables "LC_ALL", "LC_TIME" or "LANG", otherwise from the operating system; "en" if unknown:
+function deviceLocale() {
+	for (let key of localeEnvVars) {
+		let tag = normalizeLocale(process.env[key]) // "C" and "POSIX" are no language tags
+		if (tag) {
+			return tag
+		}
+	}
+	try {
+		return normalizeLocale(Intl.DateTimeFormat().resolvedOptions().locale) || defaultLocale
+
+	} catch(err) { // not expected to happen
+		return defaultLocale
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return the names of all packs of the fallback chain of "tag", most specific first, e.g. "de-CH" -> ["de", "en"]; "device" is the locale of this computer:
+function localeChain(tag) {
+	let chain = []
+	let current = normalizeLocale((tag === 'device') ? deviceLocale() : tag)
+	while (current && (chain.indexOf(current) === -1)) {
+		if (localePacks[current]) {
+			chain.push(current)
+		}
+		current = (localePacks[current] && localePacks[current].fallback) ? localePacks[current].fallback : ((current.indexOf('-') !== -1) ? current.replace(/-[^-]*$/, '') : null)
+	}
+	if (chain.indexOf(defaultLocale) === -1) {
+		chain.push(defaultLocale)
+	}
+	return chain
+}
+
+//--------------------------------------------------------------------------------
+// Return "true" if "tag" is "device" or a language tag with a pack in its fallback chain (besides the default pack for other languages):
+function isKnownLocale(tag) {
+	if (tag === 'device') {
+		return true
+	}
+	let normalized = normalizeLocale(tag)
+	return Boolean(normalized) && ((localeChain(normalized)[0] !== defaultLocale) || (normalized.split('-')[0] === defaultLocale))
+}
+
+//--------------------------------------------------------------------------------
+// Return the names of all locale packs:
+function availableLocales() {
+	return Object.keys(localePacks)
+}
+
+//--------------------------------------------------------------------------------
+// Return the complete locale of "tag", all keys filled along the fallback chain:
+// { tag, language, days, daysShort, daysMin, months, monthsShort, hourCycle, am, pm, dateFormat, labels: { me, thumbnail, poll, closed, participants, location } }
+function resolveLocale(tag) {
+	let chain = localeChain(tag)
+	let locale = { tag: normalizeLocale((tag === 'device') ? deviceLocale() : tag) || defaultLocale, labels: {} }
+	for (let name of chain.slice().reverse()) { // most specific pack last:
+		for (let key in localePacks[name]) {
+			if (key === 'labels') {
+				Object.assign(locale.labels, localePacks[name].labels)
+
+			} else if (key !== 'fallback') {
+				locale[key] = localePacks[name][key]
+			}
+		}
+		// abbreviations not defined in a pack belong to its names, not to those of its parent:
+		if (localePacks[name].days && !localePacks[name].daysShort) {
+			locale.daysShort = locale.days.map(s => s.slice(0, 3))
+		}
+		if (localePacks[name].days && !localePacks[name].daysMin) {
+			locale.daysMin = (localePacks[name].daysShort) ? locale.daysShort.map(s => s.slice(0, 2)) : locale.days.map(s => s.slice(0, 2))
+		}
+		if (localePacks[name].months && !localePacks[name].monthsShort) {
+			locale.monthsShort = locale.months.map(s => s.slice(0, 3))
+		}
+	}
+	locale.language = locale.tag.split('-')[0]
+	return locale
+}
+
+//--------------------------------------------------------------------------------
+// Return the names for "strftime" of "locale": "days" and "months" of "configuration" replace those of the locale if set; with its "timeZone":
+function strftimeNames(locale, configuration) {
+	let names = {
+		locale: locale.tag,
+		days: locale.days,
+		daysShort: locale.daysShort,
+		daysMin: locale.daysMin,
+		months: locale.months,
+		monthsShort: locale.monthsShort,
+		hourCycle: locale.hourCycle,
+		am: locale.am,
+		pm: locale.pm,
+		dateFormat: locale.dateFormat,
+		timeZone: configuration.timeZone
+	}
+	if (configuration.days) {
+		names.days = configuration.days
+		names.daysShort = configuration.days.map(s => s.slice(0, 3))
+		names.daysMin = configuration.days.map(s => s.slice(0, 2))
+	}
+	if (configuration.months) {
+		names.months = configuration.months
+		names.monthsShort = configuration.months.map(s => s.slice(0, 3))
+	}
+	return names
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	normalizeLocale,
+	deviceLocale,
+	localeChain,
+	isKnownLocale,
+	availableLocales,
+	resolveLocale,
+	strftimeNames
+}
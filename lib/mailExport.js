@@ -0,0 +1,222 @@
+'use strict'
+
+//================================================================================
+// Render messages as e-mails (RFC 5322, MIME) for mbox files and maildirs.
+//--------------------------------------------------------------------------------
+// Each message becomes one e-mail: sender and recipients as addresses of a
+// domain of their own (e.g. "ABCD1234@threema.invalid"), the moment it was
+// posted as "Date", its uid as "Message-ID". All messages of a conversation
+// form one thread: "In-Reply-To" is the previous message, "References" the
+// first and the previous one. Text and caption are the body (UTF-8, quoted-
+// printable); a media file is attached (base64), then the e-mail is
+// "multipart/mixed". Headers with other than ASCII characters are encoded
+// words (RFC 2047), filenames parameters of RFC 2231. The result contains
+// ASCII characters only.
+// An mbox file contains all e-mails of a conversation, each one after a line
+// "From <sender> <date>"; lines of the e-mails that start with "From " (after
+// any number of ">") get another ">" ("mboxrd"). In a maildir, each e-mail is
+// a file of its own in the sub-folder "new".
+//--------------------------------------------------------------------------------
+// Specifications:
+// - https://datatracker.ietf.org/doc/html/rfc5322
+// - https://datatracker.ietf.org/doc/html/rfc2045
+// - https://datatracker.ietf.org/doc/html/rfc2047
+// - https://datatracker.ietf.org/doc/html/rfc2231
+// - https://doc.dovecot.org/admin_manual/mailbox_formats/mbox/
+// - https://cr.yp.to/proto/maildir.html
+//--------------------------------------------------------------------------------
+
+const crypto = require('crypto')
+const { strftime } = require('./utils')
+
+
+//--------------------------------------------------------------------------------
+const dateNames = { // RFC 5322 demands English names, independent of the locale:
+	days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+	months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+}
+const maildirFolders = ['tmp', 'new', 'cur'] // every maildir has these sub-folders
+const maildirNew = maildirFolders[1] // e-mails that have not been seen yet
+const lineLength = 76 // maximum length of encoded lines
+const encodedWordBytes = 45 // bytes of text in one encoded word; 60 characters in base64, 75 with its frame
+const atextRegExp = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+$/ // characters of a local part or a display name without quotes
+
+
+//--------------------------------------------------------------------------------
+// Return "true" if "s" contains ASCII characters only:
+function isAscii(s) {
+	return /^[\x00-\x7f]*$/.test(s)
+}
+
+//--------------------------------------------------------------------------------
+// Return text "s" as encoded words "=?UTF-8?B?...?=", separated by folding white space; ASCII texts are returned as they are:
+function encodeWords(s) {
+	if (isAscii(s)) {
+		return s
+	}
+	let words = []
+	let chars = Array.from(s) // never split a character
+	while (chars.length) {
+		let n = 0
+		let bytes = 0
+		while ((n < chars.length) && (bytes + Buffer.byteLength(chars[n]) <= encodedWordBytes)) {
+			bytes += Buffer.byteLength(chars[n++])
+		}
+		words.push(`=?UTF-8?B?` + Buffer.from(chars.splice(0, Math.max(n, 1)).join(''), 'utf8').toString('base64') + `?=`)
+	}
+	return words.join('\r\n ')
+}
+
+//--------------------------------------------------------------------------------
+// Return a valid local part of an address: characters that are not allowed become "-":
+function localPart(s) {
+	return String(s || '').replace(/[^A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+/g, '-').replace(/^-+|-+$/g, '') || 'unknown'
+}
+
+//--------------------------------------------------------------------------------
+// Return the address of identity (or name) "s" in "domain":
+function mailAddress(s, domain) {
+	return localPart(s) + `@` + domain
+}
+
+//--------------------------------------------------------------------------------
+// Return the "Message-ID" of a message with "uid" in "domain":
+function messageId(uid, domain) {
+	return `<` + localPart(uid) + `@` + domain + `>`
+}
+
+//--------------------------------------------------------------------------------
+// Return an address with display name; "o" = { name, address }:
+function formatAddress(o) {
+	if (!o.name) {
+		return `<` + o.address + `>`
+	}
+	let name = (!isAscii(o.name)) ? encodeWords(o.name) : (o.name.split(' ').every(s => atextRegExp.test(s))) ? o.name : `"` + o.name.replace(/["\\]/g, '\\$&') + `"`
+	return name + ` <` + o.address + `>`
+}
+
+//--------------------------------------------------------------------------------
+// Return the date of an e-mail, e.g. "Sun, 14 Mar 2021 10:26:53 +0100"; "timeZone" is an IANA name or "device":
+function formatMailDate(date, timeZone = 'device') {
+	return strftime(date, '%a, %d %b %Y %H:%M:%S %z', { days: dateNames.days, months: dateNames.months, timeZone: timeZone })
+}
+
+//--------------------------------------------------------------------------------
+// Return text "s" encoded as quoted-printable (UTF-8); line breaks stay line breaks, longer lines get soft line breaks:
+function encodeQuotedPrintable(s) {
+	let lines = []
+	for (let line of String(s).replace(/\r\n?/g, '\n').split('\n')) {
+		let chars = Array.from(line) // the bytes of a character stay on one line
+		let encoded = ''
+		for (let i = 0; i < chars.length; i++) {
+			let c = chars[i].codePointAt(0)
+			let last = (i === chars.length - 1)
+			let part = (((c >= 33) && (c <= 126) && (c !== 61)) || (((c === 32) || (c === 9)) && !last)) ? chars[i] : Array.from(Buffer.from(chars[i], 'utf8')).map(byte => `=` + byte.toString(16).toUpperCase().padStart(2, '0')).join('') // white space at the end of a line is encoded
+			if (encoded.length + part.length > lineLength - 1) { // room for the "=" of a soft line break:
+				lines.push(encoded + `=`)
+				encoded = ''
+			}
+			encoded += part
+		}
+		lines.push(encoded)
+	}
+	return lines.join('\r\n')
+}
+
+//--------------------------------------------------------------------------------
+// Return "buffer" encoded as base64 in lines of "lineLength" characters:
+function encodeBase64(buffer) {
+	let s = buffer.toString('base64')
+	let lines = []
+	for (let i = 0; i < s.length; i += lineLength) {
+		lines.push(s.slice(i, i + lineLength))
+	}
+	return lines.join('\r\n')
+}
+
+//--------------------------------------------------------------------------------
+// Return the parameter "key" of a header with value "value"; RFC 2231 for other than ASCII characters:
+function headerParameter(key, value) {
+	if (isAscii(value)) {
+		return key + `="` + value.replace(/["\\]/g, '\\$&') + `"`
+	}
+	return key + `*=UTF-8''` + encodeURIComponent(value).replace(/['()*]/g, c => `%` + c.charCodeAt(0).toString(16).toUpperCase())
+}
+
+//--------------------------------------------------------------------------------
+// Return a message as e-mail with CRLF line breaks:
+// mail = { messageId, from: { name, address }, to: [{ name, address }], date, timeZone, subject, inReplyTo, references, headers, text, attachments: [{ filename, mime, content }], generator }
+// "headers" are additional headers (name => value); "content" of an attachment is a buffer
+function formatMail(mail) {
+	let lines = []
+	lines.push(`Date: ` + formatMailDate(mail.date, mail.timeZone))
+	lines.push(`From: ` + formatAddress(mail.from))
+	lines.push(`To: ` + mail.to.map(formatAddress).join(',\r\n '))
+	lines.push(`Subject: ` + encodeWords(mail.subject || ''))
+	lines.push(`Message-ID: ` + mail.messageId)
+	if (mail.inReplyTo) {
+		lines.push(`In-Reply-To: ` + mail.inReplyTo)
+	}
+	if (mail.references && mail.references.length) {
+		lines.push(`References: ` + mail.references.join('\r\n '))
+	}
+	if (mail.generator) {
+		lines.push(`X-Mailer: ` + encodeWords(mail.generator))
+	}
+	for (let key in mail.headers || {}) {
+		if ((mail.headers[key] !== null) && (mail.headers[key] !== undefined)) {
+			lines.push(key + `: ` + encodeWords(String(mail.headers[key])))
+		}
+	}
+	lines.push(`MIME-Version: 1.0`)
+	let textPart = [`Content-Type: text/plain; charset=utf-8`, `Content-Transfer-Encoding: quoted-printable`, ``, encodeQuotedPrintable(mail.text || '')]
+	let attachments = mail.attachments || []
+	if (!attachments.length) {
+		return lines.concat(textPart).join('\r\n') + '\r\n'
+	}
+	let boundary = `=_` + crypto.createHash('sha1').update(mail.messageId).digest('hex').slice(0, 24) // "=_" is never part of quoted-printable or base64 text
+	lines.push(`Content-Type: multipart/mixed; boundary="` + boundary + `"`)
+	lines.push(``)
+	lines.push(`--` + boundary)
+	lines = lines.concat(textPart)
+	for (let attachment of attachments) {
+		lines.push(`--` + boundary)
+		lines.push(`Content-Type: ` + (attachment.mime || 'application/octet-stream') + `; ` + headerParameter('name', attachment.filename))
+		lines.push(`Content-Transfer-Encoding: base64`)
+		lines.push(`Content-Disposition: attachment; ` + headerParameter('filename', attachment.filename))
+		lines.push(``)
+		lines.push(encodeBase64(attachment.content))
+	}
+	lines.push(`--` + boundary + `--`)
+	return lines.join('\r\n') + '\r\n'
+}
+
+//--------------------------------------------------------------------------------
+// Return an e-mail (see "formatMail") as entry of an mbox file: "From " line, "From " lines of the e-mail quoted, LF line breaks, an empty line at the end:
+function formatMboxEntry(content, sender, date) {
+	let pad = (n) => String(n).padStart(2, '0')
+	let asctime = dateNames.days[date.getUTCDay()].slice(0, 3) + ` ` + dateNames.months[date.getUTCMonth()].slice(0, 3) + ` ` + String(date.getUTCDate()).padStart(2, ' ') + ` ` + pad(date.getUTCHours()) + `:` + pad(date.getUTCMinutes()) + `:` + pad(date.getUTCSeconds()) + ` ` + date.getUTCFullYear()
+	let lines = content.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n').map(s => (/^>*From /.test(s)) ? `>` + s : s)
+	return `From ` + sender + ` ` + asctime + `\n` + lines.join('\n') + `\n\n`
+}
+
+//--------------------------------------------------------------------------------
+// Return the filename of an e-mail in a maildir; unique for each message, the same in every export:
+function maildirName(date, uid, generator) {
+	return Math.floor(date.getTime() / 1000) + `.` + localPart(uid) + `.` + localPart(generator)
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	maildirFolders,
+	maildirNew,
+	mailAddress,
+	messageId,
+	formatAddress,
+	formatMailDate,
+	encodeQuotedPrintable,
+	formatMail,
+	formatMboxEntry,
+	maildirName
+}
@@ -0,0 +1,594 @@
+'use strict'
+
+//================================================================================
+// Write the moment a file was posted into the metadata of the file itself.
+//--------------------------------------------------------------------------------
+// - JPEG: EXIF "DateTimeOriginal", "CreateDate" (and "ModifyDate") with time
+//   zone offsets; optionally "ImageDescription" (caption) and "Artist" (sender).
+//   The EXIF data already contained is kept: the changed directories are written
+//   behind it, all existing offsets stay valid.
+// - MP4/MOV/3GP: creation and modification times of the movie ("mvhd"), of all
+//   tracks ("tkhd") and of their media ("mdhd"), overwritten in place;
+//   optionally "©cmt" (caption) and "©ART" (sender) in the user data ("udta") of
+//   the movie. The movie box grows with them: into a "free" box behind it if
+//   there is one big enough, else the rest of the file moves (piece by piece, the
+//   video is never read completely) and the chunk offsets ("stco", "co64") of
+//   all tracks are shifted.
+// Metadata can be stripped as well (e.g. for a redaction): the EXIF, XMP and
+// IPTC segments and the comments of JPEG files are removed; the user data and
+// metadata boxes ("udta", "meta") of MP4/MOV files become "free" boxes, in
+// place. A timestamp is written behind that.
+// Every change is returned as "patch" ({ offset, old, length }), enough to undo it.
+//--------------------------------------------------------------------------------
+// Specifications:
+// - https://www.cipa.jp/std/documents/e/DC-008-Translation-2019-E.pdf
+// - https://developer.apple.com/documentation/quicktime-file-format
+//--------------------------------------------------------------------------------
+
+const fs = require('fs')
+const { zonedTime } = require('./utils')
+
+
+//--------------------------------------------------------------------------------
+const exifExtensions = ['jpg', 'jpeg']
+const quickTimeExtensions = ['mp4', 'm4v', 'mov', '3gp', '3g2']
+//--------------------------------------------------------------------------------
+const exifHeader = Buffer.from('Exif\0\0', 'latin1')
+const exifVersion = Buffer.from('0232', 'latin1')
+const maxSegmentLength = 0xffff
+// TIFF field types and their sizes in bytes:
+const typeAscii = 2
+const typeLong = 4
+const typeUndefined = 7
+const typeSizes = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8]
+// EXIF tags:
+const tagImageDescription = 0x010e
+const tagModifyDate = 0x0132
+const tagArtist = 0x013b
+const tagExifIfd = 0x8769
+const tagExifVersion = 0x9000
+const tagDateTimeOriginal = 0x9003
+const tagCreateDate = 0x9004
+const tagOffsetTime = 0x9010
+const tagOffsetTimeOriginal = 0x9011
+const tagOffsetTimeDigitized = 0x9012
+//--------------------------------------------------------------------------------
+const quickTimeEpoch = Date.UTC(1904, 0, 1) // QuickTime counts seconds since 1904-01-01 UTC
+const quickTimeContainers = ['moov', 'trak', 'mdia'] // boxes that contain the boxes with times
+const quickTimeSampleContainers = ['trak', 'mdia', 'minf', 'stbl'] // boxes that contain the chunk offsets
+const quickTimeTimeBoxes = ['mvhd', 'tkhd', 'mdhd']
+const quickTimeMetadataBoxes = ['udta', 'meta'] // location, author, camera, ...
+const quickTimeFreeBox = Buffer.from('free', 'latin1')
+const quickTimeFreeTypes = ['free', 'skip']
+const quickTimeLanguage = 0x55c4 // "und" as packed ISO 639-2 code: the text is UTF-8
+const moveChunkSize = 1024 * 1024
+const jpegMetadataMarkers = [0xe1, 0xed, 0xfe] // APP1 (EXIF, XMP), APP13 (IPTC), COM
+
+
+//--------------------------------------------------------------------------------
+// Return "exif", "quicktime" or "null" (not supported) for a file extension:
+function metadataType(ext) {
+	ext = String(ext || '').replace(/^\.+/, '').toLowerCase()
+	return (exifExtensions.indexOf(ext) !== -1) ? 'exif' : ((quickTimeExtensions.indexOf(ext) !== -1) ? 'quicktime' : null)
+}
+
+//--------------------------------------------------------------------------------
+// Return the wall clock time of "date" in "timeZone" in EXIF format ("YYYY:MM:DD HH:MM:SS") and the time zone offset ("+HH:MM"):
+function exifDateTime(date, timeZone = 'device') {
+	const pad = (n) => String(n).padStart(2, '0')
+	let zoned = zonedTime(date, timeZone)
+	let wall = zoned.wall
+	let offset = zoned.offset
+	return {
+		dateTime: wall.getUTCFullYear() + ':' + pad(wall.getUTCMonth() + 1) + ':' + pad(wall.getUTCDate()) + ' ' + pad(wall.getUTCHours()) + ':' + pad(wall.getUTCMinutes()) + ':' + pad(wall.getUTCSeconds()),
+		offset: ((offset < 0) ? '-' : '+') + pad(Math.floor(Math.abs(offset) / 60)) + ':' + pad(Math.abs(offset) % 60)
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Read an IFD of a TIFF structure; entries are kept as raw 12 bytes:
+function readIfd(tiff, offset, le) {
+	if (offset + 2 > tiff.length) {
+		throw new Error(`invalid EXIF directory offset ` + offset)
+	}
+	let count = (le) ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset)
+	let entries = []
+	for (let i = 0; i < count; i++) {
+		let pos = offset + 2 + i * 12
+		if (pos + 12 > tiff.length) {
+			throw new Error(`truncated EXIF directory`)
+		}
+		let raw = Buffer.from(tiff.subarray(pos, pos + 12))
+		entries.push({ tag: (le) ? raw.readUInt16LE(0) : raw.readUInt16BE(0), raw: raw })
+	}
+	let pos = offset + 2 + count * 12
+	return { entries: entries, next: (pos + 4 <= tiff.length) ? ((le) ? tiff.readUInt32LE(pos) : tiff.readUInt32BE(pos)) : 0 }
+}
+
+//--------------------------------------------------------------------------------
+// Return a new entry; "value" is a buffer (ASCII, UNDEFINED) or a number (LONG):
+function newEntry(tag, type, value) {
+	return { tag: tag, type: type, value: value }
+}
+
+//--------------------------------------------------------------------------------
+// Replace or add entries of an IFD; keep them sorted by tag as required:
+function setEntries(entries, newEntries) {
+	let tags = newEntries.map(o => o.tag)
+	return entries.filter(o => tags.indexOf(o.tag) === -1).concat(newEntries).sort((a, b) => a.tag - b.tag)
+}
+
+//--------------------------------------------------------------------------------
+// Append an IFD with its values to the TIFF structure (array of buffers "parts", current length "length"); return its offset:
+function appendIfd(parts, length, entries, next, le) {
+	if (length % 2) { // word alignment
+		parts.push(Buffer.alloc(1))
+		length++
+	}
+	let offset = length
+	let ifd = Buffer.alloc(2 + entries.length * 12 + 4)
+	let data = []
+	let dataOffset = offset + ifd.length
+	const w16 = (v, o) => ((le) ? ifd.writeUInt16LE(v, o) : ifd.writeUInt16BE(v, o))
+	const w32 = (v, o) => ((le) ? ifd.writeUInt32LE(v, o) : ifd.writeUInt32BE(v, o))
+	w16(entries.length, 0)
+	entries.forEach((entry, i) => {
+		let pos = 2 + i * 12
+		if (entry.raw) { // unchanged entry; its value or offset stays valid
+			entry.raw.copy(ifd, pos)
+			return
+		}
+		w16(entry.tag, pos)
+		w16(entry.type, pos + 2)
+		if (entry.type === typeLong) {
+			w32(1, pos + 4)
+			w32(entry.value, pos + 8)
+
+		} else {
+			w32(entry.value.length / typeSizes[entry.type], pos + 4)
+			if (entry.value.length <= 4) {
+				entry.value.copy(ifd, pos + 8)
+
+			} else {
+				w32(dataOffset, pos + 8)
+				let value = (entry.value.length % 2) ? Buffer.concat([entry.value, Buffer.alloc(1)]) : entry.value
+				data.push(value)
+				dataOffset += value.length
+			}
+		}
+	})
+	w32(next, 2 + entries.length * 12)
+	parts.push(ifd)
+	parts.push(...data)
+	return offset
+}
+
+//--------------------------------------------------------------------------------
+// Return the patches that remove all metadata segments of a JPEG file (buffer); the last segment first, so the offsets of the others stay valid:
+function jpegStripPatches(jpeg) {
+	if ((jpeg.length < 4) || (jpeg.readUInt16BE(0) !== 0xffd8)) {
+		throw new Error(`not a JPEG file`)
+	}
+	let patches = []
+	let pos = 2
+	while ((pos + 4 <= jpeg.length) && (jpeg[pos] === 0xff)) {
+		let marker = jpeg[pos + 1]
+		if ((marker === 0xda) || (marker === 0xd9)) { // start of scan, end of image
+			break
+		}
+		let length = jpeg.readUInt16BE(pos + 2)
+		if (jpegMetadataMarkers.indexOf(marker) !== -1) {
+			patches.unshift({ offset: pos, old: Buffer.from(jpeg.subarray(pos, pos + length + 2)), data: Buffer.alloc(0) })
+		}
+		pos += length + 2
+	}
+	return patches
+}
+
+//--------------------------------------------------------------------------------
+// Return "buffer" with "patch" applied:
+function applyPatch(buffer, patch) {
+	return Buffer.concat([buffer.subarray(0, patch.offset), patch.data, buffer.subarray(patch.offset + patch.old.length)])
+}
+
+//--------------------------------------------------------------------------------
+// Return the patch that writes the EXIF data into a JPEG file (buffer):
+// metadata = { timestamp (date), timeZone, description, artist }
+function exifPatch(jpeg, metadata) {
+	if ((jpeg.length < 4) || (jpeg.readUInt16BE(0) !== 0xffd8)) {
+		throw new Error(`not a JPEG file`)
+	}
+	// find an existing EXIF segment, or the position to insert one (behind a JFIF segment):
+	let segment = null
+	let insertAt = 2
+	let pos = 2
+	while ((pos + 4 <= jpeg.length) && (jpeg[pos] === 0xff)) {
+		let marker = jpeg[pos + 1]
+		if ((marker === 0xda) || (marker === 0xd9)) { // start of scan, end of image
+			break
+		}
+		let length = jpeg.readUInt16BE(pos + 2)
+		if ((marker === 0xe1) && (jpeg.subarray(pos + 4, pos + 4 + exifHeader.length).equals(exifHeader))) {
+			segment = { offset: pos, length: length + 2 }
+			break
+		}
+		if (marker === 0xe0) {
+			insertAt = pos + length + 2
+		}
+		pos += length + 2
+	}
+
+	let tiff
+	if (segment) {
+		tiff = jpeg.subarray(segment.offset + 4 + exifHeader.length, segment.offset + segment.length)
+
+	} else { // minimal TIFF structure, little endian, IFD0 without entries:
+		tiff = Buffer.from([0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00])
+	}
+	let le
+	if (tiff.subarray(0, 2).toString('latin1') === 'II') {
+		le = true
+	} else if (tiff.subarray(0, 2).toString('latin1') === 'MM') {
+		le = false
+	} else {
+		throw new Error(`invalid EXIF byte order`)
+	}
+	let ifd0 = readIfd(tiff, (le) ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), le)
+	let exifIfd = { entries: [], next: 0 }
+	let pointer = ifd0.entries.find(o => o.tag === tagExifIfd)
+	if (pointer) {
+		exifIfd = readIfd(tiff, (le) ? pointer.raw.readUInt32LE(8) : pointer.raw.readUInt32BE(8), le)
+	}
+
+	// new values:
+	let time = exifDateTime(metadata.timestamp, metadata.timeZone)
+	const ascii = (s) => Buffer.from(s + '\0', 'utf8') // UTF-8 is accepted by all common tools
+	let exifEntries = [
+		newEntry(tagDateTimeOriginal, typeAscii, ascii(time.dateTime)),
+		newEntry(tagCreateDate, typeAscii, ascii(time.dateTime)),
+		newEntry(tagOffsetTime, typeAscii, ascii(time.offset)),
+		newEntry(tagOffsetTimeOriginal, typeAscii, ascii(time.offset)),
+		newEntry(tagOffsetTimeDigitized, typeAscii, ascii(time.offset))
+	]
+	if (!exifIfd.entries.some(o => o.tag === tagExifVersion)) {
+		exifEntries.push(newEntry(tagExifVersion, typeUndefined, exifVersion))
+	}
+	let ifd0Entries = [newEntry(tagModifyDate, typeAscii, ascii(time.dateTime))]
+	if (metadata.description) {
+		ifd0Entries.push(newEntry(tagImageDescription, typeAscii, ascii(metadata.description)))
+	}
+	if (metadata.artist) {
+		ifd0Entries.push(newEntry(tagArtist, typeAscii, ascii(metadata.artist)))
+	}
+
+	// keep all existing data; append the changed directories:
+	let parts = [tiff]
+	let length = tiff.length
+	let exifOffset = appendIfd(parts, length, setEntries(exifIfd.entries, exifEntries), exifIfd.next, le)
+	length = parts.reduce((n, b) => n + b.length, 0)
+	ifd0Entries.push(newEntry(tagExifIfd, typeLong, exifOffset))
+	let ifd0Offset = appendIfd(parts, length, setEntries(ifd0.entries, ifd0Entries), ifd0.next, le)
+	let newTiff = Buffer.concat(parts)
+	if (le) {
+		newTiff.writeUInt32LE(ifd0Offset, 4)
+	} else {
+		newTiff.writeUInt32BE(ifd0Offset, 4)
+	}
+	if (2 + exifHeader.length + newTiff.length > maxSegmentLength) {
+		throw new Error(`EXIF data too large`)
+	}
+	let header = Buffer.from([0xff, 0xe1, 0x00, 0x00])
+	header.writeUInt16BE(2 + exifHeader.length + newTiff.length, 2)
+	let data = Buffer.concat([header, exifHeader, newTiff])
+	return {
+		offset: (segment) ? segment.offset : insertAt,
+		old: (segment) ? Buffer.from(jpeg.subarray(segment.offset, segment.offset + segment.length)) : Buffer.alloc(0),
+		data: data
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return all boxes between "start" and "end" of an opened MP4/MOV file: { type, offset, headerSize, size }:
+function readBoxesSync(fd, start, end) {
+	let boxes = []
+	let pos = start
+	let header = Buffer.alloc(16)
+	while (pos + 8 <= end) {
+		header.fill(0)
+		fs.readSync(fd, header, 0, Math.min(16, end - pos), pos)
+		let size = header.readUInt32BE(0)
+		let headerSize = 8
+		if (size === 1) { // 64 bit size follows the type
+			size = Number(header.readBigUInt64BE(8))
+			headerSize = 16
+		} else if (size === 0) { // box extends to the end
+			size = end - pos
+		}
+		if ((size < headerSize) || (pos + size > end)) {
+			throw new Error(`invalid box at offset ` + pos)
+		}
+		boxes.push({ type: header.toString('latin1', 4, 8), offset: pos, headerSize: headerSize, size: size })
+		pos += size
+	}
+	return boxes
+}
+
+//--------------------------------------------------------------------------------
+// Return the patches that set creation and modification times of all time boxes of an opened MP4/MOV file:
+function quickTimePatchesSync(fd, fileSize, timestamp) {
+	let seconds = Math.round((timestamp.getTime() - quickTimeEpoch) / 1000)
+	let patches = []
+	const walk = (start, end) => {
+		for (let box of readBoxesSync(fd, start, end)) {
+			if (quickTimeContainers.indexOf(box.type) !== -1) {
+				walk(box.offset + box.headerSize, box.offset + box.size)
+
+			} else if (quickTimeTimeBoxes.indexOf(box.type) !== -1) {
+				let pos = box.offset + box.headerSize
+				let version = Buffer.alloc(1)
+				fs.readSync(fd, version, 0, 1, pos)
+				let fieldSize = (version[0] === 1) ? 8 : 4
+				let data = Buffer.alloc(fieldSize * 2) // creation time, modification time
+				if (fieldSize === 8) {
+					data.writeBigUInt64BE(BigInt(seconds), 0)
+					data.writeBigUInt64BE(BigInt(seconds), 8)
+				} else {
+					data.writeUInt32BE(seconds >>> 0, 0)
+					data.writeUInt32BE(seconds >>> 0, 4)
+				}
+				let old = Buffer.alloc(data.length)
+				fs.readSync(fd, old, 0, old.length, pos + 4) // behind version and flags
+				patches.push({ offset: pos + 4, old: old, data: data })
+			}
+		}
+	}
+	let moov = readBoxesSync(fd, 0, fileSize).filter(box => box.type === 'moov')
+	if (!moov.length) {
+		throw new Error(`no "moov" box found`)
+	}
+	for (let box of moov) {
+		walk(box.offset + box.headerSize, box.offset + box.size)
+	}
+	return patches
+}
+
+//--------------------------------------------------------------------------------
+// Return the patches that turn all metadata boxes of the movie and of its tracks of an opened MP4/MOV file into "free" boxes:
+function quickTimeStripPatchesSync(fd, fileSize) {
+	let patches = []
+	const walk = (start, end) => {
+		for (let box of readBoxesSync(fd, start, end)) {
+			if (quickTimeMetadataBoxes.indexOf(box.type) !== -1) {
+				patches.push({ offset: box.offset + 4, old: Buffer.from(box.type, 'latin1'), data: quickTimeFreeBox })
+
+			} else if ((box.type === 'moov') || (box.type === 'trak')) {
+				walk(box.offset + box.headerSize, box.offset + box.size)
+			}
+		}
+	}
+	walk(0, fileSize)
+	return patches
+}
+
+//--------------------------------------------------------------------------------
+// Return a box "type" with "data" (buffer):
+function quickTimeBox(type, data) {
+	let header = Buffer.alloc(8)
+	header.writeUInt32BE(8 + data.length)
+	header.write(type, 4, 'latin1')
+	return Buffer.concat([header, data])
+}
+
+//--------------------------------------------------------------------------------
+// Return a text item "type" of the user data (e.g. "©cmt"): length, language and UTF-8 text:
+function quickTimeTextBox(type, text) {
+	let value = Buffer.from(text, 'utf8').subarray(0, 0xffff)
+	let header = Buffer.alloc(4)
+	header.writeUInt16BE(value.length)
+	header.writeUInt16BE(quickTimeLanguage, 2)
+	return quickTimeBox(type, Buffer.concat([header, value]))
+}
+
+//--------------------------------------------------------------------------------
+// Return the patch that lets the size of a box of an opened MP4/MOV file grow by "growth" bytes:
+function quickTimeSizePatchSync(fd, box, growth) {
+	let long = (box.headerSize === 16)
+	let offset = box.offset + ((long) ? 8 : 0)
+	let old = Buffer.alloc((long) ? 8 : 4)
+	fs.readSync(fd, old, 0, old.length, offset)
+	let data = Buffer.alloc(old.length)
+	if (long) {
+		data.writeBigUInt64BE(BigInt(box.size + growth))
+	} else {
+		data.writeUInt32BE(box.size + growth) // throws beyond 4 GB
+	}
+	return { offset: offset, old: old, data: data }
+}
+
+//--------------------------------------------------------------------------------
+// Return the patches that shift the chunk offsets ("stco", "co64") from "from" on by "shift" bytes, for all tracks of the movie "moov" of an opened MP4/MOV file:
+function quickTimeChunkOffsetPatchesSync(fd, moov, from, shift) {
+	let patches = []
+	const walk = (start, end) => {
+		for (let box of readBoxesSync(fd, start, end)) {
+			let pos = box.offset + box.headerSize
+			if (quickTimeSampleContainers.indexOf(box.type) !== -1) {
+				walk(pos, box.offset + box.size)
+
+			} else if ((box.type === 'stco') || (box.type === 'co64')) {
+				let entrySize = (box.type === 'stco') ? 4 : 8
+				let count = Buffer.alloc(4)
+				fs.readSync(fd, count, 0, 4, pos + 4) // behind version and flags
+				let old = Buffer.alloc(Math.max(Math.min(count.readUInt32BE(0) * entrySize, box.offset + box.size - pos - 8), 0))
+				fs.readSync(fd, old, 0, old.length, pos + 8)
+				let data = Buffer.from(old)
+				for (let i = 0; i + entrySize <= data.length; i += entrySize) {
+					if (entrySize === 4) {
+						let offset = data.readUInt32BE(i)
+						if (offset >= from) data.writeUInt32BE(offset + shift, i) // throws beyond 4 GB
+					} else {
+						let offset = data.readBigUInt64BE(i)
+						if (offset >= BigInt(from)) data.writeBigUInt64BE(offset + BigInt(shift), i)
+					}
+				}
+				if (!data.equals(old)) {
+					patches.push({ offset: pos + 8, old: old, data: data })
+				}
+			}
+		}
+	}
+	walk(moov.offset + moov.headerSize, moov.offset + moov.size)
+	return patches
+}
+
+//--------------------------------------------------------------------------------
+// Return the patches that write caption and sender as items "©cmt" and "©ART" of the user data ("udta") into the movie of an opened MP4/MOV file, to be applied one after the other.
+// Items of the same type already there become "free" boxes; the new ones are appended to "udta" (created at the end of "moov" if missing):
+function quickTimeUserDataPatchesSync(fd, fileSize, metadata) {
+	let items = []
+	if (metadata.description) items.push(quickTimeTextBox('©cmt', metadata.description))
+	if (metadata.artist) items.push(quickTimeTextBox('©ART', metadata.artist))
+	let types = items.map(item => item.toString('latin1', 4, 8))
+
+	let boxes = readBoxesSync(fd, 0, fileSize)
+	let index = boxes.findIndex(box => box.type === 'moov')
+	if (index === -1) {
+		throw new Error(`no "moov" box found`)
+	}
+	let moov = boxes[index]
+	let moovEnd = moov.offset + moov.size
+	let udta = readBoxesSync(fd, moov.offset + moov.headerSize, moovEnd).find(box => box.type === 'udta')
+	let patches = []
+	let insertAt = moovEnd
+	let inserted = null
+	if (udta) {
+		let children = readBoxesSync(fd, udta.offset + udta.headerSize, udta.offset + udta.size)
+		for (let child of children.filter(child => types.indexOf(child.type) !== -1)) {
+			patches.push({ offset: child.offset + 4, old: Buffer.from(child.type, 'latin1'), data: quickTimeFreeBox })
+		}
+		// behind the last item, in front of a terminating zero if any:
+		let last = children[children.length - 1]
+		insertAt = (last) ? last.offset + last.size : udta.offset + udta.headerSize
+		inserted = Buffer.concat(items)
+		patches.push(quickTimeSizePatchSync(fd, udta, inserted.length))
+	} else {
+		inserted = quickTimeBox('udta', Buffer.concat(items))
+	}
+	patches.push(quickTimeSizePatchSync(fd, moov, inserted.length))
+
+	let next = boxes[index + 1]
+	let rest = (next) ? next.size - inserted.length : -1
+	if (next && (quickTimeFreeTypes.indexOf(next.type) !== -1) && ((rest === 0) || (rest >= 8))) {
+		// the "free" box behind the movie shrinks by as much as the movie grows, nothing else moves:
+		let freeHeader = Buffer.alloc((rest) ? 8 : 0)
+		if (rest) {
+			freeHeader.writeUInt32BE(rest)
+			quickTimeFreeBox.copy(freeHeader, 4)
+		}
+		let old = Buffer.alloc(moovEnd - insertAt + inserted.length + freeHeader.length)
+		fs.readSync(fd, old, 0, old.length, insertAt)
+		patches.push({ offset: insertAt, old: old, data: Buffer.concat([inserted, old.subarray(0, moovEnd - insertAt), freeHeader]) })
+
+	} else {
+		// the rest of the file moves, and with it the chunks of media data behind the movie:
+		patches = patches.concat(quickTimeChunkOffsetPatchesSync(fd, moov, moovEnd, inserted.length))
+		patches.push({ offset: insertAt, old: Buffer.alloc(0), data: inserted })
+	}
+	return patches
+}
+
+//--------------------------------------------------------------------------------
+// Move the bytes from "start" to the end of an opened file by "shift" bytes (towards the end if positive); the file grows or shrinks by as much:
+function moveTailSync(fd, start, shift) {
+	let size = fs.fstatSync(fd).size
+	let buffer = Buffer.alloc(Math.max(Math.min(moveChunkSize, size - start), 0))
+	if (shift > 0) { // from the end backwards, nothing is overwritten before it has moved
+		for (let end = size; end > start;) {
+			let length = Math.min(buffer.length, end - start)
+			end -= length
+			fs.readSync(fd, buffer, 0, length, end)
+			fs.writeSync(fd, buffer, 0, length, end + shift)
+		}
+	} else if (shift < 0) {
+		for (let pos = start; pos < size; pos += buffer.length) {
+			let length = Math.min(buffer.length, size - pos)
+			fs.readSync(fd, buffer, 0, length, pos)
+			fs.writeSync(fd, buffer, 0, length, pos + shift)
+		}
+		fs.ftruncateSync(fd, size + shift)
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Replace "length" bytes at "offset" of an opened file by "data" (buffer); the rest of the file moves if the lengths differ:
+function replaceSync(fd, offset, length, data) {
+	if (data.length !== length) {
+		moveTailSync(fd, offset + length, data.length - length)
+	}
+	fs.writeSync(fd, data, 0, data.length, offset)
+}
+
+//--------------------------------------------------------------------------------
+// Write the metadata into a file; return the patches (with base64 encoded old bytes) needed to undo it:
+// metadata = { timestamp (date; "null" = none), timeZone, description, artist, strip (remove all other metadata first) }
+function writeMetadataSync(fullname, ext, metadata) {
+	let type = metadataType(ext)
+	if (type === 'exif') {
+		let jpeg = fs.readFileSync(fullname)
+		let patches = (metadata.strip) ? jpegStripPatches(jpeg) : []
+		for (let patch of patches) {
+			jpeg = applyPatch(jpeg, patch)
+		}
+		if (metadata.timestamp) {
+			let patch = exifPatch(jpeg, metadata)
+			jpeg = applyPatch(jpeg, patch)
+			patches.push(patch)
+		}
+		fs.writeFileSync(fullname, jpeg)
+		return patches.map(patch => ({ offset: patch.offset, old: patch.old.toString('base64'), length: patch.data.length }))
+
+	} else if (type === 'quicktime') {
+		let fd = fs.openSync(fullname, 'r+')
+		try {
+			let size = fs.fstatSync(fd).size
+			let patches = ((metadata.strip) ? quickTimeStripPatchesSync(fd, size) : []).concat((metadata.timestamp) ? quickTimePatchesSync(fd, size, metadata.timestamp) : [])
+			for (let patch of patches) {
+				fs.writeSync(fd, patch.data, 0, patch.data.length, patch.offset)
+			}
+			// the user data last, its patches are applied one after the other:
+			if (metadata.description || metadata.artist) {
+				let userDataPatches = quickTimeUserDataPatchesSync(fd, size, metadata)
+				for (let patch of userDataPatches) {
+					replaceSync(fd, patch.offset, patch.old.length, patch.data)
+				}
+				patches = patches.concat(userDataPatches)
+			}
+			return patches.map(patch => ({ offset: patch.offset, old: patch.old.toString('base64'), length: patch.data.length }))
+
+		} finally {
+			fs.closeSync(fd)
+		}
+	}
+	throw new Error(`metadata of '` + ext + `' files not supported`)
+}
+
+//--------------------------------------------------------------------------------
+// Undo the patches returned by "writeMetadataSync", in reverse order:
+function undoPatchesSync(fullname, patches) {
+	let fd = fs.openSync(fullname, 'r+')
+	try {
+		for (let patch of patches.slice().reverse()) {
+			replaceSync(fd, patch.offset, patch.length, Buffer.from(patch.old, 'base64'))
+		}
+	} finally {
+		fs.closeSync(fd)
+	}
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	metadataType,
+	writeMetadataSync,
+	undoPatchesSync
+}
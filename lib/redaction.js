@@ -0,0 +1,163 @@
+'use strict'
+
+//================================================================================
+// Replace names and identities by pseudonyms, mask personal data in texts.
+//--------------------------------------------------------------------------------
+// Each contact, group and distribution list gets a pseudonym, numbered per type:
+// "Contact 1" (identity "CONTACT1"), "Group 1" ("GROUP1"), "List 1" ("LIST1").
+// The mapping is kept as JSON file:
+//   { redaction, updated, identities: { identity: { type, pseudonym, identity,
+//     fullname, names } } }
+// keyed by the real identity; "fullname" and "names" are the real ones. A later
+// redaction with the same mapping keeps all pseudonyms; new identities get the
+// next free numbers. So the mapping reverses the pseudonyms and must be kept
+// private.
+// Texts are masked in two steps:
+// - every match of a pattern (a regular expression; an empty one is not used)
+//   is replaced by its name in brackets, e.g. "[phone]"; one pattern after the
+//   other
+// - every known name (at least "minNameLength" characters, whole words, case
+//   sensitive) and every Threema ID is replaced by its pseudonym
+//--------------------------------------------------------------------------------
+
+const fs = require('fs')
+
+
+//--------------------------------------------------------------------------------
+const pseudonymPrefixes = { // by type of the identity:
+	contact: 'Contact',
+	group: 'Group',
+	distribution_list: 'List'
+}
+const minNameLength = 3 // shorter names are not searched in texts; too many false hits
+const wordChar = '[\\p{L}\\p{N}]'
+
+
+//--------------------------------------------------------------------------------
+// Default patterns of personal data in texts: name => regular expression (source); applied in this order, IBANs before their digits look like phone numbers; a new object for each call:
+function defaultPatterns() {
+	return {
+		iban: '\\b[A-Z]{2}\\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\\b', // e.g. "CH93 0076 2011 6238 5295 7"
+		email: '[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+',
+		phone: '(?<![\\w+])(?:\\+|0)\\d(?:[ ()/-]?\\d){6,}(?!\\w)' // e.g. "+41 79 123 45 67", "079/123 45 67"
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Create a redaction from "mapping" (see above; "null" = none yet) and "patterns" (name => regular expression); throws with message on invalid patterns:
+function createRedaction(mapping = null, patterns = defaultPatterns()) {
+	return {
+		identities: Object.assign({}, (mapping && mapping.identities) || {}),
+		patterns: Object.keys(patterns || {}).filter(name => patterns[name]).map(name => ({ name: name, regExp: new RegExp(patterns[name], 'gu') })), // an empty pattern is not used
+		textRegExp: null, // all names and identities; built when needed
+		replacements: null // name or identity => pseudonym
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return the next free number of pseudonyms of "type":
+function nextNumber(redaction, type) {
+	let numbers = Object.values(redaction.identities).filter(o => o.type === type).map(o => Number(o.pseudonym.split(' ').pop()) || 0)
+	return Math.max(0, ...numbers) + 1
+}
+
+//--------------------------------------------------------------------------------
+// Add an identity with its real "fullname" and "names" (searched in texts); an identity of the mapping keeps its pseudonym.
+// Returns its entry { type, pseudonym, identity, fullname, names }:
+function addIdentity(redaction, identity, type = 'contact', fullname = null, names = []) {
+	let entry = redaction.identities[identity]
+	if (!entry) {
+		let prefix = pseudonymPrefixes[type] || pseudonymPrefixes.contact
+		let n = nextNumber(redaction, type)
+		entry = redaction.identities[identity] = {
+			type: type,
+			pseudonym: prefix + ' ' + n,
+			identity: prefix.toUpperCase() + n,
+			fullname: fullname,
+			names: []
+		}
+	}
+	entry.fullname = fullname || entry.fullname
+	entry.names = Array.from(new Set(entry.names.concat(names.map(s => String(s || '').trim()).filter(s => s.length >= minNameLength))))
+	redaction.textRegExp = null
+	return entry
+}
+
+//--------------------------------------------------------------------------------
+// Return the pseudonymous identity of "identity"; unknown ones are added as contacts:
+function redactIdentity(redaction, identity) {
+	if (!identity) {
+		return identity
+	}
+	return (redaction.identities[identity] || addIdentity(redaction, identity)).identity
+}
+
+//--------------------------------------------------------------------------------
+// Build the regular expression of all names and identities; longer ones first, so "Anna Muster" wins over "Anna":
+function buildTextRegExp(redaction) {
+	let replacements = {}
+	for (let identity in redaction.identities) {
+		let entry = redaction.identities[identity]
+		if ((entry.type === 'contact') && (replacements[identity] === undefined)) { // only Threema IDs are words in texts
+			replacements[identity] = entry.identity
+		}
+		for (let name of entry.names) {
+			if (replacements[name] === undefined) {
+				replacements[name] = entry.pseudonym
+			}
+		}
+	}
+	let keys = Object.keys(replacements).sort((a, b) => b.length - a.length)
+	redaction.replacements = replacements
+	redaction.textRegExp = (keys.length) ? new RegExp('(?<!' + wordChar + ')(?:' + keys.map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|') + ')(?!' + wordChar + ')', 'gu') : null
+}
+
+//--------------------------------------------------------------------------------
+// Return text "s" masked: matches of the patterns by "[name]", names and identities by their pseudonyms; other values are returned as they are:
+function redactText(redaction, s) {
+	if ((typeof s !== 'string') || !s) {
+		return s
+	}
+	for (let pattern of redaction.patterns) {
+		s = s.replace(pattern.regExp, `[` + pattern.name + `]`)
+	}
+	if (redaction.textRegExp === null) {
+		buildTextRegExp(redaction)
+	}
+	if (redaction.textRegExp) {
+		s = s.replace(redaction.textRegExp, (match) => redaction.replacements[match])
+	}
+	return s
+}
+
+//--------------------------------------------------------------------------------
+// Read a mapping file; throws if it is none:
+function readMapping(fullname) {
+	let mapping = JSON.parse(fs.readFileSync(fullname, 'utf8')) // may throw
+	if ((typeof mapping.identities !== 'object') || (mapping.identities === null) || Array.isArray(mapping.identities)) {
+		throw new Error(`'` + fullname + `' is not a redaction mapping file`)
+	}
+	return mapping
+}
+
+//--------------------------------------------------------------------------------
+// Return the mapping of a redaction as JSON text:
+function formatMapping(redaction, version = null) {
+	return JSON.stringify({
+		redaction: version,
+		updated: new Date(),
+		identities: redaction.identities
+	}, null, '\t')
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	defaultPatterns,
+	createRedaction,
+	addIdentity,
+	redactIdentity,
+	redactText,
+	readMapping,
+	formatMapping
+}
@@ -0,0 +1,197 @@
+'use strict'
+
+//================================================================================
+// Validate a configuration against a schema; convert command line values.
+//--------------------------------------------------------------------------------
+// A schema is an object with one rule per configuration key:
+//   { type, nullable, values, min, length }
+// - "type":     "boolean", "integer", "string", "filename" (a string without
+//               path separators), "enum" (one of "values"), "strftime" (a
+//               format with known placeholders only), "template" (with
+//               placeholders "{key}" of "values" only), "timezone" ("device"
+//               or an IANA name like "Europe/Zurich"), "locale" ("device" or a
+//               language tag with a locale pack), "date" ("YYYY", "YYYY-MM"
+//               or "YYYY-MM-DD"), "array" (of strings),
+//               "map" (object of strings), "patterns" (object of regular
+//               expressions)
+// - "nullable": "null" (and "" for strings) is allowed; e.g. "no file"
+// - "min":      smallest allowed value of an "integer"
+// - "length":   exact number of elements of an "array"
+// Every error is a message that names the key, the value and what is allowed.
+//--------------------------------------------------------------------------------
+
+const { strftimePlaceholders, isValidTimeZone } = require('./utils')
+const { isKnownLocale, availableLocales } = require('./locales')
+
+
+//--------------------------------------------------------------------------------
+const stringTypes = ['string', 'filename', 'enum', 'strftime', 'template', 'timezone', 'locale', 'date']
+const trueStrings = ['true', 'yes', 'on', '1']
+const falseStrings = ['false', 'no', 'off', '0']
+const nullStrings = ['null', '']
+
+
+//--------------------------------------------------------------------------------
+// Value as readable text for error messages:
+function show(value) {
+	return (typeof value === 'string') ? `'` + value + `'` : JSON.stringify(value)
+}
+
+//--------------------------------------------------------------------------------
+// Check "value" of configuration key "key" against "rule"; returns the error message or "null" if valid:
+function checkValue(key, value, rule) {
+	let sPre = `key '` + key + `': `
+	if ((value === null) || ((value === '') && (stringTypes.indexOf(rule.type) !== -1))) {
+		return (rule.nullable) ? null : sPre + `must not be empty`
+	}
+	switch (rule.type) {
+		case 'boolean':
+			return (typeof value === 'boolean') ? null : sPre + show(value) + ` is not a boolean; allowed: true, false`
+
+		case 'integer':
+			if (!Number.isInteger(value)) {
+				return sPre + show(value) + ` is not an integer`
+			}
+			return ((rule.min === undefined) || (value >= rule.min)) ? null : sPre + value + ` is too small; minimum: ` + rule.min
+
+		case 'array':
+			if (!Array.isArray(value)) {
+				return sPre + show(value) + ` is not an array`
+			}
+			if (value.some(s => typeof s !== 'string')) {
+				return sPre + `all elements must be strings`
+			}
+			return ((rule.length === undefined) || (value.length === rule.length)) ? null : sPre + `must have exactly ` + rule.length + ` elements, not ` + value.length
+
+		case 'map':
+			if ((typeof value !== 'object') || Array.isArray(value)) {
+				return sPre + show(value) + ` is not an object`
+			}
+			for (let subKey in value) {
+				if (typeof value[subKey] !== 'string') {
+					return sPre + `the value of '` + subKey + `' must be a string, not ` + show(value[subKey])
+				}
+			}
+			return null
+
+		case 'patterns':
+			if ((typeof value !== 'object') || Array.isArray(value)) {
+				return sPre + show(value) + ` is not an object`
+			}
+			for (let subKey in value) {
+				if (typeof value[subKey] !== 'string') {
+					return sPre + `the value of '` + subKey + `' must be a string, not ` + show(value[subKey])
+				}
+				try {
+					RegExp(value[subKey], 'u')
+				} catch(err) {
+					return sPre + `the value of '` + subKey + `' is not a regular expression; ` + err.message
+				}
+			}
+			return null
+	}
+	// all other types are strings:
+	if (typeof value !== 'string') {
+		return sPre + show(value) + ` is not a string`
+	}
+	switch (rule.type) {
+		case 'filename':
+			return (/[\\/]/.test(value)) ? sPre + show(value) + ` must be a filename without folder` : null
+
+		case 'enum':
+			return (rule.values.indexOf(value) !== -1) ? null : sPre + show(value) + ` is not allowed; allowed: ` + rule.values.map(show).join(', ')
+
+		case 'strftime': {
+			let unknown = (value.match(/%(.|$)/g) || []).filter(s => strftimePlaceholders.indexOf(s) === -1) // "%%" is a placeholder of its own; only a lone "%" at the end is left
+			return (unknown.length) ? sPre + `unknown strftime placeholder` + ((unknown.length > 1) ? `s` : ``) + ` ` + unknown.map(show).join(', ') + ` in ` + show(value) + `; allowed: ` + strftimePlaceholders.join(' ') : null
+		}
+		case 'template': {
+			let unknown = (value.match(/\{[^}]*\}/g) || []).filter(s => rule.values.indexOf(s.slice(1, -1)) === -1)
+			return (unknown.length) ? sPre + `unknown placeholder` + ((unknown.length > 1) ? `s` : ``) + ` ` + unknown.join(', ') + ` in ` + show(value) + `; allowed: ` + rule.values.map(s => `{` + s + `}`).join(', ') : null
+		}
+		case 'timezone':
+			return (isValidTimeZone(value)) ? null : sPre + show(value) + ` is not a known time zone; allowed: 'device' or an IANA name like 'Europe/Zurich'`
+
+		case 'locale':
+			return (isKnownLocale(value)) ? null : sPre + show(value) + ` is not a known locale; allowed: 'device', ` + availableLocales().map(show).join(', ') + ` or a regional variant of them like 'de-CH'`
+
+		case 'date':
+			return (/^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/.test(value)) ? null : sPre + show(value) + ` is not a date; allowed: YYYY, YYYY-MM or YYYY-MM-DD`
+	}
+	return null
+}
+
+//--------------------------------------------------------------------------------
+// Check all keys of configuration "o" against "schema"; keys unknown to the schema are errors unless "allowUnknown". Returns all error messages:
+function validate(o, schema, allowUnknown = false) {
+	let errors = []
+	if ((o === null) || (typeof o !== 'object') || Array.isArray(o)) {
+		return [`the configuration must be an object`]
+	}
+	for (let key in o) {
+		if (schema[key] === undefined) {
+			if (!allowUnknown) {
+				errors.push(`unknown key '` + key + `'`)
+			}
+
+		} else if (o[key] !== undefined) {
+			let error = checkValue(key, o[key], schema[key])
+			if (error) {
+				errors.push(error)
+			}
+		}
+	}
+	return errors
+}
+
+//--------------------------------------------------------------------------------
+// Convert string "s" from the command line into a value of the type of "rule"; throws with message if not possible.
+// Arrays are JSON or comma separated, maps are JSON; "null" (or nothing) is "null":
+function parseValue(key, s, rule) {
+	let sPre = `key '` + key + `': `
+	if ((nullStrings.indexOf(s.trim()) !== -1) && (rule.nullable || (rule.type === 'array') || (rule.type === 'map') || (rule.type === 'patterns'))) {
+		return (rule.nullable) ? null : ((rule.type === 'array') ? [] : {})
+	}
+	switch (rule.type) {
+		case 'boolean':
+			if (trueStrings.indexOf(s.trim().toLowerCase()) !== -1) {
+				return true
+			} else if (falseStrings.indexOf(s.trim().toLowerCase()) !== -1) {
+				return false
+			}
+			throw new Error(sPre + show(s) + ` is not a boolean; allowed: true, false`)
+
+		case 'integer':
+			if (!/^\s*-?\d+\s*$/.test(s)) {
+				throw new Error(sPre + show(s) + ` is not an integer`)
+			}
+			return Number(s)
+
+		case 'array':
+			if (/^\s*\[/.test(s)) {
+				try {
+					return JSON.parse(s)
+				} catch(err) {
+					throw new Error(sPre + show(s) + ` is not a valid JSON array; ` + err.message)
+				}
+			}
+			return s.split(',').map(part => part.trim())
+
+		case 'map':
+		case 'patterns':
+			try {
+				return JSON.parse(s)
+			} catch(err) {
+				throw new Error(sPre + show(s) + ` is not a valid JSON object; ` + err.message)
+			}
+	}
+	return s
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	checkValue,
+	validate,
+	parseValue
+}
@@ -0,0 +1,246 @@
+'use strict'
+
+//================================================================================
+// Full-text search over all messages of an organized folder.
+//--------------------------------------------------------------------------------
+// The search index is a JSON file in the organized folder (see configuration
+// "saveSearchIndexTo"), written with the other files of a trace back:
+//   { index, updated, messages: [{ uid, conversation, timestamp, sender,
+//     identity, outgoing, type, text, media }], words: { word: [message, ...] } }
+// - "messages" are sorted by conversation and time; "text" holds text, caption,
+//   shared location and poll of a message; "media" is the path of its file,
+//   relative to the organized folder
+// - "words" lists for each folded word the numbers of the messages containing it
+// Texts and queries are folded before they are compared: lower case, without
+// diacritics, "ß" = "ss", and "ae", "oe", "ue" = "a", "o", "u"; so "Zürich"
+// is found by "zurich" and by "zuerich", "Straße" by "strasse".
+//--------------------------------------------------------------------------------
+// A query is a string of:
+// - words: all must occur as (beginnings of) words, e.g. "bahnhof"
+// - "phrases": words in this order, e.g. "\"Bahnhofstrasse 12\""
+// - filters: "from:anna" (sender), "in:familie" (conversation), "since:2021-03"
+//   and "until:2021-12-31" (dates of the messages, inclusive; a year or a month
+//   is enough); values with spaces in double quotes, e.g. from:"Anna Muster"
+//--------------------------------------------------------------------------------
+
+const fs = require('fs')
+const { cleanText } = require('./utils')
+
+
+//--------------------------------------------------------------------------------
+const nonWordChars = /[^\p{L}\p{N}]+/u
+const queryParts = /(\w+):"([^"]*)"?|(\w+):(\S+)|"([^"]*)"?|(\S+)/g
+const filterKeys = ['from', 'in', 'since', 'until']
+const markStart = '»' // marks the matches in formatted hits
+const markEnd = '«'
+
+
+//--------------------------------------------------------------------------------
+// Fold text "s" for comparisons; returns { text, starts, ends }: the folded text and for each of its characters the range in "s":
+function foldText(s) {
+	let folded = { text: '', starts: [], ends: [] }
+	let offset = 0
+	for (let c of String(s || '')) {
+		let f = ((c === 'ß') || (c === 'ẞ')) ? 'ss' : c.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+		for (let fc of f) {
+			if ((fc === 'e') && /[aou]$/.test(folded.text)) { // "ae", "oe", "ue" are umlauts written without them:
+				folded.ends[folded.ends.length - 1] = offset + c.length
+				continue
+			}
+			folded.text += fc
+			folded.starts.push(offset)
+			folded.ends.push(offset + c.length)
+		}
+		offset += c.length
+	}
+	return folded
+}
+
+//--------------------------------------------------------------------------------
+// Return the folded words of text "s":
+function foldedWords(s) {
+	return foldText(s).text.split(nonWordChars).filter(word => word)
+}
+
+//--------------------------------------------------------------------------------
+// Return the searchable text of a message: text, caption, location (as text by "formatLocation") and poll; one part per line:
+function searchText(message, formatLocation) {
+	let parts = [message.text, message.caption]
+	if (message.location) {
+		parts.push(formatLocation(message.location))
+	}
+	if (message.poll) {
+		parts.push(message.poll.question)
+		parts = parts.concat(message.poll.choices.map(choice => choice.name))
+	}
+	return parts.filter(s => s).join('\n')
+}
+
+//--------------------------------------------------------------------------------
+// Build the search index of "messages" ({ uid, conversation, timestamp, sender, identity, outgoing, type, text, media });
+// messages of "previous" (an older index) that are not in "messages" are kept:
+function buildSearchIndex(messages, previous = null, version = null) {
+	let uids = new Set(messages.map(o => o.uid))
+	let all = messages.concat((previous) ? previous.messages.filter(o => !uids.has(o.uid)) : [])
+	all.sort((a, b) => (a.conversation < b.conversation) ? -1 : ((a.conversation > b.conversation) ? 1 : a.timestamp.localeCompare(b.timestamp)))
+	let words = {}
+	all.forEach((message, i) => {
+		for (let word of new Set(foldedWords(message.text))) {
+			(words[word] = words[word] || []).push(i)
+		}
+	})
+	return {
+		index: version,
+		updated: new Date(),
+		messages: all,
+		words: words
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Read a search index file; throws if it is none:
+function readSearchIndex(fullname) {
+	let index = JSON.parse(fs.readFileSync(fullname, 'utf8')) // may throw
+	if (!Array.isArray(index.messages) || (typeof index.words !== 'object') || (index.words === null)) {
+		throw new Error(`'` + fullname + `' is not a search index file`)
+	}
+	return index
+}
+
+//--------------------------------------------------------------------------------
+// Parse a query string (see above); returns { terms: [[word, ...], ...], from, in, since, until }; each term is a word or a phrase.
+// Throws with message on invalid dates:
+function parseQuery(s) {
+	let query = { terms: [], from: null, in: null, since: null, until: null }
+	let match
+	queryParts.lastIndex = 0
+	while ((match = queryParts.exec(String(s || ''))) !== null) {
+		let key = match[1] || match[3]
+		let value = (match[1]) ? match[2] : match[4]
+		if (key && (filterKeys.indexOf(key.toLowerCase()) !== -1)) {
+			key = key.toLowerCase()
+			if (((key === 'since') || (key === 'until')) && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) {
+				throw new Error(`'` + key + `:` + value + `' is not a date; use YYYY, YYYY-MM or YYYY-MM-DD`)
+			}
+			query[key] = value
+
+		} else if (key) { // not a filter, e.g. a time "12:30" or a link:
+			let words = foldedWords(key + ':' + value)
+			if (words.length) {
+				query.terms.push(words)
+			}
+
+		} else {
+			let words = foldedWords((match[5] !== undefined) ? match[5] : match[6])
+			if (words.length) {
+				query.terms.push(words)
+			}
+		}
+	}
+	return query
+}
+
+//--------------------------------------------------------------------------------
+// Return a regular expression for a term (words in this order, each one the beginning of a word) on folded text:
+function termRegExp(words) {
+	return new RegExp('(?<![\\p{L}\\p{N}])' + words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^\\p{L}\\p{N}]+'), 'gu')
+}
+
+//--------------------------------------------------------------------------------
+// Search "index" for "query" (see "parseQuery"); options = { context [number of messages before and after each hit], dateOf [message => "YYYY-MM-DD"; default: UTC] }.
+// Returns the hits in chronological order: [{ message, matches: [[start, end], ...] (in "message.text"), before: [message, ...], after: [message, ...] }]:
+function searchIndex(index, query, options = {}) {
+	let context = options.context || 0
+	let dateOf = options.dateOf || ((message) => message.timestamp.slice(0, 10))
+	// candidates: messages with words beginning like each word of the query:
+	let candidates = null
+	for (let word of [].concat(...query.terms)) {
+		let found = new Set()
+		for (let key in index.words) {
+			if (key.indexOf(word) === 0) {
+				index.words[key].forEach(i => found.add(i))
+			}
+		}
+		candidates = (candidates) ? new Set(Array.from(candidates).filter(i => found.has(i))) : found
+	}
+	candidates = (candidates) ? Array.from(candidates).sort((a, b) => a - b) : index.messages.map((message, i) => i)
+
+	let from = (query.from) ? foldText(query.from).text : null
+	let conversation = (query.in) ? foldText(query.in).text : null
+	let hits = []
+	for (let i of candidates) {
+		let message = index.messages[i]
+		if ((from && (foldText(message.sender).text.indexOf(from) === -1)) || (conversation && (foldText(message.conversation).text.indexOf(conversation) === -1))) {
+			continue
+		}
+		if (query.since || query.until) {
+			let date = dateOf(message)
+			if ((query.since && (date.slice(0, query.since.length) < query.since)) || (query.until && (date.slice(0, query.until.length) > query.until))) {
+				continue
+			}
+		}
+		// all terms must match; phrases are checked here:
+		let folded = foldText(message.text)
+		let matches = []
+		for (let words of query.terms) {
+			let found = Array.from(folded.text.matchAll(termRegExp(words)))
+			if (!found.length) {
+				matches = null
+				break
+			}
+			matches = matches.concat(found.map(m => [folded.starts[m.index], folded.ends[m.index + m[0].length - 1]]))
+		}
+		if (matches) {
+			let same = (j) => index.messages[j] && (index.messages[j].conversation === message.conversation)
+			let before = []
+			let after = []
+			for (let j = i - 1; (j >= i - context) && same(j); j--) {
+				before.unshift(index.messages[j])
+			}
+			for (let j = i + 1; (j <= i + context) && same(j); j++) {
+				after.push(index.messages[j])
+			}
+			hits.push({ message: message, matches: matches.sort((a, b) => a[0] - b[0]), before: before, after: after })
+		}
+	}
+	return hits.sort((a, b) => a.message.timestamp.localeCompare(b.message.timestamp))
+}
+
+//--------------------------------------------------------------------------------
+// Return "text" with the ranges "matches" marked:
+function markMatches(text, matches) {
+	let s = ''
+	let pos = 0
+	for (let [start, end] of matches) {
+		if (start >= pos) {
+			s += text.slice(pos, start) + markStart + text.slice(start, end) + markEnd
+			pos = end
+		}
+	}
+	return s + text.slice(pos)
+}
+
+//--------------------------------------------------------------------------------
+// Return the hits as text: for each hit its conversation, the messages before, the hit itself (matches marked, ">" in front, its file below) and the messages after; "formatTime" turns a timestamp into text:
+function formatHitsAsText(hits, formatTime) {
+	const line = (message, text, prefix) => prefix + `[` + formatTime(message.timestamp) + `] ` + cleanText(text || message.media || ``) + ((message.sender) ? ` [` + message.sender + `]` : ``) // messages without text: their file
+	let blocks = hits.map(hit => [`--- ` + hit.message.conversation]
+		.concat(hit.before.map(message => line(message, message.text, `  `)))
+		.concat([line(hit.message, markMatches(hit.message.text, hit.matches), `> `)])
+		.concat((hit.message.media) ? [`  ` + hit.message.media] : [])
+		.concat(hit.after.map(message => line(message, message.text, `  `)))
+		.join('\n'))
+	return blocks.join('\n\n')
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	foldText,
+	searchText,
+	buildSearchIndex,
+	readSearchIndex,
+	parseQuery,
+	searchIndex,
+	formatHitsAsText
+}
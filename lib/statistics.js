@@ -0,0 +1,282 @@
+'use strict'
+
+//================================================================================
+// Statistics of an archive: messages per conversation and per sender, sent and
+// received messages, activity by month and by hour of the day, media files by
+// type, first and last messages; as a self-contained HTML page and as CSV.
+//--------------------------------------------------------------------------------
+// The statistics are computed from the message rows of the CSV files and the
+// media files of the trace back:
+//   conversations = [{ name, messages: [{ timestamp, outgoing, sender }] }]
+//   media = [{ conversation, type (extension), kind, size }]
+// Months and hours are those of the configured time zone.
+// The CSV file has one value per line, easy to pivot in a spreadsheet:
+//   statistic,conversation,key,value
+// e.g. "sender,Familie,Anna,120" or "month,,2021-03,45".
+//--------------------------------------------------------------------------------
+
+const { zonedTime } = require('./utils')
+const { escapeHtml } = require('./htmlExport')
+
+
+//--------------------------------------------------------------------------------
+const largestConversations = 10 // number of conversations in "largest"
+const byteUnits = ['B', 'KB', 'MB', 'GB', 'TB']
+const csvHeaders = ['statistic', 'conversation', 'key', 'value']
+
+//--------------------------------------------------------------------------------
+const style = `
+	body { margin: 0; background: #f4f4f4; font-family: -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; font-size: 15px; color: #111; }
+	header { padding: 0.8em 1em; background: #075e54; color: #fff; font-size: 1.2em; }
+	main { max-width: 60em; margin: 0 auto; padding: 1em; }
+	h2 { margin: 1.5em 0 0.5em; font-size: 1.1em; color: #075e54; }
+	table { border-collapse: collapse; background: #fff; box-shadow: 0 1px 1px rgba(0, 0, 0, 0.15); }
+	th, td { padding: 0.25em 0.6em; border-bottom: 1px solid #e4e4e4; text-align: left; vertical-align: top; }
+	th { background: #eef3f2; }
+	td.number { text-align: right; white-space: nowrap; }
+	td.bar { width: 20em; }
+	.bar div { height: 0.9em; background: #25d366; border-radius: 0.2em; }
+	.senders { font-size: 0.85em; color: #556; }
+`
+
+
+//--------------------------------------------------------------------------------
+// Add "n" to the counter "key" of object "counts":
+function count(counts, key, n = 1) {
+	counts[key] = (counts[key] || 0) + n
+}
+
+//--------------------------------------------------------------------------------
+// Return the entries of object "counts" as array of { name, messages }, most messages first:
+function countsToArray(counts) {
+	return Object.keys(counts).map(name => ({ name: name, messages: counts[name] })).sort((a, b) => (b.messages - a.messages) || a.name.localeCompare(b.name))
+}
+
+//--------------------------------------------------------------------------------
+// Return all months "YYYY-MM" from "first" to "last", inclusive:
+function monthRange(first, last) {
+	let months = []
+	let [year, month] = first.split('-').map(Number)
+	for (let s = first; s <= last; s = String(year) + '-' + String(month).padStart(2, '0')) {
+		months.push(s)
+		if (++month > 12) {
+			month = 1
+			year++
+		}
+	}
+	return months
+}
+
+//--------------------------------------------------------------------------------
+// Compute the statistics of "conversations" and "media" (see above); options = { timeZone }.
+// Returns { overall, conversations, largest, senders, months, hours, mediaTypes }; "overall" and each conversation
+// = { name, messages, sent, received, first, last, media, bytes, senders }; conversations with the most messages first:
+function computeStatistics(conversations, media, options = {}) {
+	const summary = (name) => ({ name: name, messages: 0, sent: 0, received: 0, first: null, last: null, media: 0, bytes: 0, senders: [] })
+	let overall = summary(null)
+	let byName = {}
+	let senders = {}
+	let months = {}
+	let hours = new Array(24).fill(0)
+	for (let conversation of conversations) {
+		let o = byName[conversation.name] = byName[conversation.name] || summary(conversation.name)
+		let conversationSenders = {}
+		for (let message of conversation.messages) {
+			for (let s of [o, overall]) {
+				s.messages++
+				s[(message.outgoing) ? 'sent' : 'received']++
+				s.first = (!s.first || (message.timestamp < s.first)) ? message.timestamp : s.first
+				s.last = (!s.last || (message.timestamp > s.last)) ? message.timestamp : s.last
+			}
+			if (message.sender) {
+				count(conversationSenders, message.sender)
+				count(senders, message.sender)
+			}
+			let wall = zonedTime(message.timestamp, options.timeZone).wall
+			count(months, wall.toISOString().slice(0, 7))
+			hours[wall.getUTCHours()]++
+		}
+		o.senders = countsToArray(conversationSenders)
+	}
+
+	let mediaTypes = {}
+	for (let file of media) {
+		let type = mediaTypes[file.type] = mediaTypes[file.type] || { type: file.type, kind: file.kind, count: 0, bytes: 0 }
+		type.count++
+		type.bytes += file.size || 0
+		let targets = [overall].concat((file.conversation && byName[file.conversation]) ? [byName[file.conversation]] : [])
+		for (let s of targets) {
+			s.media++
+			s.bytes += file.size || 0
+		}
+	}
+
+	let sorted = Object.values(byName).sort((a, b) => (b.messages - a.messages) || a.name.localeCompare(b.name))
+	let monthNames = Object.keys(months).sort()
+	overall.senders = countsToArray(senders)
+	return {
+		overall: overall,
+		conversations: sorted,
+		largest: sorted.filter(o => o.messages).slice(0, largestConversations),
+		senders: overall.senders,
+		months: (monthNames.length) ? monthRange(monthNames[0], monthNames[monthNames.length - 1]).map(month => ({ month: month, messages: months[month] || 0 })) : [],
+		hours: hours,
+		mediaTypes: Object.values(mediaTypes).sort((a, b) => (b.bytes - a.bytes) || a.type.localeCompare(b.type))
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return a number of bytes as text, e.g. "1.5 MB":
+function formatBytes(bytes) {
+	let i = 0
+	while ((bytes >= 1024) && (i < byteUnits.length - 1)) {
+		bytes /= 1024
+		i++
+	}
+	return ((i) ? bytes.toFixed(1) : String(bytes)) + ' ' + byteUnits[i]
+}
+
+//--------------------------------------------------------------------------------
+// Return the share of sent messages in percent, e.g. "42%":
+function sentShare(o) {
+	return (o.messages) ? String(Math.round(100 * o.sent / o.messages)) + '%' : ''
+}
+
+//--------------------------------------------------------------------------------
+// Return an HTML table; "columns" = [{ title, value: row => text, number (right aligned), bar: row => fraction of the maximum }]:
+function formatTable(columns, rows) {
+	const cell = (column, row) => {
+		if (column.bar) {
+			return `<td class="bar"><div style="width: ` + (100 * column.bar(row)).toFixed(1) + `%"></div></td>`
+		}
+		return `<td` + ((column.number) ? ` class="number"` : ``) + `>` + escapeHtml(column.value(row)) + `</td>`
+	}
+	let lines = [`<table>`, `<tr>` + columns.map(column => `<th>` + escapeHtml(column.title) + `</th>`).join('') + `</tr>`]
+	for (let row of rows) {
+		lines.push(`<tr>` + columns.map(column => cell(column, row)).join('') + `</tr>`)
+	}
+	lines.push(`</table>`)
+	return lines.join('\n')
+}
+
+//--------------------------------------------------------------------------------
+// Return the statistics (see "computeStatistics") as complete HTML page;
+// options = { title, language, generator, formatTime (timestamp => text) }:
+function formatStatisticsAsHtml(statistics, options) {
+	const time = (timestamp) => (timestamp) ? options.formatTime(timestamp) : ''
+	const max = (values) => Math.max(1, ...values)
+	let maxLargest = max(statistics.largest.map(o => o.messages))
+	let maxSender = max(statistics.senders.map(o => o.messages))
+	let maxMonth = max(statistics.months.map(o => o.messages))
+	let maxHour = max(statistics.hours)
+	let maxBytes = max(statistics.mediaTypes.map(o => o.bytes))
+	let summaryColumns = [
+		{ title: 'Conversation', value: o => o.name },
+		{ title: 'Messages', value: o => o.messages, number: true },
+		{ title: 'Sent', value: o => o.sent, number: true },
+		{ title: 'Received', value: o => o.received, number: true },
+		{ title: 'Sent share', value: sentShare, number: true },
+		{ title: 'First message', value: o => time(o.first) },
+		{ title: 'Last message', value: o => time(o.last) },
+		{ title: 'Media files', value: o => o.media, number: true },
+		{ title: 'Media size', value: o => formatBytes(o.bytes), number: true }
+	]
+
+	let lines = []
+	lines.push(`<!DOCTYPE html>`)
+	lines.push(`<html lang="` + escapeHtml(options.language || 'en') + `">`)
+	lines.push(`<head>`)
+	lines.push(`<meta charset="utf-8">`)
+	lines.push(`<meta name="viewport" content="width=device-width, initial-scale=1">`)
+	if (options.generator) {
+		lines.push(`<meta name="generator" content="` + escapeHtml(options.generator) + `">`)
+	}
+	lines.push(`<title>` + escapeHtml(options.title) + `</title>`)
+	lines.push(`<style>` + style + `</style>`)
+	lines.push(`</head>`)
+	lines.push(`<body>`)
+	lines.push(`<header>` + escapeHtml(options.title) + `</header>`)
+	lines.push(`<main>`)
+	lines.push(`<h2>Overall</h2>`)
+	lines.push(formatTable(summaryColumns.slice(1), [statistics.overall]))
+	lines.push(`<h2>Largest conversations</h2>`)
+	lines.push(formatTable([
+		{ title: 'Conversation', value: o => o.name },
+		{ title: 'Messages', value: o => o.messages, number: true },
+		{ title: '', bar: o => o.messages / maxLargest }
+	], statistics.largest))
+	lines.push(`<h2>Conversations</h2>`)
+	lines.push(formatTable(summaryColumns.concat([{ title: 'Senders', value: o => o.senders.map(sender => sender.name + ': ' + sender.messages).join(', ') }]), statistics.conversations))
+	lines.push(`<h2>Senders</h2>`)
+	lines.push(formatTable([
+		{ title: 'Sender', value: o => o.name },
+		{ title: 'Messages', value: o => o.messages, number: true },
+		{ title: '', bar: o => o.messages / maxSender }
+	], statistics.senders))
+	lines.push(`<h2>Activity by month</h2>`)
+	lines.push(formatTable([
+		{ title: 'Month', value: o => o.month },
+		{ title: 'Messages', value: o => o.messages, number: true },
+		{ title: '', bar: o => o.messages / maxMonth }
+	], statistics.months))
+	lines.push(`<h2>Activity by hour of the day</h2>`)
+	lines.push(formatTable([
+		{ title: 'Hour', value: o => String(o.hour).padStart(2, '0') + ':00' },
+		{ title: 'Messages', value: o => o.messages, number: true },
+		{ title: '', bar: o => o.messages / maxHour }
+	], statistics.hours.map((messages, hour) => ({ hour: hour, messages: messages }))))
+	lines.push(`<h2>Media files by type</h2>`)
+	lines.push(formatTable([
+		{ title: 'Type', value: o => o.type },
+		{ title: 'Kind', value: o => o.kind },
+		{ title: 'Files', value: o => o.count, number: true },
+		{ title: 'Size', value: o => formatBytes(o.bytes), number: true },
+		{ title: '', bar: o => o.bytes / maxBytes }
+	], statistics.mediaTypes))
+	lines.push(`</main>`)
+	lines.push(`</body>`)
+	lines.push(`</html>`)
+	return lines.join('\n') + '\n'
+}
+
+//--------------------------------------------------------------------------------
+// Return a CSV field; quoted if needed:
+function csvField(value) {
+	let s = (value === null) || (value === undefined) ? '' : String(value)
+	return (/[",\r\n]/.test(s)) ? '"' + s.replace(/"/g, '""') + '"' : s
+}
+
+//--------------------------------------------------------------------------------
+// Return the statistics (see "computeStatistics") as CSV (see above); timestamps as ISO strings:
+function formatStatisticsAsCsv(statistics) {
+	let rows = []
+	const add = (statistic, conversation, key, value) => rows.push([statistic, conversation, key, value])
+	const addSummary = (o) => {
+		add('messages', o.name, '', o.messages)
+		add('sent', o.name, '', o.sent)
+		add('received', o.name, '', o.received)
+		add('first', o.name, '', (o.first) ? o.first.toISOString() : '')
+		add('last', o.name, '', (o.last) ? o.last.toISOString() : '')
+		add('mediaFiles', o.name, '', o.media)
+		add('mediaBytes', o.name, '', o.bytes)
+		o.senders.forEach(sender => add('sender', o.name, sender.name, sender.messages))
+	}
+	addSummary(statistics.overall)
+	statistics.conversations.forEach(addSummary)
+	statistics.months.forEach(o => add('month', '', o.month, o.messages))
+	statistics.hours.forEach((messages, hour) => add('hour', '', String(hour).padStart(2, '0'), messages))
+	statistics.mediaTypes.forEach(o => {
+		add('typeFiles', '', o.type, o.count)
+		add('typeBytes', '', o.type, o.bytes)
+	})
+	return [csvHeaders].concat(rows).map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n'
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	computeStatistics,
+	formatBytes,
+	formatStatisticsAsHtml,
+	formatStatisticsAsCsv
+}
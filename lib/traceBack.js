@@ -0,0 +1,2617 @@
+'use strict'
+
+//================================================================================
+// Trace back the files of a Threema backup: the complete pipeline as library.
+//--------------------------------------------------------------------------------
+// The conversion is done in three separate stages:
+// 1) "loadArchive": read the unpacked backup folder or the backup zip file; the
+//    result contains all files (analyzed: type, hash), the CSV files with their
+//    messages, contacts, groups, distribution lists, polls and the timestamps
+//    of all files ("fileTimestamps"). Nothing on disk is changed.
+// 2) "buildPlan": derive all changes on disk as plan of actions (create folder,
+//    write, write e-mails, delete, rename/move, extract, copy, link, write
+//    metadata, set timestamp, delete folder). Nothing on disk is changed.
+// 3) "applyPlan": perform all actions of the plan; every change is recorded in
+//    a journal file, "undoJournal" reverts them.
+// Afterwards, "search" finds messages in the search index of the organized
+// folder (see "search.js").
+//--------------------------------------------------------------------------------
+// "createTraceBack(configuration)" returns an event emitter with these stages
+// as methods; all of them use its configuration (defaults: see
+// "defaultConfiguration"). Nothing is written to the console, everything is
+// reported by events:
+// - "log":      { level, message }; level is one of "logLevels"
+// - "warning":  { level, message }; the "log" events of level "warn" or higher
+// - "progress": { stage, done, total }; stage is "read", "analyze", "apply" or
+//               "undo"
+//--------------------------------------------------------------------------------
+// Example:
+//   const traceBack = require('./lib/traceBack')
+//   let tb = traceBack.createTraceBack({ saveMessagesJsonTo: '_messages.json' })
+//   tb.on('warning', o => console.log(o.message))
+//   let archive = await tb.loadArchive({ zipFile: 'backup.zip', password: 'secret', sourceDir: 'backup/' })
+//   let plan = await tb.buildPlan(archive)
+//   let journal = await tb.applyPlan(plan)
+//   tb.closeArchive(archive)
+//--------------------------------------------------------------------------------
+
+
+//================================================================================
+const author = 'Alois Ignaz Krähenmann, a.i@kraehenmann.org'
+//--------------------------------------------------------------------------------
+const sourceDate = '2022-05-26T09:34:40.501Z'
+const sourceVersion = 'v0.9.0'
+const prgName = 'threemaFilesTraceBack' // used for names of temporary files and as generator of exported files
+
+//================================================================================
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const { spawn } = require('child_process')
+const csvtojson = require('csvtojson') // https://github.com/Keyang/node-csvtojson#api
+const fileType = require('file-type')
+const probe = require('node-ffprobe')
+const zipArchive = require('./zipArchive')
+const htmlExport = require('./htmlExport')
+const ballots = require('./ballots')
+const geoExport = require('./geoExport')
+const mediaMetadata = require('./mediaMetadata')
+const workerPool = require('./workerPool')
+const schema = require('./schema')
+const locales = require('./locales')
+const search = require('./search')
+const statistics = require('./statistics')
+const redaction = require('./redaction')
+const mailExport = require('./mailExport')
+const { plural, singularPlural, strftime, pathExistsSync, normalizePath, ensureTrailingSlash, cleanText, validPlatformName, epochToLocal, zonedTime, normalizeObj, arrayToObject, arrayContainsArray, dynamicSort } = require('./utils')
+
+
+//--------------------------------------------------------------------------------
+// list of CSV columns that contain interesting text:
+const textCsvHeaders = ['body', 'caption'] // in fact, they are all mandatory
+// full list of CSV columns that are used for processing:
+const relevantHeaders = textCsvHeaders.concat(['uid', 'identity', 'isoutbox', 'type', 'fileTimestamp', 'fileTimestampISO', 'file', 'location']) // in fact, they are all mandatory
+// list of CSV columns that must be present to recognize a file of messages:
+const messagesFileHeaders = ['uid', 'type', 'created_at'] // if these headers are present in a CSV file then it contains a list of messages
+//--------------------------------------------------------------------------------
+// list of CSV columns that contain interesting information in a group file:
+const groupCsvHeaders = ['identity', 'fullname', 'id', 'type'] // "identity" and "fullname" are a must have; used to filter!
+// list of CSV columns that contain interesting information in a contact file:
+const contactCsvHeaders = groupCsvHeaders
+// list of CSV columns that contain interesting information in a distribution list file:
+const distributionListCsvHeaders = groupCsvHeaders.concat(['members', 'csvName'])
+
+//--------------------------------------------------------------------------------
+const findOriginal = { // if a filename contains "find", and another one contains "original", and the filenames are otherwise equal then the former is marked with "found"; or deleted completely if "deleteThumbnailIfOriginalExists = true":
+	find: 'thumbnail',
+	original: 'media',
+	found: '~_'
+}
+const skipFiles = ['identity', 'settings'] // files ("base") that should not be processed at all
+const specialCsvFiles = { // files with these names must be handled especially:
+	contacts: 'contacts',
+	groups: 'groups',
+	distributionLists: 'distribution_list'
+}
+const ballotCsvFiles = { // polls; joined and added to the conversations:
+	ballots: 'ballot',
+	choices: 'ballot_choice',
+	votes: 'ballot_vote'
+}
+const skipCsvFiles = Object.values(specialCsvFiles).concat(Object.values(ballotCsvFiles)) // CSV files to skip
+// parameters for the CSV to JSON conversion; derived from the file format Threema is using:
+const csvToJson = {
+	noheader: false,
+	delimiter: ',',
+	quote: '"'
+}
+//--------------------------------------------------------------------------------
+const logLevels = ['trace', 'debug', 'info', 'warn', 'error', 'fatal']
+// declare array indexes as constants (for convenience and code stability):
+const logLevelTrace = 0
+const logLevelDebug = 1
+const logLevelInfo = 2
+const logLevelWarn = 3
+const logLevelError = 4
+const logLevelFatal = 5
+
+//--------------------------------------------------------------------------------
+const logFileExtension = '.log'
+const planJsonExtension = '.json'
+const planTextExtension = '.txt'
+const gpxExtension = '.gpx'
+const geoJsonExtension = '.geojson'
+const htmlExtension = '.html'
+const csvExtension = '.csv'
+//--------------------------------------------------------------------------------
+const knownFileTypes = ['csv', 'txt', 'json', 'jsonl', gpxExtension.replace(/^\.+/, ''), geoJsonExtension.replace(/^\.+/, ''), logFileExtension.replace(/^\.+/, '')] // no type recognition needed for files with these extensions
+const outputMethods = ['copy', 'hardlink', 'reflink'] // how files get into a separate output folder
+const duplicateStrategies = ['report', 'delete', 'hardlink', 'symlink'] // what happens to duplicates in different folders of the whole archive
+const duplicateKeepPolicies = ['first', 'newest', 'largest', 'busiest', 'conversation'] // which of the duplicates in the whole archive is kept as the real file
+const redactMediaModes = ['strip', 'drop', 'keep'] // what a redaction does with the media files
+const mailFormats = ['mbox', 'maildir'] // how the e-mails of a conversation are stored
+const fileTypeSampleSize = 64 * 1024 // number of bytes of a zip entry to analyze for type recognition
+const templatePlaceholders = ['conversation', 'year', 'month', 'day', 'date', 'time', 'timestamp', 'sender', 'direction', 'type', 'caption', 'uid', 'originalFilename', 'name'] // allowed in "folderTemplate" and "fileNameTemplate"
+const templateCaptionLength = 60 // longer captions are shortened in filenames
+
+
+//--------------------------------------------------------------------------------
+// Default values and prototype of the configuration; a new object for each call:
+function defaultConfiguration() {
+	return {
+		saveIndexTo: '_index.json', // list of all files and messages in the organized folder; needed to add only new ones from a later backup
+		saveJournalTo: prgName + '_' + epochToLocal((new Date()).getTime()).toISOString().replace(/\.\d+/, '').replace(/[^\d]/g, '') + '_journal.jsonl', // in the source folder; needed to undo all changes
+		deleteThumbnailIfOriginalExists: true,
+		removeDuplicatesWithinFolder: true,
+		duplicateStrategy: duplicateStrategies[0], // duplicates in the whole archive: "report" (list only), "delete" (keep one), "hardlink" or "symlink" (keep one, all others become links to it)
+		duplicateKeep: duplicateKeepPolicies[0], // the duplicate that is kept: "first" (posted), "newest" (posted), "largest" (in the largest conversation: the one with the most messages; all duplicates have the same size), "busiest" (the same as "largest"), "conversation" (see "duplicatePreferredConversations")
+		duplicatePreferredConversations: [], // names or identities of contacts and groups, most preferred first; for "duplicateKeep": "conversation"
+		onlyConversations: [], // names or identities of contacts, groups and distribution lists (a part is enough); only their conversations are processed; empty = all
+		excludeConversations: [], // names or identities of contacts, groups and distribution lists (a part is enough) whose conversations are not processed
+		since: null, // e.g. "2021" or "2021-03-14"; only messages of this day or later (in "timeZone") are processed; empty = from the first one
+		until: null, // e.g. "2021-12" or "2021-12-31"; only messages of this day or earlier (in "timeZone") are processed; empty = up to the last one
+		removeEmptyFolders: true,
+		writeTimestampIntoFiles: false, // write the moment a file was posted into the file itself: EXIF of JPEG files, creation time of MP4/MOV files
+		writeDescriptionIntoFiles: false, // together with "writeTimestampIntoFiles": write caption and sender into EXIF of JPEG files and into the user data of videos
+		concurrency: null, // number of files analyzed (type, hash) at the same time; empty = number of processor cores
+		outputMethod: outputMethods[0], // only with a separate output folder: "copy", "hardlink" (no file timestamps adjusted, they are shared with the original file), "reflink" (copy-on-write; a normal copy if not supported by the file system)
+		saveDuplicateFileNamesTo: '_duplicates.txt',
+		saveIntegrityReportTo: '_integrity.txt', // in the main folder: files without message, file messages without media file, thumbnails without original, uid collisions; empty = no integrity report
+		folderTemplate: null, // e.g. "Photos/{year}/{month}"; folder of each file of a message, relative to the main folder; empty = the folder of its conversation
+		fileNameTemplate: null, // e.g. "{conversation} {date} {caption}"; name of each file of a message, without extension; empty = timestamp ("fileTimestampFormat") and purified original filename
+		saveMessagesTextsTo: '_texts.txt',
+		saveRecipientsTo: '_recipients.txt', // all recipients of a distribution list; empty = no recipients file
+		savePollsTo: '_polls.txt', // all polls of a conversation with choices, votes and results; empty = no polls file (polls are part of the texts anyway)
+		saveLocationsTo: '_locations', // shared locations; extensions ".gpx" and ".geojson" are added; in each conversation folder and (all conversations) in the main folder; empty = no location files
+		saveMessagesHtmlTo: 'index.html', // chat view of all messages with media files; empty = no HTML file
+		saveMessagesJsonTo: null, // e.g. "_messages.json" (one JSON object) or "_messages.jsonl" (one message per line); all messages with full metadata; empty = no JSON file
+		saveMessagesMailTo: null, // e.g. "_messages.mbox"; all messages as e-mails with their media files as attachments, one thread per conversation, in each conversation folder; empty = no e-mails
+		mailFormat: mailFormats[0], // "mbox" (one file with all e-mails) or "maildir" (a folder with one file per e-mail)
+		mailDomain: 'threema.invalid', // domain of the addresses of all senders and recipients, e.g. "ABCD1234@threema.invalid"; "me" is the local part of your own address
+		saveSearchIndexTo: '_search.json', // in the main folder: texts of all messages of all conversations for the "search" command; empty = no search index
+		searchContext: 1, // number of messages shown before and after each hit of a search
+		saveStatisticsTo: '_statistics', // in the main folder: messages per conversation and sender, activity by month and hour, media files by type; extensions ".html" and ".csv" are added; empty = no statistics
+		redact: false, // replace names and identities of contacts, groups and distribution lists by pseudonyms (folders, filenames, transcripts) and mask personal data in texts; needs an output folder or a zip file
+		redactPatterns: redaction.defaultPatterns(), // name => regular expression; every match in a text is replaced by "[name]"
+		redactMedia: redactMediaModes[0], // with "redact": "strip" (remove the metadata of JPEG and MP4/MOV files), "drop" (no media files at all), "keep" (as they are)
+		saveRedactionMappingTo: '_redaction.json', // with "redact": the pseudonyms and the real names; in the folder that contains the redacted folder, never in it; reused by later redactions; empty = new pseudonyms every time
+		fileTimestampFormat: '%Y-%m-%d %H:%M:%S', // https://github.com/thdoan/strftime/blob/master/strftime.js
+		textTimestampFormat: '%Y-%m-%d %H:%M:%S', // https://github.com/thdoan/strftime/blob/master/strftime.js; e.g. "%Y-%m-%d %H:%M:%S %z" shows the offset to UTC
+		locale: 'device', // language of the names of days and months and of the date and time formats ("%x", "%X"): e.g. "de", "fr-CA", or "device" (the language of this computer); see "locales.js"
+		localeLabels: false, // true = the labels in transcripts and filenames ("me", "tn", ...) are those of the locale too, "thumbnail" of "replaceFileNamePart" is then ignored; false = always the English ones
+		timeZone: 'device', // time zone of all timestamps in filenames, texts and files: an IANA name like "Europe/Zurich" (daylight saving time included) or "device" (the time zone of this computer)
+		days: null, // e.g. ["So", "Mo", ...]; names of the days, Sunday first; empty = those of the locale
+		months: null, // names of the months, January first; empty = those of the locale
+		replaceFileNamePart: {
+			'group': '', // in filenames replace "group" by ""
+			'distribution': '', // in filenames replace "distribution" by ""
+			'list': '', // in filenames replace "list" by ""
+			'media': '', // in filenames replace "media" by ""
+			'message': '', // in filenames replace "message" by ""
+			'thumbnail': 'tn' // in filenames replace "thumbnail" by "tn"
+		},
+		replaceStringPart: { // define more filename parts and their replacement:
+			//'_': '+',
+			//'~': '!!!!!!'
+		}
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Types and allowed values of all keys of the configuration (see "schema.js"); a new object for each call:
+function configurationSchema() {
+	return {
+		saveIndexTo: { type: 'filename', nullable: true },
+		saveJournalTo: { type: 'filename', nullable: true },
+		deleteThumbnailIfOriginalExists: { type: 'boolean' },
+		removeDuplicatesWithinFolder: { type: 'boolean' },
+		duplicateStrategy: { type: 'enum', values: duplicateStrategies },
+		duplicateKeep: { type: 'enum', values: duplicateKeepPolicies },
+		duplicatePreferredConversations: { type: 'array' },
+		onlyConversations: { type: 'array' },
+		excludeConversations: { type: 'array' },
+		since: { type: 'date', nullable: true },
+		until: { type: 'date', nullable: true },
+		removeEmptyFolders: { type: 'boolean' },
+		writeTimestampIntoFiles: { type: 'boolean' },
+		writeDescriptionIntoFiles: { type: 'boolean' },
+		concurrency: { type: 'integer', min: 1, nullable: true },
+		outputMethod: { type: 'enum', values: outputMethods },
+		saveDuplicateFileNamesTo: { type: 'filename', nullable: true },
+		saveIntegrityReportTo: { type: 'filename', nullable: true },
+		folderTemplate: { type: 'template', values: templatePlaceholders, nullable: true },
+		fileNameTemplate: { type: 'template', values: templatePlaceholders, nullable: true },
+		saveMessagesTextsTo: { type: 'filename', nullable: true },
+		saveRecipientsTo: { type: 'filename', nullable: true },
+		savePollsTo: { type: 'filename', nullable: true },
+		saveLocationsTo: { type: 'filename', nullable: true },
+		saveMessagesHtmlTo: { type: 'filename', nullable: true },
+		saveMessagesJsonTo: { type: 'filename', nullable: true },
+		saveMessagesMailTo: { type: 'filename', nullable: true },
+		mailFormat: { type: 'enum', values: mailFormats },
+		mailDomain: { type: 'string' },
+		saveSearchIndexTo: { type: 'filename', nullable: true },
+		searchContext: { type: 'integer', min: 0 },
+		saveStatisticsTo: { type: 'filename', nullable: true },
+		redact: { type: 'boolean' },
+		redactPatterns: { type: 'patterns' },
+		redactMedia: { type: 'enum', values: redactMediaModes },
+		saveRedactionMappingTo: { type: 'filename', nullable: true },
+		fileTimestampFormat: { type: 'strftime' },
+		textTimestampFormat: { type: 'strftime' },
+		locale: { type: 'locale' },
+		localeLabels: { type: 'boolean' },
+		timeZone: { type: 'timezone' },
+		days: { type: 'array', length: 7, nullable: true },
+		months: { type: 'array', length: 12, nullable: true },
+		replaceFileNamePart: { type: 'map' },
+		replaceStringPart: { type: 'map' }
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Report a message as "log" event; messages of level "warn" or higher also as "warning" event:
+function log(run, level, s) {
+	let o = { level: logLevels[level], message: s }
+	run.emit('log', o)
+	if (level >= logLevelWarn) {
+		run.emit('warning', o)
+	}
+}
+
+
+//--------------------------------------------------------------------------------
+// Create folder synchronously:
+function createDirSync(run, path, doThrow = true, recursive = true) {
+	try {
+		if (!pathExistsSync(path)) {
+			fs.mkdirSync(path, { recursive: recursive }) // "recursive" creates all the needed folders "on the way"
+		}
+		return true
+
+	} catch(err) {
+		log(run, logLevelError, `could not create directory '` + path + `'; ` + err)
+		if (doThrow) {
+			throw err
+
+		} else {
+			return false
+		}
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return the sha256 hash for a file; "file" is an object that will get additional hash keys; "fullName" is the (future) location of the file:
+async function getHash(run, file, fullName) {
+	try {
+		// the content is streamed, never read as a whole; calculated only once, e.g. before by "analyzeFile":
+		let hashSum = file.hash || await hashFromStream(createReadStreamOf(file))
+
+		// replace filename+extension part of "fullName" by the hash:
+		let path = normalizePath(fullName).split('/')
+		path[path.length - 1] = hashSum // overwrite filename+extension part with hash
+
+		// add new information to original object:
+		file.hash = hashSum
+		file.pathHash = path.join('/')
+
+	} catch(err) {
+		log(run, logLevelError, `could not calculate hash for file '` + file.fullname + `'; ` + err)
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return a readable stream with the content of a file or of an entry of a zip file:
+function createReadStreamOf(file) {
+	return (file.zipEntry) ? zipArchive.createEntryStream(file.zip, file.zipEntry) : fs.createReadStream(file.fullname)
+}
+
+//--------------------------------------------------------------------------------
+// Return the sha256 hash of all data of a readable stream:
+function hashFromStream(stream) {
+	return new Promise((resolve, reject) => {
+		let hashSum = crypto.createHash('sha256')
+		stream.on('data', chunk => hashSum.update(chunk))
+		stream.on('error', reject)
+		stream.on('end', () => resolve(hashSum.digest('hex')))
+	})
+}
+
+//--------------------------------------------------------------------------------
+// "node-ffprobe" returns an object, its key "format_long_name" is a string that has to be analyzed heuristically (sad thing)
+// Examples for "format_long_name": "MPEG-PS (MPEG-2 Program Stream)", "QuickTime / MOV", "raw MPEG video"
+function getType(s) {
+	s = s.replace(/\([^)]*\)/g, '').toLowerCase().trim() // drop information in parenthesis
+	if (s === 'modplug demuxer') { // special case "mid":
+		s = 'mid'
+
+	} else if (/raw\s+[^\s]/i.test(s)) { // get second word if string is like "raw ..."
+		s = s.replace('raw adts', 'raw').replace(/^.*raw\s+([^\s]+).*$/, ($1, $2) => $2).trim()
+	}
+	return s.split(' ').pop().replace('2/3', '3').replace('wave', 'wav').replace('voice', 'voc').replace('mpeg-4', 'mp4').replace('realmedia', 'rm').split(/\W/)[0] // take only first part in a word; e.g. "mpeg" of "mpeg-ps"
+}
+
+//--------------------------------------------------------------------------------
+// Get the timestamp (stored as guid) in a filename from known timestamps:
+function timestampFromFilename(a, fileTimestamps) {
+	if (!Array.isArray(a)) { // string was provided:
+		a = a.split('_')
+	}
+	for (let s of a) {
+		if (fileTimestamps[s] !== undefined) { // "fileTimestamps" contains the real timestamp to the timestamp guid
+			return fileTimestamps[s]
+		}
+	}
+	return null
+}
+
+//--------------------------------------------------------------------------------
+// Get the identity (stored as guid) stored in a filename from known identities:
+function identityFromFilename(a, identities) {
+	if (!Array.isArray(a)) { // string was provided:
+		a = a.split('_')
+	}
+	for (let s of a) {
+		if (identities[s] !== undefined) { // "identities" contains the fulltext identity to the identity guid
+			return identities[s]
+		}
+	}
+	// none found, try brute force: try to find a string part in the keys "id":
+	for (let s of a) {
+		for (let key in identities) {
+			if (identities[key].id && (identities[key].id === s)) {
+				return identities[key]
+			}
+		}
+	}
+	return null
+}
+
+//--------------------------------------------------------------------------------
+// Get the fullname of the author of a CSV row; in contact conversations only the flag "isoutbox" tells who was the sender ("me" = label of your own messages):
+function authorFromRow(row, csv, identities, me = 'me') {
+	let author = ((row.identity && identities[row.identity]) ? identities[row.identity].fullname : null)
+	if ((!author) && (row.isoutbox !== undefined) && (row.isoutbox !== null)) {
+		author = (Number(row.isoutbox) ? me : ((csv.identity) ? csv.identity.fullname : null))
+	}
+	return author
+}
+
+//--------------------------------------------------------------------------------
+// Return the text of a message (of "csv.messages") as body of an e-mail: text, caption, location with link, poll with its results; "labels" of the locale:
+function messageAsText(message, labels) {
+	let parts = [message.text, message.caption]
+	if (message.location) {
+		parts.push(geoExport.formatLocationAsText(message.location, labels.location) + '\n' + geoExport.locationToUrl(message.location))
+	}
+	if (message.poll) {
+		let poll = Object.assign({}, message.poll, { choices: message.poll.choices.map(choice => Object.assign({}, choice, { voters: choice.voters.map(voter => voter.fullname) })) })
+		parts.push(ballots.formatPollAsLines(poll, (name) => name, labels).join('\n'))
+	}
+	return parts.filter(s => s).join('\n\n')
+}
+
+//--------------------------------------------------------------------------------
+// Try to replace parts of a filename 1) by known identities and 2) by replacements defined in the configuration:
+// params = { includeReplaceParts [true|false], includeReplaceChars [true|false] }
+function replaceNameParts(a, identities, params, configuration) {
+	if (!Array.isArray(a)) { // string was provided:
+		a = a.split('_')
+	}
+	for (let i = 0; i < a.length; i++) {
+		let identity = identityFromFilename(a[i], identities)
+		if (identity) {
+			a[i] = identity.fullname
+
+		} else if (params && params.includeReplaceParts && (configuration.replaceFileNamePart[a[i]] !== undefined)) {
+			a[i] = configuration.replaceFileNamePart[a[i]]
+		}
+	}
+	// make the filename string:
+	let s = a.join('_').replace(/_{2,}/g, '_').replace(/^_/, '').replace(/[_.]+$/, '')
+	// do further replacements on the string if requested:
+	if (params && params.includeReplaceChars) {
+		for (let key in configuration.replaceStringPart) {
+			s = s.split(key).join(configuration.replaceStringPart[key])
+		}
+	}
+	return validPlatformName(s)
+}
+
+//--------------------------------------------------------------------------------
+// Replace all placeholders "{key}" in "template" by the values of object "values"; unknown placeholders are removed.
+// Returns the parts of the resulting path as array; each part is a valid name, empty parts are left out:
+function fillTemplate(template, values) {
+	return String(template).split(/[\\/]/).map(part => {
+		part = part.replace(/\{(\w+)\}/g, (match, key) => {
+			let value = ((values[key] !== undefined) && (values[key] !== null)) ? cleanText(values[key]) : ''
+			return value.replace(/[\\/]/g, '-') // a value never creates a sub-folder
+		})
+		return validPlatformName(part.replace(/\s+/g, ' ').trim()).replace(/^\.+$/, '').trim() // no "." or ".." folders
+	}).filter(part => part)
+}
+
+//--------------------------------------------------------------------------------
+// Return folder name, identity and full name (with a redaction: the real one, too) of the conversation of CSV file "csv"; lower case, one per line:
+function conversationNames(csv) {
+	return [csv.nameExplicit].concat((csv.identity) ? [csv.identity.identity, csv.identity.fullname, csv.identity.unredacted || ''] : []).join('\n').toLowerCase()
+}
+
+//--------------------------------------------------------------------------------
+// Return "true" if the conversation of "csv" is selected by "onlyConversations" and "excludeConversations"; a part of its folder name or of its identity is enough:
+function isSelectedConversation(csv, configuration) {
+	let name = conversationNames(csv)
+	const matches = (list) => list.some(s => s && (name.indexOf(String(s).toLowerCase()) !== -1))
+	return ((!configuration.onlyConversations.length) || matches(configuration.onlyConversations)) && !matches(configuration.excludeConversations)
+}
+
+//--------------------------------------------------------------------------------
+// Return "true" if "date" is within "since" and "until" (both inclusive; days in "timeZone"); without date only if there is no range:
+function isInDateRange(date, configuration) {
+	if (!date) {
+		return !(configuration.since || configuration.until)
+	}
+	let day = zonedTime(date, configuration.timeZone).wall.toISOString().slice(0, 10)
+	return !((configuration.since && (day.slice(0, configuration.since.length) < configuration.since)) || (configuration.until && (day.slice(0, configuration.until.length) > configuration.until)))
+}
+
+//--------------------------------------------------------------------------------
+// Sort an array of duplicate files (same content in the whole archive) by the keep policy of "configuration"; the file to keep comes first:
+// "first" and "newest" posted; "largest" (or "busiest") = in the conversation with the most messages; "conversation" = in the first of "duplicatePreferredConversations"
+function sortDuplicates(a, configuration, csvFiles) {
+	let conversations = {} // destination folder => CSV file of the conversation
+	for (let csv of csvFiles) {
+		conversations[csv.destDir] = csv
+	}
+	let preferred = (configuration.duplicatePreferredConversations || []).map(s => String(s).toLowerCase())
+	const time = (file) => (file.timestampISO) ? file.timestampISO.getTime() : Infinity // files without timestamp come last
+	const rank = (file) => {
+		let csv = conversations[file.conversationDir]
+		switch (configuration.duplicateKeep) {
+			case 'newest':
+				return (file.timestampISO) ? -file.timestampISO.getTime() : Infinity
+			case 'largest':
+			case 'busiest':
+				return (csv) ? -csv.rows.length : Infinity
+			case 'conversation':
+				let name = (csv) ? conversationNames(csv) : ''
+				let i = preferred.findIndex(s => s && (name.indexOf(s) !== -1)) // part of the folder name or the identity is enough
+				return (i !== -1) ? i : Infinity
+			default:
+				return time(file)
+		}
+	}
+	return a.sort((a, b) => (rank(a) - rank(b)) || (time(a) - time(b)) || a.duplicateIdx.localeCompare(b.duplicateIdx))
+}
+
+//--------------------------------------------------------------------------------
+// Read (recursively) all files from a directory and return them unordered as array of objects with keys fullname, root, dir, base, ext, name, dev, mode, nlink, uid, gid, rdev, blksize, ino, size, blocks, atimeMs, mtimeMs, ctimeMs, birthtimeMs, atime, mtime, ctime, birthtime:
+// Collect all empty folders "on the way", remove them in the end if "delEmptyFolders" is "true."
+function getAllFilesSync(run, dir, recursive, fullnameRegExp, delEmptyFolders = false) {
+	try {
+		let files = [] // list of files, no sub-folders
+		let empties = [] // gather empty sub-folders on the way
+		fs.readdirSync(dir).forEach(filename => {
+			let file = { fullname: path.resolve(dir, filename) }
+			Object.assign(file, path.parse(file.fullname))
+			//console.log(JSON.stringify(file))
+			const stat = fs.statSync(file.fullname)
+			if (stat.isDirectory() && recursive) {
+				let l = files.length
+				files = files.concat(getAllFilesSync(run, file.fullname, recursive, fullnameRegExp, delEmptyFolders))
+				if (files.length === l) {
+					empties.push(String(file.fullname.length).padStart(5, '0') + '\t' + file.fullname) // add sort string to the left; tab-delimited
+				}
+
+			} else if (stat.isFile() && ((!fullnameRegExp) || fullnameRegExp.test(file.fullname))) {
+				files.push(Object.assign(file, stat))
+			}
+		})
+		// remove empty folders if requested:
+		if (delEmptyFolders) {
+			empties.sort() // sort by string length; delete from longer paths to shorter paths
+			for (let i = empties.length - 1; i >= 0; i--) {
+				try {
+					fs.rmdirSync(empties[i].split('\t')[1])
+					log(run, logLevelDebug, `ok, could delete empty folder '` + empties[i].split('\t')[1] + `'`)
+
+				} catch(err) {
+					log(run, logLevelError, `could not delete empty folder '` + empties[i].split('\t')[1] + `'; ` + err)
+				}
+			}
+		}
+		return files // contains all keys of "fs.parse()" and "fs.stat()"
+
+	} catch(err) {
+		log(run, logLevelError, `could not ` + ((recursive) ? `recursively ` : ``) + `get list of files` + ((fullnameRegExp) ? ` fulfilling ` + fullnameRegExp.toString() : ``) + ` from directory '` + dir + `'; ` + err)
+		throw err
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return all entries of an opened zip file as if they were unpacked into directory "dir"; same keys as "getAllFilesSync", plus "zip" and "zipEntry":
+function getAllZipEntriesSync(zip, dir, recursive) {
+	let files = []
+	for (let entry of zip.entries) {
+		if ((!entry.isDirectory) && (recursive || (entry.name.indexOf('/') === -1))) {
+			let file = { fullname: path.resolve(dir, entry.name) }
+			Object.assign(file, path.parse(file.fullname))
+			Object.assign(file, {
+				size: entry.size,
+				atime: entry.mtime,
+				mtime: entry.mtime,
+				atimeMs: entry.mtime.getTime(),
+				mtimeMs: entry.mtime.getTime(),
+				zip: zip,
+				zipEntry: entry
+			})
+			files.push(file)
+		}
+	}
+	return files
+}
+
+//--------------------------------------------------------------------------------
+// Open the Threema backup zip file; "password" is a string or a (async) function returning it, called only if the zip file is encrypted:
+async function openBackupZip(zipFile, password) {
+	let zip = zipArchive.openZipSync(zipFile) // throws with message on error
+	try {
+		if (zipArchive.isEncrypted(zip)) {
+			zip.password = (typeof password === 'function') ? await password() : password
+			if ((zip.password === null) || (zip.password === undefined)) {
+				throw new Error(`zip file '` + zipFile + `' is encrypted; no password provided`)
+			}
+			if (!zipArchive.checkPassword(zip)) {
+				throw new Error(`wrong password for zip file '` + zipFile + `'`)
+			}
+		}
+		return zip
+
+	} catch(err) {
+		zipArchive.closeZipSync(zip)
+		throw err
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Determine the file type with "file-type"; entries of a zip file are analyzed without extracting them:
+async function fileTypeFromFile(file) {
+	if (file.zipEntry) { // "fileType.fromStream" fails for files shorter than the bytes it wants to look at; use the beginning of the file instead:
+		return await fileType.fromBuffer(await zipArchive.readEntry(file.zip, file.zipEntry, fileTypeSampleSize))
+	}
+	return await fileType.fromFile(file.fullname)
+}
+
+//--------------------------------------------------------------------------------
+// Analyze file with "node-ffprobe"; entries of a zip file are piped into "ffprobe" (same program and output), their decrypted data is never written to disk:
+async function probeFile(file) {
+	if (!file.zipEntry) {
+		return await probe(file.fullname)
+	}
+	return await new Promise((resolve, reject) => {
+		let stream = zipArchive.createEntryStream(file.zip, file.zipEntry) // may throw; is converted to a rejection
+		let proc = spawn(probe.FFPROBE_PATH || 'ffprobe', ['-hide_banner', '-loglevel', 'fatal', '-show_error', '-show_format', '-print_format', 'json', '-i', 'pipe:0'], { stdio: ['pipe', 'pipe', 'ignore'] })
+		let output = []
+		proc.stdout.setEncoding('utf8')
+		proc.stdout.on('data', data => output.push(data))
+		proc.stdin.on('error', () => {}) // "ffprobe" stops reading as soon as it knows enough
+		stream.on('error', err => {
+			proc.kill()
+			reject(err)
+		})
+		proc.on('error', err => {
+			stream.destroy()
+			reject(err)
+		})
+		proc.on('close', () => {
+			stream.destroy()
+			try {
+				resolve(JSON.parse(output.join('')))
+			} catch(err) {
+				reject(err)
+			}
+		})
+		stream.pipe(proc.stdin)
+	})
+}
+
+//--------------------------------------------------------------------------------
+// Determine the type of a file, first with "file-type", then with "node-ffprobe"; "null" if both fail:
+async function detectFileType(run, file) {
+	try {
+		let type = await fileTypeFromFile(file) // may return null; object { ext: ..., ... } otherwise
+		if (!type) {
+			throw new Error(`:-(`)
+		}
+		return type
+
+	} catch(err) {
+		try {
+			let tmp = await probeFile(file) // may throw
+			if (tmp && tmp.format && tmp.format.format_long_name) {
+				return { ext: getType(tmp.format.format_long_name) }
+
+			} else {
+				throw new Error(`:-(`)
+			}
+
+		} catch(err) {
+			log(run, logLevelError, `could not determine file type for file '` + file.fullname + `'; tried several approaches, giving up`)
+			return null
+		}
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Analyze a file before it is renamed: determine its type (unless "known") and its hash (if "withHash"); the results are stored in "file":
+async function analyzeFile(run, file, known, withHash) {
+	if (!known) {
+		file.detectedType = await detectFileType(run, file)
+	}
+	if (withHash && !file.hash) {
+		try {
+			file.hash = await hashFromStream(createReadStreamOf(file))
+
+		} catch(err) {
+			log(run, logLevelError, `could not calculate hash for file '` + file.fullname + `'; ` + err)
+		}
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Read csv file (object with keys "fullname" and optionally "zip" and "zipEntry"), convert it to JSON and return the resulting array:
+async function getCsvFileAsJSON(run, file, isMessagesCsv = true) {
+	try {
+		let stream = createReadStreamOf(file) // may throw
+		let headers = []
+		let converter = csvtojson(Object.assign({ // some sacrosanct values:
+			output: 'json',
+			checkType: false,
+			flatKeys: false,
+			nullObject: true
+		}, csvToJson)).on('header', (row) => { headers = row })
+		stream.on('error', err => converter.emit('error', err)) // "pipe" doesn't forward read errors, e.g. a wrong password
+		let data = await converter.fromStream(stream) // parsed while read; the file is never a string as a whole
+		if (headers.length) {
+			const lower = headers.map(s => s.toLowerCase()) // strict low case
+			//log(run, logLevelFatal, '========>>>>>\t' + file + '\t' + headers.join('\t'))
+			if (arrayContainsArray(lower, messagesFileHeaders)) { // CSV file contains list of messages:
+				return data
+
+			} else if (!isMessagesCsv) { // general csv requested:
+				return data
+
+			} else { // just any non-interesting csv:
+				return []
+			}
+
+		} else {
+			let err = new Error(`no data contained`)
+			throw err
+		}
+
+	} catch(err) {
+		log(run, logLevelError, `could not read file '` + file.fullname + `' and convert it to JSON; ` + err)
+		throw err
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return (recursively) all sub-folders of a directory, without trailing slash:
+function getAllDirsSync(dir) {
+	let dirs = []
+	for (let entry of fs.readdirSync(dir, { withFileTypes: true })) {
+		if (entry.isDirectory()) {
+			let fullname = normalizePath(path.resolve(dir, entry.name))
+			dirs.push(fullname)
+			dirs = dirs.concat(getAllDirsSync(fullname))
+		}
+	}
+	return dirs
+}
+
+//--------------------------------------------------------------------------------
+// Read the index of an organized folder; without index file, the files in the folder are analyzed (no message IDs known then):
+// index = { files: [{ path, uid, hash }], messages: { [conversation folder]: [uid, ...] } }; paths relative to "dir"
+async function readArchiveIndex(run, dir) {
+	let fullname = dir + run.configuration.saveIndexTo
+	if (run.configuration.saveIndexTo && pathExistsSync(fullname)) {
+		let index = JSON.parse(fs.readFileSync(fullname, 'utf8')) // may throw
+		if (!Array.isArray(index.files) || (typeof index.messages !== 'object')) {
+			throw new Error(`'` + fullname + `' is not an index file`)
+		}
+		log(run, logLevelInfo, `index file '` + fullname + `' contains ` + singularPlural(index.files.length, 'file') + ` and ` + singularPlural(Object.values(index.messages).reduce((n, a) => n + a.length, 0), 'message'))
+		return index
+	}
+	log(run, logLevelWarn, `no index file '` + fullname + `' found; will analyze all files in folder '` + dir + `', new messages are recognized by their texts only`)
+	let files = getAllFilesSync(run, dir, true).filter(o => (knownFileTypes.indexOf(o.ext.replace(/^\.+/, '').toLowerCase()) === -1) && (skipFiles.indexOf(o.base) === -1))
+	return {
+		files: await workerPool.runPool(files, run.configuration.concurrency, async (o) => ({
+			path: normalizePath(path.relative(dir, o.fullname)),
+			uid: null,
+			hash: await hashFromStream(fs.createReadStream(o.fullname))
+		})),
+		messages: {}
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return the full name of the mapping file of a redaction: in the folder that contains the redacted folder "targetDir", never in it; "null" if none is configured:
+function mappingFileOf(run, targetDir) {
+	return (run.configuration.saveRedactionMappingTo) ? ensureTrailingSlash(path.dirname(path.resolve(targetDir))) + run.configuration.saveRedactionMappingTo : null
+}
+
+//--------------------------------------------------------------------------------
+// Create an empty plan; all changes on disk are collected as actions first, and applied or just reported afterwards:
+function createPlan(sourceDir, zipFile = null, outDir = null) {
+	return {
+		sourceDir: sourceDir,
+		zipFile: zipFile,
+		outDir: outDir,
+		actions: [],
+		paths: {} // state of each path after all actions so far: "true" = exists, "false" = does not exist anymore
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Key for a path in "plan.paths"; absolute, no backslashes, no trailing slash:
+function planKey(fullname) {
+	return normalizePath(path.resolve(fullname))
+}
+
+//--------------------------------------------------------------------------------
+// Add an action to the plan and keep track of the paths it creates or removes:
+// { action: 'mkdir', fullname }
+// { action: 'write', fullname, content, reason }
+// { action: 'mail', fullname, format, mails }
+// { action: 'delete', fullname, reason, original }
+// { action: 'skip', from, reason, original }
+// { action: 'move', from, to }
+// { action: 'extract', from, to, file }
+// { action: 'copy', from, to, method }
+// { action: 'link', from, to, method, original }
+// { action: 'metadata', fullname, timestamp, description, artist, strip }
+// { action: 'timestamp', fullname, timestamp }
+// { action: 'rmdir', fullname }
+function addAction(plan, action) {
+	plan.actions.push(action)
+	if ((action.action === 'mkdir') || (action.action === 'write') || (action.action === 'mail')) {
+		plan.paths[planKey(action.fullname)] = true
+
+	} else if ((action.action === 'delete') || (action.action === 'rmdir')) {
+		plan.paths[planKey(action.fullname)] = false
+
+	} else if ((action.action === 'move') || (action.action === 'extract') || (action.action === 'copy')) {
+		if (action.action === 'move') {
+			plan.paths[planKey(action.from)] = false
+		}
+		plan.paths[planKey(action.to)] = true
+	}
+	return action
+}
+
+//--------------------------------------------------------------------------------
+// Check if file or folder exists after all actions planned so far:
+function pathWillExistSync(plan, fullname) {
+	let tmp = plan.paths[planKey(fullname)]
+	return ((tmp !== undefined) ? tmp : pathExistsSync(fullname))
+}
+
+//--------------------------------------------------------------------------------
+// Add actions to create folder "dir" and all its parent folders below "baseDir" that won't exist after all actions planned so far:
+function planCreateDir(plan, dir, baseDir) {
+	let dirs = []
+	for (let s = planKey(dir); (s.length > planKey(baseDir).length) && !pathWillExistSync(plan, s); s = path.posix.dirname(s)) {
+		dirs.unshift(s)
+	}
+	for (let s of dirs) {
+		addAction(plan, { action: 'mkdir', fullname: ensureTrailingSlash(baseDir) + path.posix.relative(planKey(baseDir), s) })
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Add actions to remove all folders below "dir" that will be empty after all actions planned so far:
+function planRemoveEmptyFolders(run, plan, dir) {
+	dir = planKey(dir)
+	let exists = {} // final state of all files below "dir"
+	let dirs = {} // all folders below "dir"
+	if (pathExistsSync(dir)) {
+		getAllFilesSync(run, dir, true).forEach(o => { exists[normalizePath(o.fullname)] = true })
+		getAllDirsSync(dir).forEach(s => { dirs[s] = true })
+	}
+	for (let action of plan.actions) {
+		if (action.action === 'mkdir') {
+			dirs[planKey(action.fullname)] = true
+		}
+	}
+	for (let fullname in plan.paths) {
+		if ((fullname.indexOf(dir + '/') === 0) && (!dirs[fullname])) {
+			exists[fullname] = plan.paths[fullname]
+		}
+	}
+	// a folder is not empty if there is a file somewhere below it:
+	let used = {}
+	for (let fullname in exists) {
+		if (exists[fullname]) {
+			for (let s = path.posix.dirname(fullname); s.length > dir.length; s = path.posix.dirname(s)) {
+				used[s] = true
+			}
+		}
+	}
+	// a maildir keeps its sub-folders, even empty ones; its e-mails are written when the plan is applied:
+	for (let action of plan.actions.filter(o => (o.action === 'mail') && (o.format === 'maildir'))) {
+		for (let folder of mailExport.maildirFolders) {
+			for (let s = planKey(action.fullname) + '/' + folder; s.length > dir.length; s = path.posix.dirname(s)) {
+				used[s] = true
+			}
+		}
+	}
+	// delete from longer paths to shorter paths:
+	Object.keys(dirs).filter(s => (s.indexOf(dir + '/') === 0) && (!used[s]) && (plan.paths[s] !== false)).sort((a, b) => b.length - a.length).forEach(s => {
+		addAction(plan, { action: 'rmdir', fullname: s })
+	})
+}
+
+//--------------------------------------------------------------------------------
+// Append a record to the journal; the first record of a journal contains general information:
+function journalRecord(run, journal, plan, record) {
+	if (!journal) {
+		return
+	}
+	try {
+		if (!pathExistsSync(journal)) {
+			fs.writeFileSync(journal, JSON.stringify({ journal: sourceVersion, sourceDir: path.resolve(plan.sourceDir), zipFile: (plan.zipFile) ? path.resolve(plan.zipFile) : null, outDir: (plan.outDir) ? path.resolve(plan.outDir) : null, date: new Date() }) + '\n', 'utf8')
+		}
+		fs.appendFileSync(journal, JSON.stringify(record) + '\n', 'utf8')
+
+	} catch(err) {
+		log(run, logLevelError, `could not add record to journal file '` + journal + `'; ` + err)
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Stage 3: perform all actions of a plan; an action that fails is logged, the following ones are still performed.
+// Every change on disk is recorded in the journal file "saveJournalTo" of the target folder (if configured), so it can be undone later; returns its fullname, "null" if nothing was recorded:
+async function applyPlan(run, plan) {
+	let journal = (run.configuration.saveJournalTo) ? ensureTrailingSlash(plan.outDir || plan.sourceDir) + run.configuration.saveJournalTo : null
+	let previousDir = (journal) ? journal.replace(/\.[^./\\]*$/, '') + '_previous/' : null // copies of overwritten files, next to the journal
+	let previousCount = 0
+	let done = 0
+	let redirect = {} // target of a failed "move" => still original file; target of a failed "extract" => null
+	const target = (fullname) => ((redirect[fullname] !== undefined) ? redirect[fullname] : fullname)
+
+	for (let action of plan.actions) {
+		switch (action.action) {
+			case 'mkdir':
+				if (!pathExistsSync(action.fullname)) {
+					createDirSync(run, action.fullname) // throws with message on error
+					journalRecord(run, journal, plan, { action: 'mkdir', fullname: path.resolve(action.fullname) })
+				}
+				break
+
+			case 'write':
+				try {
+					let existed = pathExistsSync(action.fullname)
+					let previousFile = null
+					if (existed && previousDir && (action.reason !== 'redaction')) { // needed to undo; not the real names of a redaction mapping, the journal is in the redacted folder
+						createDirSync(run, previousDir) // throws with message on error
+						do { // a journal of the same second may have its copies there already
+							previousFile = previousDir + String(++previousCount).padStart(4, '0') + '_' + path.basename(action.fullname)
+						} while (pathExistsSync(previousFile))
+						fs.copyFileSync(action.fullname, previousFile)
+					}
+					fs.writeFileSync(action.fullname, action.content, 'utf8')
+					journalRecord(run, journal, plan, { action: 'write', fullname: path.resolve(action.fullname), existed: existed, previousFile: (previousFile) ? path.resolve(previousFile) : undefined })
+					if (action.reason === 'duplicates') {
+						log(run, logLevelInfo, `ok, could save list of duplicates to file '` + action.fullname + `'`)
+					}
+
+				} catch(err) {
+					if (action.reason === 'duplicates') {
+						log(run, logLevelError, `could not save list of duplicates to file '` + action.fullname + `'; ` + err)
+					} else {
+						log(run, logLevelError, `could not write text file '` + action.fullname + `'; ` + err)
+					}
+				}
+				break
+
+			case 'mail': // an mbox file or a maildir; the attachments are read from their final places:
+				try {
+					let maildir = (action.format === 'maildir')
+					let existed = pathExistsSync(action.fullname)
+					let fd = (maildir) ? null : fs.openSync(action.fullname, 'w')
+					try {
+						for (let mail of action.mails) {
+							let content = mailExport.formatMail(readAttachments(run, mail, target))
+							if (maildir) {
+								let fullname = ensureTrailingSlash(action.fullname) + mailExport.maildirNew + '/' + mail.name
+								let existedMail = pathExistsSync(fullname)
+								fs.writeFileSync(fullname, content, 'utf8')
+								journalRecord(run, journal, plan, { action: 'write', fullname: path.resolve(fullname), existed: existedMail })
+
+							} else {
+								fs.writeSync(fd, mailExport.formatMboxEntry(content, mail.from.address, mail.date), null, 'utf8')
+							}
+						}
+
+					} finally {
+						if (fd !== null) {
+							fs.closeSync(fd)
+							journalRecord(run, journal, plan, { action: 'write', fullname: path.resolve(action.fullname), existed: existed }) // no previous content; e-mails are written again by each trace back
+						}
+					}
+					log(run, logLevelDebug, `ok, could write ` + singularPlural(action.mails.length, 'e-mail') + ` to ` + action.format + ` '` + action.fullname + `'`)
+
+				} catch(err) {
+					log(run, logLevelError, `could not write e-mails to ` + action.format + ` '` + action.fullname + `'; ` + err)
+				}
+				break
+
+			case 'delete':
+				if (target(action.fullname) === null) {
+					break
+				}
+				try {
+					fs.unlinkSync(target(action.fullname))
+					journalRecord(run, journal, plan, { action: 'delete', fullname: path.resolve(target(action.fullname)), reason: action.reason })
+					log(run, logLevelDebug, `ok, could delete ` + action.reason + ` file '` + target(action.fullname) + `'` + ((action.original) ? `; original '` + action.original + `' exists` : ``))
+
+				} catch(err) {
+					log(run, logLevelError, `could not delete ` + action.reason + ` file '` + target(action.fullname) + `'; ` + err)
+				}
+				break
+
+			case 'skip': // entry of a zip file that is not extracted at all:
+				journalRecord(run, journal, plan, { action: 'skip', from: action.from, reason: action.reason })
+				log(run, logLevelDebug, `ok, will not extract ` + action.reason + ` file '` + action.from + `'` + ((action.original) ? `; original '` + action.original + `' exists` : ``))
+				break
+
+			case 'move':
+				try {
+					fs.renameSync(action.from, action.to) // rename and move
+					journalRecord(run, journal, plan, { action: 'move', from: path.resolve(action.from), to: path.resolve(action.to) })
+					log(run, logLevelDebug, `ok, could rename/move file '` + action.from + `' to '` + action.to + `'`)
+
+				} catch(err) {
+					log(run, logLevelError, `could not rename file '` + action.from + `' to '` + action.to + `'; ` + err)
+					redirect[action.to] = action.from // new filename is still old filename; needed for adjusting file timetamps
+				}
+				break
+
+			case 'copy': // into a separate output folder; the original file is not touched:
+				try {
+					if (action.method === 'hardlink') {
+						fs.linkSync(action.from, action.to)
+					} else { // "COPYFILE_FICLONE" makes a reflink if the file system supports it, a normal copy otherwise:
+						fs.copyFileSync(action.from, action.to, fs.constants.COPYFILE_EXCL | ((action.method === 'reflink') ? fs.constants.COPYFILE_FICLONE : 0))
+					}
+					journalRecord(run, journal, plan, { action: 'copy', from: path.resolve(action.from), to: path.resolve(action.to), method: action.method })
+					log(run, logLevelDebug, `ok, could ` + action.method + ` file '` + action.from + `' to '` + action.to + `'`)
+
+				} catch(err) {
+					log(run, logLevelError, `could not ` + action.method + ` file '` + action.from + `' to '` + action.to + `'; ` + err)
+					redirect[action.to] = null // nothing on disk to work with
+				}
+				break
+
+			case 'extract': // extract file from zip directly into its final destination:
+				try {
+					await zipArchive.extractEntry(action.file.zip, action.file.zipEntry, action.to)
+					journalRecord(run, journal, plan, { action: 'extract', from: action.from, to: path.resolve(action.to) })
+					log(run, logLevelDebug, `ok, could extract file '` + action.from + `' to '` + action.to + `'`)
+
+				} catch(err) {
+					log(run, logLevelError, `could not extract file '` + action.from + `' to '` + action.to + `'; ` + err)
+					redirect[action.to] = null // nothing on disk to work with
+				}
+				break
+
+			case 'link': // a duplicate becomes a link to the file that is kept; a file moved there before is replaced:
+				if ((target(action.from) === null) || (target(action.to) === null)) {
+					log(run, logLevelError, `could not ` + action.method + ` file '` + action.to + `' to '` + action.from + `'; one of them doesn't exist`)
+					break
+				}
+				try {
+					let stat = (pathExistsSync(target(action.to))) ? fs.statSync(target(action.to)) : null // keep previous timestamps for the journal
+					if (stat) {
+						fs.unlinkSync(target(action.to))
+					}
+					if (action.method === 'symlink') { // relative, so the folder can be moved as a whole:
+						fs.symlinkSync(path.relative(path.dirname(action.to), target(action.from)), action.to)
+					} else {
+						fs.linkSync(target(action.from), action.to)
+					}
+					journalRecord(run, journal, plan, { action: 'link', from: path.resolve(target(action.from)), to: path.resolve(action.to), method: action.method, replaced: Boolean(stat), atimeMs: (stat) ? stat.atimeMs : null, mtimeMs: (stat) ? stat.mtimeMs : null })
+					log(run, logLevelDebug, `ok, could ` + action.method + ` duplicate file '` + action.to + `' to '` + target(action.from) + `'`)
+
+				} catch(err) {
+					log(run, logLevelError, `could not ` + action.method + ` duplicate file '` + action.to + `' to '` + target(action.from) + `'; ` + err)
+				}
+				break
+
+			case 'metadata':
+				if (target(action.fullname) === null) {
+					break
+				}
+				try {
+					let stat = fs.statSync(target(action.fullname)) // the timestamps stay as they were: the journal of the "timestamp" action records the original ones
+					let patches = mediaMetadata.writeMetadataSync(target(action.fullname), path.extname(target(action.fullname)), action)
+					fs.utimesSync(target(action.fullname), stat.atimeMs / 1000, stat.mtimeMs / 1000)
+					journalRecord(run, journal, plan, { action: 'metadata', fullname: path.resolve(target(action.fullname)), patches: patches })
+					log(run, logLevelDebug, `ok, could write metadata into file '` + target(action.fullname) + `'`)
+
+				} catch(err) {
+					log(run, logLevelError, `could not write metadata into file '` + target(action.fullname) + `'; ` + err)
+				}
+				break
+
+			case 'timestamp':
+				if (target(action.fullname) === null) {
+					break
+				}
+				try {
+					let stat = fs.statSync(target(action.fullname)) // keep previous timestamps for the journal
+					fs.utimesSync(target(action.fullname), action.timestamp, action.timestamp)
+					journalRecord(run, journal, plan, { action: 'timestamp', fullname: path.resolve(target(action.fullname)), atimeMs: stat.atimeMs, mtimeMs: stat.mtimeMs })
+					log(run, logLevelDebug, `ok, could adjust file timestamps for file '` + target(action.fullname) + `'`)
+
+				} catch(err) {
+					log(run, logLevelError, `could not adjust file timestamps for file '` + target(action.fullname) + `'; ` + err)
+				}
+				break
+
+			case 'rmdir':
+				try {
+					fs.rmdirSync(action.fullname)
+					journalRecord(run, journal, plan, { action: 'rmdir', fullname: path.resolve(action.fullname) })
+					log(run, logLevelDebug, `ok, could delete empty folder '` + action.fullname + `'`)
+
+				} catch(err) {
+					log(run, logLevelError, `could not delete empty folder '` + action.fullname + `'; ` + err)
+				}
+				break
+		}
+		run.emit('progress', { stage: 'apply', done: ++done, total: plan.actions.length })
+	}
+	return (journal && pathExistsSync(journal)) ? journal : null
+}
+
+//--------------------------------------------------------------------------------
+// Return an e-mail of a "mail" action with the content of its attachments; "target" gives the place of a file after the actions so far; an attachment that can't be read is left out:
+function readAttachments(run, mail, target) {
+	let attachments = []
+	for (let attachment of mail.attachments) {
+		if (target(attachment.fullname) === null) { // its extraction or copy failed; reported already
+			continue
+		}
+		try {
+			attachments.push({ filename: attachment.filename, mime: attachment.mime, content: fs.readFileSync(target(attachment.fullname)) })
+
+		} catch(err) {
+			log(run, logLevelError, `could not attach file '` + attachment.fullname + `' to e-mail ` + mail.messageId + `; ` + err)
+		}
+	}
+	return Object.assign({}, mail, { attachments: attachments })
+}
+
+//--------------------------------------------------------------------------------
+// Undo all changes recorded in a journal file, in reverse order. Deleted files cannot be restored; they are reported:
+function undoJournal(run, journal) {
+	let records = fs.readFileSync(journal, 'utf8').split('\n').filter(s => s.trim()).map(s => JSON.parse(s)) // may throw
+	let header = records.shift()
+	if (!header || !header.journal || !header.sourceDir) {
+		throw new Error(`'` + journal + `' is not a journal file`)
+	}
+	if (records.length && (records[records.length - 1].action === 'undone')) {
+		throw new Error(`journal file '` + journal + `' was already undone on ` + records[records.length - 1].date)
+	}
+	log(run, logLevelInfo, `undo ` + singularPlural(records.length, 'change') + ` in folder '` + header.sourceDir + `' recorded on ` + header.date)
+
+	// where did each file come from (original name in the folder or in the zip file)?
+	let origin = {}
+	let patches = {} // metadata written into a file; a copy of it has to be restored as well
+	for (let record of records) {
+		if (record.action === 'move') {
+			origin[record.to] = path.basename(origin[record.from] || record.from)
+		} else if (record.action === 'extract') {
+			origin[record.to] = record.from
+		} else if (record.action === 'metadata') {
+			patches[record.fullname] = record.patches
+		}
+	}
+
+	let deleted = {} // files that don't exist anymore; all changes on them are obsolete
+	let missing = [] // original names of files that must be taken from the zip again
+	let errors = 0
+	let done = 0
+	const failed = (s, err) => {
+		log(run, logLevelError, s + `; ` + err)
+		errors++
+	}
+	for (let record of records.reverse()) {
+		switch (record.action) {
+			case 'delete':
+				deleted[record.fullname] = true
+				missing.push(origin[record.fullname] || path.basename(record.fullname))
+				break
+
+			case 'skip': // with a separate output folder, the original file is still there:
+				if (!header.outDir) {
+					missing.push(record.from)
+				}
+				break
+
+			case 'timestamp':
+				if (!deleted[record.fullname]) {
+					try {
+						fs.utimesSync(record.fullname, record.atimeMs / 1000, record.mtimeMs / 1000)
+						log(run, logLevelDebug, `ok, could restore file timestamps for file '` + record.fullname + `'`)
+
+					} catch(err) {
+						failed(`could not restore file timestamps for file '` + record.fullname + `'`, err)
+					}
+				}
+				break
+
+			case 'metadata':
+				if (!deleted[record.fullname]) {
+					try {
+						let stat = fs.statSync(record.fullname) // timestamps are already restored; keep them
+						mediaMetadata.undoPatchesSync(record.fullname, record.patches)
+						fs.utimesSync(record.fullname, stat.atime, stat.mtime)
+						log(run, logLevelDebug, `ok, could restore metadata of file '` + record.fullname + `'`)
+
+					} catch(err) {
+						failed(`could not restore metadata of file '` + record.fullname + `'`, err)
+					}
+				}
+				break
+
+			case 'move':
+			case 'extract': // back to the name it would have after unpacking the zip file:
+				if ((record.action === 'extract') && header.outDir) { // added to an existing folder; the zip file still contains it:
+					if (!deleted[record.to]) {
+						try {
+							fs.unlinkSync(record.to)
+							log(run, logLevelDebug, `ok, could delete file '` + record.to + `'`)
+
+						} catch(err) {
+							failed(`could not delete file '` + record.to + `'`, err)
+						}
+					}
+					break
+				}
+				let from = (record.action === 'extract') ? path.resolve(header.sourceDir, record.from) : record.from
+				if ((!deleted[record.to]) && (record.to !== from)) { // files extracted under their original name stay where they are
+					try {
+						if (pathExistsSync(from)) {
+							throw new Error(`file already exists`)
+						}
+						fs.renameSync(record.to, from)
+						log(run, logLevelDebug, `ok, could rename/move file '` + record.to + `' back to '` + from + `'`)
+
+					} catch(err) {
+						failed(`could not rename/move file '` + record.to + `' back to '` + from + `'`, err)
+					}
+				}
+				break
+
+			case 'link': // a replaced duplicate gets back its own copy of the kept file, as it was before:
+				if (!deleted[record.to]) {
+					try {
+						fs.unlinkSync(record.to)
+						if (record.replaced) {
+							fs.copyFileSync(record.from, record.to, fs.constants.COPYFILE_EXCL)
+							if (patches[record.from]) { // the kept file still contains its metadata; the duplicate never got any:
+								mediaMetadata.undoPatchesSync(record.to, patches[record.from])
+							}
+							fs.utimesSync(record.to, record.atimeMs / 1000, record.mtimeMs / 1000)
+						}
+						log(run, logLevelDebug, `ok, could ` + ((record.replaced) ? `restore` : `delete`) + ` duplicate file '` + record.to + `'; original '` + record.from + `' exists`)
+
+					} catch(err) {
+						failed(`could not restore duplicate file '` + record.to + `'`, err)
+					}
+				}
+				break
+
+			case 'copy': // the original file still exists:
+				if (!deleted[record.to]) {
+					try {
+						fs.unlinkSync(record.to)
+						log(run, logLevelDebug, `ok, could delete file '` + record.to + `'; original '` + record.from + `' exists`)
+
+					} catch(err) {
+						failed(`could not delete file '` + record.to + `'`, err)
+					}
+				}
+				break
+
+			case 'write':
+				if (record.existed && (record.previousFile || (record.previous !== undefined))) {
+					try {
+						if (record.previousFile) { // the copy is not needed anymore, nor its folder once it is empty:
+							fs.copyFileSync(record.previousFile, record.fullname)
+							fs.unlinkSync(record.previousFile)
+							if (!fs.readdirSync(path.dirname(record.previousFile)).length) {
+								fs.rmdirSync(path.dirname(record.previousFile))
+							}
+						} else { // journals of older versions contain the previous content itself:
+							fs.writeFileSync(record.fullname, record.previous, 'utf8')
+						}
+						log(run, logLevelDebug, `ok, could restore previous content of file '` + record.fullname + `'`)
+
+					} catch(err) {
+						failed(`could not restore previous content of file '` + record.fullname + `'`, err)
+					}
+
+				} else if (record.existed) {
+					log(run, logLevelWarn, `file '` + record.fullname + `' existed before and was overwritten; its previous content cannot be restored`)
+
+				} else {
+					try {
+						fs.unlinkSync(record.fullname)
+						log(run, logLevelDebug, `ok, could delete file '` + record.fullname + `'`)
+
+					} catch(err) {
+						failed(`could not delete file '` + record.fullname + `'`, err)
+					}
+				}
+				break
+
+			case 'mkdir':
+				try {
+					if (fs.readdirSync(record.fullname).length) { // e.g. the folder a zip file was extracted into:
+						log(run, logLevelInfo, `folder '` + record.fullname + `' is not empty; will keep it`)
+
+					} else {
+						fs.rmdirSync(record.fullname)
+						log(run, logLevelDebug, `ok, could delete folder '` + record.fullname + `'`)
+					}
+
+				} catch(err) {
+					failed(`could not delete folder '` + record.fullname + `'`, err)
+				}
+				break
+
+			case 'rmdir':
+				createDirSync(run, record.fullname, false)
+				break
+		}
+		run.emit('progress', { stage: 'undo', done: ++done, total: records.length })
+	}
+	fs.appendFileSync(journal, JSON.stringify({ action: 'undone', date: new Date() }) + '\n', 'utf8')
+
+	log(run, ((errors) ? logLevelWarn : logLevelInfo), `undo finished with ` + singularPlural(errors, 'error'))
+	if (missing.length) {
+		log(run, logLevelWarn, singularPlural(missing.length, 'file') + ` had been deleted or never extracted; take ` + ((missing.length === 1) ? `it` : `them`) + ` from the Threema backup zip file` + ((header.zipFile) ? ` '` + header.zipFile + `'` : ``) + ` again:\n` + missing.sort().map(s => `  ` + s).join('\n'))
+	}
+	return missing
+}
+
+//--------------------------------------------------------------------------------
+// Return the actions of a plan as JSON string; without file contents and internal references:
+function formatPlanAsJSON(plan) {
+	return JSON.stringify({
+		sourceDir: plan.sourceDir,
+		zipFile: plan.zipFile,
+		outDir: plan.outDir,
+		actions: plan.actions.map(action => {
+			let o = Object.assign({}, action)
+			delete o.file
+			if (o.mails !== undefined) {
+				o.mails = o.mails.length
+			}
+			if (o.content !== undefined) {
+				o.lines = (o.content) ? o.content.split('\n').length : 0
+				delete o.content
+			}
+			return o
+		})
+	}, null, '\t')
+}
+
+//--------------------------------------------------------------------------------
+// Return the actions of a plan as human readable text:
+function formatPlanAsText(plan) {
+	let lines = []
+	let counts = {}
+	for (let action of plan.actions) {
+		counts[action.action] = (counts[action.action] || 0) + 1
+		switch (action.action) {
+			case 'mkdir':
+				lines.push(`create folder    '` + action.fullname + `'`)
+				break
+			case 'write':
+				lines.push(`write file       '` + action.fullname + `' (` + singularPlural((action.content) ? action.content.split('\n').length : 0, 'line') + `)`)
+				break
+			case 'mail':
+				lines.push(`write e-mails    '` + action.fullname + `' (` + action.format + `, ` + singularPlural(action.mails.length, 'e-mail') + `)`)
+				break
+			case 'delete':
+				lines.push(`delete ` + action.reason.padEnd(10) + `'` + action.fullname + `'` + ((action.original) ? `; original '` + action.original + `' exists` : ``))
+				break
+			case 'skip':
+				lines.push(`skip ` + action.reason.padEnd(12) + `'` + action.from + `'` + ((action.original) ? `; original '` + action.original + `' exists` : ``))
+				break
+			case 'move':
+				lines.push(`rename/move      '` + action.from + `'\n             to  '` + action.to + `'`)
+				break
+			case 'extract':
+				lines.push(`extract          '` + action.from + `'\n             to  '` + action.to + `'`)
+				break
+			case 'copy':
+				lines.push(action.method.padEnd(17) + `'` + action.from + `'\n             to  '` + action.to + `'`)
+				break
+			case 'link':
+				lines.push((action.method + ` duplicate`).padEnd(17) + `'` + action.to + `'\n             to  '` + action.from + `'`)
+				break
+			case 'metadata':
+				lines.push(((action.strip) ? `strip metadata   ` : `write metadata   `) + `'` + action.fullname + `'` + ((action.strip && action.timestamp) ? ` (and write timestamp)` : ``) + ((action.description || action.artist) ? ` (with description)` : ``))
+				break
+			case 'timestamp':
+				lines.push(`set timestamp    '` + action.fullname + `' to ` + action.timestamp.toISOString())
+				break
+			case 'rmdir':
+				lines.push(`delete folder    '` + action.fullname + `'`)
+				break
+		}
+	}
+	return [`Plan for ` + ((plan.zipFile) ? `zip file '` + plan.zipFile + `' into ` : ``) + `folder '` + plan.sourceDir + `'` + ((plan.outDir) ? ` into folder '` + plan.outDir + `'` : ``),
+		Object.keys(counts).map(key => key + ': ' + counts[key]).join(', ') || `nothing to do`,
+		``].concat(lines).join('\n')
+}
+
+//--------------------------------------------------------------------------------
+// Save a plan as JSON file and as text file; "fullname" without extension:
+function savePlan(run, plan, fullname) {
+	for (let o of [{ ext: planJsonExtension, content: formatPlanAsJSON(plan) }, { ext: planTextExtension, content: formatPlanAsText(plan) }]) {
+		try {
+			fs.writeFileSync(fullname + o.ext, o.content, 'utf8')
+			log(run, logLevelInfo, `ok, could save plan to file '` + fullname + o.ext + `'`)
+
+		} catch(err) {
+			log(run, logLevelError, `could not save plan to file '` + fullname + o.ext + `'; ` + err)
+		}
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Check the configuration of a run against "configurationSchema"; throws with all errors, never runs with an invalid configuration:
+function checkConfiguration(run) {
+	let errors = schema.validate(run.configuration, configurationSchema(), true) // other keys (e.g. of the command line program) are not checked here
+	if (errors.length) {
+		throw new Error(`invalid configuration; ` + errors.join('; '))
+	}
+	run.configuration.concurrency = workerPool.normalizeConcurrency(run.configuration.concurrency, os.cpus().length)
+	// names and labels of the locale; "days" and "months" of the configuration take precedence; the labels only if requested, otherwise filenames and transcripts would differ from one computer to the next:
+	run.locale = locales.resolveLocale(run.configuration.locale)
+	run.names = locales.strftimeNames(run.locale, run.configuration)
+	if (!run.configuration.localeLabels) {
+		run.locale.labels = locales.resolveLocale('en').labels
+	}
+	if (run.configuration.localeLabels || (run.configuration.replaceFileNamePart.thumbnail === undefined)) {
+		run.configuration.replaceFileNamePart = Object.assign({}, run.configuration.replaceFileNamePart, { thumbnail: run.locale.labels.thumbnail })
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Stage 1: read all files of an unpacked Threema backup folder or of a backup zip file, read its CSV files and analyze all files; nothing on disk is changed.
+// source = { sourceDir, zipFile, password, recursive, outDir, archiveDir }:
+// - "sourceDir": folder with the unpacked backup; with "zipFile": the (empty or not yet existing) folder to extract into
+// - "password": for an encrypted zip file; a string or a (async) function returning it, called only if needed
+// - "outDir": leave "sourceDir" untouched, put the organized files into this folder instead
+// - "archiveDir": folder organized before; only new messages and files are added to it (is "outDir" then)
+// With "redact", names and identities get their pseudonyms here already (see "redaction.js"); the real full names are kept as "unredacted".
+// Returns the archive = { sourceDir, zipFile, outDir, archiveDir, targetDir, zip, files, thumbnails, csvFiles, contacts, groups, identities, distributionLists, polls, fileTimestamps, collisions, organized, redaction }
+async function loadArchive(run, source) {
+	checkConfiguration(run) // throws with message on error
+	let sourceDir = ensureTrailingSlash(source.sourceDir)
+	let zipFile = source.zipFile || null
+	let recursive = Boolean(source.recursive)
+	let archiveDir = (source.archiveDir) ? ensureTrailingSlash(source.archiveDir) : null
+	let outDir = archiveDir || ((source.outDir) ? ensureTrailingSlash(source.outDir) : null)
+	if (zipFile && archiveDir) {
+		log(run, logLevelInfo, `read files from zip file '` + zipFile + `'`)
+
+	} else if (zipFile) {
+		log(run, logLevelInfo, `read files from zip file '` + zipFile + `' into folder '` + sourceDir + `'`)
+		// make sure destination directory is empty; never mix with other files:
+		if (pathExistsSync(sourceDir) && fs.readdirSync(sourceDir).length) {
+			throw new Error(`directory '` + sourceDir + `' is not empty`)
+		}
+
+	} else {
+		log(run, logLevelInfo, `look for files in folder '` + sourceDir + `' ` + ((recursive) ? `and` : `but not`) + ` in its sub-folders`)
+		// make sure source directory exists:
+		if (!pathExistsSync(sourceDir)) {
+			throw new Error(`directory '` + sourceDir + `' doesn't exist`)
+		}
+	}
+	if (outDir) {
+		if (planKey(outDir) === planKey(sourceDir)) {
+			throw new Error(`output folder '` + outDir + `' must not be the source folder`)
+		}
+		if (archiveDir) {
+			log(run, logLevelInfo, `add new messages and files to organized folder '` + archiveDir + `'` + ((zipFile) ? `` : `; ` + run.configuration.outputMethod + ` them from folder '` + sourceDir + `'`))
+
+		} else {
+			log(run, logLevelInfo, `leave folder '` + sourceDir + `' untouched; ` + run.configuration.outputMethod + ` files into folder '` + outDir + `'`)
+		}
+		if (run.configuration.outputMethod === 'hardlink') {
+			log(run, logLevelInfo, `file timestamps are not adjusted; hard links share them with the original files`)
+		}
+	}
+	let targetDir = outDir || sourceDir // where the organized files go
+	if (run.configuration.redact) {
+		if (!outDir && !zipFile) {
+			throw new Error(`a redaction needs an output folder or a zip file; the backup folder itself would keep the real names`)
+		}
+		if (outDir && (run.configuration.outputMethod === 'hardlink') && (run.configuration.redactMedia === 'strip')) {
+			throw new Error(`a redaction can't strip the metadata of hard links; use output method 'copy' or 'reflink', or 'redactMedia' = 'drop' or 'keep'`)
+		}
+		log(run, logLevelInfo, `redact names, identities and texts; media files: ` + run.configuration.redactMedia)
+	}
+
+	// what is in the organized folder already?
+	let organized = null
+	if (archiveDir) {
+		let index = await readArchiveIndex(run, archiveDir) // throws with message on error
+		organized = { index: index, uids: {}, pathHashes: {}, newFiles: 0, knownFiles: 0, newMessages: 0 }
+		for (let o of index.files) {
+			if (o.uid) {
+				organized.uids[o.uid] = archiveDir + o.path
+			}
+			organized.pathHashes[planKey(path.dirname(archiveDir + o.path)) + '/' + o.hash] = archiveDir + o.path
+		}
+	}
+	let zip = null
+	try {
+		// make sure source directory (or zip file) is not empty:
+		let files
+		if (zipFile) {
+			zip = await openBackupZip(zipFile, source.password) // throws with message on error
+			files = getAllZipEntriesSync(zip, sourceDir, recursive)
+
+		} else {
+			files = getAllFilesSync(run, sourceDir, recursive) // throws with message on error
+		}
+		if ((!Array.isArray(files)) || (!files.length)) {
+			throw new Error(`no files found in ` + ((zipFile) ? `zip file '` + zipFile : `directory '` + sourceDir) + `'`)
+		}
+		log(run, logLevelInfo, singularPlural(files.length, 'file')  + ` found`)
+
+		//------------------------------------------------------------
+		// find and mark thumbnail files that also exist as originals; leave them out if requested:
+		let thumbnails = [] // { file, original }; skipped or deleted by the plan
+		{ // keep "filesObj" local to save (a little bit) of memory:
+			let filesObj = arrayToObject(files, 'name') // object, not array: for fast lookup
+			for (let i = files.length - 1; i >= 0; i--) { // we work backwards, because we possibly delete from array
+				let nameRed = files[i].name.replace(findOriginal.find, findOriginal.original)
+				if ((nameRed !== files[i].name) && (filesObj[nameRed] !== undefined)) {
+					if (run.configuration.deleteThumbnailIfOriginalExists) {
+						thumbnails.push({ file: files.splice(i, 1)[0], original: nameRed })
+
+					} else {
+						files[i].tmpName = findOriginal.found + files[i].name
+						log(run, logLevelDebug, `ok, could mark thumbnail file '` + files[i].fullname + `'; original '` + nameRed + `' exists`)
+					}
+
+				} else {
+					files[i].tmpName = files[i].name
+				}
+			}
+		}
+
+		//------------------------------------------------------------
+		// select all csv files, they contain the information about posts and files:
+		let csvFiles = files.filter(o => /csv/i.test(o.ext) && !(run.configuration.saveStatisticsTo && (o.base === run.configuration.saveStatisticsTo + csvExtension))) // not the statistics of an earlier trace back
+		log(run, logLevelInfo, singularPlural(csvFiles.length, ' CSV file')  + ` found`)
+
+		//------------------------------------------------------------
+		// collect all identities from contacts and groups:
+		let identities = []
+		let realNames = {} // identity => names of contacts, groups and distribution lists; for a redaction only
+		//------------------------------------------------------------
+		// extract all contacts:
+		let contactFiles = csvFiles.filter(o => o.name.toLowerCase() === specialCsvFiles.contacts)
+		for (let contactFile of contactFiles) {
+			identities = identities.concat((await getCsvFileAsJSON(run, contactFile, false)).map(o => {
+				let tokens = o.lastname.split(' ').concat(o.firstname.split(' ')).concat(o.nick_name.split(' ')).concat([o.identity])
+				o.fullname = validPlatformName(tokens.filter((c, idx) => { // remove duplicate tokens:
+					return tokens.map(s => s.toLowerCase()).indexOf(c.toLowerCase()) === idx
+				}).join(' ').replace(/\s+/g, ' ').trim())
+				o.type = 'contact'
+				realNames[o.identity] = [[o.firstname, o.lastname].join(' ').trim(), [o.lastname, o.firstname].join(' ').trim(), o.nick_name].concat(tokens.slice(0, -1))
+				return normalizeObj(o, contactCsvHeaders) // make sure object has exactly the keys in "contactCsvHeaders"
+			}))
+		}
+		let identitiesLen = identities.length
+		log(run, logLevelInfo, singularPlural(identitiesLen, 'contact')  + ` found`)
+
+		//------------------------------------------------------------
+		// extract all groups:
+		let groupFiles = csvFiles.filter(o => o.name.toLowerCase() === specialCsvFiles.groups)
+		for (let groupFile of groupFiles) {
+			identities = identities.concat((await getCsvFileAsJSON(run, groupFile, false)).map(o => {
+				o.identity = o.id + '-' + o.creator // that's how Threema uses group identifiers
+				o.fullname = validPlatformName((o.groupname.trim()) ? o.groupname.trim() + ' ' + o.id : o.identity)
+				o.type = 'group'
+				realNames[o.identity] = [o.groupname]
+				return normalizeObj(o, groupCsvHeaders) // make sure object has exactly the keys in "groupCsvHeaders"
+			}))
+		}
+		log(run, logLevelInfo, singularPlural(identities.length - identitiesLen, 'group')  + ` found`)
+
+		//------------------------------------------------------------
+		// extract all distribution lists; they are not identities: their IDs are plain numbers and would be found in all kinds of filenames:
+		let distributionLists = []
+		let distributionListFiles = csvFiles.filter(o => o.name.toLowerCase() === specialCsvFiles.distributionLists)
+		for (let distributionListFile of distributionListFiles) {
+			distributionLists = distributionLists.concat((await getCsvFileAsJSON(run, distributionListFile, false)).map(o => {
+				o.identity = String(o.id)
+				o.fullname = validPlatformName(((o.name || '').trim()) ? o.name.trim() + ' ' + o.id : specialCsvFiles.distributionLists + ' ' + o.id)
+				o.type = 'distribution_list'
+				o.members = (o.members || '').split(/[;,]/).map(s => s.trim()).filter(s => s) // recipients' identities
+				o.csvName = specialCsvFiles.distributionLists + '_message_' + o.identity // name of the messages file
+				realNames[o.identity] = [o.name]
+				return normalizeObj(o, distributionListCsvHeaders) // make sure object has exactly the keys in "distributionListCsvHeaders"
+			}))
+		}
+		log(run, logLevelInfo, singularPlural(distributionLists.length, 'distribution list')  + ` found`)
+		distributionLists = arrayToObject(distributionLists, 'csvName')
+
+		//------------------------------------------------------------
+		// keep all identities as object for fast lookup:
+		let contacts = identities.filter(o => o.type === 'contact')
+		let groups = identities.filter(o => o.type === 'group')
+		if (identities.length) {
+			identities = arrayToObject(identities, 'identity')
+
+		} else {
+			identities = {}
+		}
+
+		//------------------------------------------------------------
+		// redaction: pseudonyms instead of the full names; everything derived from them (folders, filenames, authors) follows:
+		let redacted = null
+		if (run.configuration.redact) {
+			let mappingFullname = mappingFileOf(run, targetDir)
+			let mapping = (mappingFullname && pathExistsSync(mappingFullname)) ? redaction.readMapping(mappingFullname) : null // throws with message on error
+			redacted = redaction.createRedaction(mapping, run.configuration.redactPatterns)
+			let all = Object.values(identities).concat(Object.values(distributionLists)).sort((a, b) => a.identity.localeCompare(b.identity)) // numbered in a stable order
+			for (let o of all) {
+				let entry = redaction.addIdentity(redacted, o.identity, o.type, o.fullname, realNames[o.identity] || [])
+				o.unredacted = o.fullname
+				o.fullname = entry.pseudonym
+			}
+			log(run, logLevelInfo, singularPlural(all.length, 'pseudonym') + ((mapping) ? ` (mapping '` + mappingFullname + `' reused)` : ``))
+		}
+
+		//------------------------------------------------------------
+		// read all polls, join them with their choices and votes, and find their conversations:
+		let polls = []
+		{
+			let rows = {}
+			for (let key in ballotCsvFiles) {
+				rows[key] = []
+				for (let csv of csvFiles.filter(o => o.name.toLowerCase() === ballotCsvFiles[key])) {
+					rows[key] = rows[key].concat(await getCsvFileAsJSON(run, csv, false))
+				}
+			}
+			polls = ballots.joinBallots(rows.ballots, rows.choices, rows.votes)
+			for (let poll of polls) {
+				if (redacted) {
+					poll.question = redaction.redactText(redacted, poll.question)
+					poll.choices.forEach(choice => { choice.name = redaction.redactText(redacted, choice.name) })
+				}
+				poll.identity = (poll.refId) ? identityFromFilename(poll.refId, identities) : null
+				if (!poll.identity) {
+					log(run, logLevelWarn, `could not find conversation of poll '` + poll.question + `' (` + poll.id + `)`)
+				}
+			}
+			log(run, logLevelInfo, singularPlural(polls.length, 'poll')  + ` found`)
+		}
+
+		//------------------------------------------------------------
+		let fileTimestamps = {}
+		let collisions = [] // { uid, conversations }: messages with the same uid; only the last one gets the files
+		//------------------------------------------------------------
+		// find identity behind conversation csv file and read all rows:
+		for (let i = 0; i < csvFiles.length; i++) {
+			let csv = csvFiles[i]
+			if (distributionLists[csv.name.toLowerCase()] !== undefined) {
+				csv.identity = distributionLists[csv.name.toLowerCase()]
+				csv.nameExplicit = csv.identity.fullname
+
+			} else {
+				csv.identity = identityFromFilename(csv.name, identities)
+				csv.nameExplicit = replaceNameParts(csv.name, identities, { includeReplaceParts: true, includeReplaceChars: false }, run.configuration) // performs "validPlatformName"
+			}
+			csv.destDir = ensureTrailingSlash(targetDir + csv.nameExplicit)
+			csv.excluded = (skipCsvFiles.indexOf(csv.name) === -1) && !isSelectedConversation(csv, run.configuration)
+			if ((skipCsvFiles.indexOf(csv.name) === -1) && !csv.excluded) { // skip some of the csv files, and those of conversations not selected
+				// read CSV rows of the selected time range, extend by Nodejs date objects:
+				csv.rows = (await getCsvFileAsJSON(run, csv)).filter(o => isInDateRange(new Date(Number(o.created_at)), run.configuration)).map(o => {
+					// convert timestamps as long as "created_at" still exists:
+					o.fileTimestamp = epochToLocal(o.created_at, run.configuration.timeZone)
+					o.fileTimestampISO = new Date(Number(o.created_at))
+					// mask texts and captions of a redaction; file and location bodies are masked below:
+					if (redacted) {
+						o.body = (o.type.toLowerCase() === 'text') ? redaction.redactText(redacted, o.body) : o.body
+						o.caption = redaction.redactText(redacted, o.caption)
+					}
+					// keep coordinates of shared locations:
+					if (o.type.toLowerCase() === 'location') {
+						o.location = geoExport.locationFromBody(o.body)
+						if (!o.location) {
+							log(run, logLevelWarn, `could not find coordinates in body='` + o.body + `' of location message (file='` + csv.name + `')`)
+
+						} else if (redacted) {
+							o.location.address = redaction.redactText(redacted, o.location.address)
+							o.location.name = redaction.redactText(redacted, o.location.name)
+						}
+
+					// add timestamp for each non-text row:
+					} else if (o.type.toLowerCase() !== 'text') {
+						let ext = null
+						if (o.body) {
+							try {
+								let tmp = JSON.parse(o.body.replace(/\\\\"/g, `'`)) // remove CSV escaping
+								// Threema stores original filename at array position 4; mime type at array position 2, e.g. "application/octet-stream"
+								if (Array.isArray(tmp) && (tmp.length >= 5) && (typeof tmp[4] === 'string')) {
+									ext = tmp[4].split(`.`).pop()
+								}
+								// keep the file descriptor; file size at array position 3:
+								if (Array.isArray(tmp)) {
+									o.file = {
+										mime: (typeof tmp[2] === 'string') ? tmp[2] : null,
+										filename: (typeof tmp[4] === 'string') ? ((redacted) ? redaction.redactText(redacted, tmp[4]) : tmp[4]) : null,
+										size: (Number.isFinite(Number(tmp[3])) && (tmp[3] !== null) && (tmp[3] !== '')) ? Number(tmp[3]) : null
+									}
+								}
+
+							} catch(err) {
+								log(run, logLevelError, `could not convert body='` + o.body + `' to JSON (file='` + csv.name + `'); ` + err)
+							}
+						}
+
+						if (fileTimestamps[o.uid] !== undefined) {
+							log(run, logLevelFatal, `file timestamp collision; ` + o.uid + `; please report to ` + author)
+							collisions.push({ uid: o.uid, conversations: [fileTimestamps[o.uid].conversation, csv.nameExplicit] })
+						}
+						fileTimestamps[o.uid] = {
+							uid: o.uid,
+							fileTimestamp: o.fileTimestamp,
+							fileTimestampISO: o.fileTimestampISO,
+							destDir: csv.destDir,
+							ext: ext,
+							caption: o.caption || null,
+							author: authorFromRow(o, csv, identities, run.locale.labels.me),
+							conversation: csv.nameExplicit,
+							outgoing: Boolean(Number(o.isoutbox)),
+							type: o.type,
+							filename: (o.file) ? o.file.filename : null
+						}
+					}
+					return normalizeObj(o, relevantHeaders) // make sure object has exactly the keys in "relevantHeaders"
+				}) // all rows
+				// the polls of the conversation:
+				csv.polls = polls.filter(poll => poll.identity && csv.identity && (poll.identity.identity === csv.identity.identity) && isInDateRange(poll.createdAt, run.configuration))
+
+			} else {
+				csv.rows = []
+				csv.polls = []
+			}
+			run.emit('progress', { stage: 'read', done: i + 1, total: csvFiles.length })
+		}
+
+		//------------------------------------------------------------
+		// only selected conversations and messages: all other files are left alone, even thumbnails with original:
+		if (run.configuration.onlyConversations.length || run.configuration.excludeConversations.length || run.configuration.since || run.configuration.until) {
+			let excluded = csvFiles.filter(o => o.excluded)
+			csvFiles = csvFiles.filter(o => !o.excluded)
+			let selectedIdentities = new Set(csvFiles.filter(o => o.identity).map(o => o.identity.identity))
+			const selected = (file) => {
+				if ((knownFileTypes.indexOf(file.ext.replace(/^\.+/, '').toLowerCase()) !== -1) || (skipFiles.indexOf(file.base) !== -1)) {
+					return true // not moved anyway
+				}
+				if (timestampFromFilename(file.name, fileTimestamps)) {
+					return true
+				}
+				let identity = identityFromFilename(file.name, identities) // a file of a conversation without message; without time, it's selected only if there is no time range:
+				return Boolean(identity) && selectedIdentities.has(identity.identity) && !(run.configuration.since || run.configuration.until)
+			}
+			let n = files.length + thumbnails.length
+			files = files.filter(selected)
+			thumbnails = thumbnails.filter(thumbnail => selected(thumbnail.file))
+			log(run, logLevelInfo, `selected: ` + singularPlural(csvFiles.filter(o => skipCsvFiles.indexOf(o.name) === -1).length, 'conversation') + ` (` + excluded.length + ` left out)` + ((run.configuration.since || run.configuration.until) ? `, messages from ` + (run.configuration.since || `the first one`) + ` to ` + (run.configuration.until || `the last one`) : ``) + `; ` + singularPlural(n - files.length - thumbnails.length, 'file') + ` left alone`)
+		}
+
+		//------------------------------------------------------------
+		// analyze all files first (type and hash); several files at the same time, each one streamed:
+		let withHash = Boolean(run.configuration.removeDuplicatesWithinFolder || run.configuration.saveDuplicateFileNamesTo || run.configuration.saveIndexTo || (run.configuration.duplicateStrategy !== 'report') || organized)
+		let analyze = files.map(file => ({ file: file, known: (knownFileTypes.indexOf(file.ext.replace(/^\.+/, '').toLowerCase()) !== -1) || (skipFiles.indexOf(file.base) !== -1) })).filter(o => !((outDir || redacted) && o.known)) // a separate output folder (or a redaction) doesn't get these
+		log(run, logLevelInfo, `analyze ` + singularPlural(analyze.length, 'file') + `, ` + run.configuration.concurrency + ` at the same time`)
+		let analyzed = 0
+		await workerPool.runPool(analyze, run.configuration.concurrency, async (o) => {
+			await analyzeFile(run, o.file, o.known, withHash)
+			run.emit('progress', { stage: 'analyze', done: ++analyzed, total: analyze.length })
+		})
+
+		return {
+			sourceDir: sourceDir,
+			zipFile: zipFile,
+			outDir: outDir,
+			archiveDir: archiveDir,
+			targetDir: targetDir,
+			zip: zip,
+			files: files,
+			thumbnails: thumbnails,
+			csvFiles: csvFiles,
+			contacts: contacts,
+			groups: groups,
+			identities: identities,
+			distributionLists: distributionLists,
+			polls: polls,
+			fileTimestamps: fileTimestamps,
+			collisions: collisions,
+			organized: organized,
+			redaction: redacted
+		}
+
+	} catch(err) {
+		zipArchive.closeZipSync(zip)
+		throw err
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Close the zip file of an archive; needed after the plan was applied (or saved):
+function closeArchive(archive) {
+	if (archive && archive.zip) {
+		zipArchive.closeZipSync(archive.zip)
+		archive.zip = null
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Stage 2: derive all changes on disk from an archive (see "loadArchive") as plan of actions; nothing on disk is changed.
+// The files of the archive get their destinations; call only once for an archive:
+async function buildPlan(run, archive) {
+	let sourceDir = archive.sourceDir
+	let outDir = archive.outDir
+	let targetDir = archive.targetDir
+	let files = archive.files
+	let csvFiles = archive.csvFiles
+	let identities = archive.identities
+	let fileTimestamps = archive.fileTimestamps
+	let organized = archive.organized
+	let redactedIdentity = (identity) => ((archive.redaction) ? redaction.redactIdentity(archive.redaction, identity) : identity) // an identity as it is written into files
+	let nameOf = (identity) => ((identities[identity]) ? identities[identity].fullname : redactedIdentity(identity))
+
+	// all changes are collected in a plan first:
+	let plan = createPlan(sourceDir, archive.zipFile, outDir)
+	if (outDir && !pathExistsSync(outDir)) {
+		addAction(plan, { action: 'mkdir', fullname: outDir })
+	}
+	if (archive.zip && !outDir && !pathExistsSync(sourceDir)) {
+		addAction(plan, { action: 'mkdir', fullname: sourceDir })
+	}
+
+	//------------------------------------------------------------
+	// delete thumbnail files that also exist as originals:
+	for (let thumbnail of archive.thumbnails) {
+		if (thumbnail.file.zipEntry || outDir) { // no need to delete what was never extracted or copied:
+			addAction(plan, { action: 'skip', from: (thumbnail.file.zipEntry) ? thumbnail.file.zipEntry.name : thumbnail.file.fullname, reason: 'thumbnail', original: thumbnail.original })
+
+		} else {
+			addAction(plan, { action: 'delete', fullname: thumbnail.file.fullname, reason: 'thumbnail', original: thumbnail.original })
+		}
+	}
+
+	//------------------------------------------------------------
+	// make sure the sub-folder of each conversation exists, and store its texts:
+	for (let csv of csvFiles) {
+		if (skipCsvFiles.indexOf(csv.name) === -1) { // skip some of the csv files
+			if (!pathWillExistSync(plan, targetDir + csv.nameExplicit)) {
+				addAction(plan, { action: 'mkdir', fullname: targetDir + csv.nameExplicit })
+			}
+			// get "interesting" text from every CSV row:
+			csv.texts = []
+			for (let i = 0; i < csv.rows.length; i++) {
+				if (csv.rows[i].location) { // the body of a location contains no text, only coordinates:
+					let author = authorFromRow(csv.rows[i], csv, identities, run.locale.labels.me)
+					csv.texts.push(String(csv.rows[i].fileTimestampISO.getTime()).padStart(14, '0') + String(i).padStart(5, '0') + '\t[' + strftime(csv.rows[i].fileTimestampISO, run.configuration.textTimestampFormat, run.names) + '] ' + cleanText(geoExport.formatLocationAsText(csv.rows[i].location, run.locale.labels.location)) + ((author) ? ` [` + author + `]` : ``))
+				}
+				for (let s of textCsvHeaders.filter(s => !((s === 'body') && csv.rows[i].location))) { // check all interesting columns for content:
+					try {
+						let tmp = JSON.parse(csv.rows[i][s]) // should not be successful, we are interested in texts not objects
+						if (!Array.isArray(tmp)) { throw new Error('good!') }
+
+					} catch(err) { // ends up here most of the times; every time it is really a text:
+						if (csv.rows[i][s]) {
+							let author = authorFromRow(csv.rows[i], csv, identities, run.locale.labels.me)
+							csv.texts.push(String(csv.rows[i].fileTimestampISO.getTime()).padStart(14, '0') + String(i).padStart(5, '0') + '\t[' + strftime(csv.rows[i].fileTimestampISO, run.configuration.textTimestampFormat, run.names) + '] ' + cleanText(csv.rows[i][s]) + ((author) ? ` [` + author + `]` : ``)) // keep the text
+						}
+					}
+				}
+			}
+			// add the polls of the conversation at the moment they were created:
+			for (let i = 0; i < csv.polls.length; i++) {
+				let timestamp = csv.polls[i].createdAt || new Date(0)
+				let author = (csv.polls[i].creator) ? nameOf(csv.polls[i].creator) : null
+				csv.texts.push(String(timestamp.getTime()).padStart(14, '0') + String(csv.rows.length + i).padStart(5, '0') + '\t[' + strftime(timestamp, run.configuration.textTimestampFormat, run.names) + '] ' + cleanText(ballots.formatPollAsLines(csv.polls[i], nameOf, run.locale.labels).join('\n')) + ((author) ? ` [` + author + `]` : ``))
+			}
+			csv.texts = csv.texts.sort()
+			// with an organized folder: keep its texts, add the texts of new messages only:
+			if (organized) {
+				let fullname = csv.destDir + run.configuration.saveMessagesTextsTo
+				let known = (pathExistsSync(fullname)) ? fs.readFileSync(fullname, 'utf8').split('\n').filter(s => s) : []
+				let knownTexts = new Set(known)
+				let knownUids = (organized.index.messages[csv.nameExplicit]) ? new Set(organized.index.messages[csv.nameExplicit]) : null
+				let added = csv.texts.filter(s => {
+					let row = csv.rows[Number(s.substr(14, 5))] // row index is part of the sort string; polls have none
+					return (row && knownUids) ? !knownUids.has(row.uid) : !knownTexts.has(s.split('\t')[1])
+				})
+				let newMessages = (knownUids) ? csv.rows.filter(row => !knownUids.has(row.uid)).length : added.length
+				if (newMessages) {
+					log(run, logLevelInfo, singularPlural(newMessages, 'new message') + ` in conversation '` + csv.nameExplicit + `'`)
+				}
+				organized.newMessages += newMessages
+				csv.texts = known.concat(added.map(s => s.split('\t')[1])) // new texts are appended in chronological order
+
+			} else {
+				csv.texts = csv.texts.map(s => s.split('\t')[1]) // remove sort string at beginning of strings
+			}
+
+			// store texts as pure text file:
+			if (csv.texts.length) {
+				addAction(plan, { action: 'write', fullname: csv.destDir + run.configuration.saveMessagesTextsTo, content: csv.texts.join('\n'), reason: 'texts' })
+			}
+			// store recipients of a distribution list:
+			if (run.configuration.saveRecipientsTo && csv.identity && (csv.identity.type === 'distribution_list')) {
+				let recipients = csv.identity.members.map(nameOf)
+				addAction(plan, { action: 'write', fullname: csv.destDir + run.configuration.saveRecipientsTo, content: recipients.join('\n') || `[none]`, reason: 'recipients' })
+			}
+			// store polls with their results as separate text file:
+			if (run.configuration.savePollsTo && csv.polls.length) {
+				let content = csv.polls.map(poll => {
+					let lines = ballots.formatPollAsLines(poll, nameOf, run.locale.labels)
+					lines.splice(1, 0, `[` + ((poll.createdAt) ? strftime(poll.createdAt, run.configuration.textTimestampFormat, run.names) : `?`) + `]` + ((poll.creator) ? ` [` + nameOf(poll.creator) + `]` : ``))
+					if (poll.participants.length) {
+						lines.push(run.locale.labels.participants + `: ` + poll.participants.map(nameOf).join(', '))
+					}
+					return lines.join('\n')
+				})
+				addAction(plan, { action: 'write', fullname: csv.destDir + run.configuration.savePollsTo, content: content.join('\n\n'), reason: 'polls' })
+			}
+
+		} else {
+			csv.texts = []
+		}
+	}
+
+	//------------------------------------------------------------
+	// all information is now ready; now, scan all media files, rename them, adjust their file timestamps and move them into the appropriate sub-folders:
+	for (let file of files) {
+		//------------------------------------------------------------
+		// set default values for renamed/moved file and file timestamps:
+		let dest = {
+			dir: ensureTrailingSlash((outDir) ? path.join(outDir, path.relative(sourceDir, file.dir)) : file.dir),
+			name: file.tmpName,
+			ext: file.ext.replace(/^\.+/, '').toLowerCase() // remove dot from original extension because "file-type" returns ext without dot
+		}
+		// a separate output folder (and a redaction) gets the organized files only; no CSV files, texts, logs, or special files:
+		if ((outDir || archive.redaction) && ((knownFileTypes.indexOf(dest.ext) !== -1) || (skipFiles.indexOf(file.base) !== -1))) {
+			continue
+		}
+
+		//------------------------------------------------------------
+		// determine file type:
+
+		if ((knownFileTypes.indexOf(dest.ext) !== -1) || (skipFiles.indexOf(file.base) !== -1)) {
+			dest.type = { ext: dest.ext } // store it in the way "file-type" does
+
+		} else {
+			dest.type = file.detectedType || { ext: dest.ext } // determined before by "analyzeFile"; use default otherwise
+		}
+
+		//------------------------------------------------------------
+		// don't process "csv" and "txt" filenames:
+		if ((!/csv/.test(dest.ext)) && (!/txt/.test(dest.ext))) {
+			// find timestamp that is contained as "uid" in the filename:
+			let timestampPart
+			let fileTimestamp = timestampFromFilename(file.name, fileTimestamps)
+			if (fileTimestamp) { // use the data contained in the timestamp record to adjust the file information:
+				dest.timestamp = fileTimestamp.fileTimestamp
+				dest.timestampISO = fileTimestamp.fileTimestampISO
+				dest.name = dest.name.replace(fileTimestamp.uid, '') // remove timestamp uid from filename
+				file.uid = fileTimestamp.uid // the message the file belongs to
+				dest.dir = fileTimestamp.destDir
+				if ((!dest.type) && fileTimestamp.ext) {
+					dest.type = { ext: fileTimestamp.ext }
+				}
+				// make timestamp part of filename and make sure it is not already contained:
+				timestampPart = validPlatformName(strftime(dest.timestampISO, run.configuration.fileTimestampFormat, run.names) + ' ')
+				while (dest.name.indexOf(timestampPart) !== -1) {
+					dest.name = dest.name.replace(timestampPart, '')
+				}
+			}
+			// find identity that is contained in the filename:
+			let matched = Boolean(fileTimestamp)
+			let identity = identityFromFilename(file.name, identities)
+			if (identity) {
+				let i = csvFiles.map(o => ((o.identity) ? o.identity.identity : null)).indexOf(identity.identity)
+				if (i !== -1) {
+					dest.dir = csvFiles[i].destDir
+					dest.name = dest.name.replace(identity.identity, '') // remove identity from filename
+					matched = true
+				}
+			}
+			// neither message nor conversation found; the file stays in the main folder (reported by the integrity report):
+			file.unmatched = !matched && (knownFileTypes.indexOf(dest.ext) === -1) && (skipFiles.indexOf(file.base) === -1)
+			// a redaction without media files: the messages stay, their files are left out:
+			if (archive.redaction && (run.configuration.redactMedia === 'drop')) {
+				addAction(plan, { action: 'skip', from: (file.zipEntry) ? file.zipEntry.name : file.fullname, reason: 'redaction' })
+				continue
+			}
+			// "purify" filename:
+			dest.name = replaceNameParts(dest.name, identities, { includeReplaceParts: true, includeReplaceChars: true }, run.configuration) // includes "validPlatformName"
+			let purifiedName = dest.name.trim()
+			// finally, add timestamp part to filename:
+			if (timestampPart) {
+				dest.name = timestampPart + dest.name
+			}
+			dest.name = dest.name.trim()
+			dest.conversationDir = dest.dir
+
+			//------------------------------------------------------------
+			// the templates decide about folder and name of the files of a message if requested:
+			if (fileTimestamp && (run.configuration.folderTemplate || run.configuration.fileNameTemplate)) {
+				let values = {
+					conversation: fileTimestamp.conversation,
+					year: strftime(dest.timestampISO, '%Y', run.names),
+					month: strftime(dest.timestampISO, '%m', run.names),
+					day: strftime(dest.timestampISO, '%d', run.names),
+					date: strftime(dest.timestampISO, '%Y-%m-%d', run.names),
+					time: strftime(dest.timestampISO, '%H-%M-%S', run.names),
+					timestamp: strftime(dest.timestampISO, run.configuration.fileTimestampFormat, run.names),
+					sender: fileTimestamp.author,
+					direction: (fileTimestamp.outgoing) ? 'out' : 'in',
+					type: String(fileTimestamp.type).toLowerCase(),
+					caption: (fileTimestamp.caption) ? cleanText(fileTimestamp.caption).substr(0, templateCaptionLength).trim() : null,
+					uid: fileTimestamp.uid,
+					originalFilename: (fileTimestamp.filename) ? path.basename(fileTimestamp.filename, path.extname(fileTimestamp.filename)) : null,
+					name: purifiedName
+				}
+				let dirParts = (run.configuration.folderTemplate) ? fillTemplate(run.configuration.folderTemplate, values) : null // "null" = folder of the conversation
+				let nameParts = (run.configuration.fileNameTemplate) ? fillTemplate(run.configuration.fileNameTemplate, values) : []
+				let name = (run.configuration.fileNameTemplate) ? nameParts.pop() : null // a "/" in the filename template creates sub-folders
+				if (dirParts || nameParts.length) {
+					dest.dir = ensureTrailingSlash((dirParts) ? targetDir + dirParts.concat(nameParts).join('/') : dest.dir + nameParts.join('/'))
+					planCreateDir(plan, dest.dir, targetDir)
+				}
+				if (name) { // keep the default name if nothing is left:
+					// a thumbnail must not get the same name as its original:
+					if ((file.name.indexOf(findOriginal.find) !== -1) && (run.configuration.fileNameTemplate.indexOf('{name}') === -1)) {
+						name += ' ' + (run.configuration.replaceFileNamePart[findOriginal.find] || findOriginal.find)
+					}
+					dest.name = name
+				}
+			}
+		}
+
+		//------------------------------------------------------------
+		// finally, get definitive new extension; including leading dot:
+		if (dest.type) {
+			dest.ext = dest.type.ext.toLowerCase()
+			file.mime = dest.type.mime || null
+
+		} else {
+			log(run, logLevelError, `could not determine file type for file '` + file.fullname + `'`) // keep default value for extension
+		}
+		if (dest.ext) {
+			dest.ext = '.' + dest.ext
+		}
+
+		//------------------------------------------------------------
+		// rename file if new filename not equal to old name:
+		dest.fullname = dest.dir + dest.name + dest.ext
+		file.actions = [] // planned actions for this file
+		// a file is already in the organized folder if its message is known, or if the folder contains the same content:
+		if (organized) {
+			await getHash(run, file, dest.fullname)
+			let existing = ((file.uid) ? organized.uids[file.uid] : null) || organized.pathHashes[planKey(file.pathHash)]
+			if (existing) {
+				log(run, logLevelDebug, `file '` + file.fullname + `' is already contained in organized folder as '` + existing + `'`)
+				if (file.uid) {
+					organized.uids[file.uid] = existing
+				}
+				organized.knownFiles++
+				continue
+			}
+			organized.newFiles++
+		}
+		let n = 0
+		if (file.zipEntry || outDir || (dest.fullname !== normalizePath(file.fullname))) {
+			while (pathWillExistSync(plan, dest.fullname)) { // rename file if same name already exists:
+				dest.fullname = dest.dir + String(++n) + '_' + dest.name + dest.ext
+			}
+			if (file.zipEntry) { // extract file from zip directly into its final destination:
+				file.actions.push(addAction(plan, { action: 'extract', from: file.zipEntry.name, to: dest.fullname, file: file }))
+			} else if (outDir) {
+				file.actions.push(addAction(plan, { action: 'copy', from: file.fullname, to: dest.fullname, method: run.configuration.outputMethod }))
+			} else {
+				file.actions.push(addAction(plan, { action: 'move', from: file.fullname, to: dest.fullname }))
+			}
+
+		} else {
+			log(run, logLevelDebug, `file '` + file.fullname + `' does not need to be renamed`)
+		}
+		file.destFullname = dest.fullname
+		file.conversationDir = dest.conversationDir || dest.dir
+		file.timestampISO = dest.timestampISO || null
+		// create and store additional information to file if duplicates are to be removed or listed:
+		if (run.configuration.removeDuplicatesWithinFolder || run.configuration.saveDuplicateFileNamesTo || run.configuration.saveIndexTo || (run.configuration.duplicateStrategy !== 'report')) {
+			file.duplicateIdx = String(n).padStart(6, '0') + dest.name // artifical index, used to sort array of duplicates in the end
+			await getHash(run, file, dest.fullname) // the hash is known already; the path is new
+			//log(run, logLevelFatal, JSON.stringify(file))
+		}
+
+		//------------------------------------------------------------
+		// write timestamp (and description) into the file itself if requested, strip its metadata for a redaction; a hard link would change the original file:
+		let writeTimestamp = run.configuration.writeTimestampIntoFiles && Boolean(dest.timestampISO)
+		let strip = Boolean(archive.redaction) && (run.configuration.redactMedia === 'strip')
+		if ((writeTimestamp || strip) && mediaMetadata.metadataType(dest.ext) && !(outDir && (run.configuration.outputMethod === 'hardlink'))) {
+			let fileTimestamp = fileTimestamps[file.uid] || {}
+			file.actions.push(addAction(plan, {
+				action: 'metadata',
+				fullname: dest.fullname,
+				timestamp: (writeTimestamp) ? dest.timestampISO : null,
+				timeZone: run.configuration.timeZone,
+				description: (writeTimestamp && run.configuration.writeDescriptionIntoFiles && fileTimestamp.caption) ? fileTimestamp.caption : null,
+				artist: (writeTimestamp && run.configuration.writeDescriptionIntoFiles && fileTimestamp.author) ? fileTimestamp.author : null,
+				strip: strip
+			}))
+		}
+
+		//------------------------------------------------------------
+		// set "last access" and "last modified" timestamps for file if known:
+		if (dest.timestampISO && !(outDir && (run.configuration.outputMethod === 'hardlink'))) {
+			file.actions.push(addAction(plan, { action: 'timestamp', fullname: dest.fullname, timestamp: dest.timestampISO }))
+		}
+
+	} // next "file of files"
+	files = files.filter(o => o.destFullname !== undefined) // only files that were not left out
+
+	//------------------------------------------------------------
+	let deleted = [] // we must keep track of deleted files; not only within the following block
+	//------------------------------------------------------------
+	// process all duplicates within a folder if requested:
+	if (run.configuration.removeDuplicatesWithinFolder) {
+		let struct = {}
+		for (let file of files) {
+			if (struct[file.pathHash] === undefined) {
+				struct[file.pathHash] = [file] // each key of "struct" is an array of duplicates; minimum length = 1
+
+			} else {
+				struct[file.pathHash].push(file) // add file to array; is a real duplicate
+			}
+		}
+		for (let node in struct) {
+			if (struct[node].length > 1) {
+				struct[node].sort(dynamicSort('duplicateIdx')) // sort array by ascending duplicate index; we will keep first one with lowest index
+				for (let i = 1; i < struct[node].length; i++) { // keep only the file in the first array element:
+					if (struct[node][i].zipEntry || outDir) { // no need to delete what was never extracted or copied:
+						struct[node][i].actions.forEach(action => { action.dropped = true })
+						plan.paths[planKey(struct[node][i].destFullname)] = false
+						addAction(plan, { action: 'skip', from: (struct[node][i].zipEntry) ? struct[node][i].zipEntry.name : struct[node][i].fullname, reason: 'duplicate', original: struct[node][0].destFullname })
+
+					} else {
+						addAction(plan, { action: 'delete', fullname: struct[node][i].destFullname, reason: 'duplicate', original: struct[node][0].destFullname })
+					}
+					struct[node][i].duplicateOf = struct[node][0].destFullname
+					deleted.push(struct[node][i].destFullname) // keep filnames that don't exist anymore
+				}
+			}
+		}
+		plan.actions = plan.actions.filter(action => !action.dropped)
+	}
+
+	//------------------------------------------------------------
+	// find all duplicates in the whole archive; keep one of them according to the keep policy and delete or link all others if requested:
+	let duplicates = [] // arrays of duplicates; the kept file first
+	if (run.configuration.saveDuplicateFileNamesTo || (run.configuration.duplicateStrategy !== 'report')) {
+		let struct = {}
+		for (let file of files) {
+			// skip files that don't exist anymore:
+			if (deleted.indexOf(file.destFullname) === -1) {
+				if (struct[file.hash] === undefined) {
+					struct[file.hash] = [file] // each key of "struct" is an array of duplicates; minimum length = 1
+
+				} else {
+					struct[file.hash].push(file) // add file to array; is a real duplicate
+				}
+			}
+		}
+		for (let node in struct) {
+			if (struct[node].length > 1) {
+				duplicates.push(sortDuplicates(struct[node], run.configuration, csvFiles))
+			}
+		}
+		if (run.configuration.duplicateStrategy !== 'report') {
+			let n = 0
+			for (let group of duplicates) {
+				for (let i = 1; i < group.length; i++) {
+					if (run.configuration.duplicateStrategy === 'delete') {
+						if (group[i].zipEntry || outDir) { // no need to delete what was never extracted or copied:
+							group[i].actions.forEach(action => { action.dropped = true })
+							plan.paths[planKey(group[i].destFullname)] = false
+							addAction(plan, { action: 'skip', from: (group[i].zipEntry) ? group[i].zipEntry.name : group[i].fullname, reason: 'duplicate', original: group[0].destFullname })
+
+						} else {
+							addAction(plan, { action: 'delete', fullname: group[i].destFullname, reason: 'duplicate', original: group[0].destFullname })
+						}
+						group[i].duplicateOf = group[0].destFullname
+						deleted.push(group[i].destFullname) // keep filnames that don't exist anymore
+
+					} else { // the link gets the place of the file; a file moved within the folder is replaced by the link:
+						group[i].actions.filter(action => action.action !== 'move').forEach(action => { action.dropped = true })
+						addAction(plan, { action: 'link', from: group[0].destFullname, to: group[i].destFullname, method: run.configuration.duplicateStrategy, original: group[0].destFullname })
+					}
+					n++
+				}
+			}
+			plan.actions = plan.actions.filter(action => !action.dropped)
+			log(run, logLevelInfo, singularPlural(n, 'duplicate') + ` in the whole archive will be ` + ((run.configuration.duplicateStrategy === 'delete') ? `deleted` : `replaced by ` + plural(run.configuration.duplicateStrategy)) + `; keep policy '` + run.configuration.duplicateKeep + `'`)
+		}
+	}
+
+	//------------------------------------------------------------
+	// collect all messages of each conversation with their final media files; needed for the chat view, the JSON export, the e-mails and the search index:
+	if (run.configuration.saveMessagesHtmlTo || run.configuration.saveMessagesJsonTo || run.configuration.saveMessagesMailTo || run.configuration.saveSearchIndexTo) {
+		// find the final file of each message; prefer originals to thumbnails:
+		let media = {}
+		for (let file of files) {
+			if (file.uid && ((media[file.uid] === undefined) || (media[file.uid].name.indexOf(findOriginal.find) !== -1))) {
+				media[file.uid] = file
+			}
+		}
+		for (let csv of csvFiles) {
+			csv.messages = csv.rows.map((row, i) => {
+				let outgoing = Boolean(Number(row.isoutbox))
+				let message = {
+					sort: String(row.fileTimestampISO.getTime()).padStart(14, '0') + String(i).padStart(5, '0'),
+					uid: row.uid,
+					timestamp: row.fileTimestampISO,
+					outgoing: outgoing,
+					identity: redactedIdentity(row.identity || ((!outgoing && csv.identity) ? csv.identity.identity : null)),
+					author: authorFromRow(row, csv, identities, run.locale.labels.me),
+					type: row.type,
+					text: null,
+					caption: row.caption || null,
+					file: row.file || null,
+					location: row.location || null,
+					media: null
+				}
+				try {
+					if (!Array.isArray(JSON.parse(row.body))) { throw new Error('good!') } // file descriptors are arrays; no text
+
+				} catch(err) {
+					message.text = (row.location) ? null : (row.body || null) // coordinates are no text
+				}
+				if (media[row.uid]) {
+					message.media = {
+						fullname: media[row.uid].duplicateOf || media[row.uid].destFullname,
+						mime: media[row.uid].mime || ((row.file) ? row.file.mime : null)
+					}
+
+				} else if (organized && organized.uids[row.uid]) { // already contained in the organized folder:
+					message.media = {
+						fullname: organized.uids[row.uid],
+						mime: (row.file) ? row.file.mime : null
+					}
+				}
+				return message
+			})
+			// polls are messages of their own:
+			csv.messages = csv.messages.concat(csv.polls.map((poll, i) => ({
+				sort: String((poll.createdAt || new Date(0)).getTime()).padStart(14, '0') + String(csv.rows.length + i).padStart(5, '0'),
+				uid: poll.id,
+				timestamp: poll.createdAt || new Date(0),
+				outgoing: false,
+				identity: redactedIdentity(poll.creator),
+				author: (poll.creator) ? nameOf(poll.creator) : null,
+				type: 'BALLOT',
+				text: null,
+				caption: null,
+				file: null,
+				location: null,
+				media: null,
+				poll: {
+					question: poll.question,
+					closed: poll.closed,
+					multipleChoice: poll.multipleChoice,
+					choices: poll.choices.map(choice => ({ name: choice.name, count: choice.count, voters: choice.voters.map(identity => ({ identity: redactedIdentity(identity), fullname: nameOf(identity) })) })),
+					participants: poll.participants.map(identity => ({ identity: redactedIdentity(identity), fullname: nameOf(identity) }))
+				}
+			})))
+			csv.messages.sort(dynamicSort('sort'))
+		}
+	}
+
+	//------------------------------------------------------------
+	// create a chat view of each conversation if requested:
+	if (run.configuration.saveMessagesHtmlTo) {
+		for (let csv of csvFiles) {
+			let messages = csv.messages.filter(o => o.text || o.caption || o.media || o.poll || o.location).map(o => ({
+				time: strftime(o.timestamp, run.configuration.textTimestampFormat, run.names),
+				author: o.author,
+				outgoing: o.outgoing,
+				text: o.text,
+				caption: o.caption,
+				media: (o.media) ? {
+					href: path.relative(csv.destDir, o.media.fullname),
+					kind: htmlExport.mediaKind(o.media.mime, path.extname(o.media.fullname)),
+					name: path.basename(o.media.fullname)
+				} : null,
+				poll: (o.poll) ? {
+					question: o.poll.question,
+					closed: o.poll.closed,
+					choices: o.poll.choices.map(choice => ({ name: choice.name, count: choice.count, voters: choice.voters.map(voter => voter.fullname) }))
+				} : null,
+				location: (o.location) ? {
+					href: geoExport.locationToUrl(o.location),
+					label: geoExport.formatLocationAsText(o.location, run.locale.labels.location)
+				} : null
+			}))
+			if (messages.length) {
+				let content = htmlExport.formatConversationAsHtml({
+					title: csv.nameExplicit,
+					language: run.locale.tag,
+					generator: prgName + ' ' + sourceVersion,
+					labels: run.locale.labels,
+					messages: messages
+				})
+				addAction(plan, { action: 'write', fullname: csv.destDir + run.configuration.saveMessagesHtmlTo, content: content, reason: 'html' })
+			}
+		}
+	}
+
+	//------------------------------------------------------------
+	// export all messages of each conversation with full metadata if requested:
+	if (run.configuration.saveMessagesJsonTo) {
+		let jsonl = (path.extname(run.configuration.saveMessagesJsonTo).toLowerCase() === '.jsonl')
+		for (let csv of csvFiles.filter(o => o.messages.length)) {
+			let messages = csv.messages.map(o => ({
+				uid: o.uid,
+				timestamp: o.timestamp.toISOString(),
+				direction: (o.outgoing) ? 'out' : 'in',
+				identity: o.identity,
+				fullname: o.author,
+				type: o.type,
+				text: o.text,
+				caption: o.caption,
+				file: o.file,
+				location: o.location,
+				path: (o.media) ? normalizePath(path.relative(csv.destDir, o.media.fullname)) : null, // relative to the conversation folder
+				poll: o.poll || null
+			}))
+			let content
+			if (jsonl) {
+				content = messages.map(o => JSON.stringify(o)).join('\n') + '\n'
+
+			} else {
+				content = JSON.stringify({
+					conversation: {
+						identity: (csv.identity) ? redactedIdentity(csv.identity.identity) : null,
+						fullname: (csv.identity) ? csv.identity.fullname : csv.nameExplicit,
+						type: (csv.identity) ? csv.identity.type : null,
+						members: (csv.identity && csv.identity.members) ? csv.identity.members.map(redactedIdentity) : undefined // distribution lists only
+					},
+					messages: messages
+				}, null, '\t') + '\n'
+			}
+			addAction(plan, { action: 'write', fullname: csv.destDir + run.configuration.saveMessagesJsonTo, content: content, reason: 'json' })
+		}
+	}
+
+	//------------------------------------------------------------
+	// export all messages of each conversation as e-mails with their media files as attachments if requested; the attachments are read when the plan is applied:
+	if (run.configuration.saveMessagesMailTo) {
+		let domain = run.configuration.mailDomain
+		let maildir = (run.configuration.mailFormat === 'maildir')
+		let me = { name: run.locale.labels.me, address: mailExport.mailAddress('me', domain) }
+		let n = 0
+		for (let csv of csvFiles.filter(o => o.messages.length)) {
+			let conversation = {
+				name: (csv.identity) ? csv.identity.fullname : csv.nameExplicit,
+				address: mailExport.mailAddress((csv.identity) ? redactedIdentity(csv.identity.identity) : csv.nameExplicit, domain)
+			}
+			let toMe = Boolean(csv.identity && (csv.identity.type === 'contact')) // messages to a group or distribution list go to its address
+			let uids = csv.messages.map(o => ((o.poll) ? 'poll-' : '') + o.uid) // polls have ids of their own
+			let ids = uids.map(uid => mailExport.messageId(uid, domain))
+			let mails = csv.messages.map((o, i) => ({
+				name: (maildir) ? mailExport.maildirName(o.timestamp, uids[i], prgName) : null, // of its file in the maildir
+				messageId: ids[i],
+				from: (o.outgoing) ? me : { name: o.author, address: (o.identity) ? mailExport.mailAddress(o.identity, domain) : conversation.address },
+				to: [(o.outgoing || !toMe) ? conversation : me],
+				date: o.timestamp,
+				timeZone: run.configuration.timeZone,
+				subject: conversation.name,
+				inReplyTo: (i) ? ids[i - 1] : null, // the messages of a conversation form one thread:
+				references: (i) ? Array.from(new Set([ids[0], ids[i - 1]])) : [],
+				headers: { 'X-Threema-Type': o.type, 'X-Threema-Uid': o.uid },
+				text: messageAsText(o, run.locale.labels),
+				attachments: (o.media) ? [{ fullname: o.media.fullname, filename: path.basename(o.media.fullname), mime: o.media.mime }] : [],
+				generator: prgName + ' ' + sourceVersion
+			}))
+			let fullname = csv.destDir + run.configuration.saveMessagesMailTo
+			if (maildir) {
+				for (let dir of [fullname].concat(mailExport.maildirFolders.map(s => ensureTrailingSlash(fullname) + s))) {
+					if (!pathWillExistSync(plan, dir)) {
+						addAction(plan, { action: 'mkdir', fullname: dir })
+					}
+				}
+			}
+			addAction(plan, { action: 'mail', fullname: fullname, format: run.configuration.mailFormat, mails: mails })
+			n += mails.length
+		}
+		log(run, logLevelInfo, singularPlural(n, 'message') + ` exported as e-mails (` + run.configuration.mailFormat + `)`)
+	}
+
+	//------------------------------------------------------------
+	// save the search index of all messages if requested; with an organized folder, messages of its index that are not in this backup are kept:
+	if (run.configuration.saveSearchIndexTo) {
+		let fullname = targetDir + run.configuration.saveSearchIndexTo
+		let previous = (organized && pathExistsSync(fullname)) ? search.readSearchIndex(fullname) : null
+		let messages = []
+		for (let csv of csvFiles) {
+			messages = messages.concat(csv.messages.map(o => ({
+				uid: o.uid,
+				conversation: csv.nameExplicit,
+				timestamp: o.timestamp.toISOString(),
+				sender: o.author,
+				identity: o.identity,
+				outgoing: o.outgoing,
+				type: o.type,
+				text: search.searchText(o, (location) => geoExport.formatLocationAsText(location, run.locale.labels.location)),
+				media: (o.media) ? normalizePath(path.relative(targetDir, o.media.fullname)) : null
+			})).filter(o => o.text || o.media))
+		}
+		let index = search.buildSearchIndex(messages, previous, sourceVersion)
+		log(run, logLevelInfo, `search index contains ` + singularPlural(index.messages.length, 'message') + ` with ` + singularPlural(Object.keys(index.words).length, 'different word'))
+		addAction(plan, { action: 'write', fullname: fullname, content: JSON.stringify(index), reason: 'search' })
+	}
+
+	//------------------------------------------------------------
+	// save the statistics of all conversations and their media files if requested:
+	if (run.configuration.saveStatisticsTo) {
+		let conversations = csvFiles.filter(o => o.rows.length).map(csv => ({
+			name: csv.nameExplicit,
+			messages: csv.rows.map(row => ({
+				timestamp: row.fileTimestampISO,
+				outgoing: Boolean(Number(row.isoutbox)),
+				sender: authorFromRow(row, csv, identities, run.locale.labels.me)
+			}))
+		}))
+		let media = archive.files.filter(file => file.uid).map(file => { // files already contained in an organized folder included:
+			let ext = ((file.detectedType) ? file.detectedType.ext : file.ext.replace(/^\.+/, '')).toLowerCase()
+			return {
+				conversation: (fileTimestamps[file.uid]) ? fileTimestamps[file.uid].conversation : null,
+				type: ext,
+				kind: htmlExport.mediaKind(file.mime, ext),
+				size: file.size || 0
+			}
+		})
+		let result = statistics.computeStatistics(conversations, media, { timeZone: run.configuration.timeZone })
+		log(run, logLevelInfo, `statistics of ` + singularPlural(result.overall.messages, 'message') + ` in ` + singularPlural(result.conversations.length, 'conversation') + ` and ` + singularPlural(result.overall.media, 'media file') + ` (` + statistics.formatBytes(result.overall.bytes) + `)`)
+		let content = statistics.formatStatisticsAsHtml(result, {
+			title: path.basename(path.resolve(targetDir)),
+			language: run.locale.tag,
+			generator: prgName + ' ' + sourceVersion,
+			formatTime: (timestamp) => strftime(timestamp, run.configuration.textTimestampFormat, run.names)
+		})
+		addAction(plan, { action: 'write', fullname: targetDir + run.configuration.saveStatisticsTo + htmlExtension, content: content, reason: 'statistics' })
+		addAction(plan, { action: 'write', fullname: targetDir + run.configuration.saveStatisticsTo + csvExtension, content: statistics.formatStatisticsAsCsv(result), reason: 'statistics' })
+	}
+
+	//------------------------------------------------------------
+	// export all shared locations of each conversation and of the whole archive if requested:
+	if (run.configuration.saveLocationsTo) {
+		let allPoints = []
+		for (let csv of csvFiles) {
+			let points = csv.rows.filter(row => row.location).map(row => Object.assign({
+				time: row.fileTimestampISO,
+				author: authorFromRow(row, csv, identities, run.locale.labels.me),
+				conversation: csv.nameExplicit,
+				uid: row.uid
+			}, row.location))
+			if (points.length) {
+				points.sort((a, b) => a.time.getTime() - b.time.getTime())
+				addAction(plan, { action: 'write', fullname: csv.destDir + run.configuration.saveLocationsTo + gpxExtension, content: geoExport.formatAsGpx(csv.nameExplicit, points, prgName + ' ' + sourceVersion), reason: 'locations' })
+				addAction(plan, { action: 'write', fullname: csv.destDir + run.configuration.saveLocationsTo + geoJsonExtension, content: geoExport.formatAsGeoJson(points), reason: 'locations' })
+				allPoints = allPoints.concat(points)
+			}
+		}
+		log(run, logLevelInfo, singularPlural(allPoints.length, 'shared location')  + ` found`)
+		if (allPoints.length) {
+			addAction(plan, { action: 'write', fullname: targetDir + run.configuration.saveLocationsTo + gpxExtension, content: geoExport.formatAsGpx(path.basename(path.resolve(targetDir)), allPoints, prgName + ' ' + sourceVersion), reason: 'locations' })
+			addAction(plan, { action: 'write', fullname: targetDir + run.configuration.saveLocationsTo + geoJsonExtension, content: geoExport.formatAsGeoJson(allPoints), reason: 'locations' })
+		}
+	}
+
+	//------------------------------------------------------------
+	// save all duplicates if requested:
+	if (run.configuration.saveDuplicateFileNamesTo) {
+		let fullnames = []
+		for (let group of duplicates) {
+			// add fullnames in block to array; add delimiter between blocks:
+			fullnames = fullnames.concat(((fullnames.length) ? [''] /* delimiter */ : [])).concat(group.map(o => o.destFullname))
+		}
+		// save list of duplicates to file:
+		addAction(plan, { action: 'write', fullname: targetDir + String(run.configuration.saveDuplicateFileNamesTo), content: fullnames.join('\n') || `[none]`, reason: 'duplicates' })
+	}
+
+	//------------------------------------------------------------
+	// save the integrity report if requested; is the backup complete?
+	if (run.configuration.saveIntegrityReportTo) {
+		let report = checkIntegrity(archive)
+		let problems = report.unmatched.length + report.missing.length + report.collisions.length
+		let content = formatIntegrityReportAsText(report, (timestamp) => strftime(timestamp, run.configuration.textTimestampFormat, run.names))
+		log(run, (problems) ? logLevelWarn : logLevelInfo, `integrity: ` + singularPlural(report.unmatched.length, 'file') + ` without message or conversation, ` + singularPlural(report.missing.length, 'file message') + ` without media file, ` + singularPlural(report.thumbnailsOnly.length, 'thumbnail') + ` without original, ` + singularPlural(report.collisions.length, 'uid collision') + `; see '` + run.configuration.saveIntegrityReportTo + `'`)
+		addAction(plan, { action: 'write', fullname: targetDir + run.configuration.saveIntegrityReportTo, content: content, reason: 'integrity' })
+	}
+
+	//------------------------------------------------------------
+	// save the mapping of the pseudonyms of a redaction if requested; outside of the redacted folder, it reverses the redaction:
+	if (archive.redaction && run.configuration.saveRedactionMappingTo) {
+		let fullname = mappingFileOf(run, targetDir)
+		log(run, logLevelInfo, `mapping of ` + singularPlural(Object.keys(archive.redaction.identities).length, 'pseudonym') + ` goes to '` + fullname + `'; keep it private`)
+		addAction(plan, { action: 'write', fullname: fullname, content: redaction.formatMapping(archive.redaction, sourceVersion), reason: 'redaction' })
+	}
+
+	//------------------------------------------------------------
+	// save index of all files and messages if requested; a later backup can be added to the organized folder then:
+	if (run.configuration.saveIndexTo) {
+		let index = {
+			index: sourceVersion,
+			updated: new Date(),
+			files: (organized) ? organized.index.files : [],
+			messages: (organized) ? organized.index.messages : {}
+		}
+		for (let file of files.filter(o => (deleted.indexOf(o.destFullname) === -1) && o.hash)) {
+			index.files.push({ path: normalizePath(path.relative(targetDir, file.destFullname)), uid: file.uid || null, hash: file.hash })
+		}
+		for (let csv of csvFiles.filter(o => o.rows.length)) {
+			let uids = new Set(index.messages[csv.nameExplicit] || [])
+			csv.rows.forEach(row => uids.add(row.uid))
+			index.messages[csv.nameExplicit] = Array.from(uids)
+		}
+		addAction(plan, { action: 'write', fullname: targetDir + run.configuration.saveIndexTo, content: JSON.stringify(index, null, '\t'), reason: 'index' })
+	}
+	if (organized) {
+		log(run, logLevelInfo, `new in this backup: ` + singularPlural(organized.newMessages, 'message') + `, ` + singularPlural(organized.newFiles, 'file') + `; ` + singularPlural(organized.knownFiles, 'file') + ` already contained in organized folder`)
+	}
+
+	//------------------------------------------------------------
+	// finally, delete empty folders if requested:
+	if (run.configuration.removeEmptyFolders) {
+		planRemoveEmptyFolders(run, plan, targetDir)
+	}
+	return plan
+}
+
+
+//--------------------------------------------------------------------------------
+// Check the completeness of an archive after "buildPlan"; returns { unmatched, missing, thumbnailsOnly, collisions }:
+// - unmatched: files without message or conversation, [{ file, type, mime, size }]
+// - missing: file messages with neither media nor thumbnail file, [{ uid, conversation, timestamp, type, filename }]
+// - thumbnailsOnly: thumbnails without original, [{ file, uid, conversation, timestamp, filename }]
+// - collisions: messages with the same uid, [{ uid, conversations }]
+function checkIntegrity(archive) {
+	let relative = (file) => normalizePath(path.relative(archive.sourceDir, file.fullname)) // zip entries: as if extracted
+	let uids = new Set(archive.files.filter(file => file.uid).map(file => file.uid))
+	let report = {
+		unmatched: archive.files.filter(file => file.unmatched).map(file => ({
+			file: relative(file),
+			type: (file.detectedType) ? file.detectedType.ext : null,
+			mime: (file.detectedType) ? file.detectedType.mime || null : null,
+			size: file.size
+		})),
+		missing: [],
+		thumbnailsOnly: [],
+		collisions: archive.collisions
+	}
+	for (let csv of archive.csvFiles) {
+		for (let row of csv.rows.filter(o => o.file && !uids.has(o.uid) && !(archive.organized && archive.organized.uids[o.uid]))) {
+			report.missing.push({ uid: row.uid, conversation: csv.nameExplicit, timestamp: row.fileTimestampISO, type: row.type, filename: row.file.filename })
+		}
+	}
+	// a thumbnail with original is marked or left out by "loadArchive":
+	for (let file of archive.files.filter(o => (o.name.indexOf(findOriginal.find) !== -1) && (o.tmpName === o.name))) {
+		let fileTimestamp = (file.uid) ? archive.fileTimestamps[file.uid] : null
+		report.thumbnailsOnly.push({
+			file: relative(file),
+			uid: file.uid || null,
+			conversation: (fileTimestamp) ? fileTimestamp.conversation : null,
+			timestamp: (fileTimestamp) ? fileTimestamp.fileTimestampISO : null,
+			filename: (fileTimestamp) ? fileTimestamp.filename : null
+		})
+	}
+	report.missing.sort((a, b) => a.conversation.localeCompare(b.conversation) || (a.timestamp - b.timestamp))
+	return report
+}
+
+//--------------------------------------------------------------------------------
+// Return the integrity report (see "checkIntegrity") as text; one section per check; "formatTime" turns a timestamp into text:
+function formatIntegrityReportAsText(report, formatTime) {
+	const section = (title, lines) => [title + ` (` + lines.length + `):`].concat((lines.length) ? lines.map(s => `  ` + s) : [`  [none]`]).join('\n')
+	const message = (o) => `[` + ((o.timestamp) ? formatTime(o.timestamp) : `?`) + `] ` + (o.conversation || `?`) + `: ` + (o.filename || `?`)
+	return [
+		section(`files without message or conversation, left with their names`, report.unmatched.map(o => o.file + `\t` + ((o.type) ? o.type + ((o.mime) ? ` (` + o.mime + `)` : ``) : `unknown type`) + `\t` + singularPlural(o.size, 'byte'))),
+		section(`file messages without media or thumbnail file`, report.missing.map(o => message(o) + ` (` + o.type + `, ` + o.uid + `)`)),
+		section(`thumbnails without original`, report.thumbnailsOnly.map(o => message(o) + ` (` + o.file + `)`)),
+		section(`uid collisions; the files belong to the last conversation`, report.collisions.map(o => o.uid + `: ` + o.conversations.join(', ')))
+	].join('\n\n') + '\n'
+}
+
+//--------------------------------------------------------------------------------
+// Search the messages of organized folder "dir" in its search index (see "saveSearchIndexTo"); "query" is a string (see "search.js").
+// Returns { hits, text }: the hits, and the hits as text with the "searchContext" messages before and after each of them:
+function searchArchive(run, dir, query) {
+	checkConfiguration(run) // throws with message on error
+	let fullname = ensureTrailingSlash(dir) + run.configuration.saveSearchIndexTo
+	if (!run.configuration.saveSearchIndexTo || !pathExistsSync(fullname)) {
+		throw new Error(`no search index '` + fullname + `' found; trace back the backup into this folder first`)
+	}
+	let index = search.readSearchIndex(fullname)
+	let hits = search.searchIndex(index, search.parseQuery(query), {
+		context: run.configuration.searchContext,
+		dateOf: (message) => strftime(new Date(message.timestamp), '%Y-%m-%d', run.names)
+	})
+	log(run, logLevelInfo, singularPlural(hits.length, 'hit') + ` in ` + singularPlural(index.messages.length, 'message') + ` of search index '` + fullname + `'`)
+	return {
+		hits: hits,
+		text: search.formatHitsAsText(hits, (timestamp) => strftime(new Date(timestamp), run.configuration.textTimestampFormat, run.names))
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return a new run with its own configuration ("configuration" overwrites the defaults): an event emitter with all stages as methods:
+function createTraceBack(configuration = {}) {
+	let run = new EventEmitter()
+	run.configuration = Object.assign(defaultConfiguration(), configuration)
+	run.loadArchive = (source) => loadArchive(run, source)
+	run.buildPlan = (archive) => buildPlan(run, archive)
+	run.applyPlan = (plan) => applyPlan(run, plan)
+	run.savePlan = (plan, fullname) => savePlan(run, plan, fullname)
+	run.undoJournal = (journal) => undoJournal(run, journal)
+	run.search = (dir, query) => searchArchive(run, dir, query)
+	run.closeArchive = closeArchive
+	return run
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	author,
+	sourceDate,
+	sourceVersion,
+	logLevels,
+	defaultConfiguration,
+	configurationSchema,
+	createTraceBack,
+	formatPlanAsJSON,
+	formatPlanAsText,
+	// building blocks, exported for tests:
+	timestampFromFilename,
+	identityFromFilename,
+	replaceNameParts,
+	fillTemplate,
+	sortDuplicates,
+	probeFile
+}
@@ -0,0 +1,329 @@
+'use strict'
+
+//================================================================================
+// General helpers: paths, names, texts, arrays and timestamps.
+//--------------------------------------------------------------------------------
+// Nothing in here depends on the configuration or on logging; used by the
+// trace-back library "traceBack.js" and by the command line program.
+//--------------------------------------------------------------------------------
+
+const fs = require('fs')
+
+
+//--------------------------------------------------------------------------------
+// all placeholders "strftime" knows; any other "%" sequence is left as it is:
+const strftimePlaceholders = ['%à', '%a', '%A', '%b', '%B', '%c', '%C', '%d', '%e', '%F', '%G', '%g', '%H', '%I', '%j', '%k', '%l', '%m', '%n', '%M', '%p', '%P', '%s', '%S', '%u', '%V', '%w', '%x', '%X', '%y', '%Y', '%z', '%Z', '%%']
+//--------------------------------------------------------------------------------
+// formatters of the time zones used so far, created once each:
+const zoneFormats = {} // time zone => "Intl.DateTimeFormat" for "zonedTime"
+
+
+//--------------------------------------------------------------------------------
+// Returns the English plural for string "s":
+function plural(s) {
+	if ((typeof s === 'string') && s) {
+		const sLast = s.slice(-1)
+		if (sLast === 's') {
+			s += 'es'
+		} else if (sLast === 'S') {
+			s += 'ES'
+		} else if (sLast === 'y') {
+			s += 'ies'
+		} else if (sLast === 'Y') {
+			s += 'IES'
+		} else if (sLast === sLast.toUpperCase()) {
+			s += 'S'
+		} else {
+			s += 's'
+		}
+		return s.replace(/yies$/, 'ies').replace(/YIES$/, 'IES')
+
+	} else {
+		return null
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Returns the number plus the English plural for string "s":
+function singularPlural(n, s, includeNr = true) {
+	if (typeof s === 'string') {
+		if (n != 1) {
+			s = plural(s)
+		}
+		if (includeNr) {
+			s = n + ' ' + s
+		}
+	}
+	return s
+}
+
+//--------------------------------------------------------------------------------
+// Return the wall clock time of "date" in "timeZone" (IANA name like "Europe/Zurich"; "device" or empty = the time zone of this computer), daylight saving time included:
+// { wall [date object; its UTC fields are the wall clock time], offset [minutes east of UTC], name [long name of the time zone], timeZone [IANA name or "undefined"] }
+function zonedTime(date, timeZone) {
+	let zone = (timeZone && (timeZone !== 'device')) ? timeZone : undefined
+	let key = zone || ''
+	if (!zoneFormats[key]) { // creating a formatter is expensive:
+		zoneFormats[key] = new Intl.DateTimeFormat('en-US', { timeZone: zone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric', timeZoneName: 'long' }) // throws on unknown time zone
+	}
+	let parts = {}
+	for (let part of zoneFormats[key].formatToParts(date)) {
+		parts[part.type] = part.value
+	}
+	let wall = new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second), date.getUTCMilliseconds()))
+	if (Number(parts.year) < 100) { // "Date.UTC" maps the years 0..99 to 1900..1999:
+		wall.setUTCFullYear(Number(parts.year))
+	}
+	return {
+		wall: wall,
+		offset: Math.round((wall.getTime() - date.getTime()) / 60000),
+		name: parts.timeZoneName,
+		timeZone: zone
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return "true" if "timeZone" is "device" or a time zone known to this computer (IANA name):
+function isValidTimeZone(timeZone) {
+	if (timeZone === 'device') {
+		return true
+	}
+	try {
+		zonedTime(new Date(0), timeZone)
+		return true
+
+	} catch(err) {
+		return false
+	}
+}
+
+//--------------------------------------------------------------------------------
+// https://github.com/thdoan/strftime/blob/master/strftime.js
+/* Port of strftime() by T. H. Doan (https://thdoan.github.io/strftime/)
+ *
+ * Day of year (%j) code based on Joe Orost's answer:
+ * http://stackoverflow.com/questions/8619879/javascript-calculate-the-day-of-the-year-1-366
+ *
+ * Week number (%V) code based on Taco van den Broek's prototype:
+ * http://techblog.procurios.nl/k/news/view/33796/14863/calculate-iso-8601-week-and-year-in-javascript.html
+ *
+ * "names" = { days, months, timeZone }: the names of the days and months and the time zone (IANA name or "device"); see "strftimeNames" of "locales.js"
+ * for the abbreviations ("daysShort", "daysMin", "monthsShort"), "am", "pm", "hourCycle" and "dateFormat" of a locale (if missing: as in English)
+ * and its "locale" tag (formats "%x" and "%X" without "dateFormat" and "hourCycle"; if missing: the locale of the device);
+ * all fields are taken from the wall clock time in this time zone ("zoned.wall", read with the UTC getters)
+ */
+function strftime(date, sFormat, names) {
+	if (!(date instanceof Date)) date = new Date();
+	var zoned = zonedTime(date, names.timeZone),
+		wall = zoned.wall,
+		nDay = wall.getUTCDay(),
+		nDate = wall.getUTCDate(),
+		nMonth = wall.getUTCMonth(),
+		nYear = wall.getUTCFullYear(),
+		nHour = wall.getUTCHours(),
+		aDayCount = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334],
+		isLeapYear = function() {
+			return (nYear%4===0 && nYear%100!==0) || nYear%400===0;
+		},
+		getThursday = function() {
+			var target = new Date(wall);
+			target.setUTCDate(nDate - ((nDay+6)%7) + 3);
+			return target;
+		},
+		zeroPad = function(nNum, nPad) {
+			return ((Math.pow(10, nPad) + nNum) + '').slice(1);
+		};
+	return sFormat.replace(/%%|%[a-zà]/gi, function(sMatch) {
+		// date and time as in the locale; formatted only if needed:
+		if ((sMatch === '%x') && names.dateFormat) {
+			return strftime(date, names.dateFormat, names);
+		}
+		if ((sMatch === '%X') && names.hourCycle) {
+			return strftime(date, (names.hourCycle === 'h12') ? '%l:%M:%S %p' : '%H:%M:%S', names);
+		}
+		if (sMatch === '%c') {
+			return strftime(date, '%a %e %b %Y %X %z', names);
+		}
+		return (({
+			'%à': (names.daysMin) ? names.daysMin[nDay] : names.days[nDay].slice(0,2), // additional code for languages like German that require 2-letter abreviations
+			'%a': (names.daysShort) ? names.daysShort[nDay] : names.days[nDay].slice(0,3),
+			'%A': names.days[nDay],
+			'%b': (names.monthsShort) ? names.monthsShort[nMonth] : names.months[nMonth].slice(0,3),
+			'%B': names.months[nMonth],
+			'%C': Math.floor(nYear/100),
+			'%d': zeroPad(nDate, 2),
+			'%e': nDate,
+			'%F': wall.toISOString().slice(0,10),
+			'%G': getThursday().getUTCFullYear(),
+			'%g': (getThursday().getUTCFullYear() + '').slice(2),
+			'%H': zeroPad(nHour, 2),
+			'%I': zeroPad((nHour+11)%12 + 1, 2),
+			'%j': zeroPad(aDayCount[nMonth] + nDate + ((nMonth>1 && isLeapYear()) ? 1 : 0), 3),
+			'%k': nHour,
+			'%l': (nHour+11)%12 + 1,
+			'%m': zeroPad(nMonth + 1, 2),
+			'%n': nMonth + 1,
+			'%M': zeroPad(wall.getUTCMinutes(), 2),
+			'%p': (nHour<12) ? (names.am || 'AM') : (names.pm || 'PM'),
+			'%P': ((nHour<12) ? (names.am || 'AM') : (names.pm || 'PM')).toLowerCase(),
+			'%s': Math.round(date.getTime()/1000),
+			'%S': zeroPad(wall.getUTCSeconds(), 2),
+			'%u': nDay || 7,
+			'%V': (function() {
+							var target = getThursday(),
+								n1stThu = target.valueOf();
+							target.setUTCMonth(0, 1);
+							var nJan1 = target.getUTCDay();
+							if (nJan1!==4) target.setUTCMonth(0, 1 + ((4-nJan1)+7)%7);
+							return zeroPad(1 + Math.ceil((n1stThu-target)/604800000), 2);
+						})(),
+			'%w': nDay,
+			'%x': date.toLocaleDateString(names.locale, { timeZone: zoned.timeZone }),
+			'%X': date.toLocaleTimeString(names.locale, { timeZone: zoned.timeZone }),
+			'%y': (nYear + '').slice(2),
+			'%Y': nYear,
+			'%z': ((zoned.offset < 0) ? '-' : '+') + zeroPad(Math.floor(Math.abs(zoned.offset) / 60), 2) + zeroPad(Math.abs(zoned.offset) % 60, 2),
+			'%Z': zoned.name,
+			'%%': '%' // a "%" of its own
+		}[sMatch] || '') + '') || sMatch;
+	});
+}
+
+//--------------------------------------------------------------------------------
+// Check synchronously if file or folder exists:
+function pathExistsSync(fullName) {
+	try {
+		return fs.existsSync(fullName)
+
+	} catch(err) { // not expected to happen; "fs.existsSync" returns "false" on errors itself
+		return false
+}}
+
+//--------------------------------------------------------------------------------
+// Return file path with no backslashes "\":
+function normalizePath(s) {
+	return ((s) ? s.replace(/\\/g, '/') : '')
+}
+
+//--------------------------------------------------------------------------------
+// Return file path with no backslashes "\" and definitely no trailing slash "/":
+function ensureNoTrailingSlash(s) {
+	return ((s) ? normalizePath(s).replace(/\/+$/, '') : '.' /*globals.prgDir*/)
+}
+
+//--------------------------------------------------------------------------------
+// Return file path with no backslashes "\" and definitely a trailing slash "/":
+function ensureTrailingSlash(s) {
+	return ensureNoTrailingSlash(s) + '/'
+}
+
+//--------------------------------------------------------------------------------
+// Convert string "s" into normalized string without line breaks or tabs:
+function cleanText(s, delimiter = ' ↲ ') {
+	if (typeof s !== 'string') {
+		s = String(s)
+	}
+	return s.replace(/^\s+/, '').replace(/\s+$/, '').replace(/[\r\n\b\f]/g, '\t').replace(/\t+/g, delimiter).replace(/\s+/g, ' ').trim()
+}
+
+//--------------------------------------------------------------------------------
+// Convert string "s" into valid string for current platform:
+function validPlatformName(s) {
+	// replace non-printable unicode characters:
+	const re = /[\0-\x1F\x7F-\x9F\xAD\u0378\u0379\u037F-\u0383\u038B\u038D\u03A2\u0528-\u0530\u0557\u0558\u0560\u0588\u058B-\u058E\u0590\u05C8-\u05CF\u05EB-\u05EF\u05F5-\u0605\u061C\u061D\u06DD\u070E\u070F\u074B\u074C\u07B2-\u07BF\u07FB-\u07FF\u082E\u082F\u083F\u085C\u085D\u085F-\u089F\u08A1\u08AD-\u08E3\u08FF\u0978\u0980\u0984\u098D\u098E\u0991\u0992\u09A9\u09B1\u09B3-\u09B5\u09BA\u09BB\u09C5\u09C6\u09C9\u09CA\u09CF-\u09D6\u09D8-\u09DB\u09DE\u09E4\u09E5\u09FC-\u0A00\u0A04\u0A0B-\u0A0E\u0A11\u0A12\u0A29\u0A31\u0A34\u0A37\u0A3A\u0A3B\u0A3D\u0A43-\u0A46\u0A49\u0A4A\u0A4E-\u0A50\u0A52-\u0A58\u0A5D\u0A5F-\u0A65\u0A76-\u0A80\u0A84\u0A8E\u0A92\u0AA9\u0AB1\u0AB4\u0ABA\u0ABB\u0AC6\u0ACA\u0ACE\u0ACF\u0AD1-\u0ADF\u0AE4\u0AE5\u0AF2-\u0B00\u0B04\u0B0D\u0B0E\u0B11\u0B12\u0B29\u0B31\u0B34\u0B3A\u0B3B\u0B45\u0B46\u0B49\u0B4A\u0B4E-\u0B55\u0B58-\u0B5B\u0B5E\u0B64\u0B65\u0B78-\u0B81\u0B84\u0B8B-\u0B8D\u0B91\u0B96-\u0B98\u0B9B\u0B9D\u0BA0-\u0BA2\u0BA5-\u0BA7\u0BAB-\u0BAD\u0BBA-\u0BBD\u0BC3-\u0BC5\u0BC9\u0BCE\u0BCF\u0BD1-\u0BD6\u0BD8-\u0BE5\u0BFB-\u0C00\u0C04\u0C0D\u0C11\u0C29\u0C34\u0C3A-\u0C3C\u0C45\u0C49\u0C4E-\u0C54\u0C57\u0C5A-\u0C5F\u0C64\u0C65\u0C70-\u0C77\u0C80\u0C81\u0C84\u0C8D\u0C91\u0CA9\u0CB4\u0CBA\u0CBB\u0CC5\u0CC9\u0CCE-\u0CD4\u0CD7-\u0CDD\u0CDF\u0CE4\u0CE5\u0CF0\u0CF3-\u0D01\u0D04\u0D0D\u0D11\u0D3B\u0D3C\u0D45\u0D49\u0D4F-\u0D56\u0D58-\u0D5F\u0D64\u0D65\u0D76-\u0D78\u0D80\u0D81\u0D84\u0D97-\u0D99\u0DB2\u0DBC\u0DBE\u0DBF\u0DC7-\u0DC9\u0DCB-\u0DCE\u0DD5\u0DD7\u0DE0-\u0DF1\u0DF5-\u0E00\u0E3B-\u0E3E\u0E5C-\u0E80\u0E83\u0E85\u0E86\u0E89\u0E8B\u0E8C\u0E8E-\u0E93\u0E98\u0EA0\u0EA4\u0EA6\u0EA8\u0EA9\u0EAC\u0EBA\u0EBE\u0EBF\u0EC5\u0EC7\u0ECE\u0ECF\u0EDA\u0EDB\u0EE0-\u0EFF\u0F48\u0F6D-\u0F70\u0F98\u0FBD\u0FCD\u0FDB-\u0FFF\u10C6\u10C8-\u10CC\u10CE\u10CF\u1249\u124E\u124F\u1257\u1259\u125E\u125F\u1289\u128E\u128F\u12B1\u12B6\u12B7\u12BF\u12C1\u12C6\u12C7\u12D7\u1311\u1316\u1317\u135B\u135C\u137D-\u137F\u139A-\u139F\u13F5-\u13FF\u169D-\u169F\u16F1-\u16FF\u170D\u1715-\u171F\u1737-\u173F\u1754-\u175F\u176D\u1771\u1774-\u177F\u17DE\u17DF\u17EA-\u17EF\u17FA-\u17FF\u180F\u181A-\u181F\u1878-\u187F\u18AB-\u18AF\u18F6-\u18FF\u191D-\u191F\u192C-\u192F\u193C-\u193F\u1941-\u1943\u196E\u196F\u1975-\u197F\u19AC-\u19AF\u19CA-\u19CF\u19DB-\u19DD\u1A1C\u1A1D\u1A5F\u1A7D\u1A7E\u1A8A-\u1A8F\u1A9A-\u1A9F\u1AAE-\u1AFF\u1B4C-\u1B4F\u1B7D-\u1B7F\u1BF4-\u1BFB\u1C38-\u1C3A\u1C4A-\u1C4C\u1C80-\u1CBF\u1CC8-\u1CCF\u1CF7-\u1CFF\u1DE7-\u1DFB\u1F16\u1F17\u1F1E\u1F1F\u1F46\u1F47\u1F4E\u1F4F\u1F58\u1F5A\u1F5C\u1F5E\u1F7E\u1F7F\u1FB5\u1FC5\u1FD4\u1FD5\u1FDC\u1FF0\u1FF1\u1FF5\u1FFF\u200B-\u200F\u202A-\u202E\u2060-\u206F\u2072\u2073\u208F\u209D-\u209F\u20BB-\u20CF\u20F1-\u20FF\u218A-\u218F\u23F4-\u23FF\u2427-\u243F\u244B-\u245F\u2700\u2B4D-\u2B4F\u2B5A-\u2BFF\u2C2F\u2C5F\u2CF4-\u2CF8\u2D26\u2D28-\u2D2C\u2D2E\u2D2F\u2D68-\u2D6E\u2D71-\u2D7E\u2D97-\u2D9F\u2DA7\u2DAF\u2DB7\u2DBF\u2DC7\u2DCF\u2DD7\u2DDF\u2E3C-\u2E7F\u2E9A\u2EF4-\u2EFF\u2FD6-\u2FEF\u2FFC-\u2FFF\u3040\u3097\u3098\u3100-\u3104\u312E-\u3130\u318F\u31BB-\u31BF\u31E4-\u31EF\u321F\u32FF\u4DB6-\u4DBF\u9FCD-\u9FFF\uA48D-\uA48F\uA4C7-\uA4CF\uA62C-\uA63F\uA698-\uA69E\uA6F8-\uA6FF\uA78F\uA794-\uA79F\uA7AB-\uA7F7\uA82C-\uA82F\uA83A-\uA83F\uA878-\uA87F\uA8C5-\uA8CD\uA8DA-\uA8DF\uA8FC-\uA8FF\uA954-\uA95E\uA97D-\uA97F\uA9CE\uA9DA-\uA9DD\uA9E0-\uA9FF\uAA37-\uAA3F\uAA4E\uAA4F\uAA5A\uAA5B\uAA7C-\uAA7F\uAAC3-\uAADA\uAAF7-\uAB00\uAB07\uAB08\uAB0F\uAB10\uAB17-\uAB1F\uAB27\uAB2F-\uABBF\uABEE\uABEF\uABFA-\uABFF\uD7A4-\uD7AF\uD7C7-\uD7CA\uD7FC-\uF8FF\uFA6E\uFA6F\uFADA-\uFAFF\uFB07-\uFB12\uFB18-\uFB1C\uFB37\uFB3D\uFB3F\uFB42\uFB45\uFBC2-\uFBD2\uFD40-\uFD4F\uFD90\uFD91\uFDC8-\uFDEF\uFDFE\uFDFF\uFE1A-\uFE1F\uFE27-\uFE2F\uFE53\uFE67\uFE6C-\uFE6F\uFE75\uFEFD-\uFF00\uFFBF-\uFFC1\uFFC8\uFFC9\uFFD0\uFFD1\uFFD8\uFFD9\uFFDD-\uFFDF\uFFE7\uFFEF-\uFFFB\uFFFE\uFFFF]/g
+	s = s.replace(re, '.')
+	// platform specific:
+	if (/^win/i.test(process.platform)) {
+		s = s.replace(/[:<>"/\\|?*]/g, '.')
+
+	} else if (/^linux/i.test(process.platform)) {
+		s = s.replace(/\//g, '.')
+	}
+	return s.replace(/\.{2,}/g, '.')
+}
+
+//--------------------------------------------------------------------------------
+// Converts milliseconds since epoch into the wall clock time in "timeZone" (default: of this computer), as date object with these UTC fields (ISO format):
+function epochToLocal(epoch, timeZone = 'device') {
+	return zonedTime(new Date(Number(epoch)), timeZone).wall
+}
+
+//--------------------------------------------------------------------------------
+// Make sure object "o" contains exactly the keys contained in array "a":
+function normalizeObj(o, a, defaultVal = null) {
+	// remove unwanted keys:
+	for (let key in o) {
+		if (a.indexOf(key) === -1) {
+			delete o[key]
+		}
+	}
+	// add missing keys:
+	for (let s of a) {
+		if (o[s] === undefined) {
+			o[s] = defaultVal
+		}
+	}
+	return o
+}
+
+//--------------------------------------------------------------------------------
+// Converts an array of objects into an object using "key" in the objects as key for the new object:
+function arrayToObject(a, key) {
+	if (Array.isArray(a)) {
+		// return Object.assign({}, ...a.map(o => ({[o[key]]: o}))) ==> ERROR: "Maximum call stack size exceeded"
+		return a.reduce((obj, item) => {
+			obj[item[key]] = item
+			return obj
+		}, {})
+
+	} else {
+		return {}
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return "true" if array "b" is contained completely in array "a":
+function arrayContainsArray(a, b) {
+	return !b.some(val => a.indexOf(val) === -1)
+}
+
+//--------------------------------------------------------------------------------
+// Function to sort alphabetically an array of objects by some specific key. Works directly on the original array!
+// Call: a.sort(dynamicSort('[key]')) (asc) or a.sort(dynamicSort('-[key]')) (desc)
+function dynamicSort(key) {
+	let sortOrder = 1
+	if (key.charAt(0) === '-') {
+		sortOrder = -1
+		key = key.slice(1)
+	}
+
+	return (a, b) => {
+		if (sortOrder === -1) {
+			return b[key].localeCompare(a[key])
+		} else {
+			return a[key].localeCompare(b[key])
+		}
+	}
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	strftimePlaceholders,
+	plural,
+	singularPlural,
+	strftime,
+	zonedTime,
+	isValidTimeZone,
+	pathExistsSync,
+	normalizePath,
+	ensureNoTrailingSlash,
+	ensureTrailingSlash,
+	cleanText,
+	validPlatformName,
+	epochToLocal,
+	normalizeObj,
+	arrayToObject,
+	arrayContainsArray,
+	dynamicSort
+}
@@ -0,0 +1,57 @@
+'use strict'
+
+//================================================================================
+// Run asynchronous tasks on a bounded pool of workers.
+//--------------------------------------------------------------------------------
+// A worker takes the next item as soon as its task for the previous one is
+// finished; at most "concurrency" tasks are pending at the same time. This keeps
+// the disk, the zip file reader and external programs (e.g. "ffprobe") busy
+// without opening thousands of files at once, and the memory use stays flat.
+//--------------------------------------------------------------------------------
+
+
+//--------------------------------------------------------------------------------
+// Return a valid number of workers: a positive integer, the number of processor cores if "concurrency" is empty:
+function normalizeConcurrency(concurrency, cores = 1) {
+	let n = Math.floor(Number(concurrency))
+	if ((concurrency === null) || (concurrency === undefined) || (concurrency === '') || !Number.isFinite(n) || (n < 1)) {
+		return Math.max(1, cores)
+	}
+	return n
+}
+
+//--------------------------------------------------------------------------------
+// Call the async function "task(item, index)" for each element of array "items", with at most "concurrency" calls pending.
+// Return the results in the order of "items"; the first error rejects, after all pending tasks are finished:
+async function runPool(items, concurrency, task) {
+	let results = new Array(items.length)
+	let next = 0
+	let error = null
+	const worker = async () => {
+		while ((next < items.length) && !error) {
+			let i = next++
+			try {
+				results[i] = await task(items[i], i)
+
+			} catch(err) {
+				error = error || err
+			}
+		}
+	}
+	let workers = []
+	for (let n = 0; n < Math.min(normalizeConcurrency(concurrency), items.length); n++) {
+		workers.push(worker())
+	}
+	await Promise.all(workers)
+	if (error) {
+		throw error
+	}
+	return results
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	normalizeConcurrency,
+	runPool
+}
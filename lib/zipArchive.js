@@ -0,0 +1,506 @@
+'use strict'
+
+//================================================================================
+// Minimal reader for (password protected) zip archives as written by Threema.
+//--------------------------------------------------------------------------------
+// Threema writes its backups with AES-256 encryption ("WinZip AES", AE-1/AE-2);
+// older tools use the traditional PKWARE encryption ("ZipCrypto"). Both are
+// supported, as well as unencrypted entries, "stored" and "deflated" entries,
+// and Zip64 archives (> 4 GB or > 65535 entries).
+// Entries are never extracted into a temporary folder: they are decrypted and
+// inflated on the fly, either into a stream, a buffer, or directly into the
+// final destination file.
+//--------------------------------------------------------------------------------
+// Specifications:
+// - https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+// - https://www.winzip.com/en/support/aes-encryption/
+//--------------------------------------------------------------------------------
+
+const fs = require('fs')
+const crypto = require('crypto')
+const zlib = require('zlib')
+const { Readable, Transform, pipeline } = require('stream')
+
+
+//--------------------------------------------------------------------------------
+// record signatures:
+const sigLocalHeader = 0x04034b50
+const sigCentralHeader = 0x02014b50
+const sigEndOfCentralDir = 0x06054b50
+const sigZip64EndOfCentralDir = 0x06064b50
+const sigZip64Locator = 0x07064b50
+// extra field ids:
+const extraZip64 = 0x0001
+const extraAes = 0x9901
+// compression methods:
+const methodStored = 0
+const methodDeflated = 8
+const methodAes = 99 // "compression method" of AES encrypted entries; the real one is stored in the AES extra field
+// general purpose flags:
+const flagEncrypted = 0x0001
+const flagDataDescriptor = 0x0008
+const flagUtf8 = 0x0800
+//--------------------------------------------------------------------------------
+const maxCommentLength = 0xffff
+const aesSaltLengths = { 1: 8, 2: 12, 3: 16 } // AES strength (128, 192, 256 bits) => salt length
+const aesPasswordVerifierLength = 2
+const aesAuthCodeLength = 10
+const aesKeyIterations = 1000
+const zipCryptoHeaderLength = 12
+
+//--------------------------------------------------------------------------------
+const crcTable = (() => {
+	let table = new Int32Array(256)
+	for (let n = 0; n < 256; n++) {
+		let c = n
+		for (let k = 0; k < 8; k++) {
+			c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1)
+		}
+		table[n] = c
+	}
+	return table
+})()
+
+
+//--------------------------------------------------------------------------------
+// Update the CRC-32 "crc" (unsigned) with the bytes of "buffer":
+function crc32(buffer, crc = 0) {
+	crc = ~crc
+	for (let i = 0; i < buffer.length; i++) {
+		crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8)
+	}
+	return (~crc) >>> 0
+}
+
+//--------------------------------------------------------------------------------
+// Read a 64 bit unsigned integer as number; safe up to 2^53:
+function readUInt64LE(buffer, offset) {
+	return buffer.readUInt32LE(offset + 4) * 0x100000000 + buffer.readUInt32LE(offset)
+}
+
+//--------------------------------------------------------------------------------
+// Read "length" bytes at "position" from file descriptor "fd":
+function readSync(fd, position, length) {
+	let buffer = Buffer.alloc(length)
+	let n = 0
+	while (n < length) {
+		let bytes = fs.readSync(fd, buffer, n, length - n, position + n)
+		if (!bytes) {
+			throw new Error(`unexpected end of zip file at position ` + (position + n))
+		}
+		n += bytes
+	}
+	return buffer
+}
+
+//--------------------------------------------------------------------------------
+// Convert MS-DOS date and time into a Date object (local time, as zip tools store it):
+function dosToDate(date, time) {
+	return new Date(((date >> 9) & 0x7f) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f, (time >> 11) & 0x1f, (time >> 5) & 0x3f, (time & 0x1f) * 2)
+}
+
+//--------------------------------------------------------------------------------
+// Find the "end of central directory" record and return its content:
+function readEndOfCentralDir(fd, size) {
+	let length = Math.min(size, 22 + maxCommentLength)
+	let buffer = readSync(fd, size - length, length)
+	for (let i = length - 22; i >= 0; i--) {
+		if (buffer.readUInt32LE(i) === sigEndOfCentralDir) {
+			let eocd = {
+				position: size - length + i,
+				entries: buffer.readUInt16LE(i + 10),
+				cdSize: buffer.readUInt32LE(i + 12),
+				cdOffset: buffer.readUInt32LE(i + 16)
+			}
+			// Zip64: the locator is stored right before the "end of central directory" record:
+			if ((eocd.position >= 20) && ((eocd.entries === 0xffff) || (eocd.cdSize === 0xffffffff) || (eocd.cdOffset === 0xffffffff))) {
+				let locator = readSync(fd, eocd.position - 20, 20)
+				if (locator.readUInt32LE(0) === sigZip64Locator) {
+					let record = readSync(fd, readUInt64LE(locator, 8), 56)
+					if (record.readUInt32LE(0) !== sigZip64EndOfCentralDir) {
+						throw new Error(`invalid Zip64 end of central directory record`)
+					}
+					eocd.entries = readUInt64LE(record, 32)
+					eocd.cdSize = readUInt64LE(record, 40)
+					eocd.cdOffset = readUInt64LE(record, 48)
+				}
+			}
+			return eocd
+		}
+	}
+	throw new Error(`no zip file; end of central directory not found`)
+}
+
+//--------------------------------------------------------------------------------
+// Parse all entries of the central directory:
+function readCentralDir(fd, eocd) {
+	let buffer = readSync(fd, eocd.cdOffset, eocd.cdSize)
+	let entries = []
+	let p = 0
+	for (let n = 0; n < eocd.entries; n++) {
+		if (buffer.readUInt32LE(p) !== sigCentralHeader) {
+			throw new Error(`invalid central directory header at entry ` + n)
+		}
+		let nameLength = buffer.readUInt16LE(p + 28)
+		let extraLength = buffer.readUInt16LE(p + 30)
+		let commentLength = buffer.readUInt16LE(p + 32)
+		let entry = {
+			flags: buffer.readUInt16LE(p + 8),
+			method: buffer.readUInt16LE(p + 10),
+			mtime: dosToDate(buffer.readUInt16LE(p + 14), buffer.readUInt16LE(p + 12)),
+			dosTime: buffer.readUInt16LE(p + 12),
+			crc: buffer.readUInt32LE(p + 16),
+			compressedSize: buffer.readUInt32LE(p + 20),
+			size: buffer.readUInt32LE(p + 24),
+			localHeaderOffset: buffer.readUInt32LE(p + 42)
+		}
+		entry.name = buffer.toString((entry.flags & flagUtf8) ? 'utf8' : 'latin1', p + 46, p + 46 + nameLength)
+		entry.isDirectory = /\/$/.test(entry.name)
+		entry.encrypted = Boolean(entry.flags & flagEncrypted)
+
+		// analyze extra fields:
+		let extra = buffer.subarray(p + 46 + nameLength, p + 46 + nameLength + extraLength)
+		for (let q = 0; q + 4 <= extra.length; ) {
+			let id = extra.readUInt16LE(q)
+			let length = extra.readUInt16LE(q + 2)
+			let data = extra.subarray(q + 4, q + 4 + length)
+			if (id === extraZip64) { // only the values that overflowed in the header are present, in this order:
+				let r = 0
+				for (let key of ['size', 'compressedSize', 'localHeaderOffset']) {
+					if ((entry[key] === 0xffffffff) && (r + 8 <= data.length)) {
+						entry[key] = readUInt64LE(data, r)
+						r += 8
+					}
+				}
+
+			} else if ((id === extraAes) && (data.length >= 7)) {
+				entry.aes = {
+					version: data.readUInt16LE(0), // 1 = AE-1 (with CRC), 2 = AE-2 (without CRC)
+					strength: data.readUInt8(4),
+					method: data.readUInt16LE(5)
+				}
+			}
+			q += 4 + length
+		}
+		entries.push(entry)
+		p += 46 + nameLength + extraLength + commentLength
+	}
+	return entries
+}
+
+//--------------------------------------------------------------------------------
+// Open zip file "fullname" and read its table of contents; "password" is used for encrypted entries:
+function openZipSync(fullname, password = null) {
+	let fd = fs.openSync(fullname, 'r')
+	try {
+		let eocd = readEndOfCentralDir(fd, fs.fstatSync(fd).size)
+		return {
+			fullname: fullname,
+			fd: fd,
+			password: password,
+			entries: readCentralDir(fd, eocd)
+		}
+
+	} catch(err) {
+		fs.closeSync(fd)
+		throw err
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Close zip file opened with "openZipSync":
+function closeZipSync(zip) {
+	if (zip && (zip.fd !== null)) {
+		fs.closeSync(zip.fd)
+		zip.fd = null
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return "true" if at least one entry of the zip is encrypted:
+function isEncrypted(zip) {
+	return zip.entries.some(entry => entry.encrypted)
+}
+
+//--------------------------------------------------------------------------------
+// Position of the (possibly encrypted) data of an entry; the local header may differ from the central header:
+function dataOffset(zip, entry) {
+	if (entry.dataOffset === undefined) {
+		let header = readSync(zip.fd, entry.localHeaderOffset, 30)
+		if (header.readUInt32LE(0) !== sigLocalHeader) {
+			throw new Error(`invalid local header for entry '` + entry.name + `'`)
+		}
+		entry.dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28)
+	}
+	return entry.dataOffset
+}
+
+//--------------------------------------------------------------------------------
+// Derive the AES keys of an entry from the password; throws on wrong password:
+function aesKeys(zip, entry) {
+	let saltLength = aesSaltLengths[entry.aes.strength]
+	if (!saltLength) {
+		throw new Error(`unsupported AES strength ` + entry.aes.strength + ` for entry '` + entry.name + `'`)
+	}
+	let keyLength = saltLength * 2
+	let header = readSync(zip.fd, dataOffset(zip, entry), saltLength + aesPasswordVerifierLength)
+	let key = crypto.pbkdf2Sync(Buffer.from(String(zip.password), 'utf8'), header.subarray(0, saltLength), aesKeyIterations, keyLength * 2 + aesPasswordVerifierLength, 'sha1')
+	if (!key.subarray(keyLength * 2).equals(header.subarray(saltLength))) {
+		throw new Error(`wrong password for entry '` + entry.name + `'`)
+	}
+	return {
+		headerLength: saltLength + aesPasswordVerifierLength,
+		encryptionKey: key.subarray(0, keyLength),
+		authKey: key.subarray(keyLength, keyLength * 2)
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Transform stream for AES-CTR decryption with little endian counter (WinZip flavour) plus HMAC-SHA1 verification:
+function aesDecipher(entry, keys, authCode) {
+	let cipher = crypto.createCipheriv('aes-' + (keys.encryptionKey.length * 8) + '-ecb', keys.encryptionKey, null)
+	cipher.setAutoPadding(false)
+	let hmac = crypto.createHmac('sha1', keys.authKey)
+	let counter = Buffer.alloc(16)
+	let keyStream = Buffer.alloc(0) // unused rest of the last key stream block
+
+	return new Transform({
+		transform(chunk, encoding, callback) {
+			hmac.update(chunk)
+			let missing = chunk.length - keyStream.length
+			if (missing > 0) {
+				let blocks = Buffer.alloc(Math.ceil(missing / 16) * 16)
+				for (let i = 0; i < blocks.length; i += 16) {
+					for (let j = 0; j < 16; j++) { // increment little endian counter:
+						if (++counter[j] <= 0xff) {
+							break
+						}
+						counter[j] = 0
+					}
+					counter.copy(blocks, i)
+				}
+				keyStream = Buffer.concat([keyStream, cipher.update(blocks)])
+			}
+			for (let i = 0; i < chunk.length; i++) {
+				chunk[i] ^= keyStream[i]
+			}
+			keyStream = keyStream.subarray(chunk.length)
+			callback(null, chunk)
+		},
+		flush(callback) {
+			if (!hmac.digest().subarray(0, aesAuthCodeLength).equals(authCode)) {
+				callback(new Error(`authentication failed for entry '` + entry.name + `'; data corrupted`))
+			} else {
+				callback()
+			}
+		}
+	})
+}
+
+//--------------------------------------------------------------------------------
+// Traditional PKWARE encryption ("ZipCrypto"); returns the key state after the password was applied:
+function zipCryptoKeys(password) {
+	let keys = new Uint32Array([305419896, 591751049, 878082192])
+	for (let c of Buffer.from(String(password), 'utf8')) {
+		zipCryptoUpdate(keys, c)
+	}
+	return keys
+}
+
+function zipCryptoUpdate(keys, c) {
+	keys[0] = crcTable[(keys[0] ^ c) & 0xff] ^ (keys[0] >>> 8)
+	keys[1] = Math.imul(keys[1] + (keys[0] & 0xff), 134775813) + 1
+	keys[2] = crcTable[(keys[2] ^ (keys[1] >>> 24)) & 0xff] ^ (keys[2] >>> 8)
+}
+
+function zipCryptoDecryptByte(keys, c) {
+	let t = (keys[2] | 2) & 0xffff
+	c ^= (Math.imul(t, t ^ 1) >>> 8) & 0xff
+	zipCryptoUpdate(keys, c)
+	return c
+}
+
+//--------------------------------------------------------------------------------
+// Decrypt the ZipCrypto header of an entry; throws on wrong password:
+function zipCryptoHeader(zip, entry) {
+	let keys = zipCryptoKeys(zip.password)
+	let header = readSync(zip.fd, dataOffset(zip, entry), zipCryptoHeaderLength)
+	for (let i = 0; i < header.length; i++) {
+		header[i] = zipCryptoDecryptByte(keys, header[i])
+	}
+	let check = (entry.flags & flagDataDescriptor) ? (entry.dosTime >> 8) & 0xff : entry.crc >>> 24
+	if (header[zipCryptoHeaderLength - 1] !== check) {
+		throw new Error(`wrong password for entry '` + entry.name + `'`)
+	}
+	return keys
+}
+
+//--------------------------------------------------------------------------------
+// Transform stream for ZipCrypto decryption:
+function zipCryptoDecipher(keys) {
+	return new Transform({
+		transform(chunk, encoding, callback) {
+			for (let i = 0; i < chunk.length; i++) {
+				chunk[i] = zipCryptoDecryptByte(keys, chunk[i])
+			}
+			callback(null, chunk)
+		}
+	})
+}
+
+//--------------------------------------------------------------------------------
+// Transform stream that verifies size and CRC-32 of the uncompressed data:
+function checker(entry, checkCrc) {
+	let crc = 0
+	let size = 0
+	return new Transform({
+		transform(chunk, encoding, callback) {
+			if (checkCrc) {
+				crc = crc32(chunk, crc)
+			}
+			size += chunk.length
+			callback(null, chunk)
+		},
+		flush(callback) {
+			if (size !== entry.size) {
+				callback(new Error(`size mismatch for entry '` + entry.name + `'; expected ` + entry.size + `, got ` + size))
+			} else if (checkCrc && (crc !== entry.crc)) {
+				callback(new Error(`CRC mismatch for entry '` + entry.name + `'; data corrupted`))
+			} else {
+				callback()
+			}
+		}
+	})
+}
+
+//--------------------------------------------------------------------------------
+// Check if the password of the zip is correct for "entry" (or for the first encrypted entry):
+function checkPassword(zip, entry) {
+	entry = entry || zip.entries.find(o => o.encrypted)
+	if (!entry || !entry.encrypted) {
+		return true
+	}
+	if (zip.password === null || zip.password === undefined) {
+		return false
+	}
+	try {
+		if (entry.aes) {
+			aesKeys(zip, entry)
+		} else {
+			zipCryptoHeader(zip, entry)
+		}
+		return true
+
+	} catch(err) {
+		return false
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Return a readable stream with the uncompressed, decrypted data of "entry"; throws on wrong password:
+function createEntryStream(zip, entry) {
+	if (entry.isDirectory) {
+		throw new Error(`entry '` + entry.name + `' is a directory`)
+	}
+	let start = dataOffset(zip, entry)
+	let end = start + entry.compressedSize // exclusive
+	let method = entry.method
+	let checkCrc = true
+	let streams = []
+
+	if (entry.encrypted) {
+		if ((zip.password === null) || (zip.password === undefined)) {
+			throw new Error(`entry '` + entry.name + `' is encrypted; password needed`)
+		}
+		if (entry.aes) {
+			let keys = aesKeys(zip, entry) // may throw
+			start += keys.headerLength
+			end -= aesAuthCodeLength
+			streams.push(aesDecipher(entry, keys, readSync(zip.fd, end, aesAuthCodeLength)))
+			method = entry.aes.method
+			checkCrc = (entry.aes.version !== 2) // AE-2 does not store a CRC
+
+		} else {
+			let keys = zipCryptoHeader(zip, entry) // may throw
+			start += zipCryptoHeaderLength
+			streams.push(zipCryptoDecipher(keys))
+		}
+
+	} else if (method === methodAes) {
+		throw new Error(`entry '` + entry.name + `' is marked as AES encrypted but not as encrypted`)
+	}
+
+	if (method === methodDeflated) {
+		streams.push(zlib.createInflateRaw())
+
+	} else if (method !== methodStored) {
+		throw new Error(`unsupported compression method ` + method + ` for entry '` + entry.name + `'`)
+	}
+	streams.push(checker(entry, checkCrc))
+
+	// an empty range cannot be expressed with "start" and "end" (inclusive) of "fs.createReadStream";
+	// a destroyed stream (read stopped early, failed pipeline) closes its file descriptor even without "autoClose", but this one belongs to the zip:
+	let source = (end > start) ? fs.createReadStream(null, { fd: zip.fd, start: start, end: end - 1, autoClose: false, fs: { read: fs.read, close: (fd, callback) => callback() } }) : Readable.from([])
+	return pipeline(source, ...streams, () => {}) // errors are propagated to the returned (last) stream
+}
+
+//--------------------------------------------------------------------------------
+// Return the uncompressed, decrypted data of "entry" as buffer; only the first "maxLength" bytes if requested:
+function readEntry(zip, entry, maxLength = Infinity) {
+	return new Promise((resolve, reject) => {
+		let chunks = []
+		let length = 0
+		let stream = createEntryStream(zip, entry) // may throw; is converted to a rejection
+		stream.on('data', chunk => {
+			chunks.push(chunk)
+			length += chunk.length
+			if (length >= maxLength) { // enough data, stop decrypting and inflating:
+				stream.destroy()
+				resolve(Buffer.concat(chunks).subarray(0, maxLength))
+			}
+		})
+		stream.on('error', reject)
+		stream.on('end', () => resolve(Buffer.concat(chunks)))
+	})
+}
+
+//--------------------------------------------------------------------------------
+// Write the uncompressed, decrypted data of "entry" into file "fullname"; set the file timestamps of the entry:
+function extractEntry(zip, entry, fullname) {
+	return new Promise((resolve, reject) => {
+		let stream = createEntryStream(zip, entry) // may throw; is converted to a rejection
+		let file = fs.createWriteStream(fullname, { flags: 'wx' })
+		let created = false // a file that existed before ("EEXIST") is left alone
+		file.on('open', () => created = true)
+		pipeline(stream, file, (err) => {
+			if (err) {
+				if (created) {
+					fs.rm(fullname, { force: true }, () => reject(err)) // don't leave incomplete files
+				} else {
+					reject(err)
+				}
+			} else {
+				try {
+					fs.utimesSync(fullname, entry.mtime, entry.mtime)
+					resolve(fullname)
+
+				} catch(err) {
+					reject(err)
+				}
+			}
+		})
+	})
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	openZipSync,
+	closeZipSync,
+	isEncrypted,
+	checkPassword,
+	createEntryStream,
+	readEntry,
+	extractEntry,
+	crc32
+}
@@ -0,0 +1,575 @@
+'use strict'
+
+//================================================================================
+// End-to-end tests: a synthetic backup ("tools/generateTestArchive.js") is
+// traced back; the resulting folder tree, names, timestamps and transcripts are
+// compared with what the messages of the backup demand.
+//--------------------------------------------------------------------------------
+process.env.TZ = 'UTC' // file timestamps and names are compared in UTC
+process.env.LC_ALL = 'en_US.UTF-8' // the names of days and months of the locale "en"
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFileSync } = require('child_process')
+const traceBack = require('../lib/traceBack')
+const { validPlatformName } = require('../lib/utils')
+const { generateArchive, writeZipSync } = require('../tools/generateTestArchive')
+
+
+//--------------------------------------------------------------------------------
+const password = 'geheim'
+const cli = path.join(__dirname, '..', 'threemaFilesTraceBack.js')
+// folders of the conversations:
+const anna = 'Muster Anna anni ABCD1234'
+const bert = 'Beispiel Bert EFGH5678'
+const family = 'Familie 0011223344556677'
+const neighbours = 'Nachbarn 1234567890' // a distribution list
+// the organized files of the synthetic backup (default configuration) and the moments they were posted:
+const expectedFiles = {
+	[anna + '/2021-03-14 09:27:53.jpg']: '2021-03-14T09:27:53Z', // the same picture at 09:28:53 is a duplicate within the folder
+	[anna + '/2021-03-14 09:29:53.pdf']: '2021-03-14T09:29:53Z',
+	[anna + '/2021-03-14 09:30:53.mp4']: '2021-03-14T09:30:53Z', // its thumbnail is deleted
+	[anna + '/2021-03-14 09:31:53 tn.jpg']: '2021-03-14T09:31:53Z', // thumbnail without original: kept
+	[bert + '/2021-03-14 09:33:53.jpg']: '2021-03-14T09:33:53Z', // duplicate of another folder: only reported
+	[family + '/2021-03-14 09:37:53.m4a']: '2021-03-14T09:37:53Z',
+	[family + '/2021-03-14 09:38:53.png']: '2021-03-14T09:38:53Z'
+}
+const expectedTexts = {
+	[anna]: [
+		'[2021-03-14 09:26:53] Hallo Anna ↲ wie geht es dir? [Muster Anna anni ABCD1234]',
+		'[2021-03-14 09:27:53] Sonnenuntergang am See [me]',
+		'[2021-03-14 09:29:53] Rechnung März [Muster Anna anni ABCD1234]',
+		'[2021-03-14 09:31:53] nur Vorschau [Muster Anna anni ABCD1234]'
+	],
+	[bert]: [
+		'[2021-03-14 09:32:53] Hoi Bert [me]',
+		'[2021-03-14 09:33:53] kennst du das? [Beispiel Bert EFGH5678]',
+		'[2021-03-14 09:34:53] Tschüss [Beispiel Bert EFGH5678]'
+	],
+	[family]: [
+		'[2021-03-14 09:35:53] Hallo zusammen [Beispiel Bert EFGH5678]',
+		'[2021-03-14 09:36:53] Salut [me]',
+		'[2021-03-14 09:37:23] Poll: Ausflug am Sonntag? (closed) ↲ - Ja: 2 (Beispiel Bert EFGH5678, Dupont Chloé Clo IJKL9012) ↲ - Nein: 1 (Muster Anna anni ABCD1234) [Muster Anna anni ABCD1234]',
+		'[2021-03-14 09:38:53] Le chat [Dupont Chloé Clo IJKL9012]'
+	],
+	[neighbours]: [
+		'[2021-03-14 09:39:53] Grillfest am Samstag bei uns [me]',
+		'[2021-03-14 09:40:53] Location: Zürich HB, Bahnhofplatz, 8001 Zürich, 47.378177, 8.540192 (±15 m) [me]'
+	]
+}
+// files in the conversation folders besides media files, "_texts.txt" and "index.html":
+const expectedExtras = {
+	[family]: ['_polls.txt'],
+	[neighbours]: ['_locations.geojson', '_locations.gpx', '_recipients.txt']
+}
+// files of the backup that are not organized:
+const backupFiles = ['ballot.csv', 'ballot_choice.csv', 'ballot_vote.csv', 'contacts.csv', 'distribution_list.csv', 'distribution_list_message_1234567890.csv', 'group_message_0011223344556677-ABCD1234.csv', 'groups.csv', 'identity', 'message_ABCD1234.csv', 'message_EFGH5678.csv', 'settings']
+
+
+//--------------------------------------------------------------------------------
+// New empty temporary folder; removed after the test:
+function tempDir(t) {
+	let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'threemaTraceBack-'))
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+	return dir
+}
+
+//--------------------------------------------------------------------------------
+// Relative names of all files (and links) in folder "dir" and its sub-folders, sorted:
+function listFiles(dir, relative = '') {
+	let list = []
+	for (let entry of fs.readdirSync(path.join(dir, relative), { withFileTypes: true })) {
+		let name = (relative) ? relative + '/' + entry.name : entry.name
+		if (entry.isDirectory()) {
+			list = list.concat(listFiles(dir, name))
+		} else {
+			list.push(name)
+		}
+	}
+	return list.sort()
+}
+
+//--------------------------------------------------------------------------------
+// The name of a file as it is on this platform (":" is not allowed everywhere):
+function platformName(s) {
+	return s.split('/').map(validPlatformName).join('/')
+}
+
+//--------------------------------------------------------------------------------
+// Content of all files in folder "dir" (for comparisons of a whole folder):
+function snapshot(dir) {
+	let o = {}
+	for (let name of listFiles(dir)) {
+		let stat = fs.statSync(path.join(dir, name))
+		o[name] = { content: fs.readFileSync(path.join(dir, name)).toString('base64'), mtime: Math.floor(stat.mtimeMs / 1000) }
+	}
+	return o
+}
+
+//--------------------------------------------------------------------------------
+// Trace back: load, plan, apply; returns { plan, journal, warnings }:
+async function runTraceBack(configuration, source, apply = true) {
+	let run = traceBack.createTraceBack(configuration)
+	let warnings = []
+	run.on('warning', o => warnings.push(o.message))
+	let archive = await run.loadArchive(source)
+	try {
+		let plan = await run.buildPlan(archive)
+		let journal = (apply) ? await run.applyPlan(plan) : null
+		return { run: run, plan: plan, journal: journal, warnings: warnings }
+
+	} finally {
+		run.closeArchive(archive)
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Assert the organized files in folder "dir": names, timestamps, transcripts:
+function assertOrganized(dir) {
+	let files = listFiles(dir)
+	for (let name of Object.keys(expectedFiles)) {
+		let fullname = path.join(dir, platformName(name))
+		assert.ok(files.includes(platformName(name)), `missing '` + name + `'`)
+		assert.equal(fs.statSync(fullname).mtime.toISOString(), expectedFiles[name].replace('Z', '.000Z'), `timestamp of '` + name + `'`)
+	}
+	for (let conversation of Object.keys(expectedTexts)) {
+		assert.deepEqual(fs.readFileSync(path.join(dir, conversation, '_texts.txt'), 'utf8').split('\n'), expectedTexts[conversation])
+		assert.ok(files.includes(conversation + '/index.html'))
+	}
+	for (let conversation of Object.keys(expectedExtras)) {
+		assert.deepEqual(files.filter(name => name.startsWith(conversation + '/_') && !name.endsWith('/_texts.txt')), expectedExtras[conversation].map(name => conversation + '/' + name))
+	}
+	let media = files.filter(name => /\//.test(name) && !/\/(_[^/]*|index\.html)$/.test(name))
+	assert.deepEqual(media, Object.keys(expectedFiles).map(platformName).sort(), 'no other files in the conversation folders')
+}
+
+
+//--------------------------------------------------------------------------------
+test('trace back a folder in place', async (t) => {
+	let dir = tempDir(t)
+	let manifest = generateArchive(dir)
+	let result = await runTraceBack({}, { sourceDir: dir })
+	assertOrganized(dir)
+
+	// nothing of the media and thumbnail files is left with its original name:
+	let files = listFiles(dir)
+	assert.deepEqual(files.filter(name => !/\//.test(name) && !/^threemaFilesTraceBack_.*_journal\.jsonl$/.test(name)), backupFiles.concat(['_duplicates.txt', '_index.json', '_integrity.txt', '_locations.geojson', '_locations.gpx', '_search.json', '_statistics.csv', '_statistics.html']).sort())
+	assert.ok(manifest.files.filter(name => /_(media|thumbnail)_/.test(name)).every(name => !files.includes(name)))
+
+	// the duplicate in another folder is reported only:
+	assert.deepEqual(fs.readFileSync(path.join(dir, '_duplicates.txt'), 'utf8').split('\n').filter(s => s), [
+		path.join(dir, platformName(anna + '/2021-03-14 09:27:53.jpg')).split(path.sep).join('/'),
+		path.join(dir, platformName(bert + '/2021-03-14 09:33:53.jpg')).split(path.sep).join('/')
+	])
+	assert.equal(path.dirname(result.journal), dir)
+	assert.deepEqual(result.warnings, [])
+})
+
+//--------------------------------------------------------------------------------
+test('trace back into an output folder; the source folder is not changed', async (t) => {
+	let dir = tempDir(t)
+	let sourceDir = path.join(dir, 'backup')
+	let outDir = path.join(dir, 'organized')
+	generateArchive(sourceDir)
+	let before = snapshot(sourceDir)
+	await runTraceBack({}, { sourceDir: sourceDir, outDir: outDir })
+	assert.deepEqual(snapshot(sourceDir), before)
+	assertOrganized(outDir)
+})
+
+//--------------------------------------------------------------------------------
+test('trace back an encrypted zip file', async (t) => {
+	let dir = tempDir(t)
+	let backupDir = path.join(dir, 'backup')
+	let zipFile = path.join(dir, 'backup.zip')
+	generateArchive(backupDir)
+	writeZipSync(zipFile, backupDir, password)
+
+	await assert.rejects(runTraceBack({}, { sourceDir: path.join(dir, 'wrong'), zipFile: zipFile, password: 'falsch' }), /wrong password/)
+	await assert.rejects(runTraceBack({}, { sourceDir: path.join(dir, 'none'), zipFile: zipFile, password: () => null }), /no password provided/)
+	await runTraceBack({}, { sourceDir: path.join(dir, 'extracted'), zipFile: zipFile, password: async () => password })
+	assertOrganized(path.join(dir, 'extracted'))
+})
+
+//--------------------------------------------------------------------------------
+test('duplicates in the whole archive become hard links', async (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir)
+	await runTraceBack({ duplicateStrategy: 'hardlink', duplicateKeep: 'conversation', duplicatePreferredConversations: ['Bert'] }, { sourceDir: dir })
+	let kept = fs.statSync(path.join(dir, platformName(bert + '/2021-03-14 09:33:53.jpg')))
+	let linked = fs.statSync(path.join(dir, platformName(anna + '/2021-03-14 09:27:53.jpg')))
+	assert.equal(linked.ino, kept.ino)
+	assert.equal(kept.nlink, 2)
+})
+
+//--------------------------------------------------------------------------------
+test('templates for folders and filenames', async (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir)
+	await runTraceBack({ folderTemplate: 'Media/{year}-{month}', fileNameTemplate: '{date} {sender} {caption}' }, { sourceDir: dir })
+	let files = listFiles(dir).filter(name => /^Media\//.test(name))
+	assert.deepEqual(files, [
+		'Media/2021-03/2021-03-14 Beispiel Bert EFGH5678 kennst du das?.jpg', // the same picture of all three messages is now in one folder: kept once
+		'Media/2021-03/2021-03-14 Dupont Chloé Clo IJKL9012 Le chat.png',
+		'Media/2021-03/2021-03-14 Muster Anna anni ABCD1234.m4a',
+		'Media/2021-03/2021-03-14 Muster Anna anni ABCD1234 Rechnung März.pdf',
+		'Media/2021-03/2021-03-14 Muster Anna anni ABCD1234 nur Vorschau tn.jpg',
+		'Media/2021-03/2021-03-14 me.mp4'
+	].map(platformName).sort())
+})
+
+//--------------------------------------------------------------------------------
+test('names and transcripts in another time zone; file timestamps are unchanged', async (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir)
+	await runTraceBack({ timeZone: 'Asia/Tokyo', textTimestampFormat: '%Y-%m-%d %H:%M %z' }, { sourceDir: dir })
+	let files = listFiles(dir)
+	assert.ok(files.includes(platformName(anna + '/2021-03-14 18:27:53.jpg')))
+	assert.equal(fs.statSync(path.join(dir, platformName(anna + '/2021-03-14 18:27:53.jpg'))).mtime.toISOString(), '2021-03-14T09:27:53.000Z')
+	assert.equal(fs.readFileSync(path.join(dir, bert, '_texts.txt'), 'utf8').split('\n')[0], '[2021-03-14 18:32 +0900] Hoi Bert [me]')
+})
+
+//--------------------------------------------------------------------------------
+test('names and labels of another locale', async (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir)
+	await runTraceBack({ locale: 'de-CH', localeLabels: true, fileTimestampFormat: '%Y-%m-%d %à %H.%M.%S' }, { sourceDir: dir })
+	let files = listFiles(dir)
+	assert.ok(files.includes(platformName(anna + '/2021-03-14 So 09.27.53.jpg')))
+	assert.ok(files.includes(platformName(anna + '/2021-03-14 So 09.31.53 Vorschau.jpg')))
+	assert.equal(fs.readFileSync(path.join(dir, bert, '_texts.txt'), 'utf8').split('\n')[0], '[2021-03-14 09:32:53] Hoi Bert [ich]')
+	assert.match(fs.readFileSync(path.join(dir, bert, 'index.html'), 'utf8'), /<html lang="de-CH">/)
+	assert.match(fs.readFileSync(path.join(dir, family, '_polls.txt'), 'utf8'), /^Umfrage: Ausflug am Sonntag\? \(geschlossen\)\n[^]*\nTeilnehmer: Muster Anna anni ABCD1234, /)
+	assert.match(fs.readFileSync(path.join(dir, family, 'index.html'), 'utf8'), /<div class="question">Ausflug am Sonntag\? \(geschlossen\)<\/div>/)
+	// without "localeLabels" the labels stay English, whatever the locale:
+	let other = tempDir(t)
+	generateArchive(other)
+	await runTraceBack({ locale: 'de-CH', fileTimestampFormat: '%Y-%m-%d %à %H.%M.%S' }, { sourceDir: other })
+	assert.ok(listFiles(other).includes(platformName(anna + '/2021-03-14 So 09.31.53 tn.jpg')))
+	assert.equal(fs.readFileSync(path.join(other, bert, '_texts.txt'), 'utf8').split('\n')[0], '[2021-03-14 09:32:53] Hoi Bert [me]')
+})
+
+//--------------------------------------------------------------------------------
+test('only the selected conversation and days; all other files are left alone', async (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir, { start: Date.UTC(2021, 2, 14, 23, 50, 53) }) // the group's messages after the first one are posted on March 15th
+	let before = snapshot(dir)
+	await runTraceBack({ onlyConversations: ['familie'], excludeConversations: ['anni'], since: '2021-03-15' }, { sourceDir: dir })
+	let files = listFiles(dir)
+	assert.deepEqual(files.filter(name => /\//.test(name)), [family + '/2021-03-15 00:01:53.m4a', family + '/2021-03-15 00:02:53.png', family + '/_polls.txt', family + '/_texts.txt', family + '/index.html'].map(platformName))
+	assert.deepEqual(fs.readFileSync(path.join(dir, family, '_texts.txt'), 'utf8').split('\n'), ['[2021-03-15 00:00:53] Salut [me]', expectedTexts[family][2].replace('2021-03-14 09:37:23', '2021-03-15 00:01:23'), '[2021-03-15 00:02:53] Le chat [Dupont Chloé Clo IJKL9012]'])
+	for (let name of Object.keys(before).filter(name => !/^group_message_(media|thumbnail)_/.test(name))) {
+		assert.deepEqual(snapshot(dir)[name], before[name], name + ' is unchanged')
+	}
+	assert.ok(!files.includes('group_message_thumbnail_c0000003-0000-4000-8000-000000000004'), 'thumbnail with original of a selected message')
+})
+
+//--------------------------------------------------------------------------------
+test('polls, recipients of a distribution list and shared locations', async (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir)
+	await runTraceBack({}, { sourceDir: dir })
+	assert.equal(fs.readFileSync(path.join(dir, family, '_polls.txt'), 'utf8'), [
+		'Poll: Ausflug am Sonntag? (closed)',
+		'[2021-03-14 09:37:23] [Muster Anna anni ABCD1234]',
+		'- Ja: 2 (Beispiel Bert EFGH5678, Dupont Chloé Clo IJKL9012)',
+		'- Nein: 1 (Muster Anna anni ABCD1234)',
+		'Participants: Muster Anna anni ABCD1234, Beispiel Bert EFGH5678, Dupont Chloé Clo IJKL9012'
+	].join('\n'))
+	assert.equal(fs.readFileSync(path.join(dir, neighbours, '_recipients.txt'), 'utf8'), 'Beispiel Bert EFGH5678\nDupont Chloé Clo IJKL9012')
+
+	let gpx = fs.readFileSync(path.join(dir, neighbours, '_locations.gpx'), 'utf8')
+	assert.match(gpx, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<gpx version="1\.1" creator="threemaFilesTraceBack v[^"]+" xmlns="http:\/\/www\.topografix\.com\/GPX\/1\/1">\n/)
+	assert.ok(gpx.includes('\t<wpt lat="47.378177" lon="8.540192"><time>2021-03-14T09:40:53.000Z</time><name>Zürich HB</name><desc>Zürich HB, Bahnhofplatz, 8001 Zürich, [me], ±15 m</desc></wpt>\n'))
+	assert.ok(gpx.includes('\t<trk><name>' + neighbours + '</name><trkseg>\n\t\t<trkpt lat="47.378177" lon="8.540192"><time>2021-03-14T09:40:53.000Z</time></trkpt>\n'))
+	let geoJson = JSON.parse(fs.readFileSync(path.join(dir, neighbours, '_locations.geojson'), 'utf8'))
+	assert.deepEqual(geoJson.features, [{
+		type: 'Feature',
+		geometry: { type: 'Point', coordinates: [8.540192, 47.378177] },
+		properties: { conversation: neighbours, uid: 'd0000004-0000-4000-8000-000000000002', timestamp: '2021-03-14T09:40:53.000Z', author: 'me', name: 'Zürich HB', address: 'Bahnhofplatz, 8001 Zürich', accuracy: 15 }
+	}])
+	assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, '_locations.geojson'), 'utf8')), geoJson, 'all conversations in the main folder')
+	assert.match(fs.readFileSync(path.join(dir, '_locations.gpx'), 'utf8'), /<metadata><name>[^<]+<\/name><\/metadata>\n\t<wpt lat="47\.378177" lon="8\.540192">/)
+})
+
+//--------------------------------------------------------------------------------
+test('messages as JSON; timestamps and captions written into the media files and undone', async (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir)
+	for (let name of fs.readdirSync(dir)) { // long before the run: undo must restore these, not the moment the metadata was written
+		fs.utimesSync(path.join(dir, name), new Date('2021-04-01T12:00:00Z'), new Date('2021-04-01T12:00:00Z'))
+	}
+	let before = snapshot(dir)
+	let configuration = { saveMessagesJsonTo: '_messages.json', writeTimestampIntoFiles: true, writeDescriptionIntoFiles: true, deleteThumbnailIfOriginalExists: false, removeDuplicatesWithinFolder: false } // deleted files cannot be restored
+	let result = await runTraceBack(configuration, { sourceDir: dir })
+
+	let json = JSON.parse(fs.readFileSync(path.join(dir, anna, '_messages.json'), 'utf8'))
+	assert.deepEqual(json.conversation, { identity: 'ABCD1234', fullname: anna, type: 'contact' })
+	assert.equal(json.messages.length, 6)
+	assert.deepEqual(Object.assign({}, json.messages[1], { file: null }), { uid: 'a0000001-0000-4000-8000-000000000002', timestamp: '2021-03-14T09:27:53.000Z', direction: 'out', identity: null, fullname: 'me', type: 'IMAGE', text: null, caption: 'Sonnenuntergang am See', file: null, location: null, path: platformName('2021-03-14 09:27:53.jpg'), poll: null })
+	json = JSON.parse(fs.readFileSync(path.join(dir, neighbours, '_messages.json'), 'utf8'))
+	assert.deepEqual(json.conversation, { identity: '1234567890', fullname: neighbours, type: 'distribution_list', members: ['EFGH5678', 'IJKL9012'] })
+	assert.deepEqual(json.messages[1].location, { latitude: 47.378177, longitude: 8.540192, accuracy: 15, address: 'Bahnhofplatz, 8001 Zürich', name: 'Zürich HB' })
+	let poll = JSON.parse(fs.readFileSync(path.join(dir, family, '_messages.json'), 'utf8')).messages.find(o => o.poll).poll
+	assert.equal(poll.question, 'Ausflug am Sonntag?')
+	assert.deepEqual(poll.choices.map(choice => [choice.name, choice.count, choice.voters.map(o => o.identity)]), [['Ja', 2, ['EFGH5678', 'IJKL9012']], ['Nein', 1, ['ABCD1234']]])
+
+	// EXIF of the picture, creation time and sender of the video:
+	let jpeg = fs.readFileSync(path.join(dir, platformName(anna + '/2021-03-14 09:27:53.jpg'))).toString('utf8')
+	for (let s of ['Exif\0\0', '2021:03:14 09:27:53\0', '+00:00\0', 'Sonnenuntergang am See\0', 'me\0']) {
+		assert.ok(jpeg.includes(s), s)
+	}
+	let mp4 = fs.readFileSync(path.join(dir, platformName(anna + '/2021-03-14 09:30:53.mp4')))
+	let mvhd = mp4.indexOf('mvhd', 0, 'latin1')
+	assert.equal(mp4.readUInt32BE(mvhd + 8), (Date.UTC(2021, 2, 14, 9, 30, 53) - Date.UTC(1904, 0, 1)) / 1000)
+	assert.ok(mp4.includes(Buffer.from('\u00a9ART\0\x02\x55\xc4me', 'latin1')), 'sender in the user data')
+	let stco = mp4.indexOf('stco', 0, 'latin1')
+	assert.equal(mp4.toString('latin1', mp4.readUInt32BE(stco + 12) - 4, mp4.readUInt32BE(stco + 12)), 'mdat', 'chunk offset shifted with the media data')
+	assert.deepEqual(result.warnings, [])
+
+	result.run.undoJournal(result.journal)
+	let after = snapshot(dir)
+	delete after[path.basename(result.journal)] // the journal itself stays
+	assert.deepEqual(after, before)
+})
+
+//--------------------------------------------------------------------------------
+test('search the messages of the organized folder', async (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir)
+	let { run } = await runTraceBack({}, { sourceDir: dir })
+	assert.deepEqual(run.search(dir, 'maerz').hits.map(hit => hit.message.text), ['Rechnung März'])
+	assert.deepEqual(run.search(dir, 'hallo from:bert').hits.map(hit => hit.message.conversation), [family])
+	assert.deepEqual(run.search(dir, 'from:me in:bert').hits.map(hit => hit.message.text), ['Hoi Bert'])
+	let result = run.search(dir, '"kennst du"')
+	assert.equal(result.hits[0].message.media, platformName(bert + '/2021-03-14 09:33:53.jpg'))
+	assert.match(result.text, /^> \[2021-03-14 09:33:53\] »kennst du« das\? \[Beispiel Bert EFGH5678\]$/m)
+	assert.throws(() => run.search(path.join(dir, anna), 'hallo'), /no search index/)
+})
+
+//--------------------------------------------------------------------------------
+test('statistics of all conversations and media files', async (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir)
+	await runTraceBack({}, { sourceDir: dir })
+	let rows = fs.readFileSync(path.join(dir, '_statistics.csv'), 'utf8').split('\r\n').filter(s => s)
+	assert.equal(rows[0], 'statistic,conversation,key,value')
+	for (let row of ['messages,,,15', 'sent,,,6', 'received,,,9', 'first,,,2021-03-14T09:26:53.000Z', 'mediaFiles,,,8', 'messages,' + anna + ',,6', 'sender,' + family + ',me,1', 'sender,,' + bert + ',3', 'messages,' + neighbours + ',,2', 'month,,2021-03,15', 'hour,,09,15', 'typeFiles,,jpg,4']) {
+		assert.ok(rows.includes(row), row)
+	}
+	assert.ok(rows.indexOf('messages,' + anna + ',,6') < rows.indexOf('messages,' + family + ',,4'), 'largest conversation first')
+	let html = fs.readFileSync(path.join(dir, '_statistics.html'), 'utf8')
+	assert.match(html, /<h2>Largest conversations<\/h2>/)
+	assert.match(html, /<td>2021-03-14 09:26:53<\/td>/)
+})
+
+//--------------------------------------------------------------------------------
+test('e-mails of each conversation as mbox file and as maildir', async (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir)
+	await runTraceBack({ saveMessagesMailTo: '_messages.mbox' }, { sourceDir: dir })
+	let mbox = fs.readFileSync(path.join(dir, anna, '_messages.mbox'), 'utf8')
+	let entries = mbox.split(/\n(?=From \S+ \w{3} \w{3} [ \d]\d \d\d:\d\d:\d\d \d{4}\n)/)
+	assert.equal(entries.length, 6)
+	assert.match(entries[0], /^From ABCD1234@threema\.invalid Sun Mar 14 09:26:53 2021\nDate: Sun, 14 Mar 2021 09:26:53 \+0000\nFrom: Muster Anna anni ABCD1234 <ABCD1234@threema\.invalid>\nTo: me <me@threema\.invalid>\nSubject: Muster Anna anni ABCD1234\nMessage-ID: <a0000001-0000-4000-8000-000000000001@threema\.invalid>\n/)
+	assert.match(entries[0], /\n\nHallo Anna\nwie geht es dir\?\n/)
+	assert.match(entries[1], /\nFrom: me <me@threema\.invalid>\nTo: Muster Anna anni ABCD1234 <ABCD1234@threema\.invalid>\n/)
+	assert.match(entries[1], /\nIn-Reply-To: <a0000001-0000-4000-8000-000000000001@threema\.invalid>\n/)
+	assert.match(entries[1], /\nContent-Type: image\/jpeg; name="2021-03-14 09:27:53\.jpg"\nContent-Transfer-Encoding: base64\n/)
+	let attachment = entries[1].split('\n\n')[3].split('\n--')[0]
+	assert.deepEqual(Buffer.from(attachment, 'base64'), fs.readFileSync(path.join(dir, platformName(anna + '/2021-03-14 09:27:53.jpg'))))
+	assert.match(fs.readFileSync(path.join(dir, family, '_messages.mbox'), 'utf8'), /\nFrom: =\?UTF-8\?B\?RHVwb250IENobG\/DqSBDbG8gSUpLTDkwMTI=\?= <IJKL9012@threema\.invalid>\nTo: Familie 0011223344556677 <0011223344556677-ABCD1234@threema\.invalid>\n/)
+
+	dir = tempDir(t)
+	generateArchive(dir)
+	await runTraceBack({ saveMessagesMailTo: 'Mail', mailFormat: 'maildir', mailDomain: 'example.org' }, { sourceDir: dir })
+	assert.deepEqual(fs.readdirSync(path.join(dir, bert, 'Mail')).sort(), ['cur', 'new', 'tmp']) // empty sub-folders are kept
+	let names = fs.readdirSync(path.join(dir, bert, 'Mail', 'new')).sort()
+	assert.deepEqual(names, ['1615714373.b0000002-0000-4000-8000-000000000001.threemaFilesTraceBack', '1615714433.b0000002-0000-4000-8000-000000000002.threemaFilesTraceBack', '1615714493.b0000002-0000-4000-8000-000000000003.threemaFilesTraceBack'])
+	let mail = fs.readFileSync(path.join(dir, bert, 'Mail', 'new', names[2]), 'utf8')
+	assert.match(mail, /^Date: Sun, 14 Mar 2021 09:34:53 \+0000\r\nFrom: Beispiel Bert EFGH5678 <EFGH5678@example\.org>\r\nTo: me <me@example\.org>\r\n/)
+	assert.match(mail, /\r\nReferences: <b0000002-0000-4000-8000-000000000001@example\.org>\r\n <b0000002-0000-4000-8000-000000000002@example\.org>\r\n/)
+	assert.match(mail, /\r\n\r\nTsch=C3=BCss\r\n$/)
+})
+
+//--------------------------------------------------------------------------------
+test('integrity report of an incomplete backup', async (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir)
+	fs.rmSync(path.join(dir, 'message_media_a0000001-0000-4000-8000-000000000004')) // "Rechnung.pdf"
+	fs.copyFileSync(path.join(dir, 'group_message_media_c0000003-0000-4000-8000-000000000004'), path.join(dir, 'IMG_unknown'))
+	let row = fs.readFileSync(path.join(dir, 'message_ABCD1234.csv'), 'utf8').split('\n').find(s => s.includes('a0000001-0000-4000-8000-000000000005'))
+	fs.appendFileSync(path.join(dir, 'message_EFGH5678.csv'), row + '\n')
+	let result = await runTraceBack({}, { sourceDir: dir })
+	assert.ok(fs.existsSync(path.join(dir, 'IMG_unknown.png')), 'an unmatched file stays in the main folder')
+	assert.equal(fs.readFileSync(path.join(dir, '_integrity.txt'), 'utf8'), [
+		'files without message or conversation, left with their names (1):',
+		'  IMG_unknown\tpng (image/png)\t90 bytes',
+		'',
+		'file messages without media or thumbnail file (1):',
+		'  [2021-03-14 09:29:53] ' + anna + ': Rechnung.pdf (FILE, a0000001-0000-4000-8000-000000000004)',
+		'',
+		'thumbnails without original (1):',
+		'  [2021-03-14 09:31:53] ' + anna + ': IMG_0043.jpg (message_thumbnail_a0000001-0000-4000-8000-000000000006)',
+		'',
+		'uid collisions; the files belong to the last conversation (1):',
+		'  a0000001-0000-4000-8000-000000000005: ' + anna + ', ' + bert,
+		''
+	].join('\n'))
+	assert.ok(result.warnings.some(s => /^integrity: 1 file without message or conversation, 1 file message without media file, 1 thumbnail without original, 1 uid collision;/.test(s)))
+})
+
+//--------------------------------------------------------------------------------
+test('a redacted copy has pseudonyms, masked texts and stripped media files', async (t) => {
+	let dir = tempDir(t)
+	let sourceDir = path.join(dir, 'backup')
+	let outDir = path.join(dir, 'redacted')
+	generateArchive(sourceDir)
+	await assert.rejects(runTraceBack({ redact: true }, { sourceDir: sourceDir }), /^Error: a redaction needs an output folder or a zip file/)
+	await runTraceBack({ redact: true }, { sourceDir: sourceDir, outDir: outDir })
+	let files = listFiles(outDir)
+	assert.deepEqual(Array.from(new Set(files.filter(name => /\//.test(name)).map(name => name.split('/')[0]))), ['Contact 1', 'Contact 2', 'Group 1', 'List 1'])
+	assert.equal(fs.readFileSync(path.join(outDir, 'Contact 1', '_texts.txt'), 'utf8').split('\n')[0], '[2021-03-14 09:26:53] Hallo Contact 1 ↲ wie geht es dir? [Contact 1]')
+	for (let name of files) {
+		let content = fs.readFileSync(path.join(outDir, name), 'latin1')
+		assert.doesNotMatch(name + content, /Anna|Muster|Bert|Beispiel|Chlo|Nachbarn|ABCD1234|EFGH5678|0011223344556677|1234567890/, name)
+	}
+	assert.ok(!fs.readFileSync(path.join(outDir, platformName('Contact 1/2021-03-14 09:27:53.jpg')), 'latin1').includes('sunset'), 'no metadata in the picture')
+	let mapping = JSON.parse(fs.readFileSync(path.join(dir, '_redaction.json'), 'utf8'))
+	assert.equal(mapping.identities.ABCD1234.pseudonym, 'Contact 1')
+	assert.equal(mapping.identities.ABCD1234.fullname, anna)
+})
+
+//--------------------------------------------------------------------------------
+test('a plan alone changes nothing; undo restores the backup', async (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir)
+	let before = snapshot(dir)
+	let configuration = { deleteThumbnailIfOriginalExists: false, removeDuplicatesWithinFolder: false } // deleted files cannot be restored
+
+	let result = await runTraceBack(configuration, { sourceDir: dir }, false)
+	assert.ok(result.plan.actions.length > 0)
+	assert.deepEqual(snapshot(dir), before)
+
+	result = await runTraceBack(configuration, { sourceDir: dir })
+	assert.notDeepEqual(listFiles(dir), Object.keys(before))
+	result.run.undoJournal(result.journal)
+	let after = snapshot(dir)
+	delete after[path.basename(result.journal)] // the journal itself stays
+	assert.deepEqual(after, before)
+})
+
+//--------------------------------------------------------------------------------
+test('a later backup adds only new messages and files', async (t) => {
+	let dir = tempDir(t)
+	let organizedDir = path.join(dir, 'organized')
+	let laterDir = path.join(dir, 'later')
+	generateArchive(organizedDir)
+	await runTraceBack({}, { sourceDir: organizedDir })
+	generateArchive(laterDir, { later: true })
+	let before = snapshot(organizedDir)
+
+	let result = await runTraceBack({ saveJournalTo: 'later_journal.jsonl' }, { sourceDir: laterDir, archiveDir: organizedDir }) // a journal of its own, even in the same second
+	let after = snapshot(organizedDir)
+	for (let name of Object.keys(expectedFiles).map(platformName)) { // known files are not touched:
+		assert.deepEqual(after[name], before[name])
+	}
+	let added = Object.keys(after).filter(name => !before[name] && !/_journal(\.jsonl$|_previous\/)/.test(name))
+	assert.deepEqual(added, [anna + '/2021-03-14 09:42:53.jpg', family + '/2021-03-14 09:43:53.pdf'].map(platformName).sort())
+	let texts = fs.readFileSync(path.join(organizedDir, anna, '_texts.txt'), 'utf8').split('\n')
+	assert.deepEqual(texts, expectedTexts[anna].concat([
+		'[2021-03-14 09:41:53] Bis morgen! [me]',
+		'[2021-03-14 09:42:53] Frühstück [Muster Anna anni ABCD1234]'
+	]))
+
+	// the previous content of an overwritten file is copied next to the journal, not into it; undo takes it back:
+	let records = fs.readFileSync(result.journal, 'utf8').split('\n').filter(s => s).map(s => JSON.parse(s))
+	let record = records.find(o => (o.action === 'write') && (o.fullname === path.join(organizedDir, anna, '_texts.txt')))
+	assert.equal(record.previous, undefined)
+	assert.equal(fs.readFileSync(record.previousFile, 'utf8'), expectedTexts[anna].join('\n'))
+	result.run.undoJournal(result.journal)
+	const withoutJournals = (o) => Object.fromEntries(Object.entries(o).filter(([name]) => !/_journal\.jsonl$/.test(name)))
+	assert.deepEqual(withoutJournals(snapshot(organizedDir)), withoutJournals(before))
+	assert.ok(!fs.existsSync(path.dirname(record.previousFile)), 'the copies are removed')
+})
+
+//--------------------------------------------------------------------------------
+test('command line', (t) => {
+	let dir = tempDir(t)
+	let backupDir = path.join(dir, 'backup')
+	let zipFile = path.join(dir, 'backup.zip')
+	generateArchive(backupDir)
+	writeZipSync(zipFile, backupDir, password)
+	let passwordFile = path.join(dir, 'password.txt')
+	fs.writeFileSync(passwordFile, password + '\n')
+
+	execFileSync(process.execPath, [cli, zipFile, '-p', passwordFile, '-o', path.join(dir, 'organized')], { cwd: dir, env: Object.assign({}, process.env, { TZ: 'UTC' }), stdio: 'pipe', timeout: 60 * 1000 })
+	assertOrganized(path.join(dir, 'organized'))
+})
+
+//--------------------------------------------------------------------------------
+test('command line: exit code 1 if anything fails', (t) => {
+	let dir = tempDir(t)
+	let backupDir = path.join(dir, 'backup')
+	let zipFile = path.join(dir, 'backup.zip')
+	generateArchive(backupDir)
+	writeZipSync(zipFile, backupDir, password)
+	let passwordFile = path.join(dir, 'password.txt')
+	fs.writeFileSync(passwordFile, 'falsch\n')
+	let journalFile = path.join(dir, 'journal.json')
+	fs.writeFileSync(journalFile, '{"no": "journal"}\n')
+	const options = { cwd: dir, env: Object.assign({}, process.env, { TZ: 'UTC' }), stdio: 'pipe', timeout: 60 * 1000 }
+
+	const failures = [
+		[[cli, backupDir, '--no-such-switch'], /Invalid switch:\n  '--no-such-switch'/],
+		[[cli, zipFile, '-p', passwordFile, '-o', path.join(dir, 'organized')], /something went wrong; /],
+		[[cli, '--undo', journalFile], /could not undo changes recorded in journal file '.*journal\.json'; .*is not a journal file/]
+	]
+	for (let [args, message] of failures) {
+		assert.throws(() => execFileSync(process.execPath, args, options), (err) => {
+			assert.equal(err.status, 1)
+			assert.match(String(err.stdout), message)
+			return true
+		})
+	}
+	assert.ok(!fs.existsSync(path.join(dir, 'organized', anna)))
+})
+
+//--------------------------------------------------------------------------------
+test('command line: configuration file and values from the command line', (t) => {
+	let dir = tempDir(t)
+	let backupDir = path.join(dir, 'backup')
+	generateArchive(backupDir)
+	let cfgFile = path.join(dir, 'archive.config')
+	fs.writeFileSync(cfgFile, JSON.stringify({ saveMessagesHtmlTo: null, fileTimestampFormat: '%Y%m%d_%H%M%S' }))
+	const options = { cwd: dir, env: Object.assign({}, process.env, { TZ: 'UTC' }), stdio: 'pipe', timeout: 60 * 1000 }
+
+	// invalid: nothing is done:
+	let before = snapshot(backupDir)
+	assert.throws(() => execFileSync(process.execPath, [cli, backupDir, '--config', cfgFile, '--set', 'duplicateStrategy=remove', '-s', 'days=Mo'], options), (err) => {
+		assert.equal(err.status, 1)
+		assert.match(String(err.stdout), /invalid configuration; nothing done:\n  'duplicateStrategy=remove': key 'duplicateStrategy': 'remove' is not allowed; .*\n  'days=Mo': key 'days': must have exactly 7 elements, not 1\n/)
+		return true
+	})
+	assert.deepEqual(snapshot(backupDir), before)
+
+	execFileSync(process.execPath, [cli, backupDir, '--config', cfgFile, '--set', 'replaceFileNamePart.thumbnail=vorschau', '-s', 'saveMessagesTextsTo=chat.txt'], options)
+	let files = listFiles(backupDir).filter(name => name.startsWith(anna + '/'))
+	assert.deepEqual(files, [anna + '/20210314_092753.jpg', anna + '/20210314_092953.pdf', anna + '/20210314_093053.mp4', anna + '/20210314_093153 vorschau.jpg', anna + '/chat.txt'])
+})
+
+//--------------------------------------------------------------------------------
+test('command line: selected conversations and time range', (t) => {
+	let dir = tempDir(t)
+	generateArchive(dir)
+	const options = { cwd: dir, env: Object.assign({}, process.env, { TZ: 'UTC' }), stdio: 'pipe', timeout: 60 * 1000 }
+	assert.throws(() => execFileSync(process.execPath, [cli, dir, '--since', 'March'], options), (err) => {
+		assert.match(String(err.stdout), /'since=March': key 'since': 'March' is not a date/)
+		return true
+	})
+	execFileSync(process.execPath, [cli, dir, '--only', 'Bert', '--only', 'anni', '-e', 'ABCD1234', '--until', '2021'], options)
+	assert.deepEqual(listFiles(dir).filter(name => /\//.test(name)), [bert + '/2021-03-14 09:33:53.jpg', bert + '/_texts.txt', bert + '/index.html'].map(platformName))
+})
@@ -0,0 +1,94 @@
+'use strict'
+
+//================================================================================
+// Tests of the e-mails "lib/mailExport.js".
+//--------------------------------------------------------------------------------
+process.env.TZ = 'UTC' // all timestamps are compared in UTC
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const mailExport = require('../lib/mailExport')
+
+
+//--------------------------------------------------------------------------------
+// A message of a group with a picture, as "buildPlan" and "applyPlan" pass it:
+const mail = {
+	messageId: '<c0000003-0000-4000-8000-000000000004@threema.invalid>',
+	from: { name: 'Dupont Chloé Clo IJKL9012', address: 'IJKL9012@threema.invalid' },
+	to: [{ name: 'Familie 0011223344556677', address: '0011223344556677-ABCD1234@threema.invalid' }],
+	date: new Date('2021-03-28T01:30:00Z'),
+	timeZone: 'Europe/Zurich',
+	subject: 'Familie 0011223344556677',
+	inReplyTo: '<c0000003-0000-4000-8000-000000000003@threema.invalid>',
+	references: ['<c0000003-0000-4000-8000-000000000001@threema.invalid>', '<c0000003-0000-4000-8000-000000000003@threema.invalid>'],
+	headers: { 'X-Threema-Type': 'IMAGE', 'X-Threema-Uid': 'c0000003-0000-4000-8000-000000000004', 'X-Empty': null },
+	text: 'Le chat\nà midi',
+	attachments: [{ filename: '2021-03-28 03:30:00.png', mime: 'image/png', content: Buffer.from('png') }],
+	generator: 'threemaFilesTraceBack v0.9.0'
+}
+
+
+//--------------------------------------------------------------------------------
+test('addresses, dates and quoted-printable texts', () => {
+	assert.equal(mailExport.mailAddress('0011223344556677-ABCD1234', 'threema.invalid'), '0011223344556677-ABCD1234@threema.invalid')
+	assert.equal(mailExport.mailAddress('Familie, Verwandte', 'example.org'), 'Familie-Verwandte@example.org')
+	assert.equal(mailExport.formatAddress({ name: 'Muster Anna anni ABCD1234', address: 'ABCD1234@threema.invalid' }), 'Muster Anna anni ABCD1234 <ABCD1234@threema.invalid>')
+	assert.equal(mailExport.formatAddress({ name: 'Muster, Anna "anni"', address: 'ABCD1234@threema.invalid' }), '"Muster, Anna \\"anni\\"" <ABCD1234@threema.invalid>')
+	assert.equal(mailExport.formatAddress({ name: null, address: 'me@threema.invalid' }), '<me@threema.invalid>')
+	assert.equal(mailExport.formatMailDate(mail.date, 'Europe/Zurich'), 'Sun, 28 Mar 2021 03:30:00 +0200') // daylight saving time
+	assert.equal(mailExport.formatMailDate(mail.date, 'UTC'), 'Sun, 28 Mar 2021 01:30:00 +0000')
+	assert.equal(mailExport.encodeQuotedPrintable('Grüsse = 1 \nbis später\t'), 'Gr=C3=BCsse =3D 1=20\r\nbis sp=C3=A4ter=09')
+	let lines = mailExport.encodeQuotedPrintable('ä'.repeat(40)).split('\r\n')
+	assert.deepEqual(lines.map(s => s.length), [73, 73, 73, 24]) // soft line breaks; the bytes of a character are never split
+	assert.ok(lines.slice(0, -1).every(s => s.endsWith('=')))
+})
+
+//--------------------------------------------------------------------------------
+test('an e-mail with thread headers, encoded words and an attachment', () => {
+	let lines = mailExport.formatMail(mail).split('\r\n')
+	assert.deepEqual(lines.slice(0, 14), [
+		'Date: Sun, 28 Mar 2021 03:30:00 +0200',
+		'From: =?UTF-8?B?RHVwb250IENobG/DqSBDbG8gSUpLTDkwMTI=?= <IJKL9012@threema.invalid>',
+		'To: Familie 0011223344556677 <0011223344556677-ABCD1234@threema.invalid>',
+		'Subject: Familie 0011223344556677',
+		'Message-ID: <c0000003-0000-4000-8000-000000000004@threema.invalid>',
+		'In-Reply-To: <c0000003-0000-4000-8000-000000000003@threema.invalid>',
+		'References: <c0000003-0000-4000-8000-000000000001@threema.invalid>',
+		' <c0000003-0000-4000-8000-000000000003@threema.invalid>',
+		'X-Mailer: threemaFilesTraceBack v0.9.0',
+		'X-Threema-Type: IMAGE',
+		'X-Threema-Uid: c0000003-0000-4000-8000-000000000004',
+		'MIME-Version: 1.0',
+		lines[12], // the boundary is derived from the "Message-ID"
+		''
+	])
+	let boundary = lines[12].match(/^Content-Type: multipart\/mixed; boundary="(=_[0-9a-f]{24})"$/)[1]
+	assert.deepEqual(lines.slice(14), [
+		'--' + boundary,
+		'Content-Type: text/plain; charset=utf-8',
+		'Content-Transfer-Encoding: quoted-printable',
+		'',
+		'Le chat',
+		'=C3=A0 midi',
+		'--' + boundary,
+		'Content-Type: image/png; name="2021-03-28 03:30:00.png"',
+		'Content-Transfer-Encoding: base64',
+		'Content-Disposition: attachment; filename="2021-03-28 03:30:00.png"',
+		'',
+		'cG5n',
+		'--' + boundary + '--',
+		''
+	])
+	let plain = mailExport.formatMail(Object.assign({}, mail, { subject: 'Grüsse '.repeat(10).trim(), attachments: [{ filename: 'Tschüss.pdf', mime: null, content: Buffer.alloc(100) }] }))
+	assert.match(plain, /^[\x00-\x7f]*$/) // ASCII only
+	assert.match(plain, /\r\nSubject: =\?UTF-8\?B\?[^?]+\?=\r\n =\?UTF-8\?B\?[^?]+\?=\r\n/) // folded
+	assert.match(plain, /\r\nContent-Type: application\/octet-stream; name\*=UTF-8''Tsch%C3%BCss\.pdf\r\n/)
+	assert.ok(!/\r\nIn-Reply-To/.test(mailExport.formatMail(Object.assign({}, mail, { inReplyTo: null, references: [], attachments: [] }))), 'the first message of a thread')
+})
+
+//--------------------------------------------------------------------------------
+test('mbox entries and maildir names', () => {
+	let entry = mailExport.formatMboxEntry('Subject: x\r\n\r\nFrom here\r\n>From there\r\n', 'ABCD1234@threema.invalid', new Date('2021-03-04T09:05:03Z'))
+	assert.equal(entry, 'From ABCD1234@threema.invalid Thu Mar  4 09:05:03 2021\nSubject: x\n\n>From here\n>>From there\n\n')
+	assert.equal(mailExport.maildirName(new Date('2021-03-14T09:26:53Z'), 'a0000001-0000-4000-8000-000000000001', 'threemaFilesTraceBack'), '1615714013.a0000001-0000-4000-8000-000000000001.threemaFilesTraceBack')
+})
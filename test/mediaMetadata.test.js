@@ -0,0 +1,181 @@
+'use strict'
+
+//================================================================================
+// Tests of the metadata written into media files "lib/mediaMetadata.js".
+//--------------------------------------------------------------------------------
+process.env.TZ = 'UTC' // all timestamps are compared in UTC
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const mediaMetadata = require('../lib/mediaMetadata')
+const { mediaContent } = require('../tools/generateTestArchive')
+
+
+//--------------------------------------------------------------------------------
+const quickTimeEpoch = Date.UTC(1904, 0, 1)
+
+
+//--------------------------------------------------------------------------------
+// New file "name" with "content" in a temporary folder; removed after the test:
+function tempFile(t, name, content) {
+	let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'threemaTraceBack-'))
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+	let fullname = path.join(dir, name)
+	fs.writeFileSync(fullname, content)
+	return fullname
+}
+
+//--------------------------------------------------------------------------------
+// Offsets of the boxes "type" in an MP4 file (buffer); the type follows the size:
+function boxOffsets(mp4, type) {
+	let offsets = []
+	for (let i = mp4.indexOf(type, 0, 'latin1'); i !== -1; i = mp4.indexOf(type, i + 1, 'latin1')) {
+		offsets.push(i - 4)
+	}
+	return offsets
+}
+
+
+//--------------------------------------------------------------------------------
+test('types of metadata by extension', () => {
+	assert.equal(mediaMetadata.metadataType('jpg'), 'exif')
+	assert.equal(mediaMetadata.metadataType('.JPEG'), 'exif')
+	assert.equal(mediaMetadata.metadataType('mov'), 'quicktime')
+	assert.equal(mediaMetadata.metadataType('png'), null)
+	assert.throws(() => mediaMetadata.writeMetadataSync('picture.png', 'png', {}), /metadata of 'png' files not supported/)
+})
+
+//--------------------------------------------------------------------------------
+test('EXIF timestamp, caption and sender of a JPEG file; undone byte by byte', (t) => {
+	let original = mediaContent('jpg', 'sunset')
+	let fullname = tempFile(t, 'picture.jpg', original)
+	let patches = mediaMetadata.writeMetadataSync(fullname, 'jpg', { timestamp: new Date('2021-03-28T01:30:00Z'), timeZone: 'Europe/Zurich', description: 'Sonnenuntergang am See', artist: 'me' })
+	let jpeg = fs.readFileSync(fullname)
+	assert.equal(patches.length, 1)
+	assert.equal(jpeg.readUInt16BE(20), 0xffe1, 'EXIF segment behind the JFIF segment')
+	assert.equal(jpeg.toString('latin1', 24, 30), 'Exif\0\0')
+	let exif = jpeg.toString('utf8', 30, 20 + 2 + jpeg.readUInt16BE(22))
+	assert.ok(exif.includes('2021:03:28 03:30:00\0'), 'wall clock time of the time zone') // daylight saving time
+	assert.ok(exif.includes('+02:00\0'))
+	assert.ok(exif.includes('Sonnenuntergang am See\0'))
+	assert.ok(exif.includes('me\0'))
+	assert.ok(jpeg.includes('sunset'), 'the comment is kept')
+
+	// the EXIF segment of the first run is kept, changed directories are added:
+	let morePatches = mediaMetadata.writeMetadataSync(fullname, 'jpg', { timestamp: new Date('2021-03-14T09:27:53Z'), timeZone: 'UTC' })
+	let exifAgain = fs.readFileSync(fullname).toString('latin1')
+	assert.ok(exifAgain.includes('2021:03:14 09:27:53\0'))
+	assert.ok(exifAgain.includes('Sonnenuntergang am See\0'))
+	mediaMetadata.undoPatchesSync(fullname, morePatches)
+	assert.deepEqual(fs.readFileSync(fullname), jpeg)
+	mediaMetadata.undoPatchesSync(fullname, patches)
+	assert.deepEqual(fs.readFileSync(fullname), original)
+
+	// stripped: comment and EXIF data are gone, only the new timestamp is left:
+	patches = mediaMetadata.writeMetadataSync(fullname, 'jpg', { timestamp: new Date('2021-03-14T09:27:53Z'), timeZone: 'UTC', strip: true })
+	assert.ok(!fs.readFileSync(fullname).includes('sunset'))
+	mediaMetadata.undoPatchesSync(fullname, patches)
+	assert.deepEqual(fs.readFileSync(fullname), original)
+})
+
+//--------------------------------------------------------------------------------
+test('creation and modification times of an MP4 file in "mvhd", "tkhd" and "mdhd"; undone byte by byte', (t) => {
+	let original = mediaContent('mp4', 'video')
+	let fullname = tempFile(t, 'video.mp4', original)
+	let timestamp = new Date('2021-03-14T09:30:53Z')
+	let patches = mediaMetadata.writeMetadataSync(fullname, 'mp4', { timestamp: timestamp, timeZone: 'Europe/Zurich' })
+	let mp4 = fs.readFileSync(fullname)
+	assert.equal(mp4.length, original.length, 'overwritten in place')
+	let offsets = ['mvhd', 'tkhd', 'mdhd'].map(type => boxOffsets(mp4, type)).flat()
+	assert.equal(offsets.length, 3)
+	assert.deepEqual(patches.map(patch => patch.offset), offsets.map(offset => offset + 12)) // behind size, type, version and flags
+	let seconds = (timestamp.getTime() - quickTimeEpoch) / 1000 // in UTC, whatever the time zone
+	for (let offset of offsets) {
+		assert.equal(mp4.readUInt32BE(offset + 12), seconds, 'creation time')
+		assert.equal(mp4.readUInt32BE(offset + 16), seconds, 'modification time')
+	}
+	mediaMetadata.undoPatchesSync(fullname, patches)
+	assert.deepEqual(fs.readFileSync(fullname), original)
+})
+
+//--------------------------------------------------------------------------------
+test('caption and sender of an MP4 file in "udta"; the media data behind the movie moves; undone byte by byte', (t) => {
+	let original = mediaContent('mp4', 'video')
+	let fullname = tempFile(t, 'video.mp4', original)
+	let patches = mediaMetadata.writeMetadataSync(fullname, 'mp4', { timestamp: new Date('2021-03-14T09:30:53Z'), description: 'Grüezi', artist: 'me' })
+	let mp4 = fs.readFileSync(fullname)
+	let items = Buffer.concat([Buffer.from('\0\0\0\x13\u00a9cmt\0\x07\x55\xc4', 'latin1'), Buffer.from('Grüezi'), Buffer.from('\0\0\0\x0e\u00a9ART\0\x02\x55\xc4me', 'latin1')])
+	assert.equal(mp4.length, original.length + 8 + items.length)
+	let moov = boxOffsets(mp4, 'moov')[0]
+	let udta = boxOffsets(mp4, 'udta')[0]
+	assert.equal(udta + 8 + items.length, moov + mp4.readUInt32BE(moov), 'at the end of the movie')
+	assert.deepEqual(mp4.subarray(udta + 8, udta + 8 + items.length), items)
+	let chunk = mp4.readUInt32BE(boxOffsets(mp4, 'stco')[0] + 16)
+	assert.equal(mp4.toString('latin1', chunk, chunk + 5), 'video', 'chunk offset shifted')
+
+	// again: the items already there become "free" boxes, the new ones follow them:
+	let morePatches = mediaMetadata.writeMetadataSync(fullname, 'mp4', { timestamp: null, artist: 'Beispiel Anna' })
+	let again = fs.readFileSync(fullname)
+	assert.equal(again.readUInt32BE(boxOffsets(again, 'udta')[0]), 8 + items.length + 25)
+	assert.equal(boxOffsets(again, '\u00a9cmt').length, 1)
+	assert.equal(again.indexOf('me', boxOffsets(again, 'udta')[0], 'latin1') - 8, boxOffsets(again, 'free')[0] + 4, 'the old sender is free')
+	assert.ok(again.includes('\u00a9ART\0\x0d\x55\xc4Beispiel Anna', 'latin1'))
+	chunk = again.readUInt32BE(boxOffsets(again, 'stco')[0] + 16)
+	assert.equal(again.toString('latin1', chunk, chunk + 5), 'video')
+	mediaMetadata.undoPatchesSync(fullname, morePatches)
+	assert.deepEqual(fs.readFileSync(fullname), mp4)
+	mediaMetadata.undoPatchesSync(fullname, patches)
+	assert.deepEqual(fs.readFileSync(fullname), original)
+})
+
+//--------------------------------------------------------------------------------
+test('caption of an MP4 file written into the "free" box behind the movie; nothing else moves', (t) => {
+	let video = mediaContent('mp4', 'video')
+	let mdat = boxOffsets(video, 'mdat')[0]
+	let free = Buffer.alloc(64)
+	free.writeUInt32BE(free.length)
+	free.write('free', 4, 'latin1')
+	let original = Buffer.concat([video.subarray(0, mdat), free, video.subarray(mdat)])
+	let stco = boxOffsets(original, 'stco')[0]
+	original.writeUInt32BE(original.readUInt32BE(stco + 16) + free.length, stco + 16)
+	let fullname = tempFile(t, 'video.mov', original)
+	let patches = mediaMetadata.writeMetadataSync(fullname, 'mov', { timestamp: null, description: 'Zug' })
+	let mov = fs.readFileSync(fullname)
+	assert.equal(mov.length, original.length)
+	assert.deepEqual(mov.subarray(mdat + 64), original.subarray(mdat + 64), 'media data unchanged')
+	assert.equal(mov.readUInt32BE(stco + 16), original.readUInt32BE(stco + 16), 'chunk offset unchanged')
+	assert.deepEqual(mov.subarray(mdat, mdat + 23), Buffer.from('\0\0\0\x17udta\0\0\0\x0f\u00a9cmt\0\x03\x55\xc4Zug', 'latin1'))
+	assert.equal(mov.readUInt32BE(mdat + 23), 64 - 23, 'the free box shrinks')
+	mediaMetadata.undoPatchesSync(fullname, patches)
+	assert.deepEqual(fs.readFileSync(fullname), original)
+})
+
+//--------------------------------------------------------------------------------
+test('64 bit times of an MP4 file (version 1 of "mdhd")', (t) => {
+	let original = mediaContent('mp4', 'video')
+	let offset = boxOffsets(original, 'mdhd')[0]
+	let mdhd = Buffer.alloc(36) // version 1: 64 bit times, time scale, 64 bit duration, language
+	mdhd.writeUInt8(1, 0)
+	mdhd.writeUInt32BE(1000, 20)
+	let size = Buffer.alloc(4)
+	size.writeUInt32BE(8 + mdhd.length)
+	// the sizes of "moov", "trak" and "mdia" grow by 12 bytes as well:
+	let mp4 = Buffer.concat([original.subarray(0, offset), size, Buffer.from('mdhd', 'latin1'), mdhd, original.subarray(offset + original.readUInt32BE(offset))])
+	for (let type of ['moov', 'trak', 'mdia']) {
+		let box = boxOffsets(mp4, type)[0]
+		mp4.writeUInt32BE(mp4.readUInt32BE(box) + 12, box)
+	}
+	let fullname = tempFile(t, 'video.mov', mp4)
+	let timestamp = new Date('2021-03-14T09:30:53Z')
+	let patches = mediaMetadata.writeMetadataSync(fullname, 'mov', { timestamp: timestamp })
+	let written = fs.readFileSync(fullname)
+	let seconds = BigInt((timestamp.getTime() - quickTimeEpoch) / 1000)
+	assert.equal(written.readBigUInt64BE(offset + 12), seconds)
+	assert.equal(written.readBigUInt64BE(offset + 20), seconds)
+	assert.equal(patches.find(patch => patch.offset === offset + 12).length, 16)
+	mediaMetadata.undoPatchesSync(fullname, patches)
+	assert.deepEqual(fs.readFileSync(fullname), mp4)
+})
@@ -0,0 +1,77 @@
+'use strict'
+
+//================================================================================
+// Tests of the naming building blocks of "lib/traceBack.js": identities and
+// timestamps in filenames, replacements, templates, order of duplicates.
+//--------------------------------------------------------------------------------
+process.env.TZ = 'UTC' // all timestamps are compared in UTC
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const traceBack = require('../lib/traceBack')
+
+
+//--------------------------------------------------------------------------------
+// identities as "loadArchive" collects them from "contacts.csv" and "groups.csv":
+const identities = {
+	'ABCD1234': { identity: 'ABCD1234', fullname: 'Muster Anna anni ABCD1234', id: null, type: 'contact' },
+	'EFGH5678': { identity: 'EFGH5678', fullname: 'Beispiel Bert EFGH5678', id: null, type: 'contact' },
+	'0011223344556677-ABCD1234': { identity: '0011223344556677-ABCD1234', fullname: 'Familie 0011223344556677', id: '0011223344556677', type: 'group' }
+}
+
+
+//--------------------------------------------------------------------------------
+test('identityFromFilename finds contacts and groups', () => {
+	assert.equal(traceBack.identityFromFilename('message_ABCD1234', identities).fullname, 'Muster Anna anni ABCD1234')
+	assert.equal(traceBack.identityFromFilename(['group', 'message', '0011223344556677-ABCD1234'], identities).type, 'group')
+	assert.equal(traceBack.identityFromFilename('group_message_media_0011223344556677', identities).fullname, 'Familie 0011223344556677') // by group id only
+	assert.equal(traceBack.identityFromFilename('message_media_XXXX0000', identities), null)
+})
+
+//--------------------------------------------------------------------------------
+test('timestampFromFilename finds the timestamp of the uid', () => {
+	let fileTimestamps = { 'a0000001-0000-4000-8000-000000000002': '2021-03-14 09:27:53' }
+	assert.equal(traceBack.timestampFromFilename('message_media_a0000001-0000-4000-8000-000000000002', fileTimestamps), '2021-03-14 09:27:53')
+	assert.equal(traceBack.timestampFromFilename('message_media_unknown', fileTimestamps), null)
+})
+
+//--------------------------------------------------------------------------------
+test('replaceNameParts replaces identities, filename parts and strings', () => {
+	let configuration = traceBack.defaultConfiguration()
+	assert.equal(traceBack.replaceNameParts('message_ABCD1234', identities), 'message_Muster Anna anni ABCD1234')
+	assert.equal(traceBack.replaceNameParts('message_ABCD1234', identities, { includeReplaceParts: true }, configuration), 'Muster Anna anni ABCD1234')
+	assert.equal(traceBack.replaceNameParts('group_message_thumbnail_1234', identities, { includeReplaceParts: true }, configuration), 'tn_1234')
+	configuration.replaceStringPart = { '_': ' ' }
+	assert.equal(traceBack.replaceNameParts('group_message_thumbnail_1234', identities, { includeReplaceParts: true, includeReplaceChars: true }, configuration), 'tn 1234')
+})
+
+//--------------------------------------------------------------------------------
+test('fillTemplate builds valid folder and file names', () => {
+	let values = { conversation: 'Familie 0011223344556677', year: '2021', month: '03', caption: 'Ferien/Strand\nTag 1', sender: '' }
+	assert.deepEqual(traceBack.fillTemplate('Photos/{year}/{month}', values), ['Photos', '2021', '03'])
+	assert.deepEqual(traceBack.fillTemplate('{conversation} {caption}', values), ['Familie 0011223344556677 Ferien-Strand ↲ Tag 1']) // a value never creates a sub-folder
+	assert.deepEqual(traceBack.fillTemplate('{sender}/../{unknown}/{year}', values), ['2021']) // empty parts and ".." are left out
+	assert.deepEqual(traceBack.fillTemplate('a\\b', values), ['a', 'b'])
+})
+
+//--------------------------------------------------------------------------------
+test('sortDuplicates puts the file to keep first', () => {
+	let csvFiles = [
+		{ destDir: '/x/Anna/', nameExplicit: 'Muster Anna anni ABCD1234', identity: identities['ABCD1234'], rows: [1, 2, 3] },
+		{ destDir: '/x/Familie/', nameExplicit: 'Familie 0011223344556677', identity: identities['0011223344556677-ABCD1234'], rows: [1, 2, 3, 4, 5] }
+	]
+	const duplicates = () => [
+		{ duplicateIdx: 'a', conversationDir: '/x/Anna/', timestampISO: new Date(Date.UTC(2021, 0, 2)) },
+		{ duplicateIdx: 'b', conversationDir: '/x/Familie/', timestampISO: new Date(Date.UTC(2021, 0, 3)) },
+		{ duplicateIdx: 'c', conversationDir: '/x/Anna/', timestampISO: new Date(Date.UTC(2021, 0, 1)) }
+	]
+	let configuration = traceBack.defaultConfiguration()
+	const order = (keep, preferred = []) => traceBack.sortDuplicates(duplicates(), Object.assign(configuration, { duplicateKeep: keep, duplicatePreferredConversations: preferred }), csvFiles).map(o => o.duplicateIdx).join('')
+	assert.equal(order('first'), 'cab')
+	assert.equal(order('newest'), 'bac')
+	assert.equal(order('largest'), 'bca') // the conversation with the most messages
+	assert.equal(order('busiest'), 'bca')
+	assert.equal(order('conversation', ['familie']), 'bca')
+	assert.equal(order('conversation', ['ABCD1234']), 'cab') // identity is enough
+	assert.equal(order('conversation', ['nobody']), 'cab') // no preference matches: the first posted
+})
@@ -0,0 +1,58 @@
+'use strict'
+
+//================================================================================
+// Tests of the pseudonyms and the masking of texts "lib/redaction.js".
+//--------------------------------------------------------------------------------
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const redaction = require('../lib/redaction')
+
+
+//--------------------------------------------------------------------------------
+// A redaction of two contacts and a group, as "loadArchive" creates it:
+function createRedaction(mapping = null) {
+	let redacted = redaction.createRedaction(mapping)
+	redaction.addIdentity(redacted, 'ABCD1234', 'contact', 'Muster Anna anni ABCD1234', ['Anna Muster', 'Muster Anna', 'anni', 'Anna', 'Muster'])
+	redaction.addIdentity(redacted, 'EFGH5678', 'contact', 'Beispiel Bert EFGH5678', ['Bert Beispiel', 'Bo', 'Bert', 'Beispiel'])
+	redaction.addIdentity(redacted, '0011223344556677-ABCD1234', 'group', 'Familie 0011223344556677', ['Familie'])
+	return redacted
+}
+
+
+//--------------------------------------------------------------------------------
+test('pseudonyms are numbered per type; unknown identities become contacts', () => {
+	let redacted = createRedaction()
+	assert.deepEqual(Object.values(redacted.identities).map(o => [o.pseudonym, o.identity]), [['Contact 1', 'CONTACT1'], ['Contact 2', 'CONTACT2'], ['Group 1', 'GROUP1']])
+	assert.deepEqual(redacted.identities.EFGH5678.names, ['Bert Beispiel', 'Bert', 'Beispiel']) // "Bo" is too short
+	assert.equal(redaction.redactIdentity(redacted, 'IJKL9012'), 'CONTACT3')
+	assert.equal(redaction.redactIdentity(redacted, 'ABCD1234'), 'CONTACT1')
+	assert.equal(redaction.redactIdentity(redacted, null), null)
+})
+
+//--------------------------------------------------------------------------------
+test('names, identities, phone numbers, e-mail addresses and IBANs are masked in texts', () => {
+	let redacted = createRedaction()
+	assert.equal(redaction.redactText(redacted, 'Hallo Anna Muster, grüss Bert und die Familie!'), 'Hallo Contact 1, grüss Contact 2 und die Group 1!')
+	assert.equal(redaction.redactText(redacted, 'Annabelle und familie, Musterhaus'), 'Annabelle und familie, Musterhaus') // whole words, case sensitive
+	assert.equal(redaction.redactText(redacted, 'Meine ID: ABCD1234'), 'Meine ID: CONTACT1')
+	assert.equal(redaction.redactText(redacted, 'Ruf an: +41 79 123 45 67 oder 079/123 45 67, um 14:30 am 2021-03-14'), 'Ruf an: [phone] oder [phone], um 14:30 am 2021-03-14')
+	assert.equal(redaction.redactText(redacted, 'Mail an anna.muster@example.ch'), 'Mail an [email]')
+	assert.equal(redaction.redactText(redacted, 'IBAN CH93 0076 2011 6238 5295 7, danke'), 'IBAN [iban], danke')
+	assert.equal(redaction.redactText(redacted, null), null)
+	let own = redaction.createRedaction(null, { plate: '\\b[A-Z]{2} ?\\d{1,6}\\b', email: '' })
+	assert.equal(redaction.redactText(own, 'ZH 123456, a@b.ch'), '[plate], a@b.ch') // an empty pattern is not used
+})
+
+//--------------------------------------------------------------------------------
+test('a later redaction with the mapping keeps all pseudonyms', () => {
+	let mapping = JSON.parse(redaction.formatMapping(createRedaction(), 'v1'))
+	assert.equal(mapping.redaction, 'v1')
+	assert.equal(mapping.identities.ABCD1234.fullname, 'Muster Anna anni ABCD1234')
+	let redacted = redaction.createRedaction(mapping)
+	redaction.addIdentity(redacted, 'AAAA0000', 'contact', 'Neu Nora AAAA0000', ['Nora'])
+	redaction.addIdentity(redacted, 'EFGH5678', 'contact', 'Beispiel Bert EFGH5678', ['Bert'])
+	assert.equal(redacted.identities.AAAA0000.pseudonym, 'Contact 3') // new ones get the next number
+	assert.equal(redacted.identities.EFGH5678.pseudonym, 'Contact 2')
+	assert.equal(redaction.redactText(redacted, 'Nora und Anna'), 'Contact 3 und Contact 1')
+})
@@ -0,0 +1,92 @@
+'use strict'
+
+//================================================================================
+// Tests of the configuration schema: "lib/schema.js" and the schema of the
+// configuration of "lib/traceBack.js".
+//--------------------------------------------------------------------------------
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const schema = require('../lib/schema')
+const traceBack = require('../lib/traceBack')
+
+
+//--------------------------------------------------------------------------------
+test('the default configuration and the sample configuration file are valid', () => {
+	assert.deepEqual(schema.validate(traceBack.defaultConfiguration(), traceBack.configurationSchema()), [])
+	let sample = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'threemaFilesTraceBack.config'), 'utf8'))
+	delete sample.minimumLevelForLogging // key of the command line program
+	assert.deepEqual(schema.validate(sample, traceBack.configurationSchema()), [])
+})
+
+//--------------------------------------------------------------------------------
+test('every key of the configuration has a rule', () => {
+	assert.deepEqual(Object.keys(traceBack.configurationSchema()).sort(), Object.keys(traceBack.defaultConfiguration()).sort())
+})
+
+//--------------------------------------------------------------------------------
+test('invalid values are reported with key, value and what is allowed', () => {
+	let rules = traceBack.configurationSchema()
+	const error = (key, value) => schema.checkValue(key, value, rules[key])
+	assert.equal(error('removeEmptyFolders', 'yes'), `key 'removeEmptyFolders': 'yes' is not a boolean; allowed: true, false`)
+	assert.equal(error('duplicateStrategy', 'remove'), `key 'duplicateStrategy': 'remove' is not allowed; allowed: 'report', 'delete', 'hardlink', 'symlink'`)
+	assert.equal(error('duplicateStrategy', null), `key 'duplicateStrategy': must not be empty`)
+	assert.equal(error('concurrency', 0), `key 'concurrency': 0 is too small; minimum: 1`)
+	assert.equal(error('concurrency', 1.5), `key 'concurrency': 1.5 is not an integer`)
+	assert.equal(error('concurrency', null), null)
+	assert.equal(error('days', ['Mo']), `key 'days': must have exactly 7 elements, not 1`)
+	assert.equal(error('duplicatePreferredConversations', 'Familie'), `key 'duplicatePreferredConversations': 'Familie' is not an array`)
+	assert.equal(error('replaceFileNamePart', { thumbnail: 1 }), `key 'replaceFileNamePart': the value of 'thumbnail' must be a string, not 1`)
+	assert.equal(error('saveMessagesTextsTo', 'texts/all.txt'), `key 'saveMessagesTextsTo': 'texts/all.txt' must be a filename without folder`)
+	assert.equal(error('saveMessagesTextsTo', ''), null)
+	assert.match(error('fileTimestampFormat', '%Y-%m-%d %q'), /^key 'fileTimestampFormat': unknown strftime placeholder '%q' in '%Y-%m-%d %q'; allowed: %à %a /)
+	assert.match(error('textTimestampFormat', '100%'), /unknown strftime placeholder '%'/)
+	assert.match(error('textTimestampFormat', '100%%%'), /unknown strftime placeholder '%' in '100%%%'/)
+	assert.equal(error('textTimestampFormat', '%Y 100%%'), null)
+	assert.equal(error('textTimestampFormat', '%%Y'), null)
+	assert.equal(error('textTimestampFormat', '%à, %d. %B %Y'), null)
+	assert.equal(error('timeZone', 'Europe/Zurich'), null)
+	assert.equal(error('timeZone', 'device'), null)
+	assert.equal(error('locale', 'de-CH'), null)
+	assert.match(error('locale', 'Deutsch'), /^key 'locale': 'Deutsch' is not a known locale; allowed: 'device', 'en', 'en-GB', 'de', /)
+	assert.equal(error('days', null), null)
+	assert.equal(error('since', '2021-03'), null)
+	assert.equal(error('until', '2021-13-01'), `key 'until': '2021-13-01' is not a date; allowed: YYYY, YYYY-MM or YYYY-MM-DD`)
+	assert.match(error('redactPatterns', { iban: '[A-Z' }), /^key 'redactPatterns': the value of 'iban' is not a regular expression; /)
+	assert.equal(error('redactPatterns', { iban: '' }), null)
+	assert.equal(error('timeZone', 'Europe/Zürich'), `key 'timeZone': 'Europe/Zürich' is not a known time zone; allowed: 'device' or an IANA name like 'Europe/Zurich'`)
+	assert.match(error('folderTemplate', 'Photos/{year}/{week}'), /^key 'folderTemplate': unknown placeholder \{week\} in 'Photos\/\{year\}\/\{week\}'; allowed: \{conversation\}, /)
+	assert.deepEqual(schema.validate({ logTo: 'x.log', removeEmptyFolders: false }, rules), [`unknown key 'logTo'`])
+	assert.deepEqual(schema.validate({ logTo: 'x.log' }, rules, true), [])
+	assert.deepEqual(schema.validate([], rules), [`the configuration must be an object`])
+})
+
+//--------------------------------------------------------------------------------
+test('values from the command line are converted to the type of the key', () => {
+	let rules = traceBack.configurationSchema()
+	const parse = (key, s) => schema.parseValue(key, s, rules[key])
+	assert.equal(parse('removeEmptyFolders', 'false'), false)
+	assert.equal(parse('removeEmptyFolders', 'Yes'), true)
+	assert.throws(() => parse('removeEmptyFolders', 'maybe'), /'maybe' is not a boolean/)
+	assert.equal(parse('concurrency', '4'), 4)
+	assert.equal(parse('concurrency', 'null'), null)
+	assert.throws(() => parse('concurrency', 'four'), /'four' is not an integer/)
+	assert.equal(parse('saveMessagesHtmlTo', ''), null)
+	assert.equal(parse('fileTimestampFormat', '%Y%m%d_%H%M%S'), '%Y%m%d_%H%M%S')
+	assert.deepEqual(parse('days', 'So, Mo,Di,Mi,Do,Fr,Sa'), ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'])
+	assert.deepEqual(parse('duplicatePreferredConversations', '["Familie, Verwandte", "Bert"]'), ['Familie, Verwandte', 'Bert'])
+	assert.deepEqual(parse('duplicatePreferredConversations', ''), [])
+	assert.deepEqual(parse('replaceStringPart', '{"_": " "}'), { '_': ' ' })
+	assert.throws(() => parse('replaceStringPart', '_= '), /is not a valid JSON object/)
+})
+
+//--------------------------------------------------------------------------------
+test('the library refuses an invalid configuration', async () => {
+	let run = traceBack.createTraceBack({ duplicateKeep: 'oldest', concurrency: 'many' })
+	await assert.rejects(run.loadArchive({ sourceDir: __dirname }), (err) => {
+		assert.match(err.message, /^invalid configuration; key 'duplicateKeep': 'oldest' is not allowed; .*; key 'concurrency': 'many' is not an integer$/)
+		return true
+	})
+})
@@ -0,0 +1,83 @@
+'use strict'
+
+//================================================================================
+// Tests of the full-text search "lib/search.js".
+//--------------------------------------------------------------------------------
+process.env.TZ = 'UTC' // all timestamps are compared in UTC
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const search = require('../lib/search')
+
+
+//--------------------------------------------------------------------------------
+// messages as "buildPlan" puts them into the search index:
+const messages = [
+	{ uid: '1', conversation: 'Familie', timestamp: '2021-03-14T09:00:00.000Z', sender: 'me', text: 'Wo treffen wir uns?', media: null },
+	{ uid: '2', conversation: 'Familie', timestamp: '2021-03-14T09:01:00.000Z', sender: 'Anna', text: 'Bahnhofstraße 12 in Zürich', media: null },
+	{ uid: '3', conversation: 'Familie', timestamp: '2021-03-14T09:02:00.000Z', sender: 'Bert', text: 'Gut, bis später', media: null },
+	{ uid: '4', conversation: 'Bert', timestamp: '2022-06-01T18:30:00.000Z', sender: 'Bert', text: 'Die neue Adresse: Seestrasse 5, Zuerich', media: 'Bert/2022-06-01 18:30:00.jpg' }
+]
+
+//--------------------------------------------------------------------------------
+// Return the uids of the hits of "query":
+function find(index, query, options) {
+	return search.searchIndex(index, search.parseQuery(query), options).map(hit => hit.message.uid)
+}
+
+
+//--------------------------------------------------------------------------------
+test('texts are folded without case and diacritics; the ranges point to the original text', () => {
+	let folded = search.foldText('Zürich, Straße')
+	assert.equal(folded.text, 'zurich, strasse')
+	assert.equal(search.foldText('Zuerich Goethe Kaese').text, 'zurich gothe kase')
+	assert.deepEqual([folded.starts[12], folded.ends[13]], [12, 13]) // "ss" of "ß"
+})
+
+//--------------------------------------------------------------------------------
+test('queries consist of words, phrases and filters', () => {
+	assert.deepEqual(search.parseQuery('Bahnhof "Straße 12" from:"Anna Muster" in:familie since:2021 until:2022-06-30 12:30'), {
+		terms: [['bahnhof'], ['strasse', '12'], ['12', '30']],
+		from: 'Anna Muster',
+		in: 'familie',
+		since: '2021',
+		until: '2022-06-30'
+	})
+	assert.throws(() => search.parseQuery('since:yesterday'), /'since:yesterday' is not a date/)
+})
+
+//--------------------------------------------------------------------------------
+test('search with phrases, filters and context', () => {
+	let index = search.buildSearchIndex(messages)
+	assert.deepEqual(find(index, 'zürich'), ['2', '4'])
+	assert.deepEqual(find(index, 'zuerich'), ['2', '4'])
+	assert.deepEqual(find(index, 'bahnhof'), ['2']) // beginning of a word
+	assert.deepEqual(find(index, 'hofstrasse'), []) // not inside of a word
+	assert.deepEqual(find(index, '"bahnhofstrasse 12"'), ['2'])
+	assert.deepEqual(find(index, '"12 bahnhofstrasse"'), [])
+	assert.deepEqual(find(index, '"strasse 5"'), [])
+	assert.deepEqual(find(index, 'zurich from:bert'), ['4'])
+	assert.deepEqual(find(index, 'zurich in:fam'), ['2'])
+	assert.deepEqual(find(index, 'zurich since:2022'), ['4'])
+	assert.deepEqual(find(index, 'zurich until:2021-03'), ['2'])
+	assert.deepEqual(find(index, 'zurich', { dateOf: () => '2020-01-01' }), ['2', '4'])
+	let hits = search.searchIndex(index, search.parseQuery('zurich in:familie'), { context: 1 })
+	assert.deepEqual(hits[0].before.map(o => o.uid), ['1'])
+	assert.deepEqual(hits[0].after.map(o => o.uid), ['3'])
+	assert.deepEqual(hits[0].matches, [[20, 26]])
+	assert.equal(search.formatHitsAsText(hits, (timestamp) => timestamp.slice(11, 16)), [
+		'--- Familie',
+		'  [09:00] Wo treffen wir uns? [me]',
+		'> [09:01] Bahnhofstraße 12 in »Zürich« [Anna]',
+		'  [09:02] Gut, bis später [Bert]'
+	].join('\n'))
+})
+
+//--------------------------------------------------------------------------------
+test('a later index keeps the messages of the previous one', () => {
+	let previous = search.buildSearchIndex(messages.slice(0, 3))
+	let index = search.buildSearchIndex([Object.assign({}, messages[1], { text: 'Bahnhofstrasse 14' }), messages[3]], JSON.parse(JSON.stringify(previous)))
+	assert.deepEqual(index.messages.map(o => o.uid), ['4', '1', '2', '3']) // by conversation and time
+	assert.deepEqual(find(index, 'bahnhofstrasse'), ['2'])
+	assert.deepEqual(find(index, '14'), ['2'])
+})
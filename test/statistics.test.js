@@ -0,0 +1,74 @@
+'use strict'
+
+//================================================================================
+// Tests of the statistics "lib/statistics.js".
+//--------------------------------------------------------------------------------
+process.env.TZ = 'UTC' // all timestamps are compared in UTC
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const statistics = require('../lib/statistics')
+
+
+//--------------------------------------------------------------------------------
+const conversations = [
+	{ name: 'Bert', messages: [
+		{ timestamp: new Date('2021-01-31T23:30:00Z'), outgoing: true, sender: 'me' }
+	] },
+	{ name: 'Familie, Verwandte', messages: [
+		{ timestamp: new Date('2021-03-14T09:00:00Z'), outgoing: false, sender: 'Anna' },
+		{ timestamp: new Date('2021-03-14T09:05:00Z'), outgoing: false, sender: 'Anna' },
+		{ timestamp: new Date('2021-03-14T10:00:00Z'), outgoing: true, sender: 'me' }
+	] },
+	{ name: 'Leer', messages: [] }
+]
+const media = [
+	{ conversation: 'Familie, Verwandte', type: 'jpg', kind: 'image', size: 2048 },
+	{ conversation: 'Familie, Verwandte', type: 'jpg', kind: 'image', size: 1024 },
+	{ conversation: 'Bert', type: 'mp4', kind: 'video', size: 5 * 1024 * 1024 }
+]
+
+
+//--------------------------------------------------------------------------------
+test('messages, senders, media files and the largest conversations', () => {
+	let result = statistics.computeStatistics(conversations, media)
+	assert.deepEqual(result.overall, {
+		name: null,
+		messages: 4,
+		sent: 2,
+		received: 2,
+		first: new Date('2021-01-31T23:30:00Z'),
+		last: new Date('2021-03-14T10:00:00Z'),
+		media: 3,
+		bytes: 5 * 1024 * 1024 + 3072,
+		senders: [{ name: 'Anna', messages: 2 }, { name: 'me', messages: 2 }]
+	})
+	assert.deepEqual(result.conversations.map(o => [o.name, o.messages, o.media, o.bytes]), [['Familie, Verwandte', 3, 2, 3072], ['Bert', 1, 1, 5242880], ['Leer', 0, 0, 0]])
+	assert.deepEqual(result.largest.map(o => o.name), ['Familie, Verwandte', 'Bert']) // no empty conversations
+	assert.deepEqual(result.mediaTypes, [{ type: 'mp4', kind: 'video', count: 1, bytes: 5242880 }, { type: 'jpg', kind: 'image', count: 2, bytes: 3072 }])
+})
+
+//--------------------------------------------------------------------------------
+test('months and hours are those of the time zone; months without messages are included', () => {
+	let result = statistics.computeStatistics(conversations, media)
+	assert.deepEqual(result.months, [{ month: '2021-01', messages: 1 }, { month: '2021-02', messages: 0 }, { month: '2021-03', messages: 3 }])
+	assert.deepEqual([result.hours[9], result.hours[10], result.hours[23]], [2, 1, 1])
+	result = statistics.computeStatistics(conversations, media, { timeZone: 'Europe/Zurich' })
+	assert.deepEqual(result.months, [{ month: '2021-02', messages: 1 }, { month: '2021-03', messages: 3 }])
+	assert.deepEqual([result.hours[0], result.hours[10], result.hours[11]], [1, 2, 1])
+})
+
+//--------------------------------------------------------------------------------
+test('statistics as CSV and as HTML', () => {
+	let result = statistics.computeStatistics(conversations, media)
+	let rows = statistics.formatStatisticsAsCsv(result).split('\r\n')
+	assert.deepEqual(rows.slice(0, 3), ['statistic,conversation,key,value', 'messages,,,4', 'sent,,,2'])
+	assert.ok(rows.includes('sender,"Familie, Verwandte",Anna,2'))
+	assert.ok(rows.includes('typeBytes,,mp4,5242880'))
+	let html = statistics.formatStatisticsAsHtml(result, { title: 'Threema <2021>', language: 'de', formatTime: (timestamp) => timestamp.toISOString().slice(0, 10) })
+	assert.match(html, /^<!DOCTYPE html>\n<html lang="de">/)
+	assert.match(html, /<title>Threema &lt;2021&gt;<\/title>/)
+	assert.match(html, /<td>Familie, Verwandte<\/td><td class="number">3<\/td><td class="number">1<\/td><td class="number">2<\/td><td class="number">33%<\/td><td>2021-03-14<\/td>/)
+	assert.equal(statistics.formatBytes(512), '512 B')
+	assert.equal(statistics.formatBytes(5 * 1024 * 1024 + 3072), '5.0 MB')
+})
@@ -0,0 +1,143 @@
+'use strict'
+
+//================================================================================
+// Tests of the generic helpers in "lib/utils.js".
+//--------------------------------------------------------------------------------
+process.env.TZ = 'UTC' // all timestamps are compared in UTC
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const traceBack = require('../lib/traceBack')
+const locales = require('../lib/locales')
+const { plural, singularPlural, strftime, normalizePath, ensureNoTrailingSlash, ensureTrailingSlash, cleanText, validPlatformName, epochToLocal, isValidTimeZone, normalizeObj, arrayToObject, arrayContainsArray, dynamicSort } = require('../lib/utils')
+
+
+//--------------------------------------------------------------------------------
+test('plural and singularPlural', () => {
+	assert.equal(plural('file'), 'files')
+	assert.equal(plural('class'), 'classes')
+	assert.equal(plural('entry'), 'entries')
+	assert.equal(plural('CSV'), 'CSVS')
+	assert.equal(plural(''), null)
+	assert.equal(singularPlural(1, 'file'), '1 file')
+	assert.equal(singularPlural(0, 'file'), '0 files')
+	assert.equal(singularPlural(3, 'entry', false), 'entries')
+})
+
+//--------------------------------------------------------------------------------
+test('strftime with the names of a locale', () => {
+	let names = locales.strftimeNames(locales.resolveLocale('de'), traceBack.defaultConfiguration())
+	let date = new Date(Date.UTC(2021, 2, 14, 9, 6, 3)) // a Sunday
+	assert.equal(strftime(date, '%Y-%m-%d %H:%M:%S', names), '2021-03-14 09:06:03')
+	assert.equal(strftime(date, '%A, %e. %B %Y', names), 'Sonntag, 14. März 2021')
+	assert.equal(strftime(date, '%a %à %b %y', names), 'So So Mär 21')
+	assert.equal(strftime(date, '%I:%M %p', names), '09:06 AM')
+	assert.equal(strftime(date, '%x %X', names), '14.03.2021 09:06:03')
+	assert.equal(strftime(date, '%c', names), 'So 14 Mär 2021 09:06:03 +0000')
+	assert.equal(strftime(date, '%Y 100%% %%Y', names), '2021 100% %Y')
+	assert.equal(strftime(date, '%j %u %V', names), '073 7 10')
+	assert.equal(strftime(date, '%F %s', names), '2021-03-14 ' + (date.getTime() / 1000))
+	assert.equal(strftime(date, '100%q', names), '100%q') // unknown sequences are kept
+	let english = { days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'], months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'] }
+	assert.equal(strftime(new Date(Date.UTC(2020, 1, 29, 23, 0, 0)), '%A %B %j %l%P', english), 'Saturday February 060 11pm')
+	names = locales.strftimeNames(locales.resolveLocale('en'), traceBack.defaultConfiguration())
+	assert.equal(strftime(date, '%a %à %b, %x %X', names), 'Sun Su Mar, 03/14/2021 9:06:03 AM')
+	assert.equal(strftime(date, '%c', Object.assign({}, names, { timeZone: 'Europe/Zurich' })), 'Sun 14 Mar 2021 10:06:03 AM +0100') // the wall clock time of the time zone
+	// without "dateFormat" and "hourCycle" the formats of the locale tag:
+	assert.equal(strftime(date, '%x %X', Object.assign({}, names, { locale: 'de-CH', dateFormat: null, hourCycle: null })), '14.3.2021 09:06:03')
+	names = locales.strftimeNames(locales.resolveLocale('de'), Object.assign(traceBack.defaultConfiguration(), { days: ['Sunntig', 'Mäntig', 'Ziischtig', 'Mittwuch', 'Dunschtig', 'Friitig', 'Samschtig'] }))
+	assert.equal(strftime(date, '%A %a %à %B', names), 'Sunntig Sun Su März') // the days of the configuration replace those of the locale
+})
+
+//--------------------------------------------------------------------------------
+test('locale packs and their fallback chain', () => {
+	assert.deepEqual(locales.localeChain('de-AT'), ['de-AT', 'de', 'en'])
+	assert.deepEqual(locales.localeChain('de_CH.UTF-8'), ['de', 'en'])
+	assert.deepEqual(locales.localeChain('no'), ['no', 'nb', 'en'])
+	let austrian = locales.resolveLocale('de-AT')
+	assert.equal(austrian.months[0], 'Jänner') // of "de-AT"
+	assert.equal(austrian.days[0], 'Sonntag') // of "de"
+	assert.equal(austrian.am, 'AM') // of "en"
+	assert.deepEqual(austrian.labels, { me: 'ich', thumbnail: 'Vorschau', poll: 'Umfrage', closed: 'geschlossen', participants: 'Teilnehmer', location: 'Standort' })
+	assert.equal(locales.resolveLocale('fr-CA').dateFormat, '%Y-%m-%d')
+	assert.equal(locales.resolveLocale('fr-CA').monthsShort[1], 'févr')
+	assert.equal(locales.resolveLocale('sv').daysMin[6], 'lö')
+	assert.equal(locales.isKnownLocale('de-CH'), true)
+	assert.equal(locales.isKnownLocale('en-US'), true)
+	assert.equal(locales.isKnownLocale('xx'), false)
+	assert.equal(locales.isKnownLocale('Deutsch'), false)
+	let lang = process.env.LANG
+	let lcAll = process.env.LC_ALL
+	let lcTime = process.env.LC_TIME
+	try {
+		delete process.env.LC_ALL
+		process.env.LC_TIME = 'C'
+		process.env.LANG = 'it_CH.UTF-8'
+		assert.equal(locales.deviceLocale(), 'it-CH')
+		assert.equal(locales.resolveLocale('device').labels.me, 'io')
+
+	} finally {
+		for (let [key, value] of [['LANG', lang], ['LC_ALL', lcAll], ['LC_TIME', lcTime]]) {
+			if (value === undefined) {
+				delete process.env[key]
+			} else {
+				process.env[key] = value
+			}
+		}
+	}
+})
+
+//--------------------------------------------------------------------------------
+test('paths', () => {
+	assert.equal(normalizePath('C:\\Users\\anna\\backup'), 'C:/Users/anna/backup')
+	assert.equal(ensureTrailingSlash('a\\b'), 'a/b/')
+	assert.equal(ensureTrailingSlash('a/b/'), 'a/b/')
+	assert.equal(ensureNoTrailingSlash('a/b//'), 'a/b')
+})
+
+//--------------------------------------------------------------------------------
+test('cleanText and validPlatformName', () => {
+	assert.equal(cleanText('  Hallo\r\nWelt\t\tzwei  '), 'Hallo ↲ Welt ↲ zwei')
+	assert.equal(cleanText('a\nb', ' / '), 'a / b')
+	assert.equal(cleanText(42), '42')
+	assert.equal(validPlatformName('a\u0000b\u200Bc..d'), 'a.b.c.d')
+	if (/^linux/i.test(process.platform)) {
+		assert.equal(validPlatformName('Anna/Bert'), 'Anna.Bert')
+	}
+})
+
+//--------------------------------------------------------------------------------
+test('epochToLocal keeps the local wall clock time as UTC', () => {
+	let epoch = Date.UTC(2021, 2, 14, 9, 26, 53)
+	assert.equal(epochToLocal(epoch).toISOString(), '2021-03-14T09:26:53.000Z')
+	assert.equal(epochToLocal(String(epoch)).getTime(), epoch)
+	assert.equal(epochToLocal(epoch, 'Asia/Tokyo').toISOString(), '2021-03-14T18:26:53.000Z')
+})
+
+//--------------------------------------------------------------------------------
+test('strftime in a time zone with daylight saving time', () => {
+	let names = locales.strftimeNames(locales.resolveLocale('de'), Object.assign(traceBack.defaultConfiguration(), { timeZone: 'Europe/Zurich' }))
+	const format = (iso) => strftime(new Date(iso), '%Y-%m-%d %H:%M:%S %z', names)
+	assert.equal(format('2021-03-28T00:30:00Z'), '2021-03-28 01:30:00 +0100') // last hour of winter time
+	assert.equal(format('2021-03-28T01:30:00Z'), '2021-03-28 03:30:00 +0200') // 02:xx does not exist
+	assert.equal(format('2021-10-31T00:30:00Z'), '2021-10-31 02:30:00 +0200') // 02:xx twice: first in summer time,
+	assert.equal(format('2021-10-31T01:30:00Z'), '2021-10-31 02:30:00 +0100') // then in winter time
+	assert.equal(strftime(new Date('2021-03-28T01:30:00Z'), '%Z', names), 'Central European Summer Time')
+	names.timeZone = 'America/New_York' // the date and the week change, too:
+	assert.equal(strftime(new Date('2021-01-01T03:00:00Z'), '%F %H:%M %z %A %j %G-%V', names), '2020-12-31 22:00 -0500 Donnerstag 366 2020-53')
+	names.timeZone = 'device'
+	assert.equal(strftime(new Date('2021-01-01T03:00:00Z'), '%F %H:%M %z', names), '2021-01-01 03:00 +0000')
+	assert.equal(isValidTimeZone('Asia/Kolkata'), true)
+	assert.equal(isValidTimeZone('Mars/Olympus'), false)
+})
+
+//--------------------------------------------------------------------------------
+test('objects and arrays', () => {
+	assert.deepEqual(normalizeObj({ a: 1, b: 2 }, ['a', 'c']), { a: 1, c: null })
+	assert.deepEqual(arrayToObject([{ id: 'x', n: 1 }, { id: 'y', n: 2 }], 'id'), { x: { id: 'x', n: 1 }, y: { id: 'y', n: 2 } })
+	assert.deepEqual(arrayToObject(null, 'id'), {})
+	assert.equal(arrayContainsArray(['uid', 'type', 'created_at', 'body'], ['uid', 'type']), true)
+	assert.equal(arrayContainsArray(['uid'], ['uid', 'type']), false)
+	assert.deepEqual([{ k: 'b' }, { k: 'c' }, { k: 'a' }].sort(dynamicSort('k')).map(o => o.k), ['a', 'b', 'c'])
+	assert.deepEqual([{ k: 'b' }, { k: 'c' }, { k: 'a' }].sort(dynamicSort('-k')).map(o => o.k), ['c', 'b', 'a'])
+})
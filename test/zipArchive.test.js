@@ -0,0 +1,134 @@
+'use strict'
+
+//================================================================================
+// Tests of the zip reader "lib/zipArchive.js" with zip files of the generator.
+//--------------------------------------------------------------------------------
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zipArchive = require('../lib/zipArchive')
+const traceBack = require('../lib/traceBack')
+const probe = require('node-ffprobe')
+const { generateArchive, writeZipSync } = require('../tools/generateTestArchive')
+
+
+//--------------------------------------------------------------------------------
+// New folder with a synthetic backup; removed after the test:
+function backupDir(t) {
+	let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'threemaTraceBack-'))
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+	generateArchive(path.join(dir, 'backup'))
+	return dir
+}
+
+//--------------------------------------------------------------------------------
+// Assert that all entries of the zip have the content of the files in "dir":
+async function assertEntries(zip, dir) {
+	assert.deepEqual(zip.entries.map(entry => entry.name).sort(), fs.readdirSync(dir).sort())
+	for (let entry of zip.entries) {
+		assert.ok((await zipArchive.readEntry(zip, entry)).equals(fs.readFileSync(path.join(dir, entry.name))), `content of '` + entry.name + `'`)
+	}
+}
+
+
+//--------------------------------------------------------------------------------
+test('crc32', () => {
+	assert.equal(zipArchive.crc32(Buffer.from('123456789')) >>> 0, 0xcbf43926)
+	assert.equal(zipArchive.crc32(Buffer.from('6789'), zipArchive.crc32(Buffer.from('12345'))) >>> 0, 0xcbf43926) // continued
+})
+
+//--------------------------------------------------------------------------------
+test('read an unencrypted zip file', async (t) => {
+	let dir = backupDir(t)
+	writeZipSync(path.join(dir, 'backup.zip'), path.join(dir, 'backup'))
+	let zip = zipArchive.openZipSync(path.join(dir, 'backup.zip'))
+	try {
+		assert.equal(zipArchive.isEncrypted(zip), false)
+		assert.equal(zipArchive.checkPassword(zip), true)
+		await assertEntries(zip, path.join(dir, 'backup'))
+
+	} finally {
+		zipArchive.closeZipSync(zip)
+	}
+})
+
+//--------------------------------------------------------------------------------
+test('read an AES encrypted zip file', async (t) => {
+	let dir = backupDir(t)
+	writeZipSync(path.join(dir, 'backup.zip'), path.join(dir, 'backup'), 'geheim')
+	let zip = zipArchive.openZipSync(path.join(dir, 'backup.zip'), 'falsch')
+	try {
+		assert.equal(zipArchive.isEncrypted(zip), true)
+		assert.equal(zipArchive.checkPassword(zip), false)
+		assert.throws(() => zipArchive.createEntryStream(zip, zip.entries[0]), /wrong password/)
+
+	} finally {
+		zipArchive.closeZipSync(zip)
+	}
+	zip = zipArchive.openZipSync(path.join(dir, 'backup.zip'), 'geheim')
+	try {
+		assert.equal(zipArchive.checkPassword(zip), true)
+		await assertEntries(zip, path.join(dir, 'backup'))
+		let entry = zip.entries.find(o => o.name === 'contacts.csv')
+		let fullname = path.join(dir, 'contacts.csv')
+		await zipArchive.extractEntry(zip, entry, fullname)
+		assert.ok(fs.readFileSync(fullname).equals(fs.readFileSync(path.join(dir, 'backup', 'contacts.csv'))))
+		assert.equal((await zipArchive.readEntry(zip, entry, 10)).length, 10)
+		await assertEntries(zip, path.join(dir, 'backup')) // reading stopped early keeps the zip file open
+		// an existing file is neither overwritten nor removed:
+		fs.writeFileSync(fullname, 'mine')
+		await assert.rejects(zipArchive.extractEntry(zip, entry, fullname), { code: 'EEXIST' })
+		assert.equal(fs.readFileSync(fullname, 'utf8'), 'mine')
+
+	} finally {
+		zipArchive.closeZipSync(zip)
+	}
+})
+
+//--------------------------------------------------------------------------------
+test('read a zip file with ZipCrypto encryption', async (t) => {
+	let dir = backupDir(t)
+	writeZipSync(path.join(dir, 'backup.zip'), path.join(dir, 'backup'), 'geheim', 'zipcrypto')
+	let zip = zipArchive.openZipSync(path.join(dir, 'backup.zip'), 'falsch')
+	try {
+		assert.equal(zipArchive.isEncrypted(zip), true)
+		assert.ok(zip.entries.every(entry => !entry.aes))
+		assert.equal(zipArchive.checkPassword(zip), false)
+		assert.throws(() => zipArchive.createEntryStream(zip, zip.entries[0]), /wrong password/)
+
+	} finally {
+		zipArchive.closeZipSync(zip)
+	}
+	zip = zipArchive.openZipSync(path.join(dir, 'backup.zip'), 'geheim')
+	try {
+		assert.equal(zipArchive.checkPassword(zip), true)
+		await assertEntries(zip, path.join(dir, 'backup'))
+
+	} finally {
+		zipArchive.closeZipSync(zip)
+	}
+})
+
+//--------------------------------------------------------------------------------
+test('an encrypted entry is piped into "ffprobe", not extracted', { skip: process.platform === 'win32' }, async (t) => {
+	let dir = backupDir(t)
+	writeZipSync(path.join(dir, 'backup.zip'), path.join(dir, 'backup'), 'geheim')
+	// stands in for "ffprobe": reports its arguments and the number of bytes it got:
+	let ffprobe = path.join(dir, 'ffprobe')
+	fs.writeFileSync(ffprobe, '#!/bin/sh\nsize=$(wc -c)\necho "{ \\"format\\": { \\"filename\\": \\"$*\\", \\"size\\": $size } }"\n', { mode: 0o755 })
+	probe.FFPROBE_PATH = ffprobe
+	t.after(() => delete probe.FFPROBE_PATH)
+	let zip = zipArchive.openZipSync(path.join(dir, 'backup.zip'), 'geheim')
+	try {
+		let entry = zip.entries.find(o => o.name === 'contacts.csv')
+		let result = await traceBack.probeFile({ fullname: path.join(dir, 'backup.zip', entry.name), zip: zip, zipEntry: entry })
+		assert.match(result.format.filename, / -i pipe:0$/)
+		assert.equal(result.format.size, entry.size)
+
+	} finally {
+		zipArchive.closeZipSync(zip)
+	}
+})
@@ -1,12 +1,5 @@
 #!/usr/bin/node
 'use strict'
-
-//================================================================================
-const author = 'Alois Ignaz Krähenmann, a.i@kraehenmann.org'
-//--------------------------------------------------------------------------------
-const sourceDate = '2022-05-26T09:34:40.501Z'
-const sourceVersion = 'v0.9.0'
-
 //================================================================================
 // Compile with "pkg". Don't use "nexe", the generated code is not stable!!!
 // pkg threemaFilesTraceBack.js --targets latest-win-x64 --options max_old_space_size=8192
@@ -33,16 +26,39 @@ const sourceVersion = 'v0.9.0'
 // relevant files. Some of the action can be configured with corresponding
 // configuration parameters (marked with * below):
 // - rename file with contact or group name
-// - rename file with message timestamp *
+// - rename file with message timestamp, in the configured time zone (IANA name
+//   or that of the computer; daylight saving time included) *
 // - rename file with file type
 // - set operating system file timestamps ("last modified", "last access")
-// - create folders for all contacts and all groups
+// - write the timestamp (and caption and sender) into EXIF data of JPEG files
+//   and into MP4/MOV files *
+// - create folders for all contacts, all groups and all distribution lists
 // - move all files for a contact or a group into its folder
+// - or: build folders and filenames from templates, e.g. "Photos/{year}/{month}" *
 // - extract all texts from all conversations
 // - store all texts in the file "_texts.txt" in the contact or group folder *
+// - join polls with their choices and votes; add them to their conversation and
+//   store them in the file "_polls.txt" in the contact or group folder *
+// - store the recipients of a distribution list in the file "_recipients.txt" *
+// - store all shared locations as GPX and GeoJSON files in the contact or group
+//   folder, and those of all conversations in the main folder *
+// - store a chat view of all messages in the file "index.html" in the contact or
+//   group folder *
+// - export all messages with full metadata as JSON or JSONL file in the contact
+//   or group folder *
+// - export all messages as e-mails with their files as attachments: an mbox file
+//   or a maildir in the contact or group folder *
+// - store statistics (messages per conversation and sender, activity by month and
+//   hour, media files by type) as HTML and CSV file in the main folder *
+// - report files without message, file messages without media file, thumbnails
+//   without original and uid collisions in the file "_integrity.txt" *
+// - or: replace names and identities by pseudonyms, mask personal data in texts,
+//   strip the metadata of media files or leave them out *
 // - delete empty folders for contacts or groups without any actions *
 // - find + remove duplicate files in each folder *
 // - in the whole archive find duplicate files; save list to file *
+// - in the whole archive keep only one of the duplicate files; delete the others
+//   or replace them by hard links or symbolic links to it *
 //--------------------------------------------------------------------------------
 // NOTE: File timestamps are derived from the timestamp a file was posted.
 //       The original file "birth" timestamp cannot be determined!
@@ -60,56 +76,81 @@ const sourceVersion = 'v0.9.0'
 // A second parameter "/r" or "-r" or "--recursive" advises the program to look
 // for files also in sub-folders. Is not needed for a flat unpacked archive.
 //--------------------------------------------------------------------------------
-// The length of the "main" code is said to indicate bad code. The author knows
-// and might change it with a future refactoring; just not now ...
+// Instead of a folder, the (password protected) Threema backup zip file can be
+// provided. Its entries are then read directly: CSV files are parsed in memory,
+// media files are decrypted and written straight to their final destination.
+// The destination folder is either the given folder or a new folder named after
+// the zip file; it must be empty. The password is read from the file given with
+// "-p" or "--password-file", from the environment variable
+// "THREEMA_BACKUP_PASSWORD", or it is prompted for.
+//--------------------------------------------------------------------------------
+// All changes on disk are collected as a plan of actions first (delete, create
+// folder, write, rename/move, extract, write metadata, set timestamp, delete
+// folder) and are performed afterwards. With "-d" or "--dry-run" the plan is
+// only saved as JSON and as text file; nothing else is changed.
+// Every change that is performed is recorded in a journal file in the folder.
+// "-u" or "--undo" followed by the journal file reverts all recorded changes:
+// files get back their original names and timestamps; deleted files are listed.
+//--------------------------------------------------------------------------------
+// With "-o" or "--out" followed by a folder, the source folder is not changed at
+// all: the sub-folders, the renamed files, the texts and the list of duplicates
+// are created in the output folder. Files are copied, hard-linked or reflinked,
+// depending on the configuration parameter "outputMethod".
+// With "-i" or "--incremental" followed by a folder organized before, only new
+// messages and files are added to it: known files are recognized by message ID
+// (from the index file) or content hash, new texts are appended.
+//--------------------------------------------------------------------------------
+// Files are analyzed (type, hash) before they are renamed: several of them at
+// the same time, each one streamed; so are the CSV files. The memory use stays
+// flat, even for backups with thousands of videos.
+//--------------------------------------------------------------------------------
+// The configuration file is read from the current folder; "-c" or "--config"
+// followed by a file uses another one. "-s" or "--set" followed by "key=value"
+// overwrites single keys (repeatable). The whole configuration is checked
+// against a schema (types, allowed values, strftime formats, templates); an
+// invalid configuration is refused with all errors, nothing is done.
+// "-l" or "--locale" followed by a language tag (e.g. "fr-CA") is the same as
+// "--set locale=...": names of days and months and date and time formats are
+// taken from the locale packs of "lib/locales.js"; default: the language of
+// this computer. The labels in transcripts ("me") and filenames ("tn") stay
+// English unless "localeLabels" is set.
+// "--only" and "-e" or "--exclude", each followed by a contact, group or
+// distribution list (name or identity; a part is enough; repeatable), select
+// the conversations to process; "--since" and "--until" followed by a date
+// ("2021", "2021-03" or "2021-03-14"; inclusive) select the messages. Files of
+// other conversations and messages are left alone.
+// "--redact" (needs "-o" or a zip file) replaces the names and identities of
+// contacts, groups and distribution lists by pseudonyms ("Contact 1", "Group 1")
+// in folders, filenames and transcripts, masks phone numbers, e-mail addresses
+// and IBANs in texts (configuration parameter "redactPatterns") and strips the
+// metadata of media files or leaves them out ("redactMedia"). The mapping of
+// the pseudonyms is saved next to the redacted folder, never in it; later
+// redactions reuse it.
+//--------------------------------------------------------------------------------
+// "search" as first parameter, followed by the organized folder and a query,
+// finds messages in the search index written with the organized files: words,
+// "phrases" and the filters "from:", "in:", "since:" and "until:"; umlauts and
+// other diacritics need not be typed. Each hit is shown with the messages before
+// and after it (configuration parameter "searchContext").
+//--------------------------------------------------------------------------------
+// The pipeline itself (read the backup, build the plan, apply it, undo it) is
+// the library "lib/traceBack.js"; this program only reads the command line and
+// the configuration file, asks for the password and writes the log file.
 //--------------------------------------------------------------------------------
 
 
-//================================================================================
-const strftimeLanguage = 'DE' // choose from 'DE', 'EN', 'FR', 'IT'; 'EN' = default
-
 //================================================================================
 const fs = require('fs')
 const path = require('path')
-const crypto = require('crypto')
-const csvtojson = require('csvtojson') // https://github.com/Keyang/node-csvtojson#api
-const fileType = require('file-type')
-const probe = require('node-ffprobe')
+const readline = require('readline')
+const { Writable } = require('stream')
+const traceBack = require('./lib/traceBack')
+const schema = require('./lib/schema')
+const { singularPlural, pathExistsSync, ensureTrailingSlash, epochToLocal } = require('./lib/utils')
 
 
 //--------------------------------------------------------------------------------
-// list of CSV columns that contain interesting text:
-const textCsvHeaders = ['body', 'caption'] // in fact, they are all mandatory
-// full list of CSV columns that are used for processing:
-const relevantHeaders = textCsvHeaders.concat(['uid', 'identity', 'isoutbox', 'type', 'fileTimestamp', 'fileTimestampISO']) // in fact, they are all mandatory
-// list of CSV columns that must be present to recognize a file of messages:
-const messagesFileHeaders = ['uid', 'type', 'created_at'] // if these headers are present in a CSV file then it contains a list of messages
-//--------------------------------------------------------------------------------
-// list of CSV columns that contain interesting information in a group file:
-const groupCsvHeaders = ['identity', 'fullname', 'id'] // "identity" and "fullname" are a must have; used to filter!
-// list of CSV columns that contain interesting information in a contact file:
-const contactCsvHeaders = groupCsvHeaders
-
-//--------------------------------------------------------------------------------
-const findOriginal = { // if a filename contains "find", and another one contains "original", and the filenames are otherwise equal then the former is marked with "found"; or deleted completely if "deleteThumbnailIfOriginalExists = true":
-	find: 'thumbnail',
-	original: 'media',
-	found: '~_'
-}
-const skipFiles = ['identity', 'settings'] // files ("base") that should not be processed at all
-const specialCsvFiles = { // files with these names must be handled especially:
-	contacts: 'contacts',
-	groups: 'groups'
-}
-const skipCsvFiles = ['ballot', 'ballot_choice', 'ballot_vote', 'distribution_list'].concat(Object.values(specialCsvFiles)) // CSV files to skip
-// parameters for the CSV to JSON conversion; derived from the file format Threema is using:
-const csvToJson = { 
-	noheader: false,
-	delimiter: ',',
-	quote: '"'
-}
-//--------------------------------------------------------------------------------
-const logLevels = ['trace', 'debug', 'info', 'warn', 'error', 'fatal']
+const logLevels = traceBack.logLevels
 const logLevelStrings = ['[TRACE]', '[DEBUG]', '[INFORMATION]', '[WARNING]', '[ERROR]', '[FATAL ERROR]']
 const logLevelUnknown = `[???]` // for invalid log level values
 // declare array indexes as constants (for convenience and code stability):
@@ -124,6 +165,21 @@ const logLevelFatal = 5
 const cmdParam1 = 'recursive'
 const cmdParam2 = 'help'
 const cmdParam3 = '?'
+const cmdParam4 = 'password-file'
+const cmdParam5 = 'dry-run'
+const cmdParam6 = 'undo'
+const cmdParam7 = 'out'
+const cmdParam8 = 'incremental'
+const cmdParam9 = 'config'
+const cmdParam10 = 'set'
+const cmdParam11 = 'locale'
+const cmdParam12 = 'only'
+const cmdParam13 = 'exclude'
+const cmdParam14 = 'since'
+const cmdParam15 = 'until'
+const cmdParam16 = 'redact'
+const longOnlyParams = [cmdParam12, cmdParam14, cmdParam15, cmdParam16] // their first letters belong to other parameters; no short form
+const cmdSearch = 'search' // sub-command; must be the first parameter
 // type declarations for command line argument checks:
 const invalidParamTypePath = 1
 const invalidParamTypeSwitch = 2
@@ -131,8 +187,11 @@ const invalidParamTypeSwitch = 2
 //--------------------------------------------------------------------------------
 const cfgFileExtension = '.config'
 const logFileExtension = '.log'
+const zipFileExtension = '.zip'
+const planJsonExtension = '.json'
+const planTextExtension = '.txt'
 //--------------------------------------------------------------------------------
-const knownFileTypes = ['csv', 'txt', logFileExtension.replace(/^\.+/, '')] // no type recognition needed for files with these extensions
+const passwordEnvVar = 'THREEMA_BACKUP_PASSWORD' // environment variable with the password of a Threema backup zip file
 
 
 //--------------------------------------------------------------------------------
@@ -150,30 +209,18 @@ globals.cfgFile = ensureTrailingSlash(null) + globals.prgName + cfgFileExtension
 
 
 //--------------------------------------------------------------------------------
-// Default values and prototype; may be overwritten by ".config" JSON file:
-let configuration = {
+// Default values and prototype; may be overwritten by ".config" JSON file; logging and dry run here, all others are the configuration of the library:
+let configuration = Object.assign({
 	minimumLevelForLogging: logLevels[logLevelInfo],
 	logTo: globals.prgName + '_' + epochToLocal((new Date()).getTime()).toISOString().replace(/\.\d+/, '').replace(/[^\d]/g, '') + logFileExtension,
-	deleteThumbnailIfOriginalExists: true,
-	removeDuplicatesWithinFolder: true,
-	removeEmptyFolders: true,
-	saveDuplicateFileNamesTo: '_duplicates.txt',
-	saveMessagesTextsTo: '_texts.txt',
-	fileTimestampFormat: '%Y-%m-%d %H:%M:%S', // https://github.com/thdoan/strftime/blob/master/strftime.js
-	textTimestampFormat: '%Y-%m-%d %H:%M:%S', // https://github.com/thdoan/strftime/blob/master/strftime.js
-	days: ((strftimeLanguage === 'DE') ? ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'] : ((strftimeLanguage === 'FR') ? ['Dimanche', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'] : ((strftimeLanguage === 'IT') ? ['Domenica', 'Lunedì', 'Martedì', 'Mercoledì', 'Giovedì', 'Venerdì', 'Sabato'] : ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']))),
-	months: ((strftimeLanguage === 'DE') ? ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'] : ((strftimeLanguage === 'FR') ? ['Janvier', 'Février', 'Mars', 'Avril', 'Mai', 'Juin', 'Juillet', 'Août', 'Septembre', 'Octobre', 'Novembre', 'Décembre'] : ((strftimeLanguage === 'IT') ? ['Gennaio', 'Febbraio', 'Marzo', 'Aprile', 'Maggio', 'Giugno', 'Luglio', 'Agosto', 'Settembre', 'Ottobre', 'Novembre', 'Dicembre'] : ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']))),
-	replaceFileNamePart: {
-		'group': '', // in filenames replace "group" by ""
-		'media': '', // in filenames replace "media" by ""
-		'message': '', // in filenames replace "message" by ""
-		'thumbnail': 'tn' // in filenames replace "thumbnail" by "tn"
-	},
-	replaceStringPart: { // define more filename parts and their replacement:
-		//'_': '+',
-		//'~': '!!!!!!'
-	}
-}
+	savePlanTo: globals.prgName + '_' + epochToLocal((new Date()).getTime()).toISOString().replace(/\.\d+/, '').replace(/[^\d]/g, '') + '_plan' // dry run only; extensions ".json" and ".txt" are added
+}, traceBack.defaultConfiguration())
+// types and allowed values of all keys; those of the library plus logging and dry run:
+const configurationSchema = Object.assign({
+	minimumLevelForLogging: { type: 'enum', values: logLevels },
+	logTo: { type: 'filename', nullable: true },
+	savePlanTo: { type: 'string' }
+}, traceBack.configurationSchema())
 adjustLogParameters(ensureTrailingSlash(null), configuration) // re-define log parameters with current path and current configuration
 
 
@@ -187,58 +234,76 @@ function adjustLogParameters(sourceDir, configuration) {
 }
 
 //--------------------------------------------------------------------------------
-// If a configuration file exists: overwrite default configuration:
-function readConfiguration(sourceDir) {
-	let sPre = `configuration file '` + globals.cfgFile + `' `
-	let sPost = `; will use default configuration values:\n` + formatConfiguration(configuration)
-	if (pathExistsSync(globals.cfgFile)) {
+// Overwrite the default configuration with the configuration file "cfgFile" (if it exists; it must if "required") and then with the values of "--set" ("settings": strings "key=value" or "key.subKey=value").
+// Everything is checked against "configurationSchema"; returns "false" (and logs all errors) if the configuration is invalid:
+function readConfiguration(sourceDir, cfgFile, required, settings) {
+	let sPre = `configuration file '` + cfgFile + `': `
+	let errors = []
+	if (pathExistsSync(cfgFile)) {
 		try {
-			let data = fs.readFileSync(globals.cfgFile, 'utf8') // may throw
-			try {
-				data = JSON.parse(data) // may throw
-				// check data:
-				if (Array.isArray(data) || (typeof data !== 'object')) {
-					throw new Error('no object')
-				}
-				for (let key in data) {
-					if (data[key] === undefined) {
-						delete data[key]
-
-					} else if (configuration[key] === undefined) {
-						throw new Error(`forbidden key '` + key + `'`)
-
-					} else if (Array.isArray(configuration[key])) {
-						if (!Array.isArray(data[key])) {
-							throw new Error(`key '` + key + `' must be an array`)
-						}
-
-					} else if (typeof data[key] === 'object') {
-						for (let subKey in data[key]) {
-							if (typeof data[key][subKey] !== 'string') {
-								throw new Error(`key '` + subKey + `' in key '` + key + `' must be a string`)
-							}
-						}
-					}
-				}
-				Object.assign(configuration, (data || {}))
-				adjustLogParameters(sourceDir, configuration)
-				if (globals.logLevel < 0) {
-					globals.logLevel = logLevels[logLevelInfo]
-					doLog(logLevelWarn, `invalid minimum logging level found; will use '` + globals.logLevel + `'`)
-				}
-				doLog(logLevelInfo, `will use data from configuration file '` + globals.cfgFile + `':\n` + formatConfiguration(configuration))
-
-			} catch(err) {
-				doLog(logLevelError, sPre + `does not contain a valid JSON object; ` + err + sPost)
+			let data = JSON.parse(fs.readFileSync(cfgFile, 'utf8')) // may throw
+			let fileErrors = schema.validate(data, configurationSchema)
+			if (fileErrors.length) {
+				errors = errors.concat(fileErrors.map(s => sPre + s))
+			} else {
+				Object.assign(configuration, data)
 			}
 
 		} catch(err) {
-			doLog(logLevelError, sPre + `not readable; ` + err + sPost)
+			errors.push(sPre + `not readable or not valid JSON; ` + err)
 		}
 
+	} else if (required) {
+		errors.push(sPre + `not found`)
+
 	} else {
-		doLog(logLevelInfo, sPre + `not found` + sPost)
+		doLog(logLevelInfo, sPre + `not found; will use default configuration values`)
 	}
+
+	// values from the command line:
+	for (let setting of settings) {
+		let match = /^([^=.]+)(?:\.([^=]+))?=(.*)$/s.exec(setting)
+		if (!match) {
+			errors.push(`'` + setting + `': use ` + argvUsage(cmdParam10, false) + ` key=value`)
+
+		} else if (configurationSchema[match[1]] === undefined) {
+			errors.push(`'` + setting + `': unknown key '` + match[1] + `'`)
+
+		} else if (match[2] !== undefined) { // one key of an object, e.g. "replaceFileNamePart.thumbnail=tn":
+			if ((configurationSchema[match[1]].type !== 'map') && (configurationSchema[match[1]].type !== 'patterns')) {
+				errors.push(`'` + setting + `': key '` + match[1] + `' has no sub-keys`)
+			} else {
+				let value = Object.assign({}, configuration[match[1]], { [match[2]]: match[3] })
+				let error = schema.checkValue(match[1], value, configurationSchema[match[1]])
+				if (error) {
+					errors.push(`'` + setting + `': ` + error)
+				} else {
+					configuration[match[1]] = value
+				}
+			}
+
+		} else {
+			try {
+				let value = schema.parseValue(match[1], match[3], configurationSchema[match[1]]) // may throw
+				let error = schema.checkValue(match[1], value, configurationSchema[match[1]])
+				if (error) {
+					errors.push(`'` + setting + `': ` + error)
+				} else {
+					configuration[match[1]] = value
+				}
+
+			} catch(err) {
+				errors.push(`'` + setting + `': ` + err.message)
+			}
+		}
+	}
+	if (errors.length) {
+		doLog(logLevelError, `invalid configuration; nothing done:\n` + errors.map(s => `  ` + s).join('\n'))
+		return false
+	}
+	adjustLogParameters(sourceDir, configuration)
+	doLog(logLevelInfo, `will use ` + ((pathExistsSync(cfgFile)) ? `data from configuration file '` + cfgFile + `'` : `default configuration`) + ((settings.length) ? ` with ` + settings.length + ` value` + ((settings.length > 1) ? `s` : ``) + ` from the command line` : ``) + `:\n` + formatConfiguration(configuration))
+	return true
 }
 
 //--------------------------------------------------------------------------------
@@ -256,8 +321,21 @@ function usage(exitCode = 0) {
 	doLog(``, `create folder structure from contacts and groups,`)
 	doLog(``, `rename files, set their timestamps, move them into their respective folders.`)
 	doLog(``, `-------------------------------------------------------------------------------`)
-	doLog(``, `Use configuration from file ' ` + globals.cfgFile + `';`)
+	doLog(``, `Use configuration from file '` + globals.cfgFile + `';`)
 	doLog(``, `use standard configuration if file does not exist.`)
+	doLog(``, `Use ` + argvUsage(cmdParam9, false) + ` [configuration-file] to use another file, and`)
+	doLog(``, argvUsage(cmdParam10, false) + ` key=value (repeatable) to overwrite single keys, e.g.`)
+	doLog(``, `  --` + cmdParam10 + ` duplicateStrategy=hardlink --` + cmdParam10 + ` replaceFileNamePart.thumbnail=tn`)
+	doLog(``, `Use ` + argvUsage(cmdParam11, false) + ` [language-tag] for names and labels in another language,`)
+	doLog(``, `e.g. --` + cmdParam11 + ` fr-CA; default: the language of this computer`)
+	doLog(``, `Use ` + argvUsage(cmdParam12, false) + ` [contact|group] (repeatable) to process only these conversations,`)
+	doLog(``, argvUsage(cmdParam13, false) + ` [contact|group] (repeatable) to leave these ones alone, and`)
+	doLog(``, argvUsage(cmdParam14, false) + ` YYYY[-MM[-DD]] and ` + argvUsage(cmdParam15, false) + ` YYYY[-MM[-DD]] for messages of this time only;`)
+	doLog(``, `a part of the name or the identity is enough; all other files are left alone`)
+	doLog(``, `Use ` + argvUsage(cmdParam16, false) + ` (with ` + argvUsage(cmdParam7, false) + ` or a zip file) for pseudonyms instead of names and`)
+	doLog(``, `identities, masked phone numbers, e-mail addresses and IBANs, stripped media;`)
+	doLog(``, `the mapping of the pseudonyms is saved next to the redacted folder`)
+	doLog(``, `An invalid configuration is refused; nothing is done.`)
 	doLog(``, `-------------------------------------------------------------------------------`)
 	doLog(``, `Follow these steps:`)
 	doLog(``, `- create empty folder somewhere`)
@@ -266,11 +344,31 @@ function usage(exitCode = 0) {
 	doLog(``, `- or call this program from command line; provide file folder path+name,`)
 	doLog(``, `  if different from folder where this program is stored`)
 	doLog(``, `-------------------------------------------------------------------------------`)
-	doLog(`Command line usage: `, ((/\.js/i.test(globals.prgExt)) ? `node ` : ``) + globals.prgBasename + ` [path-with-threema-files] ` + argvUsage(cmdParam1) + ` [` + argvUsage(cmdParam2, false) + `|` + argvUsage(cmdParam3, false) + `]`)
+	doLog(``, `Or read the Threema backup zip file directly, without unpacking it:`)
+	doLog(``, `- call this program from command line; provide the zip file path+name`)
+	doLog(``, `- the files are written into the given (empty) folder path+name,`)
+	doLog(``, `  or into a new folder with the name of the zip file`)
+	doLog(``, `- the password is read from the file given with ` + argvUsage(cmdParam4, false) + `,`)
+	doLog(``, `  from the environment variable ` + passwordEnvVar + `, or it is prompted for`)
+	doLog(``, `-------------------------------------------------------------------------------`)
+	doLog(``, `Use ` + argvUsage(cmdParam5, false) + ` to analyze everything but change nothing;`)
+	doLog(``, `all actions are saved as plan to '` + configuration.savePlanTo + planJsonExtension + `' and '` + planTextExtension + `'`)
+	doLog(``, `Use ` + argvUsage(cmdParam7, false) + ` [output-folder] to leave the folder untouched and to`)
+	doLog(``, configuration.outputMethod + ` the organized files into the output folder instead`)
+	doLog(``, `Use ` + argvUsage(cmdParam8, false) + ` [organized-folder] to add only the new messages and files`)
+	doLog(``, `of a later backup to a folder organized before`)
+	doLog(``, `All changes are recorded in a journal file in the folder; use`)
+	doLog(``, argvUsage(cmdParam6, false) + ` [journal-file] to undo them`)
+	doLog(``, `-------------------------------------------------------------------------------`)
+	doLog(``, `Search the messages of a folder organized before:`)
+	doLog(``, `  ` + cmdSearch + ` [organized-folder] [words] ["phrase"] [from:sender] [in:conversation]`)
+	doLog(``, `  [since:YYYY-MM-DD] [until:YYYY-MM-DD]`)
+	doLog(``, `-------------------------------------------------------------------------------`)
+	doLog(`Command line usage: `, ((/\.js/i.test(globals.prgExt)) ? `node ` : ``) + globals.prgBasename + ` [path-with-threema-files] [path-to-threema-backup.zip] ` + argvUsage(cmdParam1) + ` ` + argvUsage(cmdParam5) + ` [` + argvUsage(cmdParam7, false) + ` output-folder] [` + argvUsage(cmdParam8, false) + ` organized-folder] [` + argvUsage(cmdParam4, false) + ` password-file] [` + argvUsage(cmdParam6, false) + ` journal-file] [` + argvUsage(cmdParam9, false) + ` configuration-file] [` + argvUsage(cmdParam10, false) + ` key=value] [` + argvUsage(cmdParam11, false) + ` language-tag] [` + argvUsage(cmdParam12, false) + ` contact|group] [` + argvUsage(cmdParam13, false) + ` contact|group] [` + argvUsage(cmdParam14, false) + ` date] [` + argvUsage(cmdParam15, false) + ` date] ` + argvUsage(cmdParam16) + ` [` + argvUsage(cmdParam2, false) + `|` + argvUsage(cmdParam3, false) + `]`)
 	doLog(``, `-------------------------------------------------------------------------------`)
-	doLog(`Version: `, sourceVersion)
-	doLog(`Source:  `, sourceDate)
-	doLog(`Author:  `, author)
+	doLog(`Version: `, traceBack.sourceVersion)
+	doLog(`Source:  `, traceBack.sourceDate)
+	doLog(`Author:  `, traceBack.author)
 	doLog(``, `-------------------------------------------------------------------------------`)
 	doLog(``, `Program terminates...`)
 	doLog(``, ``)
@@ -298,451 +396,53 @@ function doLog(level, s) {
 	}
 }
 
-//--------------------------------------------------------------------------------
-// Returns the English plural for string "s":
-function plural(s) {
-	if ((typeof s === 'string') && s) {
-		const sLast = s.slice(-1)
-		if (sLast === 's') {
-			s += 'es'
-		} else if (sLast === 'S') {
-			s += 'ES'
-		} else if (sLast === 'y') {
-			s += 'ies'
-		} else if (sLast === 'Y') {
-			s += 'IES'
-		} else if (sLast === sLast.toUpperCase()) {
-			s += 'S'
-		} else {
-			s += 's'
-		}
-		return s.replace(/yies$/, 'ies').replace(/YIES$/, 'IES')
-
-	} else {
-		return null
-	}
-}
-
-//--------------------------------------------------------------------------------
-// Returns the number plus the English plural for string "s":
-function singularPlural(n, s, includeNr = true) {
-	if (typeof s === 'string') {
-		if (n != 1) {
-			s = plural(s)
-		}
-		if (includeNr) {
-			s = n + ' ' + s
-		}
-	}
-	return s
-}
-
-//--------------------------------------------------------------------------------
-// https://github.com/thdoan/strftime/blob/master/strftime.js
-/* Port of strftime() by T. H. Doan (https://thdoan.github.io/strftime/)
- *
- * Day of year (%j) code based on Joe Orost's answer:
- * http://stackoverflow.com/questions/8619879/javascript-calculate-the-day-of-the-year-1-366
- *
- * Week number (%V) code based on Taco van den Broek's prototype:
- * http://techblog.procurios.nl/k/news/view/33796/14863/calculate-iso-8601-week-and-year-in-javascript.html
- */
-function strftime(date, sFormat) {
-	if (!(date instanceof Date)) date = new Date();
-	var nDay = date.getDay(),
-		nDate = date.getDate(),
-		nMonth = date.getMonth(),
-		nYear = date.getFullYear(),
-		nHour = date.getHours(),
-		aDayCount = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334],
-		isLeapYear = function() {
-			return (nYear%4===0 && nYear%100!==0) || nYear%400===0;
-		},
-		getThursday = function() {
-			var target = new Date(date);
-			target.setDate(nDate - ((nDay+6)%7) + 3);
-			return target;
-		},
-		zeroPad = function(nNum, nPad) {
-			return ((Math.pow(10, nPad) + nNum) + '').slice(1);
-		};
-	return sFormat.replace(/%[a-z]/gi, function(sMatch) {
-		return (({
-			'%à': configuration.days[nDay].slice(0,2), // additional code for languages like German that require 2-letter abreviations
-			'%a': configuration.days[nDay].slice(0,3),
-			'%A': configuration.days[nDay],
-			'%b': configuration.months[nMonth].slice(0,3),
-			'%B': configuration.months[nMonth],
-			'%c': date.toUTCString(),
-			'%C': Math.floor(nYear/100),
-			'%d': zeroPad(nDate, 2),
-			'%e': nDate,
-			'%F': date.toISOString().slice(0,10),
-			'%G': getThursday().getFullYear(),
-			'%g': (getThursday().getFullYear() + '').slice(2),
-			'%H': zeroPad(nHour, 2),
-			'%I': zeroPad((nHour+11)%12 + 1, 2),
-			'%j': zeroPad(aDayCount[nMonth] + nDate + ((nMonth>1 && isLeapYear()) ? 1 : 0), 3),
-			'%k': nHour,
-			'%l': (nHour+11)%12 + 1,
-			'%m': zeroPad(nMonth + 1, 2),
-			'%n': nMonth + 1,
-			'%M': zeroPad(date.getMinutes(), 2),
-			'%p': (nHour<12) ? 'AM' : 'PM',
-			'%P': (nHour<12) ? 'am' : 'pm',
-			'%s': Math.round(date.getTime()/1000),
-			'%S': zeroPad(date.getSeconds(), 2),
-			'%u': nDay || 7,
-			'%V': (function() {
-							var target = getThursday(),
-								n1stThu = target.valueOf();
-							target.setMonth(0, 1);
-							var nJan1 = target.getDay();
-							if (nJan1!==4) target.setMonth(0, 1 + ((4-nJan1)+7)%7);
-							return zeroPad(1 + Math.ceil((n1stThu-target)/604800000), 2);
-						})(),
-			'%w': nDay,
-			'%x': date.toLocaleDateString(),
-			'%X': date.toLocaleTimeString(),
-			'%y': (nYear + '').slice(2),
-			'%Y': nYear,
-			'%z': date.toTimeString().replace(/.+GMT([+-]\d+).+/, '$1'),
-			'%Z': date.toTimeString().replace(/.+\((.+?)\)$/, '$1')
-		}[sMatch] || '') + '') || sMatch;
-	});
-}
-
 //--------------------------------------------------------------------------------
 // Return usage string for valid parameter:
 function argvUsage(param, optional = true) {
-	param = '-' + param.charAt(0) + '|' + '--' + param
+	param = ((longOnlyParams.indexOf(param) === -1) ? '-' + param.charAt(0) + '|' : '') + '--' + param
 	return ((optional) ? '[' + param + ']' : param)
 }
 
 //--------------------------------------------------------------------------------
-// check if "argv" is "-p" or "--param":
+// check if "argv" is "-p" or "--param"; only "--param" for the parameters of "longOnlyParams":
 function argvSwitch(argv, param) {
-	if ((argv === '-' + param.charAt(0)) || (argv === '--' + param)) {
-		return true
-	}
-	return ((/^\-\w$/.test(argv) || /^\-\-\w+$/.test(argv)) ? undefined : false) // return "undefined" if it is an invalid parameter, "false" otherwise
-}
-
-//--------------------------------------------------------------------------------
-// Check synchronously if file or folder exists:
-function pathExistsSync(fullName) {
-	try {
-		return fs.existsSync(fullName)
-
-	} catch(err) {
-		doLog(logLevelError, `could not check if '` + fullName + `' exists; returning 'false'; ` + err)
-		return false
-}}
-
-//--------------------------------------------------------------------------------
-// Create folder synchronously:
-function createDirSync(path, doThrow = true, recursive = true) {
-	try {
-		if (!pathExistsSync(path)) {
-			fs.mkdirSync(path, { recursive: recursive }) // "recursive" creates all the needed folders "on the way"
-		}
+	if (((argv === '-' + param.charAt(0)) && (longOnlyParams.indexOf(param) === -1)) || (argv === '--' + param)) {
 		return true
-
-	} catch(err) {
-		doLog(logLevelError, `could not create directory '` + path + `'; ` + err)
-		if (doThrow) {
-			throw err
-
-		} else {
-			return false
-		}
-	}
-}
-
-//--------------------------------------------------------------------------------
-// Return file path with no backslashes "\":
-function normalizePath(s) {
-	return ((s) ? s.replace(/\\/g, '/') : '')
-}
-
-//--------------------------------------------------------------------------------
-// Return file path with no backslashes "\" and definitely no trailing slash "/":
-function ensureNoTrailingSlash(s) {
-	return ((s) ? normalizePath(s).replace(/\/+$/, '') : '.' /*globals.prgDir*/)
-}
-
-//--------------------------------------------------------------------------------
-// Return file path with no backslashes "\" and definitely a trailing slash "/":
-function ensureTrailingSlash(s) {
-	return ensureNoTrailingSlash(s) + '/'
-}
-
-//--------------------------------------------------------------------------------
-// Return the sha256 hash for a file; "file" is an object that will get additional hash keys:
-function getHash(file, fullName) {
-	try {
-		const fileBuffer = fs.readFileSync(fullName)
-		let hashSum = crypto.createHash('sha256')
-		hashSum.update(fileBuffer)
-		hashSum = hashSum.digest('hex')
-
-		// replace filename+extension part of "fullName" by the hash:
-		let path = normalizePath(fullName).split('/')
-		path[path.length - 1] = hashSum // overwrite filename+extension part with hash
-
-		// add new information to original object:
-		file.hash = hashSum
-		file.pathHash = path.join('/')
-
-	} catch(err) {
-		doLog(logLevelError, `could not calculate hash for file '` + fullName + `'; ` + err)
-	}
-}
-
-//--------------------------------------------------------------------------------
-// "node-ffprobe" returns an object, its key "format_long_name" is a string that has to be analyzed heuristically (sad thing)
-// Examples for "format_long_name": "MPEG-PS (MPEG-2 Program Stream)", "QuickTime / MOV", "raw MPEG video"
-function getType(s) {
-	s = s.replace(/\([^)]*\)/g, '').toLowerCase().trim() // drop information in parenthesis
-	if (s === 'modplug demuxer') { // special case "mid":
-		s = 'mid'
-
-	} else if (/raw\s+[^\s]/i.test(s)) { // get second word if string is like "raw ..."
-		s = s.replace('raw adts', 'raw').replace(/^.*raw\s+([^\s]+).*$/, ($1, $2) => $2).trim()
-	}
-	return s.split(' ').pop().replace('2/3', '3').replace('wave', 'wav').replace('voice', 'voc').replace('mpeg-4', 'mp4').replace('realmedia', 'rm').split(/\W/)[0] // take only first part in a word; e.g. "mpeg" of "mpeg-ps"
-}
-
-//--------------------------------------------------------------------------------
-// Get the timestamp (stored as guid) in a filename from known timestamps:
-function timestampFromFilename(a, fileTimestamps) {
-	if (!Array.isArray(a)) { // string was provided:
-		a = a.split('_')
-	}
-	for (let s of a) {
-		if (fileTimestamps[s] !== undefined) { // "fileTimestamps" contains the real timestamp to the timestamp guid
-			return fileTimestamps[s]
-		}
-	}
-	return null
-}
-
-//--------------------------------------------------------------------------------
-// Get the identity (stored as guid) stored in a filename from known identities:
-function identityFromFilename(a, identities) {
-	if (!Array.isArray(a)) { // string was provided:
-		a = a.split('_')
-	}
-	for (let s of a) {
-		if (identities[s] !== undefined) { // "identities" contains the fulltext identity to the identity guid
-			return identities[s]
-		}
-	}
-	// none found, try brute force: try to find a string part in the keys "id":
-	for (let s of a) {
-		for (let key in identities) {
-			if (identities[key].id && (identities[key].id === s)) {
-				return identities[key]
-			}
-		}
-	}
-	return null
-}
-
-//--------------------------------------------------------------------------------
-// Try to replace parts of a filename 1) by known identities and 2) by replacements defined in the configuration:
-// params = { includeReplaceParts [true|false], includeReplaceChars [true|false] }
-function replaceNameParts(a, identities, params) {
-	if (!Array.isArray(a)) { // string was provided:
-		a = a.split('_')
-	}
-	for (let i = 0; i < a.length; i++) {
-		let identity = identityFromFilename(a[i], identities)
-		if (identity) {
-			a[i] = identity.fullname
-
-		} else if (params && params.includeReplaceParts && (configuration.replaceFileNamePart[a[i]] !== undefined)) {
-			a[i] = configuration.replaceFileNamePart[a[i]]
-		}
-	}
-	// make the filename string:
-	let s = a.join('_').replace(/_{2,}/g, '_').replace(/^_/, '').replace(/[_.]+$/, '')
-	// do further replacements on the string if requested:
-	if (params && params.includeReplaceChars) {
-		for (let key in configuration.replaceStringPart) {
-			s = s.split(key).join(configuration.replaceStringPart[key])
-		}
-	}
-	return validPlatformName(s)
-}
-
-//--------------------------------------------------------------------------------
-// Convert string "s" into normalized string without line breaks or tabs:
-function cleanText(s, delimiter = ' ↲ ') {
-	if (typeof s !== 'string') {
-		s = String(s)
-	}
-	return s.replace(/^\s+/, '').replace(/\s+$/, '').replace(/[\r\n\b\f]/g, '\t').replace(/\t+/g, delimiter).replace(/\s+/g, ' ').trim()
-}
-
-//--------------------------------------------------------------------------------
-// Convert string "s" into valid string for current platform:
-function validPlatformName(s) {
-	// replace non-printable unicode characters:
-	const re = /[\0-\x1F\x7F-\x9F\xAD\u0378\u0379\u037F-\u0383\u038B\u038D\u03A2\u0528-\u0530\u0557\u0558\u0560\u0588\u058B-\u058E\u0590\u05C8-\u05CF\u05EB-\u05EF\u05F5-\u0605\u061C\u061D\u06DD\u070E\u070F\u074B\u074C\u07B2-\u07BF\u07FB-\u07FF\u082E\u082F\u083F\u085C\u085D\u085F-\u089F\u08A1\u08AD-\u08E3\u08FF\u0978\u0980\u0984\u098D\u098E\u0991\u0992\u09A9\u09B1\u09B3-\u09B5\u09BA\u09BB\u09C5\u09C6\u09C9\u09CA\u09CF-\u09D6\u09D8-\u09DB\u09DE\u09E4\u09E5\u09FC-\u0A00\u0A04\u0A0B-\u0A0E\u0A11\u0A12\u0A29\u0A31\u0A34\u0A37\u0A3A\u0A3B\u0A3D\u0A43-\u0A46\u0A49\u0A4A\u0A4E-\u0A50\u0A52-\u0A58\u0A5D\u0A5F-\u0A65\u0A76-\u0A80\u0A84\u0A8E\u0A92\u0AA9\u0AB1\u0AB4\u0ABA\u0ABB\u0AC6\u0ACA\u0ACE\u0ACF\u0AD1-\u0ADF\u0AE4\u0AE5\u0AF2-\u0B00\u0B04\u0B0D\u0B0E\u0B11\u0B12\u0B29\u0B31\u0B34\u0B3A\u0B3B\u0B45\u0B46\u0B49\u0B4A\u0B4E-\u0B55\u0B58-\u0B5B\u0B5E\u0B64\u0B65\u0B78-\u0B81\u0B84\u0B8B-\u0B8D\u0B91\u0B96-\u0B98\u0B9B\u0B9D\u0BA0-\u0BA2\u0BA5-\u0BA7\u0BAB-\u0BAD\u0BBA-\u0BBD\u0BC3-\u0BC5\u0BC9\u0BCE\u0BCF\u0BD1-\u0BD6\u0BD8-\u0BE5\u0BFB-\u0C00\u0C04\u0C0D\u0C11\u0C29\u0C34\u0C3A-\u0C3C\u0C45\u0C49\u0C4E-\u0C54\u0C57\u0C5A-\u0C5F\u0C64\u0C65\u0C70-\u0C77\u0C80\u0C81\u0C84\u0C8D\u0C91\u0CA9\u0CB4\u0CBA\u0CBB\u0CC5\u0CC9\u0CCE-\u0CD4\u0CD7-\u0CDD\u0CDF\u0CE4\u0CE5\u0CF0\u0CF3-\u0D01\u0D04\u0D0D\u0D11\u0D3B\u0D3C\u0D45\u0D49\u0D4F-\u0D56\u0D58-\u0D5F\u0D64\u0D65\u0D76-\u0D78\u0D80\u0D81\u0D84\u0D97-\u0D99\u0DB2\u0DBC\u0DBE\u0DBF\u0DC7-\u0DC9\u0DCB-\u0DCE\u0DD5\u0DD7\u0DE0-\u0DF1\u0DF5-\u0E00\u0E3B-\u0E3E\u0E5C-\u0E80\u0E83\u0E85\u0E86\u0E89\u0E8B\u0E8C\u0E8E-\u0E93\u0E98\u0EA0\u0EA4\u0EA6\u0EA8\u0EA9\u0EAC\u0EBA\u0EBE\u0EBF\u0EC5\u0EC7\u0ECE\u0ECF\u0EDA\u0EDB\u0EE0-\u0EFF\u0F48\u0F6D-\u0F70\u0F98\u0FBD\u0FCD\u0FDB-\u0FFF\u10C6\u10C8-\u10CC\u10CE\u10CF\u1249\u124E\u124F\u1257\u1259\u125E\u125F\u1289\u128E\u128F\u12B1\u12B6\u12B7\u12BF\u12C1\u12C6\u12C7\u12D7\u1311\u1316\u1317\u135B\u135C\u137D-\u137F\u139A-\u139F\u13F5-\u13FF\u169D-\u169F\u16F1-\u16FF\u170D\u1715-\u171F\u1737-\u173F\u1754-\u175F\u176D\u1771\u1774-\u177F\u17DE\u17DF\u17EA-\u17EF\u17FA-\u17FF\u180F\u181A-\u181F\u1878-\u187F\u18AB-\u18AF\u18F6-\u18FF\u191D-\u191F\u192C-\u192F\u193C-\u193F\u1941-\u1943\u196E\u196F\u1975-\u197F\u19AC-\u19AF\u19CA-\u19CF\u19DB-\u19DD\u1A1C\u1A1D\u1A5F\u1A7D\u1A7E\u1A8A-\u1A8F\u1A9A-\u1A9F\u1AAE-\u1AFF\u1B4C-\u1B4F\u1B7D-\u1B7F\u1BF4-\u1BFB\u1C38-\u1C3A\u1C4A-\u1C4C\u1C80-\u1CBF\u1CC8-\u1CCF\u1CF7-\u1CFF\u1DE7-\u1DFB\u1F16\u1F17\u1F1E\u1F1F\u1F46\u1F47\u1F4E\u1F4F\u1F58\u1F5A\u1F5C\u1F5E\u1F7E\u1F7F\u1FB5\u1FC5\u1FD4\u1FD5\u1FDC\u1FF0\u1FF1\u1FF5\u1FFF\u200B-\u200F\u202A-\u202E\u2060-\u206F\u2072\u2073\u208F\u209D-\u209F\u20BB-\u20CF\u20F1-\u20FF\u218A-\u218F\u23F4-\u23FF\u2427-\u243F\u244B-\u245F\u2700\u2B4D-\u2B4F\u2B5A-\u2BFF\u2C2F\u2C5F\u2CF4-\u2CF8\u2D26\u2D28-\u2D2C\u2D2E\u2D2F\u2D68-\u2D6E\u2D71-\u2D7E\u2D97-\u2D9F\u2DA7\u2DAF\u2DB7\u2DBF\u2DC7\u2DCF\u2DD7\u2DDF\u2E3C-\u2E7F\u2E9A\u2EF4-\u2EFF\u2FD6-\u2FEF\u2FFC-\u2FFF\u3040\u3097\u3098\u3100-\u3104\u312E-\u3130\u318F\u31BB-\u31BF\u31E4-\u31EF\u321F\u32FF\u4DB6-\u4DBF\u9FCD-\u9FFF\uA48D-\uA48F\uA4C7-\uA4CF\uA62C-\uA63F\uA698-\uA69E\uA6F8-\uA6FF\uA78F\uA794-\uA79F\uA7AB-\uA7F7\uA82C-\uA82F\uA83A-\uA83F\uA878-\uA87F\uA8C5-\uA8CD\uA8DA-\uA8DF\uA8FC-\uA8FF\uA954-\uA95E\uA97D-\uA97F\uA9CE\uA9DA-\uA9DD\uA9E0-\uA9FF\uAA37-\uAA3F\uAA4E\uAA4F\uAA5A\uAA5B\uAA7C-\uAA7F\uAAC3-\uAADA\uAAF7-\uAB00\uAB07\uAB08\uAB0F\uAB10\uAB17-\uAB1F\uAB27\uAB2F-\uABBF\uABEE\uABEF\uABFA-\uABFF\uD7A4-\uD7AF\uD7C7-\uD7CA\uD7FC-\uF8FF\uFA6E\uFA6F\uFADA-\uFAFF\uFB07-\uFB12\uFB18-\uFB1C\uFB37\uFB3D\uFB3F\uFB42\uFB45\uFBC2-\uFBD2\uFD40-\uFD4F\uFD90\uFD91\uFDC8-\uFDEF\uFDFE\uFDFF\uFE1A-\uFE1F\uFE27-\uFE2F\uFE53\uFE67\uFE6C-\uFE6F\uFE75\uFEFD-\uFF00\uFFBF-\uFFC1\uFFC8\uFFC9\uFFD0\uFFD1\uFFD8\uFFD9\uFFDD-\uFFDF\uFFE7\uFFEF-\uFFFB\uFFFE\uFFFF]/g
-	s = s.replace(re, '.')
-	// platform specific:
-	if (/^win/i.test(process.platform)) {
-		s = s.replace(/[:<>"/\\|?*]/g, '.')
-
-	} else if (/^linux/i.test(process.platform)) {
-		s = s.replace(/\//g, '.')
-	}
-	return s.replace(/\.{2,}/g, '.')
-}
-
-//--------------------------------------------------------------------------------
-// Converts milliseconds since epoch in a timestamp in server local timezone (ISO format):
-function epochToLocal(epoch) {
-	return new Date(new Date(new Date(Number(epoch))) + ' UTC')
-}
-
-//--------------------------------------------------------------------------------
-// Make sure object "o" contains exactly the keys contained in array "a":
-function normalizeObj(o, a, defaultVal = null) {
-	// remove unwanted keys:
-	for (let key in o) {
-		if (a.indexOf(key) === -1) {
-			delete o[key]
-		}
-	}
-	// add missing keys:
-	for (let s of a) {
-		if (o[s] === undefined) {
-			o[s] = defaultVal
-		}
 	}
-	return o
+	return ((/^\-\w$/.test(argv) || /^\-\-\w[\w-]*$/.test(argv)) ? undefined : false) // return "undefined" if it is an invalid parameter, "false" otherwise
 }
 
 //--------------------------------------------------------------------------------
-// Converts an array of objects into an object using "key" in the objects as key for the new object:
-function arrayToObject(a, key) {
-	if (Array.isArray(a)) {
-		// return Object.assign({}, ...a.map(o => ({[o[key]]: o}))) ==> ERROR: "Maximum call stack size exceeded"
-		return a.reduce((obj, item) => {
-			obj[item[key]] = item
-			return obj
-		}, {})
-
-	} else {
-		return {}
-	}
-}
-
-//--------------------------------------------------------------------------------
-// Return "true" if array "b" is contained completely in array "a":
-function arrayContainsArray(a, b) {
-	return !b.some(val => a.indexOf(val) === -1)
-}
-
-//--------------------------------------------------------------------------------
-// Function to sort alphabetically an array of objects by some specific key. Works directly on the original array!
-// Call: a.sort(dynamicSort('[key]')) (asc) or a.sort(dynamicSort('-[key]')) (desc)
-function dynamicSort(key) {
-	let sortOrder = 1
-	if (key.charAt(0) === '-') {
-		sortOrder = -1
-		key = key.slice(1)
-	}
-
-	return (a, b) => {
-		if (sortOrder === -1) {
-			return b[key].localeCompare(a[key])
-		} else {
-			return a[key].localeCompare(b[key])
-		}
-	}
-}
-
-//--------------------------------------------------------------------------------
-// Read (recursively) all files from a directory and return them unordered as array of objects with keys fullname, root, dir, base, ext, name, dev, mode, nlink, uid, gid, rdev, blksize, ino, size, blocks, atimeMs, mtimeMs, ctimeMs, birthtimeMs, atime, mtime, ctime, birthtime:
-// Collect all empty folders "on the way", remove them in the end if "delEmptyFolders" is "true."
-function getAllFilesSync(dir, recursive, fullnameRegExp, delEmptyFolders = false) {
-	try {
-		let files = [] // list of files, no sub-folders
-		let empties = [] // gather empty sub-folders on the way
-		fs.readdirSync(dir).forEach(filename => {
-			let file = { fullname: path.resolve(dir, filename) }
-			Object.assign(file, path.parse(file.fullname))
-			//console.log(JSON.stringify(file))
-			const stat = fs.statSync(file.fullname)
-			if (stat.isDirectory() && recursive) {
-				let l = files.length
-				files = files.concat(getAllFilesSync(file.fullname, recursive, fullnameRegExp, delEmptyFolders))
-				if (files.length === l) {
-					empties.push(String(file.fullname.length).padStart(5, '0') + '\t' + file.fullname) // add sort string to the left; tab-delimited
-				}
-
-			} else if (stat.isFile() && ((!fullnameRegExp) || fullnameRegExp.test(file.fullname))) {
-				files.push(Object.assign(file, stat))
-			}
+// Ask for a password on the command line without echoing it:
+function promptPassword(question) {
+	return new Promise((resolve) => {
+		let muted = new Writable({ write: (chunk, encoding, callback) => callback() }) // readline echoes the typed characters into it
+		let rl = readline.createInterface({ input: process.stdin, output: muted, terminal: true })
+		process.stdout.write(question)
+		rl.question('', (answer) => {
+			rl.close()
+			process.stdout.write('\n')
+			resolve(answer)
 		})
-		// remove empty folders if requested:
-		if (delEmptyFolders) {
-			empties.sort() // sort by string length; delete from longer paths to shorter paths
-			for (let i = empties.length - 1; i >= 0; i--) {
-				try {
-					fs.rmdirSync(empties[i].split('\t')[1])
-					doLog(logLevelDebug, `ok, could delete empty folder '` + empties[i].split('\t')[1] + `'`)
-
-				} catch(err) {
-					doLog(logLevelError, `could not delete empty folder '` + empties[i].split('\t')[1] + `'; ` + err)
-				}
-			}
-		}
-		return files // contains all keys of "fs.parse()" and "fs.stat()"
-
-	} catch(err) {
-		doLog(logLevelError, `could not ` + ((recursive) ? `recursively ` : ``) + `get list of files` + ((fullnameRegExp) ? ` fulfilling ` + fullnameRegExp.toString() : ``) + ` from directory '` + dir + `'; ` + err)
-		throw err
-	}
+	})
 }
 
 //--------------------------------------------------------------------------------
-// Read csv file, convert it to JSON and return the resulting array:
-async function getCsvFileAsJSON(file, isMessagesCsv = true) {
-	try {
-		let data = fs.readFileSync(file, 'utf8') // may throw
-		if (data) {
-			let headers = []
-			data = await csvtojson(Object.assign({ // some sacrosanct values:
-				output: 'json',
-				checkType: false,
-				flatKeys: false,
-				nullObject: true
-			}, csvToJson)).on('header', (row) => { headers = row }).fromString(data)
-			const lower = headers.map(s => s.toLowerCase()) // strict low case
-			//doLog(logLevelFatal, '========>>>>>\t' + file + '\t' + headers.join('\t'))
-			if (arrayContainsArray(lower, messagesFileHeaders)) { // CSV file contains list of messages:
-				return data
-
-			} else if (!isMessagesCsv) { // general csv requested:
-				return data
-
-			} else { // just any non-interesting csv:
-				return []
-			}
+// Return the password of an encrypted Threema backup zip file: read from "passwordFile", from the environment, or prompted for; "null" if there is none:
+async function readPassword(zipFile, passwordFile) {
+	if (passwordFile) {
+		let password = fs.readFileSync(passwordFile, 'utf8').replace(/\r?\n$/, '') // may throw; only a final line break is not part of the password
+		doLog(logLevelInfo, `use password from file '` + passwordFile + `'`)
+		return password
 
-		} else {
-			let err = new Error(`no data contained`)
-			throw err
-		}
+	} else if (process.env[passwordEnvVar] !== undefined) {
+		doLog(logLevelInfo, `use password from environment variable ` + passwordEnvVar)
+		return process.env[passwordEnvVar]
 
-	} catch(err) {
-		doLog(logLevelError, `could not read file '` + file + `' and convert it to JSON; ` + err)
-		throw err
+	} else if (process.stdin.isTTY) {
+		return await promptPassword(`Password for zip file '` + zipFile + `': `)
 	}
+	return null
 }
 
 
@@ -751,422 +451,203 @@ async function getCsvFileAsJSON(file, isMessagesCsv = true) {
 (async () => {
 	// set default values:
 	let sourceDir = ensureTrailingSlash(null) // use current directory
+	let sourceDirGiven = false
 	let recursive = false
+	let zipFile = null
+	let passwordFile = null
+	let dryRun = false
+	let undoFile = null
+	let outDir = null
+	let archiveDir = null
+	let cfgFile = null
+	let settings = [] // "--set key=value"
+	let only = [] // "--only" and "--exclude"; repeatable
+	let exclude = []
+	let searchQuery = null // words of the query of sub-command "search"
 	adjustLogParameters(sourceDir, configuration)
 
-	// overwrite default configuration if configuration file is present:
-	readConfiguration(sourceDir) // performs also "adjustLogParameters"
-
 	// overwrite defaults with command line parameters; if present:
 	let params = process.argv.slice(2) // store command line parameters; first one is "process.argv[2]"
 	let invalidParams = []
-	for (let i = params.length - 1; i >= 0; i--) { // we work backwards, because we possibly delete from array
-		if (pathExistsSync(params[i])) {
+	if (params[0] === cmdSearch) { // no log file, only warnings and errors besides the hits:
+		params.shift()
+		searchQuery = []
+		settings.push(`logTo=`, `minimumLevelForLogging=` + logLevels[logLevelWarn])
+		globals.logFile = null
+		globals.logLevel = logLevelWarn
+	}
+	for (let i = 0; i < params.length; i++) {
+		if (searchQuery && (sourceDirGiven || !pathExistsSync(params[i])) && (argvSwitch(params[i], cmdParam1) === false)) { // a word of the query; an argument with spaces is a phrase:
+			let match = /^(\w+):(.*\s.*)$/s.exec(params[i])
+			searchQuery.push((match) ? match[1] + `:"` + match[2] + `"` : ((/\s/.test(params[i]) && !/"/.test(params[i])) ? `"` + params[i] + `"` : params[i]))
+
+		} else if (pathExistsSync(params[i]) && (path.extname(params[i]).toLowerCase() === zipFileExtension) && fs.statSync(params[i]).isFile()) {
+			zipFile = params[i]
+
+		} else if (pathExistsSync(params[i])) {
 			sourceDir = ensureTrailingSlash((params[i] !== '.') ? params[i] : null)
-			params.splice(i, 1)
+			sourceDirGiven = true
 
 		} else if (argvSwitch(params[i], cmdParam2) || argvSwitch(params[i], cmdParam3)) {
 			usage() // prints help and stops execution
 
-		} else {
-			let tmp = argvSwitch(params[i], cmdParam1) // returns "true", "false" or "undefined"
-			if (tmp) { // correct parameter/switch:
-				recursive = true
-				params.splice(i, 1)
+		} else if (argvSwitch(params[i], cmdParam7)) { // switch with value; folder may not exist yet:
+			if ((params[i + 1] !== undefined) && (argvSwitch(params[i + 1], cmdParam7) === false)) {
+				outDir = ensureTrailingSlash(params[++i])
 
-			} else if (tmp === false) { // invalid parameter/path:
-				invalidParams.push({ type: invalidParamTypePath, value: params[i] })
-
-			} else { // unknown parameter/switch:
+			} else {
 				invalidParams.push({ type: invalidParamTypeSwitch, value: params[i] })
 			}
-		}
-	}
-	// check if all parameters were recognized:
-	if (params.length === 0) {
-		doLog(logLevelInfo, `look for files in folder '` + sourceDir + `' ` + ((recursive) ? `and` : `but not`) + ` in its sub-folders`)
-		// make sure source directory exists:
-		if (!pathExistsSync(sourceDir)) {
-			throw new Error(`directory '` + sourceDir + `' doesn't exist`)
-		}
 
-		try {
-			// make sure source directory is not empty:
-			let files = getAllFilesSync(sourceDir, recursive) // throws with message on error
-			//doLog(logLevelFatal, JSON.stringify(files, null, '\t'))
-			if ((!Array.isArray(files)) || (!files.length)) {
-				throw new Error(`no files found in directory '` + sourceDir + `'`)
-			}
-			doLog(logLevelInfo, singularPlural(files.length, 'file')  + ` found`)
-
-			//------------------------------------------------------------
-			// find and mark or delete thumbnail files that also exist as originals:
-			{ // keep "filesObj" local to save (a little bit) of memory:
-				let filesObj = arrayToObject(files, 'name') // object, not array: for fast lookup
-				for (let i = files.length - 1; i >= 0; i--) { // we work backwards, because we possibly delete from array
-					let nameRed = files[i].name.replace(findOriginal.find, findOriginal.original)
-					if ((nameRed !== files[i].name) && (filesObj[nameRed] !== undefined)) {
-						if (configuration.deleteThumbnailIfOriginalExists) {
-							try {
-								fs.unlinkSync(files[i].fullname)
-								doLog(logLevelDebug, `ok, could delete thumbnail file '` + files[i].fullname + `'; original '` + nameRed + `' exists`)
-								files.splice(i, 1)
-
-							} catch(err) {
-								doLog(logLevelError, `could not delete thumbnail file '` + files[i].fullname + `'; ` + err)
-							}
-
-						} else {
-							files[i].tmpName = findOriginal.found + files[i].name
-							doLog(logLevelDebug, `ok, could mark thumbnail file '` + files[i].fullname + `'; original '` + nameRed + `' exists`)
-						}
-
-					} else {
-						files[i].tmpName = files[i].name
-					}
-				}
-			}
+		} else if (argvSwitch(params[i], cmdParam10) || argvSwitch(params[i], cmdParam11) || argvSwitch(params[i], cmdParam14) || argvSwitch(params[i], cmdParam15)) { // switches with value "key=value" or with the value of key "locale", "since" or "until":
+			if (params[i + 1] !== undefined) {
+				let key = [cmdParam11, cmdParam14, cmdParam15].find(param => argvSwitch(params[i], param))
+				settings.push(((key) ? key + `=` : ``) + params[++i])
 
-			//------------------------------------------------------------
-			// select all csv files, they contain the information about posts and files:
-			let csvFiles = files.filter(o => /csv/i.test(o.ext))
-			doLog(logLevelInfo, singularPlural(csvFiles.length, ' CSV file')  + ` found`)
-			//doLog(logLevelFatal, JSON.stringify(csvFiles, null, '\t'))
-
-			//------------------------------------------------------------
-			// collect all identities from contacts and groups:
-			let identities = []
-			//------------------------------------------------------------
-			// extract all contacts:
-			let contactFullnames = csvFiles.filter(o => o.name.toLowerCase() === specialCsvFiles.contacts).map(o => o.fullname)
-			for (let contactFullname of contactFullnames) {
-				identities = identities.concat((await getCsvFileAsJSON(contactFullname, false)).map(o => {
-					let tokens = o.lastname.split(' ').concat(o.firstname.split(' ')).concat(o.nick_name.split(' ')).concat([o.identity])
-					o.fullname = validPlatformName(tokens.filter((c, idx) => { // remove duplicate tokens:
-						return tokens.map(s => s.toLowerCase()).indexOf(c.toLowerCase()) === idx
-					}).join(' ').replace(/\s+/g, ' ').trim())
-					return normalizeObj(o, contactCsvHeaders) // make sure object has exactly the keys in "contactCsvHeaders"
-				}))
-			}
-			let identitiesLen = identities.length
-			doLog(logLevelInfo, singularPlural(identitiesLen, 'contact')  + ` found`)
-
-			//------------------------------------------------------------
-			// extract all groups:
-			let groupFullnames = csvFiles.filter(o => o.name.toLowerCase() === specialCsvFiles.groups).map(o => o.fullname)
-			for (let groupFullname of groupFullnames) {
-				identities = identities.concat((await getCsvFileAsJSON(groupFullname, false)).map(o => {
-					o.identity = o.id + '-' + o.creator // that's how Threema uses group identifiers
-					o.fullname = validPlatformName((o.groupname.trim()) ? o.groupname.trim() + ' ' + o.id : o.identity)
-					return normalizeObj(o, groupCsvHeaders) // make sure object has exactly the keys in "groupCsvHeaders"
-				}))
+			} else {
+				invalidParams.push({ type: invalidParamTypeSwitch, value: params[i] })
 			}
-			doLog(logLevelInfo, singularPlural(identities.length - identitiesLen, 'group')  + ` found`)
 
-			//------------------------------------------------------------
-			// keep all identities as object for fast lookup:
-			if (identities.length) {
-				identities = arrayToObject(identities, 'identity')
+		} else if (argvSwitch(params[i], cmdParam12) || argvSwitch(params[i], cmdParam13)) { // switches with a contact, group or distribution list; repeatable:
+			if (params[i + 1] !== undefined) {
+				((argvSwitch(params[i], cmdParam12)) ? only : exclude).push(params[++i])
 
 			} else {
-				identities = {}
+				invalidParams.push({ type: invalidParamTypeSwitch, value: params[i] })
 			}
 
-			//------------------------------------------------------------
-			let fileTimestamps = {}
-			//------------------------------------------------------------
-			// find identity behind conversation csv file, make sure corresponding sub-folder exists, and read all rows:
-			for (let csv of csvFiles) {
-				csv.identity = identityFromFilename(csv.name, identities)
-				csv.nameExplicit = replaceNameParts(csv.name, identities, { includeReplaceParts: true, includeReplaceChars: false }) // performs "validPlatformName"
-				csv.destDir = ensureTrailingSlash(sourceDir + csv.nameExplicit)
-				if (skipCsvFiles.indexOf(csv.name) === -1) { // skip some of the csv files
-					createDirSync(sourceDir + csv.nameExplicit)
-					// read CSV rows, extend by Nodejs date objects:
-					csv.rows = (await getCsvFileAsJSON(csv.fullname)).map(o => {
-						// convert timestamps as long as "created_at" still exists:
-						o.fileTimestamp = epochToLocal(o.created_at)
-						o.fileTimestampISO = new Date(Number(o.created_at))
-						// add timestamp for each non-text row:
-						if (o.type.toLowerCase() !== 'text') {
-							let ext = null
-							if (o.body) {
-								try {
-									let tmp = JSON.parse(o.body.replace(/\\\\"/g, `'`)) // remove CSV escaping
-									// Threema stores original filename at array position 4; mime type at array position 2, e.g. "application/octet-stream"
-									if (Array.isArray(tmp) && (tmp.length >= 5) && (typeof tmp[4] === 'string')) {
-										ext = tmp[4].split(`.`).pop()
-									}
-
-								} catch(err) {
-									doLog(logLevelError, `could not convert body='` + o.body + `' to JSON (file='` + csv.name + `'); ` + err)
-								}
-							}
-
-							if (fileTimestamps[o.uid] !== undefined) {
-								doLog(logLevelFatal, `file timestamp collision; ` + o.uid + `; please report to ` + author)
-							}
-							fileTimestamps[o.uid] = {
-								uid: o.uid,
-								fileTimestamp: o.fileTimestamp,
-								fileTimestampISO: o.fileTimestampISO,
-								destDir: csv.destDir,
-								ext: ext
-							}
-						}
-						return normalizeObj(o, relevantHeaders) // make sure object has exactly the keys in "relevantHeaders"
-					}) // all rows
-
-					// get "interesting" text from every CSV row:
-					csv.texts = []
-					for (let i = 0; i < csv.rows.length; i++) {
-						for (let s of textCsvHeaders) { // check all interesting columns for content:
-							try {
-								let tmp = JSON.parse(csv.rows[i][s]) // should not be successful, we are interested in texts not objects
-								if (!Array.isArray(tmp)) { throw new Error('good!') }
-
-							} catch(err) { // ends up here most of the times; every time it is really a text:
-								if (csv.rows[i][s]) {
-									let author = ((csv.rows[i].identity && identities[csv.rows[i].identity]) ? identities[csv.rows[i].identity].fullname : null)
-									if ((!author) && (csv.rows[i].isoutbox !== undefined)) { // in contact conversations the flag "isoutbox" contains the information about the sender:
-										console.log(JSON.stringify(csv.rows[i]))
-										console.log(JSON.stringify(csv.identity))
-										author = (Number(csv.rows[i].isoutbox) ? `me` : csv.identity.fullname)
-									}
-									csv.texts.push(String(csv.rows[i].fileTimestampISO.getTime()).padStart(14, '0') + String(i).padStart(5, '0') + '\t[' + strftime(csv.rows[i].fileTimestampISO, configuration.textTimestampFormat) + '] ' + cleanText(csv.rows[i][s]) + ((author) ? ` [` + author + `]` : ``)) // keep the text
-								}
-							}
-						}
-					}
-					csv.texts = csv.texts.sort().map(s => s.split('\t')[1]) // sort and remove sort string at beginning of strings
-
-					// store texts as pure text file:
-					if (csv.texts.length) {
-						try {
-							fs.writeFileSync(csv.destDir + configuration.saveMessagesTextsTo, csv.texts.join('\n'), 'utf8')
-
-						} catch(err) {
-							doLog(logLevelError, `could not write text file '` + csv.destDir + configuration.saveMessagesTextsTo + `'; ` + err)
-						}
-					}
-
+		} else if (argvSwitch(params[i], cmdParam4) || argvSwitch(params[i], cmdParam6) || argvSwitch(params[i], cmdParam8) || argvSwitch(params[i], cmdParam9)) { // switches with value:
+			if (pathExistsSync(params[i + 1])) {
+				if (argvSwitch(params[i], cmdParam4)) {
+					passwordFile = params[++i]
+				} else if (argvSwitch(params[i], cmdParam6)) {
+					undoFile = params[++i]
+				} else if (argvSwitch(params[i], cmdParam9)) {
+					cfgFile = params[++i]
 				} else {
-					csv.rows = []
-					csv.texts = []
+					archiveDir = ensureTrailingSlash(params[++i])
 				}
+
+			} else {
+				invalidParams.push({ type: invalidParamTypePath, value: params[i] + ((params[i + 1] !== undefined) ? ` ` + params[++i] : ``), isValue: true })
 			}
-			//doLog(logLevelFatal, JSON.stringify(csvFiles, null, '\t'))
-			//doLog(logLevelFatal, JSON.stringify(fileTimestamps, null, '\t'))
-
-			//------------------------------------------------------------
-			// all information is now ready; now, scan all media files, rename them, adjust their file timestamps and move them into the appropriate sub-folders:
-			for (let file of files) {
-				//------------------------------------------------------------
-				// set default values for renamed/moved file and file timestamps:
-				let dest = {
-					dir: ensureTrailingSlash(file.dir),
-					name: file.tmpName,
-					ext: file.ext.replace(/^\.+/, '').toLowerCase() // remove dot from original extension because "file-type" returns ext without dot
-				}
 
-				//------------------------------------------------------------
-				// determine file type:
+		} else {
+			let tmp = argvSwitch(params[i], cmdParam1) // returns "true", "false" or "undefined"
+			if (tmp) { // correct parameter/switch:
+				recursive = true
 
-				if ((knownFileTypes.indexOf(dest.ext) !== -1) || (skipFiles.indexOf(file.base) !== -1)) {
-					dest.type = { ext: dest.ext } // store it in the way "file-type" does
+			} else if (argvSwitch(params[i], cmdParam5)) {
+				dryRun = true
 
-				} else {
-					try {
-						dest.type = await fileType.fromFile(file.fullname) // may return null; object { ext: ..., ... } otherwise
-						if (!dest.type) {
-							throw new Error(`:-(`)
-						}
-
-					} catch(err) {
-						try {
-							let tmp = await probe(file.fullname) // may throw
-							if (tmp && tmp.format && tmp.format.format_long_name) {
-								dest.type = { ext: getType(tmp.format.format_long_name) }
-
-							} else {
-								throw new Error(`:-(`)
-							}
-
-						} catch(err) {
-							doLog(logLevelError, `could not determine file type for file '` + file.fullname + `'; tried several approaches, giving up`)
-							dest.type = { ext: dest.ext } // use default
-						}
-					}
-				}
+			} else if (argvSwitch(params[i], cmdParam16)) {
+				settings.push(`redact=true`)
 
-				//------------------------------------------------------------
-				// don't process "csv" and "txt" filenames:
-				if ((!/csv/.test(dest.ext)) && (!/txt/.test(dest.ext))) {
-					// find timestamp that is contained as "uid" in the filename:
-					let timestampPart
-					let fileTimestamp = timestampFromFilename(file.name, fileTimestamps)
-					if (fileTimestamp) { // use the data contained in the timestamp record to adjust the file information:
-						dest.timestamp = fileTimestamp.fileTimestamp
-						dest.timestampISO = fileTimestamp.fileTimestampISO
-						dest.name = dest.name.replace(fileTimestamp.uid, '') // remove timestamp uid from filename
-						dest.dir = fileTimestamp.destDir
-						if ((!dest.type) && fileTimestamp.ext) {
-							dest.type = { ext: fileTimestamp.ext }
-						}
-						// make timestamp part of filename and make sure it is not already contained:
-						timestampPart = validPlatformName(strftime(dest.timestampISO, configuration.fileTimestampFormat) + ' ')
-						while (dest.name.indexOf(timestampPart) !== -1) {
-							dest.name = dest.name.replace(timestampPart, '')
-						}
-					}
-					// find identity that is contained in the filename:
-					let identity = identityFromFilename(file.name, identities)
-					if (identity) {
-						let i = csvFiles.map(o => ((o.identity) ? o.identity.identity : null)).indexOf(identity.identity)
-						if (i !== -1) {
-							dest.dir = csvFiles[i].destDir
-							dest.name = dest.name.replace(identity.identity, '') // remove identity from filename
-						}
-					}
-					// "purify" filename:
-					dest.name = replaceNameParts(dest.name, identities, { includeReplaceParts: true, includeReplaceChars: true }) // includes "validPlatformName"
-					// finally, add timestamp part to filename:
-					if (timestampPart) {
-						dest.name = timestampPart + dest.name
-					}
-					dest.name = dest.name.trim()
-				}
+			} else if (tmp === false) { // invalid parameter/path:
+				invalidParams.push({ type: invalidParamTypePath, value: params[i] })
 
-				//------------------------------------------------------------
-				// finally, get definitive new extension; including leading dot:
-				if (dest.type) {
-					dest.ext = dest.type.ext.toLowerCase()
+			} else { // unknown parameter/switch:
+				invalidParams.push({ type: invalidParamTypeSwitch, value: params[i] })
+			}
+		}
+	}
+	// the files of a zip file go into the given folder (may not exist yet) or into a new folder named after the zip file:
+	if (archiveDir) { // new files are added to the organized folder; a zip file is not extracted anywhere else:
+		outDir = archiveDir
+		if (zipFile) {
+			sourceDir = ensureTrailingSlash(path.join(path.dirname(zipFile), path.basename(zipFile, path.extname(zipFile))))
+		}
 
-				} else {
-					doLog(logLevelError, `could not determine file type for file '` + file.fullname + `'`) // keep default value for extension
-				}
-				if (dest.ext) {
-					dest.ext = '.' + dest.ext
-				}
+	} else if (zipFile && outDir) { // a zip file is never changed anyway; the output folder is just the folder to extract into:
+		sourceDir = outDir
+		outDir = null
 
-				//------------------------------------------------------------
-				// rename file if new filename not equal to old name:
-				dest.fullname = dest.dir + dest.name + dest.ext
-				let n = 0
-				if (dest.fullname !== normalizePath(file.fullname)) {
-					try {
-						while (pathExistsSync(dest.fullname)) { // rename file if same name already exists:
-							dest.fullname = dest.dir + String(++n) + '_' + dest.name + dest.ext
-						}
-						//doLog(logLevelFatal, 'rename: ' + dest.fullname)
-						fs.renameSync(file.fullname, dest.fullname) // rename and move
-						doLog(logLevelDebug, `ok, could rename/move file '` + file.fullname + `' to '` + dest.fullname + `'`)
-
-					} catch(err) {
-						doLog(logLevelError, `could not rename file '` + file.fullname + `' to '` + dest.fullname + `'; ` + err)
-						dest.fullname = file.fullname // new filename is still old filename; needed for adjusting file timetamps
-					}
+	} else if (zipFile && !sourceDirGiven) {
+		let i = invalidParams.findIndex(o => (o.type === invalidParamTypePath) && !o.isValue)
+		if (i !== -1) {
+			sourceDir = ensureTrailingSlash(invalidParams.splice(i, 1)[0].value)
 
-				} else {
-					doLog(logLevelDebug, `file '` + file.fullname + `' does not need to be renamed`)
-				}
-				// create and store additional information to file if duplicates are to be removed:
-				if (configuration.removeDuplicatesWithinFolder) {
-					file.duplicateIdx = String(n).padStart(6, '0') + dest.name // artifical index, used to sort array of duplicates in the end
-					file.destFullname = dest.fullname
-					getHash(file, dest.fullname)
-					//doLog(logLevelFatal, JSON.stringify(file))
-				}
+		} else {
+			sourceDir = ensureTrailingSlash(path.join(path.dirname(zipFile), path.basename(zipFile, path.extname(zipFile))))
+		}
+	}
+	if (only.length) {
+		settings.push(`onlyConversations=` + JSON.stringify(only))
+	}
+	if (exclude.length) {
+		settings.push(`excludeConversations=` + JSON.stringify(exclude))
+	}
+	// overwrite default configuration with the configuration file and the "--set" values; refuse to run if invalid:
+	let validConfiguration = readConfiguration(ensureTrailingSlash(null), cfgFile || globals.cfgFile, Boolean(cfgFile), settings) // performs also "adjustLogParameters"; the log file stays in the current folder
 
-				//------------------------------------------------------------
-				// set "last access" and "last modified" timestamps for file if known:
-				if (dest.timestampISO) {
-					try {
-						fs.utimesSync(dest.fullname, dest.timestampISO, dest.timestampISO)
-						doLog(logLevelDebug, `ok, could adjust file timestamps for file '` + dest.fullname + `'`)
+	// the pipeline reports everything by events:
+	let run = traceBack.createTraceBack(configuration)
+	run.on('log', o => doLog(logLevels.indexOf(o.level), o.message))
 
-					} catch(err) {
-						doLog(logLevelError, `could not adjust file timestamps for file '` + dest.fullname + `'; ` + err)
-					}
-				}
+	// check if all parameters were recognized:
+	if (!validConfiguration) {
+		process.exitCode = 1
 
-			} // next "file of files"
-
-			//------------------------------------------------------------
-			let deleted = [] // we must keep track of deleted files; not only within the following block
-			//------------------------------------------------------------
-			// process all duplicates within a folder if requested:
-			if (configuration.removeDuplicatesWithinFolder) {
-				let struct = {}
-				for (let file of files) {
-					if (struct[file.pathHash] === undefined) {
-						struct[file.pathHash] = [file] // each key of "struct" is an array of duplicates; minimum length = 1
-
-					} else {
-						struct[file.pathHash].push(file) // add file to array; is a real duplicate
-					}
-				}
-				for (let node in struct) {
-					if (struct[node].length > 1) {
-						struct[node].sort(dynamicSort('duplicateIdx')) // sort array by ascending duplicate index; we will keep first one with lowest index
-						for (let i = 1; i < struct[node].length; i++) { // keep only the file in the first array element:
-							try {
-								fs.unlinkSync(struct[node][i].destFullname)
-								doLog(logLevelDebug, `ok, could delete duplicate file '` + struct[node][i].destFullname + `'`)
-								deleted.push(struct[node][i].destFullname) // keep filnames that don't exist anymore
-								//doLog(logLevelDebug, `delete duplicate '` + struct[node][i].destFullname + `' of '` + struct[node][0].destFullname + `'`)
-
-							} catch(err) {
-								doLog(logLevelError, `could not delete duplicate file '` + struct[node][i].destFullname + `'; ` + err)
-							}
-						}
-					}
-				}
-			}
+	} else if ((invalidParams.length === 0) && searchQuery) {
+		if (!searchQuery.length) {
+			doLog(logLevelError, `nothing to search for; use ` + cmdSearch + ` [organized-folder] [words] ["phrase"] [from:sender] [in:conversation] [since:YYYY-MM-DD] [until:YYYY-MM-DD]`)
+			process.exitCode = 1
 
-			//------------------------------------------------------------
-			// save all duplicates if requested:
-			if (configuration.saveDuplicateFileNamesTo) {
-				let struct = {}
-				for (let file of files) {
-					// skip files that don't exist anymore:
-					if (deleted.indexOf(file.destFullname) === -1) {
-						if (struct[file.hash] === undefined) {
-							struct[file.hash] = [file] // each key of "struct" is an array of duplicates; minimum length = 1
-
-						} else {
-							struct[file.hash].push(file) // add file to array; is a real duplicate
-						}
-					}
-				}
-				let fullnames = []
-				for (let node in struct) {
-					if (struct[node].length > 1) {
-						struct[node].sort(dynamicSort('duplicateIdx')) // sort array by ascending duplicate index
-						// add fullnames in block to array; add delimiter between blocks:
-						fullnames = fullnames.concat(((fullnames.length) ? [''] /* delimiter */ : [])).concat(struct[node].map(o => o.destFullname))
-					}
-				}
-				// save list of duplicates to file:
-				let duplicatesFile = sourceDir + String(configuration.saveDuplicateFileNamesTo)
-				try {
-					fs.writeFileSync(duplicatesFile, fullnames.join('\n') || `[none]`, 'utf8')
-					doLog(logLevelInfo, `ok, could save list of duplicates to file '` + duplicatesFile + `'`)
-
-				} catch(err) {
-					doLog(logLevelError, `could not save list of duplicates to file '` + duplicatesFile + `'; ` + err)
+		} else {
+			try {
+				let result = run.search(sourceDir, searchQuery.join(' '))
+				if (result.hits.length) {
+					doLog(``, result.text)
 				}
+				doLog(``, ((result.hits.length) ? `\n` : ``) + singularPlural(result.hits.length, 'hit'))
+
+			} catch(err) {
+				doLog(logLevelError, `could not search; ` + err.message)
+				process.exitCode = 1
 			}
+		}
+
+	} else if ((invalidParams.length === 0) && undoFile) {
+		try {
+			run.undoJournal(undoFile)
 
-			//------------------------------------------------------------
-			// finally, delete empty folders if requested:
-			if (configuration.removeEmptyFolders) {
-				getAllFilesSync(sourceDir, true, undefined, true) // throws with message on error
+		} catch(err) {
+			doLog(logLevelError, `could not undo changes recorded in journal file '` + undoFile + `'; ` + err)
+			process.exitCode = 1
+		}
+
+	} else if (invalidParams.length === 0) {
+		if (dryRun) {
+			doLog(logLevelInfo, `dry run: analyze everything, but don't change anything; save plan of all actions to '` + path.resolve(configuration.savePlanTo) + `.*'`)
+		}
+		let archive = null
+		try {
+			archive = await run.loadArchive({
+				sourceDir: sourceDir,
+				zipFile: zipFile,
+				password: () => readPassword(zipFile, passwordFile), // asked for only if the zip file is encrypted
+				recursive: recursive,
+				outDir: outDir,
+				archiveDir: archiveDir
+			})
+			let plan = await run.buildPlan(archive)
+
+			// everything is analyzed; either just report or really do it:
+			if (dryRun) {
+				run.savePlan(plan, path.resolve(configuration.savePlanTo))
+
+			} else {
+				let journal = await run.applyPlan(plan)
+				if (journal) {
+					doLog(logLevelInfo, `all changes recorded in journal file '` + journal + `'; undo them with ` + argvUsage(cmdParam6, false) + ` [journal-file]`)
+				}
 			}
 
 		} catch(err) {
 			doLog(logLevelError, `something went wrong; ` + err)
+			process.exitCode = 1
 		}
+		run.closeArchive(archive)
 
 	// there was something wrong with the command line parameters:
 	} else {
@@ -1181,7 +662,7 @@ async function getCsvFileAsJSON(file, isMessagesCsv = true) {
 				doLog(``, `Invalid switch` + ((a.length > 1) ? `es` : ``) + `:\n` + a.join('\n'))
 			}
 		}
-		usage()
+		usage((invalidParams.length) ? 1 : 0)
 	}
 	if (globals.logFile) {
 		doLog(logLevelInfo, `log written to file '` + globals.logFile + `'`)
@@ -0,0 +1,489 @@
+'use strict'
+
+//================================================================================
+// Generate a synthetic Threema backup for tests: realistic, but fake data.
+//--------------------------------------------------------------------------------
+// The unpacked backup folder contains what Threema writes:
+// - "contacts.csv", "groups.csv", "identity", "settings"
+// - "message_<identity>.csv" and "group_message_<group id>-<creator>.csv"
+// - "distribution_list.csv" and "distribution_list_message_<list id>.csv"
+// - "ballot.csv", "ballot_choice.csv" and "ballot_vote.csv": a closed poll of
+//   the group with the votes of all members
+// - "message_media_<uid>", "message_thumbnail_<uid>", "group_message_media_<uid>"
+//   and "group_message_thumbnail_<uid>": files without extension, named by the
+//   uid of their message; their content starts with the real signature of the
+//   file type (PNG, JPEG, PDF, MP4, M4A), so the type is recognized without
+//   external tools
+// - duplicates: the same picture twice in one conversation and once more in
+//   another conversation; media files with and without thumbnail, and a
+//   thumbnail without media file
+// - a shared location (with place name and address) in the distribution list
+// With option "later" the backup is the one of a later date: all messages and
+// files of the first one plus some new ones (for tests of "--incremental").
+// The result can be packed into a zip file, AES encrypted like Threema does, or
+// with the traditional PKWARE encryption ("ZipCrypto") of older tools.
+//--------------------------------------------------------------------------------
+// Usage:
+//   node tools/generateTestArchive.js [--later] [--zipcrypto] <folder> [<zip file> [<password>]]
+// or as module:
+//   const { generateArchive, writeZipSync, mediaContent } = require('./tools/generateTestArchive')
+//   let manifest = generateArchive('test-backup/')
+//   writeZipSync('test-backup.zip', 'test-backup/', 'secret')
+//   writeZipSync('test-backup.zip', 'test-backup/', 'secret', 'zipcrypto')
+//--------------------------------------------------------------------------------
+
+
+//================================================================================
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { crc32 } = require('../lib/zipArchive')
+
+
+//--------------------------------------------------------------------------------
+const defaultStart = Date.UTC(2021, 2, 14, 9, 26, 53) // moment of the first message; all others follow in "messageInterval"
+const messageInterval = 60 * 1000
+//--------------------------------------------------------------------------------
+const contacts = [
+	{ identity: 'ABCD1234', firstname: 'Anna', lastname: 'Muster', nick_name: 'anni' },
+	{ identity: 'EFGH5678', firstname: 'Bert', lastname: 'Beispiel', nick_name: '' },
+	{ identity: 'IJKL9012', firstname: 'Chloé', lastname: 'Dupont', nick_name: 'Clo' }
+]
+const groups = [
+	{ id: '0011223344556677', creator: 'ABCD1234', groupname: 'Familie', members: ['ABCD1234', 'EFGH5678', 'IJKL9012'] }
+]
+const distributionLists = [
+	{ id: '1234567890', name: 'Nachbarn', members: ['EFGH5678', 'IJKL9012'] }
+]
+// polls; "refId" = the conversation, "after" = posted half a message interval after the message with this uid, "votes" = identity => chosen choices (by order):
+const polls = [
+	{ id: '1', creator: 'ABCD1234', refId: '0011223344556677-ABCD1234', name: 'Ausflug am Sonntag?', state: 'CLOSED', assessment: 'SINGLE_CHOICE', after: 'c0000003-0000-4000-8000-000000000002', choices: ['Ja', 'Nein'], votes: { ABCD1234: [1], EFGH5678: [0], IJKL9012: [0] } }
+]
+//--------------------------------------------------------------------------------
+// messages of the conversations; "media" and "thumbnail" = content of the files ([type, seed]), "same" = same content as the message with this uid:
+const messages = {
+	'message_ABCD1234': [
+		{ uid: 'a0000001-0000-4000-8000-000000000001', isoutbox: 0, type: 'TEXT', body: 'Hallo Anna\nwie geht es dir?' },
+		{ uid: 'a0000001-0000-4000-8000-000000000002', isoutbox: 1, type: 'IMAGE', caption: 'Sonnenuntergang am See', fileName: 'IMG_0042.jpg', media: ['jpg', 'sunset'], thumbnail: ['jpg', 'sunset tn'] },
+		{ uid: 'a0000001-0000-4000-8000-000000000003', isoutbox: 0, type: 'IMAGE', caption: '', fileName: 'IMG_0042.jpg', same: 'a0000001-0000-4000-8000-000000000002', thumbnail: ['jpg', 'sunset tn'] },
+		{ uid: 'a0000001-0000-4000-8000-000000000004', isoutbox: 0, type: 'FILE', caption: 'Rechnung März', fileName: 'Rechnung.pdf', media: ['pdf', 'invoice'] },
+		{ uid: 'a0000001-0000-4000-8000-000000000005', isoutbox: 1, type: 'VIDEO', caption: '', fileName: 'VID_0007.mp4', media: ['mp4', 'video'], thumbnail: ['jpg', 'video tn'] },
+		{ uid: 'a0000001-0000-4000-8000-000000000006', isoutbox: 0, type: 'IMAGE', caption: 'nur Vorschau', fileName: 'IMG_0043.jpg', thumbnail: ['jpg', 'preview only'] }
+	],
+	'message_EFGH5678': [
+		{ uid: 'b0000002-0000-4000-8000-000000000001', isoutbox: 1, type: 'TEXT', body: 'Hoi Bert' },
+		{ uid: 'b0000002-0000-4000-8000-000000000002', isoutbox: 0, type: 'IMAGE', caption: 'kennst du das?', fileName: 'IMG_0042.jpg', same: 'a0000001-0000-4000-8000-000000000002' },
+		{ uid: 'b0000002-0000-4000-8000-000000000003', isoutbox: 0, type: 'TEXT', body: 'Tschüss' }
+	],
+	'group_message_0011223344556677-ABCD1234': [
+		{ uid: 'c0000003-0000-4000-8000-000000000001', identity: 'EFGH5678', isoutbox: 0, type: 'TEXT', body: 'Hallo zusammen' },
+		{ uid: 'c0000003-0000-4000-8000-000000000002', identity: '', isoutbox: 1, type: 'TEXT', body: 'Salut' },
+		{ uid: 'c0000003-0000-4000-8000-000000000003', identity: 'ABCD1234', isoutbox: 0, type: 'AUDIO', caption: '', fileName: 'audio.m4a', media: ['m4a', 'voice'] },
+		{ uid: 'c0000003-0000-4000-8000-000000000004', identity: 'IJKL9012', isoutbox: 0, type: 'IMAGE', caption: 'Le chat', fileName: 'chat.png', media: ['png', 'cat'], thumbnail: ['jpg', 'cat tn'] }
+	],
+	'distribution_list_message_1234567890': [
+		{ uid: 'd0000004-0000-4000-8000-000000000001', isoutbox: 1, type: 'TEXT', body: 'Grillfest am Samstag bei uns' },
+		{ uid: 'd0000004-0000-4000-8000-000000000002', isoutbox: 1, type: 'LOCATION', body: JSON.stringify([47.378177, 8.540192, 15, 'Bahnhofplatz, 8001 Zürich', 'Zürich HB']) }
+	]
+}
+// messages only in the later backup:
+const laterMessages = {
+	'message_ABCD1234': [
+		{ uid: 'a0000001-0000-4000-8000-000000000007', isoutbox: 1, type: 'TEXT', body: 'Bis morgen!' },
+		{ uid: 'a0000001-0000-4000-8000-000000000008', isoutbox: 0, type: 'IMAGE', caption: 'Frühstück', fileName: 'IMG_0050.jpg', media: ['jpg', 'breakfast'], thumbnail: ['jpg', 'breakfast tn'] }
+	],
+	'group_message_0011223344556677-ABCD1234': [
+		{ uid: 'c0000003-0000-4000-8000-000000000005', identity: 'EFGH5678', isoutbox: 0, type: 'FILE', caption: '', fileName: 'Einladung.pdf', media: ['pdf', 'invitation'] }
+	]
+}
+//--------------------------------------------------------------------------------
+const contactsHeaders = ['identity', 'publickey', 'verification', 'acid', 'tacid', 'firstname', 'lastname', 'nick_name', 'color', 'hidden', 'archived']
+const groupsHeaders = ['id', 'creator', 'groupname', 'created_at', 'members', 'deleted', 'archived']
+const distributionListHeaders = ['id', 'name', 'created_at', 'members', 'archived']
+const ballotHeaders = ['id', 'creator', 'ref', 'ref_id', 'name', 'state', 'assessment', 'type', 'choice_type', 'created_at', 'modified_at']
+const ballotChoiceHeaders = ['id', 'ballot_id', 'type', 'name', 'vote_count', 'order', 'created_at']
+const ballotVoteHeaders = ['id', 'ballot_id', 'choice_id', 'identity', 'choice', 'created_at']
+const messageHeaders = ['apiid', 'uid', 'isoutbox', 'isread', 'issaved', 'messagestae', 'posted_at', 'created_at', 'modified_at', 'type', 'body', 'caption', 'quoted_message_apiid']
+const groupMessageHeaders = ['apiid', 'uid', 'identity', 'isoutbox', 'isread', 'issaved', 'messagestae', 'posted_at', 'created_at', 'modified_at', 'type', 'body', 'caption', 'quoted_message_apiid']
+const mimeTypes = { jpg: 'image/jpeg', png: 'image/png', pdf: 'application/pdf', mp4: 'video/mp4', m4a: 'audio/mp4' }
+//--------------------------------------------------------------------------------
+const zipVersions = { aes: 51, stored: 20 } // "version needed to extract"
+const zipEncryptions = ['aes', 'zipcrypto']
+const zipTime = Date.UTC(2021, 3, 1, 12, 0, 0) // modification time of all entries
+
+
+//--------------------------------------------------------------------------------
+// Quote a value for a CSV file as Threema does: always in double quotes, inner quotes doubled:
+function csvValue(value) {
+	return '"' + String((value === undefined) || (value === null) ? '' : value).replace(/"/g, '""') + '"'
+}
+
+//--------------------------------------------------------------------------------
+// CSV text of array "rows" (objects) with columns "headers":
+function csvText(headers, rows) {
+	return [headers.map(csvValue).join(',')].concat(rows.map(row => headers.map(key => csvValue(row[key])).join(','))).join('\n') + '\n'
+}
+
+//--------------------------------------------------------------------------------
+// PNG chunk of "type" with content "data":
+function pngChunk(type, data) {
+	let length = Buffer.alloc(4)
+	length.writeUInt32BE(data.length)
+	let crc = Buffer.alloc(4)
+	crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type, 'latin1'), data])) >>> 0)
+	return Buffer.concat([length, Buffer.from(type, 'latin1'), data, crc])
+}
+
+//--------------------------------------------------------------------------------
+// ISO base media box (MP4, M4A) of "type" with content "data":
+function mp4Box(type, data) {
+	let size = Buffer.alloc(4)
+	size.writeUInt32BE(8 + data.length)
+	return Buffer.concat([size, Buffer.from(type, 'latin1'), data])
+}
+
+//--------------------------------------------------------------------------------
+// Smallest valid file of "type" ("jpg", "png", "pdf", "mp4", "m4a"); "seed" makes the content unique:
+function mediaContent(type, seed) {
+	let text = Buffer.from(String(seed), 'utf8')
+	switch (type) {
+		case 'png': {
+			let header = Buffer.alloc(13) // 1 x 1 pixel, 8 bit grey:
+			header.writeUInt32BE(1, 0)
+			header.writeUInt32BE(1, 4)
+			header.writeUInt8(8, 8)
+			return Buffer.concat([
+				Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+				pngChunk('IHDR', header),
+				pngChunk('tEXt', Buffer.concat([Buffer.from('Comment\0', 'latin1'), text])),
+				pngChunk('IDAT', Buffer.from([0x78, 0x9c, 0x63, 0x60, 0x00, 0x00, 0x00, 0x02, 0x00, 0x01])),
+				pngChunk('IEND', Buffer.alloc(0))
+			])
+		}
+		case 'jpg': {
+			let comment = Buffer.alloc(4)
+			comment.writeUInt16BE(0xfffe, 0)
+			comment.writeUInt16BE(text.length + 2, 2)
+			return Buffer.concat([
+				Buffer.from([0xff, 0xd8]), // SOI
+				Buffer.from([0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00]), // APP0 "JFIF"
+				comment, text, // COM
+				Buffer.from([0xff, 0xd9]) // EOI
+			])
+		}
+		case 'pdf':
+			return Buffer.from('%PDF-1.4\n% ' + seed + '\n%%EOF\n', 'utf8')
+		case 'mp4':
+		case 'm4a': {
+			let brand = (type === 'mp4') ? 'isom' : 'M4A '
+			let mvhd = Buffer.alloc(100) // version 0: times, time scale, duration, rate, volume, matrix, next track
+			mvhd.writeUInt32BE(1000, 12)
+			mvhd.writeUInt32BE(0x00010000, 20)
+			mvhd.writeUInt16BE(0x0100, 24)
+			mvhd.writeUInt32BE(0x00010000, 36)
+			mvhd.writeUInt32BE(0x00010000, 52)
+			mvhd.writeUInt32BE(0x40000000, 68)
+			mvhd.writeUInt32BE(2, 96)
+			let tkhd = Buffer.alloc(84) // version 0: times, track ID, duration, layer, volume, matrix, width, height
+			tkhd.writeUInt32BE(0x000003, 0) // enabled, in movie
+			tkhd.writeUInt32BE(1, 12)
+			tkhd.writeUInt32BE(0x00010000, 40)
+			tkhd.writeUInt32BE(0x00010000, 56)
+			tkhd.writeUInt32BE(0x40000000, 72)
+			let mdhd = Buffer.alloc(24) // version 0: times, time scale, duration, language
+			mdhd.writeUInt32BE(1000, 12)
+			mdhd.writeUInt16BE(0x55c4, 20) // "und"
+			let stco = Buffer.alloc(12) // version 0: one chunk offset, the start of the media data
+			stco.writeUInt32BE(1, 4)
+			let ftyp = mp4Box('ftyp', Buffer.concat([Buffer.from(brand, 'latin1'), Buffer.from([0, 0, 2, 0]), Buffer.from(brand + 'mp41', 'latin1')]))
+			let moov = mp4Box('moov', Buffer.concat([mp4Box('mvhd', mvhd), mp4Box('trak', Buffer.concat([mp4Box('tkhd', tkhd), mp4Box('mdia', Buffer.concat([mp4Box('mdhd', mdhd), mp4Box('minf', mp4Box('stbl', mp4Box('stco', stco)))]))]))]))
+			moov.writeUInt32BE(ftyp.length + moov.length + 8, moov.length - 4) // the chunk offset ends the movie box
+			return Buffer.concat([ftyp, moov, mp4Box('mdat', text)])
+		}
+		default:
+			throw new Error(`unknown media type '` + type + `'`)
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Body of a file message as Threema writes it: JSON array with blob id, MIME type, size, original filename:
+function fileMessageBody(message, size) {
+	return JSON.stringify([0, crypto.createHash('md5').update(message.uid).digest('hex'), mimeTypes[message.ext] || 'application/octet-stream', size, message.fileName])
+}
+
+//--------------------------------------------------------------------------------
+// Write the unpacked backup into folder "dir" (created if missing); returns the manifest of the backup:
+// options = { start [epoch ms of the first message], later [true: backup of a later date] }
+// manifest = { dir, start, contacts, groups, distributionLists, polls, conversations: { <csv name>: [message] }, files: [filename] }
+// message = { csv, uid, identity, isoutbox, type, createdAt, body, caption, fileName, ext, media, thumbnail, same }
+function generateArchive(dir, options = {}) {
+	let start = (options.start !== undefined) ? options.start : defaultStart
+	fs.mkdirSync(dir, { recursive: true })
+	let manifest = {
+		dir: dir,
+		start: start,
+		contacts: contacts.map(o => Object.assign({}, o)),
+		groups: groups.map(o => Object.assign({}, o, { members: o.members.slice() })),
+		distributionLists: distributionLists.map(o => Object.assign({}, o, { members: o.members.slice() })),
+		polls: [],
+		conversations: {},
+		files: []
+	}
+	const writeFile = (name, content) => {
+		fs.writeFileSync(path.join(dir, name), content)
+		manifest.files.push(name)
+	}
+
+	// contacts and groups:
+	writeFile('contacts.csv', csvText(contactsHeaders, contacts.map(o => Object.assign({ publickey: crypto.createHash('sha256').update(o.identity).digest('hex'), verification: 'SERVER_VERIFIED', color: '-16777216', hidden: '0', archived: '0' }, o))))
+	writeFile('groups.csv', csvText(groupsHeaders, groups.map(o => Object.assign({}, o, { created_at: start - messageInterval, members: o.members.join(';'), deleted: '0', archived: '0' }))))
+	writeFile('distribution_list.csv', csvText(distributionListHeaders, distributionLists.map(o => Object.assign({}, o, { created_at: start - messageInterval, members: o.members.join(';'), archived: '0' }))))
+	writeFile('identity', 'XYZW0000\n')
+	writeFile('settings', '{"language":"de"}\n')
+
+	// conversations with their files; the messages of a later backup come after all others:
+	let times = {} // uid => moment of the message
+	let time = start
+	for (let list of [messages].concat((options.later) ? [laterMessages] : [])) {
+		for (let csvName of Object.keys(list)) {
+			for (let message of list[csvName]) {
+				times[message.uid] = time
+				time += messageInterval
+			}
+		}
+	}
+	let contents = {} // uid => content of the media file
+	for (let csvName of Object.keys(messages)) {
+		let list = messages[csvName].concat((options.later) ? laterMessages[csvName] || [] : [])
+		let isGroup = /^group_/.test(csvName)
+		let rows = []
+		manifest.conversations[csvName] = []
+		for (let template of list) {
+			let message = Object.assign({ csv: csvName, identity: null, body: '', caption: '', fileName: null, ext: null, media: null, thumbnail: null, same: null }, template)
+			message.createdAt = times[message.uid]
+			let prefix = csvName.replace(/_[^_]*$/, '') // "message" or "group_message"
+			let content = (message.media) ? mediaContent(message.media[0], message.media[1]) : ((message.same) ? contents[message.same] : null)
+			if (message.media) {
+				message.ext = message.media[0]
+			} else if (message.same) {
+				message.ext = [].concat(...Object.values(manifest.conversations)).find(o => o.uid === message.same).ext
+			}
+			if (content) {
+				contents[message.uid] = content
+				message.media = prefix + '_media_' + message.uid
+				writeFile(message.media, content)
+			}
+			if (message.thumbnail) {
+				if (!message.ext) { // no media file: the thumbnail is all there is
+					message.ext = message.thumbnail[0]
+				}
+				let thumbnail = mediaContent(message.thumbnail[0], message.thumbnail[1])
+				message.thumbnail = prefix + '_thumbnail_' + message.uid
+				writeFile(message.thumbnail, thumbnail)
+			}
+			if (message.fileName) {
+				message.body = fileMessageBody(message, (content) ? content.length : 0)
+			}
+			rows.push({
+				apiid: crypto.createHash('sha1').update(message.uid).digest('hex').substr(0, 16),
+				uid: message.uid,
+				identity: message.identity,
+				isoutbox: message.isoutbox,
+				isread: '1',
+				issaved: '1',
+				messagestae: (message.isoutbox) ? 'DELIVERED' : 'READ',
+				posted_at: message.createdAt,
+				created_at: message.createdAt,
+				modified_at: message.createdAt,
+				type: message.type,
+				body: message.body,
+				caption: message.caption,
+				quoted_message_apiid: ''
+			})
+			manifest.conversations[csvName].push(message)
+		}
+		writeFile(csvName + '.csv', csvText((isGroup) ? groupMessageHeaders : messageHeaders, rows))
+	}
+
+	// polls with their choices and votes; the IDs of choices and votes are numbered across all polls:
+	let ballotRows = []
+	let choiceRows = []
+	let voteRows = []
+	for (let template of polls) {
+		let poll = Object.assign({}, template, { createdAt: times[template.after] + messageInterval / 2 })
+		delete poll.after
+		ballotRows.push({ id: poll.id, creator: poll.creator, ref: (/-/.test(poll.refId)) ? 'GroupBallotModel' : 'IdentityBallotModel', ref_id: poll.refId, name: poll.name, state: poll.state, assessment: poll.assessment, type: 'INTERMEDIATE', choice_type: 'TEXT', created_at: poll.createdAt, modified_at: poll.createdAt })
+		let choiceIds = poll.choices.map((name, order) => {
+			let id = String(choiceRows.length + 1)
+			let count = Object.values(poll.votes).filter(a => a.indexOf(order) !== -1).length
+			choiceRows.push({ id: id, ballot_id: poll.id, type: 'Text', name: name, vote_count: count, order: order, created_at: poll.createdAt })
+			return id
+		})
+		for (let identity of Object.keys(poll.votes)) {
+			choiceIds.forEach((choiceId, order) => voteRows.push({ id: String(voteRows.length + 1), ballot_id: poll.id, choice_id: choiceId, identity: identity, choice: (poll.votes[identity].indexOf(order) !== -1) ? 1 : 0, created_at: poll.createdAt }))
+		}
+		manifest.polls.push(poll)
+	}
+	writeFile('ballot.csv', csvText(ballotHeaders, ballotRows))
+	writeFile('ballot_choice.csv', csvText(ballotChoiceHeaders, choiceRows))
+	writeFile('ballot_vote.csv', csvText(ballotVoteHeaders, voteRows))
+	return manifest
+}
+
+//--------------------------------------------------------------------------------
+// Date and time of "date" in MS-DOS format:
+function dosDateTime(date) {
+	return {
+		date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+		time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+	}
+}
+
+//--------------------------------------------------------------------------------
+// Encrypt "data" with "password" as WinZip AES-256 (AE-2); returns salt, password verifier, encrypted data and authentication code:
+function aesEncrypt(data, password) {
+	let salt = crypto.randomBytes(16)
+	let key = crypto.pbkdf2Sync(Buffer.from(String(password), 'utf8'), salt, 1000, 32 * 2 + 2, 'sha1')
+	let cipher = crypto.createCipheriv('aes-256-ecb', key.subarray(0, 32), null)
+	cipher.setAutoPadding(false)
+	let counter = Buffer.alloc(16)
+	let encrypted = Buffer.from(data)
+	for (let i = 0; i < encrypted.length; i += 16) {
+		for (let j = 0; j < 16; j++) { // increment little endian counter:
+			counter[j] = (counter[j] + 1) & 0xff
+			if (counter[j] !== 0) {
+				break
+			}
+		}
+		let keyStream = cipher.update(counter)
+		for (let k = 0; (k < 16) && (i + k < encrypted.length); k++) {
+			encrypted[i + k] ^= keyStream[k]
+		}
+	}
+	let authCode = crypto.createHmac('sha1', key.subarray(32, 64)).update(encrypted).digest().subarray(0, 10)
+	return Buffer.concat([salt, key.subarray(64), encrypted, authCode])
+}
+
+//--------------------------------------------------------------------------------
+// Encrypt "data" with "password" as traditional PKWARE encryption ("ZipCrypto"); returns the encryption header (its last byte checks the password against "crc") and the encrypted data:
+function zipCryptoEncrypt(data, password, crc) {
+	const update = (keys, c) => { // the CRC-32 steps without the inversions of "crc32":
+		keys[0] = ~crc32(Buffer.from([c]), ~keys[0])
+		keys[1] = Math.imul(keys[1] + (keys[0] & 0xff), 134775813) + 1
+		keys[2] = ~crc32(Buffer.from([keys[1] >>> 24]), ~keys[2])
+	}
+	let keys = new Uint32Array([305419896, 591751049, 878082192])
+	for (let c of Buffer.from(String(password), 'utf8')) {
+		update(keys, c)
+	}
+	let random = crypto.createHash('sha256').update(data).digest().subarray(0, 11) // the same for the same data: a wrong password fails the check byte every time or never
+	let plain = Buffer.concat([random, Buffer.from([crc >>> 24]), data])
+	let encrypted = Buffer.alloc(plain.length)
+	for (let i = 0; i < plain.length; i++) {
+		let t = (keys[2] | 2) & 0xffff
+		encrypted[i] = plain[i] ^ ((Math.imul(t, t ^ 1) >>> 8) & 0xff)
+		update(keys, plain[i])
+	}
+	return encrypted
+}
+
+//--------------------------------------------------------------------------------
+// Pack all files of folder "dir" (not recursive) into zip file "fullname"; entries are stored, encrypted if "password" is given ("encryption": "aes" or "zipcrypto"):
+function writeZipSync(fullname, dir, password = null, encryption = 'aes') {
+	if (zipEncryptions.indexOf(encryption) === -1) {
+		throw new Error(`unknown zip encryption '` + encryption + `'`)
+	}
+	let aes = Boolean(password) && (encryption === 'aes')
+	let localParts = []
+	let centralParts = []
+	let offset = 0
+	let names = fs.readdirSync(dir).filter(name => fs.statSync(path.join(dir, name)).isFile()).sort()
+	let dos = dosDateTime(new Date(zipTime))
+	for (let name of names) {
+		let data = fs.readFileSync(path.join(dir, name))
+		let nameBuffer = Buffer.from(name, 'utf8')
+		let crc = crc32(data) >>> 0
+		let payload = (!password) ? data : ((aes) ? aesEncrypt(data, password) : zipCryptoEncrypt(data, password, crc))
+		let extra = Buffer.alloc((aes) ? 11 : 0)
+		if (aes) { // AES extra field: AE-2, vendor "AE", strength 256 bits, method "stored":
+			extra.writeUInt16LE(0x9901, 0)
+			extra.writeUInt16LE(7, 2)
+			extra.writeUInt16LE(2, 4)
+			extra.write('AE', 6, 'latin1')
+			extra.writeUInt8(3, 8)
+			extra.writeUInt16LE(0, 9)
+		}
+		let fields = {
+			version: (aes) ? zipVersions.aes : zipVersions.stored,
+			flags: 0x0800 | ((password) ? 0x0001 : 0), // UTF-8 names, encrypted
+			method: (aes) ? 99 : 0,
+			crc: (aes) ? 0 : crc, // AE-2: no CRC
+			compressedSize: payload.length,
+			size: data.length
+		}
+		let local = Buffer.alloc(30)
+		local.writeUInt32LE(0x04034b50, 0)
+		local.writeUInt16LE(fields.version, 4)
+		local.writeUInt16LE(fields.flags, 6)
+		local.writeUInt16LE(fields.method, 8)
+		local.writeUInt16LE(dos.time, 10)
+		local.writeUInt16LE(dos.date, 12)
+		local.writeUInt32LE(fields.crc, 14)
+		local.writeUInt32LE(fields.compressedSize, 18)
+		local.writeUInt32LE(fields.size, 22)
+		local.writeUInt16LE(nameBuffer.length, 26)
+		local.writeUInt16LE(extra.length, 28)
+		let central = Buffer.alloc(46)
+		central.writeUInt32LE(0x02014b50, 0)
+		central.writeUInt16LE(fields.version, 4)
+		central.writeUInt16LE(fields.version, 6)
+		central.writeUInt16LE(fields.flags, 8)
+		central.writeUInt16LE(fields.method, 10)
+		central.writeUInt16LE(dos.time, 12)
+		central.writeUInt16LE(dos.date, 14)
+		central.writeUInt32LE(fields.crc, 16)
+		central.writeUInt32LE(fields.compressedSize, 20)
+		central.writeUInt32LE(fields.size, 24)
+		central.writeUInt16LE(nameBuffer.length, 28)
+		central.writeUInt16LE(extra.length, 30)
+		central.writeUInt32LE(offset, 42)
+		localParts.push(local, nameBuffer, extra, payload)
+		centralParts.push(central, nameBuffer, extra)
+		offset += local.length + nameBuffer.length + extra.length + payload.length
+	}
+	let centralDir = Buffer.concat(centralParts)
+	let end = Buffer.alloc(22)
+	end.writeUInt32LE(0x06054b50, 0)
+	end.writeUInt16LE(names.length, 8)
+	end.writeUInt16LE(names.length, 10)
+	end.writeUInt32LE(centralDir.length, 12)
+	end.writeUInt32LE(offset, 16)
+	fs.writeFileSync(fullname, Buffer.concat(localParts.concat([centralDir, end])))
+	return names
+}
+
+
+//================================================================================
+// called from the command line:
+if (require.main === module) {
+	let args = process.argv.slice(2).filter(s => (s !== '--later') && (s !== '--zipcrypto'))
+	let encryption = (process.argv.includes('--zipcrypto')) ? 'zipcrypto' : 'aes'
+	if (!args.length) {
+		console.log(`usage: node ` + path.basename(__filename) + ` [--later] [--zipcrypto] <folder> [<zip file> [<password>]]`)
+		process.exit(1)
+	}
+	let manifest = generateArchive(args[0], { later: process.argv.includes('--later') })
+	console.log(manifest.files.length + ` files written to '` + args[0] + `'`)
+	if (args[1]) {
+		writeZipSync(args[1], args[0], args[2] || null, encryption)
+		console.log(`zip file '` + args[1] + `' written` + ((args[2]) ? `, ` + ((encryption === 'aes') ? `AES` : `ZipCrypto`) + ` encrypted` : ''))
+	}
+}
+
+
+//--------------------------------------------------------------------------------
+module.exports = {
+	generateArchive,
+	writeZipSync,
+	mediaContent
+}